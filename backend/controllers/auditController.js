@@ -0,0 +1,67 @@
+import Product from "../models/Product.js";
+import FeedSource from "../models/FeedSource.js";
+import { runMerchantAudit, getStoredAudit } from "../services/feedAuditService.js";
+import { buildPageInfo, parsePagination } from "../utils/pagination.js";
+
+// GET /api/merchant/products/audit?page=&pageSize=&cursor=&refresh=true
+// Returns the stored per-product results (worst first) together with
+// aggregate scores for every account of the user. Audits run after every
+// snapshot save; refresh=true re-audits the selected account first.
+export const getProductAudit = async (req, res) => {
+    try {
+        const merchantId = req.merchantId;
+
+        if (req.query.refresh === "true") {
+            await runMerchantAudit(merchantId);
+        }
+
+        const pagination = parsePagination(req.query);
+        const audit = await getStoredAudit(merchantId, pagination);
+        const pageInfo = buildPageInfo(audit.total, pagination, audit.results.length);
+
+        const offlineSources = await FeedSource.find({ userId: req.user._id }).lean();
+        const userAccounts = [
+            ...req.user.googleMerchantAccounts.map(acc => ({ id: acc.id, name: acc.name })),
+            ...offlineSources.map(source => ({ id: source.merchantId, name: source.name, offline: true })),
+        ];
+
+        const accountIds = userAccounts.map(acc => acc.id);
+        const scores = await Product.aggregate([
+            { $match: { merchantId: { $in: accountIds }, removedAt: null, "audit.score": { $ne: null } } },
+            {
+                $group: {
+                    _id: "$merchantId",
+                    productCount: { $sum: 1 },
+                    averageScore: { $avg: "$audit.score" },
+                    minScore: { $min: "$audit.score" },
+                    lastAuditedAt: { $max: "$audit.auditedAt" },
+                },
+            },
+        ]);
+        const scoresById = new Map(scores.map(s => [s._id, s]));
+
+        const accounts = userAccounts.map(acc => {
+            const score = scoresById.get(acc.id);
+            return {
+                merchantId: acc.id,
+                name: acc.name,
+                offline: Boolean(acc.offline),
+                productCount: score?.productCount || 0,
+                averageScore: score ? Math.round(score.averageScore * 10) / 10 : null,
+                minScore: score?.minScore ?? null,
+                lastAuditedAt: score?.lastAuditedAt || null,
+            };
+        });
+
+        res.json({
+            merchantId,
+            summary: audit.summary,
+            accounts,
+            ...pageInfo,
+            products: audit.results
+        });
+    } catch (error) {
+        console.error("Error auditing products:", error.message);
+        res.status(500).json({ error: "Failed to audit products" });
+    }
+};
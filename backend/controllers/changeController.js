@@ -0,0 +1,89 @@
+import ProductChange from "../models/ProductChange.js";
+import { applyProductChanges } from "../services/productChangeService.js";
+import { buildPageInfo, parsePagination } from "../utils/pagination.js";
+
+const REVIEW_STATUSES = ["approved", "rejected"];
+
+const readChangeIds = (body) =>
+    Array.isArray(body?.changeIds) ? body.changeIds.filter(Boolean).map(String) : [];
+
+// -------------------------------
+// LIST CHANGES
+// GET /api/merchant/changes?status=&offerId=&source=
+// -------------------------------
+export const getChanges = async (req, res) => {
+    try {
+        const filter = { merchantId: req.merchantId };
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.offerId) filter.offerId = req.query.offerId;
+        if (req.query.source) filter.source = req.query.source;
+
+        const pagination = parsePagination(req.query);
+
+        const [total, changes] = await Promise.all([
+            ProductChange.countDocuments(filter),
+            ProductChange.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(pagination.offset)
+                .limit(pagination.pageSize),
+        ]);
+
+        res.json({
+            ...buildPageInfo(total, pagination, changes.length),
+            changes
+        });
+    } catch (error) {
+        console.error("Error fetching changes:", error.message);
+        res.status(500).json({ error: "Failed to fetch changes" });
+    }
+};
+
+// -------------------------------
+// APPROVE / REJECT PENDING CHANGES
+// POST /api/merchant/changes/review { changeIds, status }
+// -------------------------------
+export const reviewChanges = async (req, res) => {
+    try {
+        const changeIds = readChangeIds(req.body);
+        const { status } = req.body || {};
+
+        if (changeIds.length === 0) return res.status(400).json({ error: "changeIds are required" });
+        if (!REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(", ")}` });
+        }
+
+        const result = await ProductChange.updateMany(
+            { _id: { $in: changeIds }, merchantId: req.merchantId, status: "pending" },
+            { $set: { status, approvedBy: status === "approved" ? req.user._id : undefined } }
+        );
+
+        res.json({ status, updated: result.modifiedCount });
+    } catch (error) {
+        console.error("Error reviewing changes:", error.message);
+        res.status(500).json({ error: "Failed to review changes" });
+    }
+};
+
+// -------------------------------
+// PUSH APPROVED CHANGES TO MERCHANT CENTER
+// POST /api/merchant/products/apply { changeIds }
+// -------------------------------
+export const applyChanges = async (req, res) => {
+    try {
+        const changeIds = readChangeIds(req.body);
+
+        if (changeIds.length === 0) return res.status(400).json({ error: "changeIds are required" });
+
+        const { applied, failed, skipped } = await applyProductChanges(req.user, req.merchantId, changeIds);
+
+        res.status(failed.length > 0 && applied.length === 0 ? 502 : 200).json({
+            applied: applied.length,
+            failed: failed.map(c => ({ changeId: c._id, offerId: c.offerId, field: c.field, error: c.lastError })),
+            skipped,
+            changes: [...applied, ...failed]
+        });
+    } catch (error) {
+        console.error("Error applying changes:", error.message);
+        res.status(500).json({ error: "Failed to apply changes" });
+    }
+};
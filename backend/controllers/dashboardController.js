@@ -0,0 +1,25 @@
+import { getDashboard } from "../services/dashboardService.js";
+
+const DEFAULT_TREND_DAYS = 30;
+const MAX_TREND_DAYS = 365;
+
+// -------------------------------
+// DASHBOARD
+// GET /api/merchant/dashboard?days=
+// Catalog KPIs from the local snapshot plus daily trends over the last `days` of sync runs
+// -------------------------------
+export const getMerchantDashboard = async (req, res) => {
+    try {
+        const days = req.query.days === undefined ? DEFAULT_TREND_DAYS : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_TREND_DAYS) {
+            return res.status(400).json({ error: `days must be an integer from 1 to ${MAX_TREND_DAYS}` });
+        }
+
+        const dashboard = await getDashboard(req.merchantId, { days });
+
+        res.json({ merchantId: req.merchantId, days, generatedAt: new Date(), ...dashboard });
+    } catch (error) {
+        console.error("Error building dashboard:", error.message);
+        res.status(500).json({ error: "Failed to build dashboard" });
+    }
+};
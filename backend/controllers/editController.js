@@ -0,0 +1,55 @@
+import {
+    validateEditRequest,
+    resolveEdits,
+    previewProductEdits,
+    saveProductEdits
+} from "../services/productEditService.js";
+
+// -------------------------------
+// PREVIEW EDITS
+// POST /api/merchant/products/edits/preview { edits } | { productIds | offerIds, action }
+// Returns before/after for every changed field; nothing is saved.
+// -------------------------------
+export const previewEdits = async (req, res) => {
+    try {
+        const problems = validateEditRequest(req.body);
+        if (problems.length > 0) return res.status(400).json({ error: "Invalid edit", problems });
+
+        const { edits, skipped: invalid } = await resolveEdits(req.merchantId, req.body);
+        const { diff, skipped } = await previewProductEdits(req.merchantId, edits);
+
+        res.json({
+            changedCount: diff.length,
+            diff,
+            skipped: [...invalid, ...skipped]
+        });
+    } catch (error) {
+        console.error("Error previewing edits:", error.message);
+        res.status(500).json({ error: "Failed to preview edits" });
+    }
+};
+
+// -------------------------------
+// SAVE EDITS AS PENDING CHANGES
+// POST /api/merchant/products/edits { edits } | { productIds | offerIds, action }
+// Nothing is pushed; review and apply them through /changes
+// -------------------------------
+export const saveEdits = async (req, res) => {
+    try {
+        const problems = validateEditRequest(req.body);
+        if (problems.length > 0) return res.status(400).json({ error: "Invalid edit", problems });
+
+        const { edits, skipped: invalid } = await resolveEdits(req.merchantId, req.body);
+        const { changes, skipped, superseded } = await saveProductEdits(req.user, req.merchantId, edits);
+
+        res.status(201).json({
+            created: changes.length,
+            superseded,
+            changes,
+            skipped: [...invalid, ...skipped]
+        });
+    } catch (error) {
+        console.error("Error saving edits:", error.message);
+        res.status(500).json({ error: "Failed to save edits" });
+    }
+};
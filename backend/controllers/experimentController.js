@@ -0,0 +1,152 @@
+import Experiment from "../models/Experiment.js";
+import {
+    createExperiment as buildExperiment,
+    startExperiment as launchExperiment,
+    computeExperimentResults,
+    completeExperiment as finishExperiment,
+    revertExperimentTitles,
+} from "../services/experimentService.js";
+import { PERFORMANCE_PROVIDERS } from "../services/performanceProviderService.js";
+
+const MIN_PRODUCTS = 2;
+
+const findExperiment = (req) => Experiment.findOne({ _id: req.params.id, merchantId: req.merchantId });
+
+// -------------------------------
+// LIST EXPERIMENTS
+// GET /api/merchant/experiments
+// -------------------------------
+export const getExperiments = async (req, res) => {
+    try {
+        const experiments = await Experiment.find({ merchantId: req.merchantId })
+            .sort({ createdAt: -1 })
+            .select("-products -results.daily");
+
+        res.json({ merchantId: req.merchantId, experiments });
+    } catch (error) {
+        console.error("Error fetching experiments:", error.message);
+        res.status(500).json({ error: "Failed to fetch experiments" });
+    }
+};
+
+// -------------------------------
+// CREATE EXPERIMENT (draft; products need a pending title suggestion)
+// POST /api/merchant/experiments { name, offerIds?, startDate?, endDate?, durationDays?, confidenceLevel?, performanceProvider? }
+// -------------------------------
+export const createExperiment = async (req, res) => {
+    try {
+        const { name, startDate, endDate, performanceProvider } = req.body || {};
+
+        if (!name) return res.status(400).json({ error: "name is required" });
+        if (performanceProvider && !PERFORMANCE_PROVIDERS.includes(performanceProvider)) {
+            return res.status(400).json({ error: `Unknown performance provider. Use one of: ${PERFORMANCE_PROVIDERS.join(", ")}` });
+        }
+        if ([startDate, endDate].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+            return res.status(400).json({ error: "startDate and endDate must be valid dates" });
+        }
+
+        const { experiment, skipped } = await buildExperiment(req.merchantId, { ...req.body, userId: req.user._id });
+
+        if (experiment.endDate < experiment.startDate) {
+            return res.status(400).json({ error: "endDate must not be before startDate" });
+        }
+        if (experiment.products.length < MIN_PRODUCTS) {
+            return res.status(400).json({ error: `At least ${MIN_PRODUCTS} products with a pending title suggestion are required`, skipped });
+        }
+
+        await experiment.save();
+        res.status(201).json({ experiment, skipped });
+    } catch (error) {
+        console.error("Error creating experiment:", error.message);
+        res.status(500).json({ error: "Failed to create experiment" });
+    }
+};
+
+// -------------------------------
+// EXPERIMENT DETAIL (live results while running)
+// GET /api/merchant/experiments/:id
+// -------------------------------
+export const getExperiment = async (req, res) => {
+    try {
+        const experiment = await findExperiment(req);
+        if (!experiment) return res.status(404).json({ error: "Experiment not found" });
+
+        const results = experiment.status === "running"
+            ? await computeExperimentResults(experiment)
+            : experiment.results;
+
+        res.json({ experiment, results });
+    } catch (error) {
+        console.error("Error fetching experiment:", error.message);
+        res.status(500).json({ error: "Failed to fetch experiment" });
+    }
+};
+
+// -------------------------------
+// START EXPERIMENT (pushes the variant titles)
+// POST /api/merchant/experiments/:id/start
+// -------------------------------
+export const startExperiment = async (req, res) => {
+    try {
+        const experiment = await findExperiment(req);
+        if (!experiment) return res.status(404).json({ error: "Experiment not found" });
+        if (experiment.status !== "draft") {
+            return res.status(400).json({ error: `Experiment is already ${experiment.status}` });
+        }
+
+        const result = await launchExperiment(req.user, experiment);
+        res.status(result.applied === 0 ? 502 : 200).json(result);
+    } catch (error) {
+        console.error("Error starting experiment:", error.message);
+        res.status(500).json({ error: "Failed to start experiment" });
+    }
+};
+
+// -------------------------------
+// COMPLETE EXPERIMENT (stores the final results)
+// POST /api/merchant/experiments/:id/complete
+// -------------------------------
+export const completeExperiment = async (req, res) => {
+    try {
+        const experiment = await findExperiment(req);
+        if (!experiment) return res.status(404).json({ error: "Experiment not found" });
+        if (experiment.status !== "running") {
+            return res.status(400).json({ error: "Only running experiments can be completed" });
+        }
+
+        await finishExperiment(experiment);
+        res.json({ experiment });
+    } catch (error) {
+        console.error("Error completing experiment:", error.message);
+        res.status(500).json({ error: "Failed to complete experiment" });
+    }
+};
+
+// -------------------------------
+// CANCEL DRAFT OR RUNNING EXPERIMENT
+// POST /api/merchant/experiments/:id/cancel
+// A running experiment's variant titles are rolled back; titles that could
+// not be are listed under revert.failed and revert.skipped.
+// -------------------------------
+export const cancelExperiment = async (req, res) => {
+    try {
+        const experiment = await findExperiment(req);
+        if (!experiment) return res.status(404).json({ error: "Experiment not found" });
+        if (!["draft", "running"].includes(experiment.status)) {
+            return res.status(400).json({ error: `Experiment is already ${experiment.status}` });
+        }
+
+        const revert = experiment.status === "running"
+            ? await revertExperimentTitles(req.user, experiment)
+            : null;
+
+        experiment.status = "cancelled";
+        experiment.completedAt = new Date();
+        await experiment.save();
+
+        res.json({ experiment, revert });
+    } catch (error) {
+        console.error("Error cancelling experiment:", error.message);
+        res.status(500).json({ error: "Failed to cancel experiment" });
+    }
+};
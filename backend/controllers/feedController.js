@@ -0,0 +1,139 @@
+import FeedSource from "../models/FeedSource.js";
+import User from "../models/User.js";
+import { EXPORT_FORMATS, resolveExportFields, streamSupplementalFeed } from "../services/feedExportService.js";
+import { createFeedSource, importFeedFile } from "../services/feedImportService.js";
+import { FEED_FILE_FORMATS } from "../utils/feedParser.js";
+
+// Row-level errors returned with an import response
+const IMPORT_ERROR_LIMIT = 500;
+
+// -------------------------------
+// EXPORT SUPPLEMENTAL FEED
+// GET /api/merchant/feeds/export?format=csv|tsv|xml&attributes=title,description
+// -------------------------------
+export const exportFeed = async (req, res) => {
+    const format = String(req.query.format || "csv").toLowerCase();
+    const spec = EXPORT_FORMATS[format];
+
+    if (!spec) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+    }
+
+    const merchantId = req.merchantId;
+    const account = req.user.googleMerchantAccounts?.find(acc => acc.id === merchantId)
+        || await FeedSource.findOne({ merchantId, userId: req.user._id }).lean();
+
+    res.setHeader("Content-Type", spec.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="supplemental-feed-${merchantId}.${spec.extension}"`);
+
+    try {
+        const count = await streamSupplementalFeed(merchantId, format, res, {
+            fields: resolveExportFields(req.query.attributes),
+            meta: {
+                title: `${account?.name || merchantId} supplemental feed`,
+                link: account?.websiteUrl || "",
+            },
+        });
+
+        console.log(`Exported ${count} products for ${merchantId} as ${format}`);
+        res.end();
+    } catch (error) {
+        console.error("Error exporting feed:", error.message);
+
+        // Once streaming has started the status line is gone; cut the download instead
+        if (res.headersSent) return res.destroy(error);
+        res.removeHeader("Content-Disposition");
+        res.status(500).json({ error: "Failed to export feed" });
+    }
+};
+
+// -------------------------------
+// IMPORT PRIMARY FEED FILE
+// POST /api/merchant/feeds/import?format=csv|tsv|xml&fileName=&sourceId=&name=&language=&country=
+// The file is the raw request body. Without sourceId a new offline source is created.
+// -------------------------------
+export const importFeed = async (req, res) => {
+    try {
+        const text = typeof req.body === "string" ? req.body : "";
+        if (!text.trim()) {
+            return res.status(400).json({ error: "Send the feed file as the request body" });
+        }
+
+        const format = req.query.format ? String(req.query.format).toLowerCase() : undefined;
+        if (format && !FEED_FILE_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${FEED_FILE_FORMATS.join(", ")}` });
+        }
+
+        const fileName = req.query.fileName ? String(req.query.fileName) : undefined;
+        let source;
+
+        if (req.query.sourceId) {
+            source = await FeedSource.findOne({ merchantId: req.query.sourceId, userId: req.user._id });
+            if (!source) return res.status(404).json({ error: "Feed source not found" });
+        } else {
+            source = await createFeedSource(req.user, {
+                name: req.query.name || fileName || "Uploaded feed",
+                contentLanguage: req.query.language ? String(req.query.language).toLowerCase() : undefined,
+                targetCountry: req.query.country ? String(req.query.country).toUpperCase() : undefined,
+            });
+        }
+
+        // A source created for this upload is removed again when nothing is imported
+        const discardNewSource = () =>
+            req.query.sourceId ? null : FeedSource.deleteOne({ _id: source._id });
+
+        let result;
+        try {
+            result = await importFeedFile(req.user, source, text, { format, fileName });
+        } catch (error) {
+            await discardNewSource();
+            throw error;
+        }
+
+        if (!result.run) {
+            await discardNewSource();
+
+            return res.status(422).json({
+                error: "No products could be read from the file",
+                source: req.query.sourceId ? source : null,
+                rows: result.rows,
+                errors: result.errors.slice(0, IMPORT_ERROR_LIMIT),
+                errorCount: result.errors.length,
+            });
+        }
+
+        // First source of a user without a Google account becomes the selected one
+        if (!req.user.selectedAccount) {
+            await User.updateOne({ _id: req.user._id }, { selectedAccount: source.merchantId });
+        }
+
+        const run = result.run.toObject();
+        delete run.changes;
+
+        res.status(req.query.sourceId ? 200 : 201).json({
+            source,
+            format: result.format,
+            rows: result.rows,
+            imported: result.products.length,
+            run,
+            errors: result.errors.slice(0, IMPORT_ERROR_LIMIT),
+            errorCount: result.errors.length,
+        });
+    } catch (error) {
+        console.error("Error importing feed:", error.message);
+        res.status(500).json({ error: "Failed to import feed" });
+    }
+};
+
+// -------------------------------
+// LIST OFFLINE FEED SOURCES
+// -------------------------------
+export const getFeedSources = async (req, res) => {
+    try {
+        const sources = await FeedSource.find({ userId: req.user._id }).sort({ createdAt: 1 });
+        res.json({ sources });
+    } catch (error) {
+        console.error("Error fetching feed sources:", error.message);
+        res.status(500).json({ error: "Failed to fetch feed sources" });
+    }
+};
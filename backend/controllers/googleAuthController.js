@@ -1,7 +1,9 @@
 import passport from "passport";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-import { fetchGoogleMerchantAccounts } from "../services/googleMerchantService.js";
+import FeedSource from "../models/FeedSource.js";
+import { isOfflineMerchant } from "../utils/merchantSource.js";
+import { fetchGoogleMerchantAccounts, refreshMerchantAccountHealth } from "../services/googleMerchantService.js";
 
 // -------------------------------
 // GOOGLE LOGIN REDIRECT
@@ -65,6 +67,7 @@ export const googleLoginCallback = async (req, res) => {
 
 // -------------------------------
 // GET MERCHANT ACCOUNTS
+// ?refresh=true re-checks account health via accountstatuses
 // -------------------------------
 export const getMerchantAccounts = async (req, res) => {
     try {
@@ -72,8 +75,15 @@ export const getMerchantAccounts = async (req, res) => {
 
         if (!user) return res.status(404).json({ error: "User not found" });
 
+        if (req.query.refresh === "true") {
+            await refreshMerchantAccountHealth(user);
+        }
+
+        const offlineSources = await FeedSource.find({ userId: user._id }).sort({ createdAt: 1 });
+
         res.json({
             accounts: user.googleMerchantAccounts,
+            offlineSources,
             selectedAccount: user.selectedAccount,
             email: user.email
         });
@@ -93,7 +103,8 @@ export const selectMerchantAccount = async (req, res) => {
 
         if (!user) return res.status(404).json({ error: "User not found" });
 
-        const accountExists = user.googleMerchantAccounts.some(acc => acc.id === merchantId);
+        const accountExists = user.googleMerchantAccounts.some(acc => acc.id === merchantId) ||
+            (isOfflineMerchant(merchantId) && await FeedSource.exists({ merchantId, userId: user._id }));
         if (!accountExists) return res.status(400).json({ error: "Merchant account not found" });
 
         user.selectedAccount = merchantId;
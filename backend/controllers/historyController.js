@@ -0,0 +1,46 @@
+import { getProductHistory } from "../services/productHistoryService.js";
+import { rollbackProduct } from "../services/productChangeService.js";
+
+// -------------------------------
+// PRODUCT CHANGE HISTORY (newest version first)
+// GET /api/merchant/products/:productId/history
+// -------------------------------
+export const getProductChangeHistory = async (req, res) => {
+    try {
+        const versions = await getProductHistory(req.merchantId, req.params.productId);
+        res.json({ productId: req.params.productId, versions });
+    } catch (error) {
+        console.error("Error fetching product history:", error.message);
+        res.status(500).json({ error: "Failed to fetch product history" });
+    }
+};
+
+// -------------------------------
+// ROLL BACK TO A VERSION (0 = before the app changed it)
+// POST /api/merchant/products/:productId/rollback { version }
+// -------------------------------
+export const rollbackProductVersion = async (req, res) => {
+    try {
+        const version = Number(req.body?.version);
+        if (!Number.isInteger(version) || version < 0) {
+            return res.status(400).json({ error: "version must be a non-negative integer" });
+        }
+
+        const result = await rollbackProduct(req.user, req.merchantId, req.params.productId, version);
+        if (!result) return res.status(404).json({ error: "Version not found" });
+
+        const { changes, applied, failed, skipped } = result;
+
+        res.status(failed.length > 0 && applied.length === 0 ? 502 : 200).json({
+            productId: req.params.productId,
+            version,
+            applied: applied.length,
+            failed: failed.map(c => ({ changeId: c._id, field: c.field, error: c.lastError })),
+            skipped,
+            changes
+        });
+    } catch (error) {
+        console.error("Error rolling back product:", error.message);
+        res.status(500).json({ error: "Failed to roll back product" });
+    }
+};
@@ -0,0 +1,66 @@
+import Product from "../models/Product.js";
+import { startTaskRun } from "../services/schedulerService.js";
+
+const DEFAULT_IMAGE_BATCH = 100;
+const MAX_IMAGE_BATCH = 1000;
+
+const IMAGE_FIELDS = ["imageLink", "additionalImageLinks"];
+
+// -------------------------------
+// ANALYZE PRODUCT IMAGES (in the background)
+// POST /api/merchant/products/images/analyze { offerIds?, limit?, detectOverlays? }
+// Answers 202 with a run; poll GET /api/merchant/jobs/runs/:runId
+// -------------------------------
+export const analyzeImages = async (req, res) => {
+    try {
+        const limit = Math.min(Number.parseInt(req.body?.limit, 10) || DEFAULT_IMAGE_BATCH, MAX_IMAGE_BATCH);
+        const offerIds = Array.isArray(req.body?.offerIds) ? req.body.offerIds.map(String) : undefined;
+
+        const filter = { merchantId: req.merchantId, removedAt: null };
+        if (offerIds?.length > 0) filter.offerId = { $in: offerIds };
+
+        if (!await Product.exists(filter)) {
+            return res.status(404).json({ error: "No products found" });
+        }
+
+        const run = await startTaskRun(req.merchantId, "images", {
+            offerIds,
+            limit,
+            detectOverlays: req.body?.detectOverlays === true,
+        });
+        if (!run) return res.status(409).json({ error: "Image analysis is already running" });
+
+        res.status(202).json({ runId: run._id, run });
+    } catch (error) {
+        console.error("Error analyzing images:", error.message);
+        res.status(500).json({ error: "Failed to analyze images" });
+    }
+};
+
+// -------------------------------
+// IMAGES OF ONE PRODUCT
+// GET /api/merchant/products/:productId/images
+// -------------------------------
+export const getProductImages = async (req, res) => {
+    try {
+        const product = await Product.findOne({ merchantId: req.merchantId, id: req.params.productId, removedAt: null })
+            .select("id offerId imageLink additionalImageLinks imageAnalysis audit")
+            .lean();
+
+        if (!product) return res.status(404).json({ error: "Product not found" });
+
+        res.json({
+            productId: product.id,
+            offerId: product.offerId,
+            imageLink: product.imageLink || null,
+            additionalImageLinks: product.additionalImageLinks || [],
+            checkedAt: product.imageAnalysis?.checkedAt || null,
+            images: product.imageAnalysis?.images || [],
+            // Stored audit issues include catalog-wide duplicate checks
+            issues: (product.audit?.issues || []).filter(i => IMAGE_FIELDS.includes(i.field))
+        });
+    } catch (error) {
+        console.error("Error fetching product images:", error.message);
+        res.status(500).json({ error: "Failed to fetch product images" });
+    }
+};
@@ -0,0 +1,142 @@
+import Product from "../models/Product.js";
+import { buildPageInfo, parsePagination } from "../utils/pagination.js";
+
+// -------------------------------
+// PER-PRODUCT STATUSES
+// GET /api/merchant/products/statuses?approvalStatus=&page=&pageSize=
+// -------------------------------
+export const getProductStatuses = async (req, res) => {
+    try {
+        const filter = { merchantId: req.merchantId, removedAt: null };
+        if (req.query.approvalStatus) filter["productStatus.approvalStatus"] = req.query.approvalStatus;
+
+        const pagination = parsePagination(req.query);
+
+        const [total, products, counts] = await Promise.all([
+            Product.countDocuments(filter),
+            Product.find(filter)
+                .sort({ offerId: 1, _id: 1 })
+                .skip(pagination.offset)
+                .limit(pagination.pageSize)
+                .select("id offerId title productStatus")
+                .lean(),
+            Product.aggregate([
+                { $match: { merchantId: req.merchantId, removedAt: null } },
+                { $group: { _id: { $ifNull: ["$productStatus.approvalStatus", "unknown"] }, count: { $sum: 1 } } },
+            ]),
+        ]);
+
+        res.json({
+            merchantId: req.merchantId,
+            counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+            ...buildPageInfo(total, pagination, products.length),
+            products
+        });
+    } catch (error) {
+        console.error("Error fetching product statuses:", error.message);
+        res.status(500).json({ error: "Failed to fetch product statuses" });
+    }
+};
+
+// -------------------------------
+// ISSUES GROUPED BY CODE
+// GET /api/merchant/issues?servability=&destination=
+// -------------------------------
+export const getIssues = async (req, res) => {
+    try {
+        const issueMatch = {};
+        if (req.query.servability) issueMatch["productStatus.itemLevelIssues.servability"] = req.query.servability;
+        if (req.query.destination) issueMatch["productStatus.itemLevelIssues.destination"] = req.query.destination;
+
+        const issues = await Product.aggregate([
+            { $match: { merchantId: req.merchantId, removedAt: null } },
+            { $unwind: "$productStatus.itemLevelIssues" },
+            { $match: issueMatch },
+            {
+                $group: {
+                    _id: "$productStatus.itemLevelIssues.code",
+                    description: { $first: "$productStatus.itemLevelIssues.description" },
+                    resolution: { $first: "$productStatus.itemLevelIssues.resolution" },
+                    documentation: { $first: "$productStatus.itemLevelIssues.documentation" },
+                    servability: { $addToSet: "$productStatus.itemLevelIssues.servability" },
+                    destinations: { $addToSet: "$productStatus.itemLevelIssues.destination" },
+                    attributes: { $addToSet: "$productStatus.itemLevelIssues.attributeName" },
+                    offerIds: { $addToSet: "$offerId" },
+                },
+            },
+            {
+                $project: {
+                    _id: 0,
+                    code: "$_id",
+                    description: 1,
+                    resolution: 1,
+                    documentation: 1,
+                    servability: 1,
+                    destinations: 1,
+                    attributes: 1,
+                    affectedCount: { $size: "$offerIds" },
+                    sampleOfferIds: { $slice: ["$offerIds", 10] },
+                },
+            },
+            { $sort: { affectedCount: -1, code: 1 } },
+        ]);
+
+        res.json({
+            merchantId: req.merchantId,
+            total: issues.length,
+            issues
+        });
+    } catch (error) {
+        console.error("Error fetching issues:", error.message);
+        res.status(500).json({ error: "Failed to fetch issues" });
+    }
+};
+
+// -------------------------------
+// AUDIT ISSUES GROUPED BY CODE
+// GET /api/merchant/issues/audit?severity=&field=
+// Our own checks (identifiers, titles, prices...) from the last audit pass
+// -------------------------------
+export const getAuditIssues = async (req, res) => {
+    try {
+        const issueMatch = {};
+        if (req.query.severity) issueMatch["audit.issues.severity"] = req.query.severity;
+        if (req.query.field) issueMatch["audit.issues.field"] = req.query.field;
+
+        const issues = await Product.aggregate([
+            { $match: { merchantId: req.merchantId, removedAt: null } },
+            { $unwind: "$audit.issues" },
+            { $match: issueMatch },
+            {
+                $group: {
+                    _id: "$audit.issues.code",
+                    field: { $first: "$audit.issues.field" },
+                    severity: { $first: "$audit.issues.severity" },
+                    message: { $first: "$audit.issues.message" },
+                    offerIds: { $addToSet: "$offerId" },
+                },
+            },
+            {
+                $project: {
+                    _id: 0,
+                    code: "$_id",
+                    field: 1,
+                    severity: 1,
+                    sampleMessage: "$message",
+                    affectedCount: { $size: "$offerIds" },
+                    sampleOfferIds: { $slice: ["$offerIds", 10] },
+                },
+            },
+            { $sort: { affectedCount: -1, code: 1 } },
+        ]);
+
+        res.json({
+            merchantId: req.merchantId,
+            total: issues.length,
+            issues
+        });
+    } catch (error) {
+        console.error("Error fetching audit issues:", error.message);
+        res.status(500).json({ error: "Failed to fetch audit issues" });
+    }
+};
@@ -0,0 +1,172 @@
+import SyncJob, { SYNC_JOB_TASKS } from "../models/SyncJob.js";
+import JobRun from "../models/JobRun.js";
+import { runJobNow, scheduleNextRun } from "../services/schedulerService.js";
+import { parseCron, canMatch, isValidTimeZone } from "../utils/cron.js";
+
+const JOB_FIELDS = ["name", "schedule", "timezone", "tasks", "enabled", "maxAttempts"];
+
+const pickJobFields = (body = {}) =>
+    Object.fromEntries(JOB_FIELDS.filter(key => body[key] !== undefined).map(key => [key, body[key]]));
+
+const validateJob = (job) => {
+    const problems = [];
+
+    try {
+        // e.g. "0 0 30 2 *" parses but would be saved without a next run
+        if (!canMatch(parseCron(job.schedule))) problems.push("schedule: never matches a date");
+    } catch (error) {
+        problems.push(`schedule: ${error.message}`);
+    }
+    if (job.timezone && !isValidTimeZone(job.timezone)) {
+        problems.push(`timezone: unknown time zone "${job.timezone}"`);
+    }
+    if (!Array.isArray(job.tasks) || job.tasks.length === 0) {
+        problems.push("tasks: at least one task is required");
+    } else if (job.tasks.some(task => !SYNC_JOB_TASKS.includes(task))) {
+        problems.push(`tasks: must be one of ${SYNC_JOB_TASKS.join(", ")}`);
+    }
+
+    return problems;
+};
+
+// -------------------------------
+// LIST JOBS
+// GET /api/merchant/jobs
+// -------------------------------
+export const getJobs = async (req, res) => {
+    try {
+        const jobs = await SyncJob.find({ merchantId: req.merchantId }).sort({ createdAt: 1 });
+        res.json({ merchantId: req.merchantId, jobs });
+    } catch (error) {
+        console.error("Error fetching jobs:", error.message);
+        res.status(500).json({ error: "Failed to fetch jobs" });
+    }
+};
+
+// -------------------------------
+// CREATE JOB (runs with the creating user's Google connection)
+// POST /api/merchant/jobs
+// -------------------------------
+export const createJob = async (req, res) => {
+    try {
+        const data = {
+            timezone: process.env.SCHEDULER_TIMEZONE || "UTC",
+            tasks: ["products"],
+            ...pickJobFields(req.body),
+        };
+
+        const problems = validateJob(data);
+        if (problems.length > 0) return res.status(400).json({ error: "Invalid job", problems });
+
+        const job = new SyncJob({ ...data, merchantId: req.merchantId, userId: req.user._id });
+        job.nextRunAt = scheduleNextRun(job);
+        await job.save();
+
+        res.status(201).json({ job });
+    } catch (error) {
+        console.error("Error creating job:", error.message);
+        res.status(500).json({ error: "Failed to create job" });
+    }
+};
+
+// -------------------------------
+// UPDATE JOB
+// PUT /api/merchant/jobs/:id
+// -------------------------------
+export const updateJob = async (req, res) => {
+    try {
+        const job = await SyncJob.findOne({ _id: req.params.id, merchantId: req.merchantId });
+        if (!job) return res.status(404).json({ error: "Job not found" });
+
+        job.set(pickJobFields(req.body));
+
+        const problems = validateJob(job.toObject());
+        if (problems.length > 0) return res.status(400).json({ error: "Invalid job", problems });
+
+        // A new schedule replaces any pending retry
+        if (job.isModified("schedule") || job.isModified("timezone") || job.isModified("enabled")) {
+            job.attempts = 0;
+            job.nextRunAt = scheduleNextRun(job);
+        }
+
+        await job.save();
+        res.json({ job });
+    } catch (error) {
+        console.error("Error updating job:", error.message);
+        res.status(500).json({ error: "Failed to update job" });
+    }
+};
+
+// -------------------------------
+// DELETE JOB (history is kept)
+// DELETE /api/merchant/jobs/:id
+// -------------------------------
+export const deleteJob = async (req, res) => {
+    try {
+        const job = await SyncJob.findOneAndDelete({ _id: req.params.id, merchantId: req.merchantId });
+        if (!job) return res.status(404).json({ error: "Job not found" });
+
+        res.json({ deleted: true, id: job._id });
+    } catch (error) {
+        console.error("Error deleting job:", error.message);
+        res.status(500).json({ error: "Failed to delete job" });
+    }
+};
+
+// -------------------------------
+// RUN JOB NOW
+// POST /api/merchant/jobs/:id/run
+// -------------------------------
+export const runJob = async (req, res) => {
+    try {
+        const exists = await SyncJob.exists({ _id: req.params.id, merchantId: req.merchantId });
+        if (!exists) return res.status(404).json({ error: "Job not found" });
+
+        const run = await runJobNow(req.params.id, req.merchantId);
+        if (!run) return res.status(409).json({ error: "Job is already running" });
+
+        res.status(run.status === "failed" ? 502 : 200).json({ run });
+    } catch (error) {
+        console.error("Error running job:", error.message);
+        res.status(500).json({ error: "Failed to run job" });
+    }
+};
+
+// -------------------------------
+// JOB HISTORY
+// GET /api/merchant/jobs/runs?jobId=&status=&limit=
+// GET /api/merchant/jobs/:id/runs
+// -------------------------------
+export const getJobRuns = async (req, res) => {
+    try {
+        const filter = { merchantId: req.merchantId };
+        const jobId = req.params.id || req.query.jobId;
+
+        if (jobId) filter.jobId = jobId;
+        if (req.query.status) filter.status = req.query.status;
+
+        const limit = Math.min(Number.parseInt(req.query.limit, 10) || 20, 100);
+        const runs = await JobRun.find(filter).sort({ startedAt: -1 }).limit(limit);
+
+        res.json({ merchantId: req.merchantId, runs });
+    } catch (error) {
+        console.error("Error fetching job runs:", error.message);
+        res.status(500).json({ error: "Failed to fetch job runs" });
+    }
+};
+
+// -------------------------------
+// ONE RUN (used to poll background runs)
+// GET /api/merchant/jobs/runs/:runId
+// -------------------------------
+export const getJobRun = async (req, res) => {
+    try {
+        const run = await JobRun.findOne({ _id: req.params.runId, merchantId: req.merchantId });
+        if (!run) return res.status(404).json({ error: "Run not found" });
+
+        res.json({ run });
+    } catch (error) {
+        console.error("Error fetching job run:", error.message);
+        res.status(500).json({ error: "Failed to fetch job run" });
+    }
+};
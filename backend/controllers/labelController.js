@@ -0,0 +1,152 @@
+import LabelConfig from "../models/LabelConfig.js";
+import LabelRun from "../models/LabelRun.js";
+import LabelAssignment from "../models/LabelAssignment.js";
+import { LABEL_BUCKETS, runLabeling } from "../services/labelingService.js";
+import { PERFORMANCE_PROVIDERS } from "../services/performanceProviderService.js";
+import { buildPageInfo, parsePagination } from "../utils/pagination.js";
+
+const CONFIG_FIELDS = ["labelIndex", "lookbackDays", "minClicks", "minConversionRate", "labels", "performanceProvider"];
+
+const pickConfigFields = (body = {}) =>
+    Object.fromEntries(CONFIG_FIELDS.filter(key => body[key] !== undefined).map(key => [key, body[key]]));
+
+// Saved config, or the defaults when the account has none yet
+const loadConfig = async (merchantId) =>
+    (await LabelConfig.findOne({ merchantId })) || new LabelConfig({ merchantId });
+
+const plainConfig = (config) => Object.fromEntries(CONFIG_FIELDS.map(key => [key, config[key]]));
+
+const validateConfig = (config) => {
+    const problems = [];
+    const labels = config.labels || {};
+
+    if (!PERFORMANCE_PROVIDERS.includes(config.performanceProvider)) {
+        problems.push(`performanceProvider must be one of: ${PERFORMANCE_PROVIDERS.join(", ")}`);
+    }
+    if (LABEL_BUCKETS.some(bucket => !labels[bucket])) {
+        problems.push(`labels needs a value for ${LABEL_BUCKETS.join(", ")}`);
+    }
+    if (new Set(LABEL_BUCKETS.map(bucket => labels[bucket])).size < LABEL_BUCKETS.length) {
+        problems.push("labels must be different from each other");
+    }
+    if (LABEL_BUCKETS.some(bucket => String(labels[bucket] || "").length > 100)) {
+        problems.push("labels can be at most 100 characters");
+    }
+
+    return problems;
+};
+
+// -------------------------------
+// LABEL CONFIG
+// GET /api/merchant/labels/config
+// -------------------------------
+export const getLabelConfig = async (req, res) => {
+    try {
+        const config = await loadConfig(req.merchantId);
+        res.json({ config, buckets: LABEL_BUCKETS });
+    } catch (error) {
+        console.error("Error fetching label config:", error.message);
+        res.status(500).json({ error: "Failed to fetch label config" });
+    }
+};
+
+// -------------------------------
+// UPDATE LABEL CONFIG
+// PUT /api/merchant/labels/config
+// -------------------------------
+export const updateLabelConfig = async (req, res) => {
+    try {
+        const config = await loadConfig(req.merchantId);
+        config.set({ ...pickConfigFields(req.body), updatedBy: req.user._id });
+
+        const problems = validateConfig(config);
+        if (problems.length > 0) return res.status(400).json({ error: "Invalid label config", problems });
+
+        await config.save();
+        res.json({ config });
+    } catch (error) {
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ error: "Invalid label config", problems: Object.values(error.errors).map(e => e.message) });
+        }
+        console.error("Error updating label config:", error.message);
+        res.status(500).json({ error: "Failed to update label config" });
+    }
+};
+
+// -------------------------------
+// RUN LABELING (dryRun previews without pushing)
+// POST /api/merchant/labels/run { dryRun?, offerIds?, ...config overrides }
+// -------------------------------
+export const runLabels = async (req, res) => {
+    try {
+        const saved = await loadConfig(req.merchantId);
+        const config = new LabelConfig({ ...plainConfig(saved), ...pickConfigFields(req.body), merchantId: req.merchantId });
+
+        const problems = [...validateConfig(config), ...Object.values(config.validateSync()?.errors || {}).map(e => e.message)];
+        if (problems.length > 0) return res.status(400).json({ error: "Invalid label config", problems });
+
+        const run = await runLabeling(req.user, req.merchantId, plainConfig(config), {
+            dryRun: Boolean(req.body?.dryRun),
+            offerIds: Array.isArray(req.body?.offerIds) && req.body.offerIds.length > 0 ? req.body.offerIds : undefined,
+        });
+
+        res.status(run.failed > 0 && run.applied === 0 ? 502 : 201).json({ run });
+    } catch (error) {
+        console.error("Error running labeling:", error.message);
+        res.status(500).json({ error: "Failed to run labeling" });
+    }
+};
+
+// -------------------------------
+// LABEL RUN HISTORY
+// GET /api/merchant/labels/runs
+// -------------------------------
+export const getLabelRuns = async (req, res) => {
+    try {
+        const limit = Math.min(Number.parseInt(req.query.limit, 10) || 20, 100);
+
+        const runs = await LabelRun.find({ merchantId: req.merchantId })
+            .sort({ createdAt: -1 })
+            .limit(limit);
+
+        res.json({ merchantId: req.merchantId, runs });
+    } catch (error) {
+        console.error("Error fetching label runs:", error.message);
+        res.status(500).json({ error: "Failed to fetch label runs" });
+    }
+};
+
+// -------------------------------
+// LABEL RUN DETAIL (with a page of per-product assignments)
+// GET /api/merchant/labels/runs/:id?bucket=&changed=true&page=&pageSize=
+// -------------------------------
+export const getLabelRun = async (req, res) => {
+    try {
+        const run = await LabelRun.findOne({ _id: req.params.id, merchantId: req.merchantId });
+        if (!run) return res.status(404).json({ error: "Label run not found" });
+
+        const filter = { runId: run._id };
+        if (LABEL_BUCKETS.includes(req.query.bucket)) filter.bucket = req.query.bucket;
+        if (req.query.changed === "true") filter.changed = true;
+
+        const pagination = parsePagination(req.query);
+
+        const [total, assignments] = await Promise.all([
+            LabelAssignment.countDocuments(filter),
+            LabelAssignment.find(filter)
+                .sort({ offerId: 1 })
+                .skip(pagination.offset)
+                .limit(pagination.pageSize)
+                .select("-runId -merchantId"),
+        ]);
+
+        res.json({
+            run,
+            ...buildPageInfo(total, pagination, assignments.length),
+            assignments,
+        });
+    } catch (error) {
+        console.error("Error fetching label run:", error.message);
+        res.status(500).json({ error: "Failed to fetch label run" });
+    }
+};
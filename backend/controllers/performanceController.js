@@ -0,0 +1,85 @@
+import {
+    PERFORMANCE_GROUPS,
+    PERFORMANCE_SORTS,
+    importPerformance,
+    queryPerformance,
+    toDay,
+} from "../services/performanceService.js";
+import { isOfflineMerchant } from "../utils/merchantSource.js";
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_IMPORT_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * startDate/endDate from the query or body, defaulting to the 30 days up
+ * to yesterday (today's numbers are still incomplete).
+ * @returns {{ startDate: string, endDate: string }|{ error: string }}
+ */
+const readDateRange = ({ startDate, endDate } = {}) => {
+    const end = endDate ? new Date(endDate) : new Date(Date.now() - DAY_MS);
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return { error: "startDate and endDate must be valid dates" };
+    if (end < start) return { error: "endDate must not be before startDate" };
+
+    return { startDate: toDay(start), endDate: toDay(end) };
+};
+
+// "customLabel" takes its index from ?label=, e.g. groupBy=customLabel&label=2
+const readGroupBy = ({ groupBy = "product", label = "0" }) =>
+    groupBy === "customLabel" ? `customLabel${label}` : groupBy;
+
+// -------------------------------
+// PERFORMANCE REPORT
+// GET /api/merchant/performance?startDate=&endDate=&groupBy=product|brand|productType|customLabel&label=&sort=&limit=
+// -------------------------------
+export const getPerformance = async (req, res) => {
+    try {
+        const range = readDateRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+
+        const groupBy = readGroupBy(req.query);
+        if (!PERFORMANCE_GROUPS[groupBy]) {
+            return res.status(400).json({ error: "groupBy must be one of: product, brand, productType, customLabel" });
+        }
+
+        const sort = req.query.sort || "clicks";
+        if (!PERFORMANCE_SORTS.includes(sort)) {
+            return res.status(400).json({ error: `sort must be one of: ${PERFORMANCE_SORTS.join(", ")}` });
+        }
+
+        const limit = Math.min(Number.parseInt(req.query.limit, 10) || 100, 1000);
+        const { totals, groups } = await queryPerformance(req.merchantId, { ...range, groupBy, sort, limit });
+
+        res.json({ merchantId: req.merchantId, ...range, groupBy, totals, groups });
+    } catch (error) {
+        console.error("Error fetching performance:", error.message);
+        res.status(500).json({ error: "Failed to fetch performance" });
+    }
+};
+
+// -------------------------------
+// IMPORT FROM MERCHANT CENTER (reports.search)
+// POST /api/merchant/performance/import { startDate?, endDate? }
+// -------------------------------
+export const importPerformanceReport = async (req, res) => {
+    try {
+        if (isOfflineMerchant(req.merchantId)) {
+            return res.status(400).json({ error: "Offline sources have no Merchant Center performance data" });
+        }
+
+        const range = readDateRange(req.body);
+        if (range.error) return res.status(400).json({ error: range.error });
+
+        if ((new Date(range.endDate) - new Date(range.startDate)) / DAY_MS >= MAX_IMPORT_DAYS) {
+            return res.status(400).json({ error: `Import at most ${MAX_IMPORT_DAYS} days at a time` });
+        }
+
+        const result = await importPerformance(req.user, req.merchantId, range);
+        res.json({ merchantId: req.merchantId, ...result });
+    } catch (error) {
+        console.error("Error importing performance:", error.message);
+        res.status(502).json({ error: "Failed to import performance from Merchant Center" });
+    }
+};
@@ -0,0 +1,62 @@
+import Product from "../models/Product.js";
+import { buildPricingContext, buildPricingReport } from "../services/pricingValidationService.js";
+import { paginate, parsePagination } from "../utils/pagination.js";
+
+// -------------------------------
+// PRICING REPORT
+// GET /api/merchant/products/pricing?issuesOnly=true&code=&page=&pageSize=
+// Amounts are also given in REPORTING_CURRENCY using the local rate table.
+// -------------------------------
+export const getPricingReport = async (req, res) => {
+    try {
+        const products = await Product.find({ merchantId: req.merchantId, removedAt: null })
+            .sort({ offerId: 1, _id: 1 })
+            .select("id offerId title targetCountry price salePrice salePriceEffectiveDate previousPrice priceChangedAt")
+            .lean();
+
+        const context = buildPricingContext();
+        const reports = products.map(product => buildPricingReport(product, context));
+
+        const issueCounts = {};
+        const currencies = {};
+        let catalogValue = 0;
+        let unconverted = 0;
+
+        for (const report of reports) {
+            for (const i of report.issues) {
+                issueCounts[i.code] ??= { code: i.code, severity: i.severity, count: 0 };
+                issueCounts[i.code].count++;
+            }
+
+            const currency = report.price?.currency || "unknown";
+            currencies[currency] = (currencies[currency] || 0) + 1;
+
+            if (report.reporting.price === null) unconverted++;
+            else catalogValue += report.reporting.salePrice ?? report.reporting.price;
+        }
+
+        let filtered = reports;
+        if (req.query.issuesOnly === "true") filtered = filtered.filter(r => r.issues.length > 0);
+        if (req.query.code) filtered = filtered.filter(r => r.issues.some(i => i.code === req.query.code));
+
+        const { items, pageInfo } = paginate(filtered, parsePagination(req.query));
+
+        res.json({
+            merchantId: req.merchantId,
+            summary: {
+                productCount: reports.length,
+                withIssues: reports.filter(r => r.issues.length > 0).length,
+                reportingCurrency: context.reportingCurrency,
+                catalogValue: Math.round(catalogValue * 100) / 100,
+                unconverted,
+                currencies,
+                issues: Object.values(issueCounts).sort((a, b) => b.count - a.count),
+            },
+            ...pageInfo,
+            products: items
+        });
+    } catch (error) {
+        console.error("Error building pricing report:", error.message);
+        res.status(500).json({ error: "Failed to build pricing report" });
+    }
+};
@@ -1,26 +1,113 @@
-import User from "../models/User.js";
+import Product from "../models/Product.js";
+import Suggestion from "../models/Suggestion.js";
+import ProductChange from "../models/ProductChange.js";
 import { fetchGoogleMerchantProducts } from "../services/googleMerchantService.js";
+import { getLatestSyncRun } from "../services/productSyncService.js";
+import { buildProductFilters, combineFilters, getProductFacets, priceAmount } from "../services/productSearchService.js";
+import { SEVERITY_PENALTY } from "../services/feedAuditService.js";
+import { buildPageInfo, parsePagination } from "../utils/pagination.js";
+import { isOfflineMerchant } from "../utils/merchantSource.js";
 
+// Sortable columns -> stored fields
+const SORT_FIELDS = {
+    offerId: "offerId",
+    title: "title",
+    brand: "brand",
+    price: "priceAmount", // Computed in findProductPage
+    availability: "availability",
+    condition: "condition",
+    productType: "productType",
+    googleProductCategory: "googleProductCategory",
+    auditScore: "audit.score",
+    approvalStatus: "productStatus.approvalStatus",
+    customLabel0: "customLabel0",
+    customLabel1: "customLabel1",
+    customLabel2: "customLabel2",
+    customLabel3: "customLabel3",
+    customLabel4: "customLabel4",
+    updatedAt: "updatedAt",
+};
+
+// Digit runs in text compare by value: "SKU-9" sorts before "SKU-10"
+const SORT_COLLATION = { locale: "en", numericOrdering: true };
+
+const EXCLUDE = ["hash", "__v"];
+// view=summary leaves out the bulky fields a list view does not show
+const SUMMARY_EXCLUDE = [...EXCLUDE, "raw", "imageAnalysis", "productStatus.itemLevelIssues"];
+
+/**
+ * One sorted page of products. Price amounts are stored as strings, which
+ * no collation orders correctly ("10.5" vs "10.25"), so the price sort
+ * converts them to numbers in an aggregation; unparseable amounts sort as missing.
+ */
+const findProductPage = (filter, { sortField, direction, pagination, exclude }) => {
+    if (sortField === "priceAmount") {
+        return Product.aggregate([
+            { $match: filter },
+            { $addFields: { priceAmount } },
+            { $sort: { priceAmount: direction, _id: direction } },
+            { $skip: pagination.offset },
+            { $limit: pagination.pageSize },
+            { $project: Object.fromEntries([...exclude, "priceAmount"].map(field => [field, 0])) },
+        ]).allowDiskUse(true);
+    }
+
+    return Product.find(filter)
+        .sort({ [sortField]: direction, _id: direction })
+        .collation(SORT_COLLATION)
+        .skip(pagination.offset)
+        .limit(pagination.pageSize)
+        .select(exclude.map(field => `-${field}`).join(" "))
+        .lean();
+};
+
+// GET /api/merchant/products?page=&pageSize=&cursor=&sort=&order=asc|desc&view=summary&refresh=true
+//   Search: q=, brand=, availability=, condition=, productType=, approvalStatus=,
+//   customLabel0-4=, minPrice=, maxPrice=, minScore=, maxScore=, facets=true
+//   (facet parameters may repeat; an empty value matches products without one)
+// Served from the local snapshot; the Content API is only hit on the
+// first request for an account or when refresh=true is passed. Offline
+// sources only change when a new feed file is imported.
 export const getMerchantProducts = async (req, res) => {
     try {
-        const user = await User.findById(req.user.id);
+        const merchantId = req.merchantId;
 
-        if (!user) {
-            return res.status(404).json({ error: "User not found" });
+        const sortField = SORT_FIELDS[req.query.sort || "offerId"];
+        if (!sortField) {
+            return res.status(400).json({ error: `sort must be one of: ${Object.keys(SORT_FIELDS).join(", ")}` });
         }
+        const direction = req.query.order === "desc" ? -1 : 1;
 
-        const merchantId = user.selectedAccount;
+        let lastSync = await getLatestSyncRun(merchantId);
 
-        if (!merchantId) {
-            return res.status(400).json({ error: "No merchant account selected" });
+        if (!isOfflineMerchant(merchantId) && (!lastSync || req.query.refresh === "true")) {
+            await fetchGoogleMerchantProducts(req.user, merchantId);
+            lastSync = await getLatestSyncRun(merchantId);
         }
 
-        const products = await fetchGoogleMerchantProducts(user, merchantId);
+        const filters = buildProductFilters(merchantId, req.query);
+        const filter = combineFilters(filters);
+        const pagination = parsePagination(req.query);
+
+        const [total, products, facets] = await Promise.all([
+            Product.countDocuments(filter),
+            findProductPage(filter, {
+                sortField,
+                direction,
+                pagination,
+                exclude: req.query.view === "summary" ? SUMMARY_EXCLUDE : EXCLUDE,
+            }),
+            req.query.facets === "true" ? getProductFacets(filters) : null,
+        ]);
 
         return res.json({
             merchantId,
-            total: products.length,
-            products
+            lastSyncedAt: lastSync?.finishedAt || null,
+            sort: req.query.sort || "offerId",
+            order: direction === 1 ? "asc" : "desc",
+            ...buildPageInfo(total, pagination, products.length),
+            products,
+            ...(facets ? { facets } : {})
         });
 
     } catch (error) {
@@ -28,3 +115,48 @@ export const getMerchantProducts = async (req, res) => {
         res.status(500).json({ error: "Failed to fetch products" });
     }
 };
+
+// -------------------------------
+// PRODUCT DETAIL
+// GET /api/merchant/products/:productId (Content API REST id, e.g. online:en:US:123)
+// Full snapshot (raw Content API resource included), the audit score
+// broken down per issue, pending suggestions and changes not pushed yet.
+// -------------------------------
+export const getProductDetail = async (req, res) => {
+    try {
+        const { merchantId } = req;
+        const { productId } = req.params;
+
+        const product = await Product.findOne({ merchantId, id: productId, removedAt: null })
+            .select("-hash -__v")
+            .lean();
+
+        if (!product) return res.status(404).json({ error: "Product not found" });
+
+        const [suggestions, changes] = await Promise.all([
+            Suggestion.find({ merchantId, productId, status: "pending" }).sort({ createdAt: -1 }).select("-prompt"),
+            ProductChange.find({ merchantId, productId, status: { $in: ["pending", "approved", "failed"] } }).sort({ createdAt: -1 }),
+        ]);
+
+        const issues = (product.audit?.issues || []).map(issue => ({
+            ...issue,
+            penalty: SEVERITY_PENALTY[issue.severity] || 0,
+        }));
+
+        res.json({
+            merchantId,
+            product,
+            audit: {
+                score: product.audit?.score ?? null,
+                auditedAt: product.audit?.auditedAt ?? null,
+                penalty: issues.reduce((sum, i) => sum + i.penalty, 0),
+                issues,
+            },
+            suggestions,
+            changes
+        });
+    } catch (error) {
+        console.error("Error fetching product:", error.message);
+        res.status(500).json({ error: "Failed to fetch product" });
+    }
+};
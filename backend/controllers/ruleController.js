@@ -0,0 +1,225 @@
+import mongoose from "mongoose";
+import FeedRule from "../models/FeedRule.js";
+import { validateRule, dryRunRules } from "../services/feedRulesService.js";
+import { editValueProblem } from "../services/productEditService.js";
+import { findSnapshotProducts } from "../services/productSyncService.js";
+import { createProductChanges, skipQueuedEdits, supersedePendingChanges } from "../services/productChangeService.js";
+
+const RULE_FIELDS = ["name", "description", "enabled", "order", "conditionMatch", "conditions", "actions"];
+
+const pickRuleFields = (body = {}) =>
+    Object.fromEntries(RULE_FIELDS.filter(key => body[key] !== undefined).map(key => [key, body[key]]));
+
+// Rule ids from a request body that are not ObjectIds; they would fail the query
+const invalidRuleIds = (ruleIds) =>
+    Array.isArray(ruleIds) ? ruleIds.filter(id => !mongoose.isValidObjectId(id)) : [];
+
+/**
+ * Rule output goes through the same value checks as manual edits. Changes
+ * that fail them get a `problem` and are returned as invalid edits.
+ */
+const markInvalidChanges = (affected) => {
+    const invalid = [];
+
+    for (const product of affected) {
+        for (const change of product.changes) {
+            const problem = editValueProblem(change.field, change.after);
+            if (!problem) continue;
+
+            change.problem = problem;
+            invalid.push({ productId: product.id, offerId: product.offerId, field: change.field, value: change.after, reason: problem });
+        }
+    }
+
+    return invalid;
+};
+
+// Rules for a dry run / apply: inline unsaved rules, some saved rules, or all enabled ones
+const loadRules = async (merchantId, body = {}) => {
+    if (Array.isArray(body.rules) && body.rules.length > 0) {
+        return body.rules;
+    }
+
+    const filter = { merchantId, enabled: true };
+    if (Array.isArray(body.ruleIds) && body.ruleIds.length > 0) {
+        filter._id = { $in: body.ruleIds };
+    }
+
+    return FeedRule.find(filter).sort({ order: 1, createdAt: 1 }).lean();
+};
+
+// -------------------------------
+// LIST RULES
+// -------------------------------
+export const getRules = async (req, res) => {
+    try {
+        const rules = await FeedRule.find({ merchantId: req.merchantId }).sort({ order: 1, createdAt: 1 });
+        res.json({ merchantId: req.merchantId, rules });
+    } catch (error) {
+        console.error("Error fetching rules:", error.message);
+        res.status(500).json({ error: "Failed to fetch rules" });
+    }
+};
+
+// -------------------------------
+// CREATE RULE (appended at the end of the order)
+// -------------------------------
+export const createRule = async (req, res) => {
+    try {
+        const data = pickRuleFields(req.body);
+        const problems = validateRule(data);
+        if (problems.length > 0) return res.status(400).json({ error: "Invalid rule", problems });
+
+        if (data.order === undefined) {
+            const last = await FeedRule.findOne({ merchantId: req.merchantId }).sort({ order: -1 });
+            data.order = last ? last.order + 1 : 0;
+        }
+
+        const rule = await FeedRule.create({ ...data, merchantId: req.merchantId, createdBy: req.user._id });
+        res.status(201).json({ rule });
+    } catch (error) {
+        console.error("Error creating rule:", error.message);
+        res.status(500).json({ error: "Failed to create rule" });
+    }
+};
+
+// -------------------------------
+// UPDATE RULE
+// -------------------------------
+export const updateRule = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Rule not found" });
+
+        const rule = await FeedRule.findOne({ _id: req.params.id, merchantId: req.merchantId });
+        if (!rule) return res.status(404).json({ error: "Rule not found" });
+
+        rule.set(pickRuleFields(req.body));
+
+        const problems = validateRule(rule.toObject());
+        if (problems.length > 0) return res.status(400).json({ error: "Invalid rule", problems });
+
+        await rule.save();
+        res.json({ rule });
+    } catch (error) {
+        console.error("Error updating rule:", error.message);
+        res.status(500).json({ error: "Failed to update rule" });
+    }
+};
+
+// -------------------------------
+// DELETE RULE
+// -------------------------------
+export const deleteRule = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Rule not found" });
+
+        const rule = await FeedRule.findOneAndDelete({ _id: req.params.id, merchantId: req.merchantId });
+        if (!rule) return res.status(404).json({ error: "Rule not found" });
+
+        res.json({ message: "Rule deleted" });
+    } catch (error) {
+        console.error("Error deleting rule:", error.message);
+        res.status(500).json({ error: "Failed to delete rule" });
+    }
+};
+
+// -------------------------------
+// REORDER RULES
+// POST /api/merchant/rules/reorder { ruleIds } - new order, first runs first
+// -------------------------------
+export const reorderRules = async (req, res) => {
+    try {
+        const { ruleIds } = req.body || {};
+        if (!Array.isArray(ruleIds) || ruleIds.length === 0) {
+            return res.status(400).json({ error: "ruleIds are required" });
+        }
+        const invalidIds = invalidRuleIds(ruleIds);
+        if (invalidIds.length > 0) return res.status(400).json({ error: "Invalid rule ids", ruleIds: invalidIds });
+
+        await FeedRule.bulkWrite(ruleIds.map((id, order) => ({
+            updateOne: { filter: { _id: id, merchantId: req.merchantId }, update: { $set: { order } } },
+        })));
+
+        const rules = await FeedRule.find({ merchantId: req.merchantId }).sort({ order: 1, createdAt: 1 });
+        res.json({ rules });
+    } catch (error) {
+        console.error("Error reordering rules:", error.message);
+        res.status(500).json({ error: "Failed to reorder rules" });
+    }
+};
+
+// -------------------------------
+// DRY RUN
+// POST /api/merchant/rules/dry-run { rules? | ruleIds?, offerIds? }
+// Returns before/after for every affected product; nothing is saved.
+// Values apply would refuse are flagged with a `problem` and listed in `invalid`.
+// -------------------------------
+export const dryRunFeedRules = async (req, res) => {
+    try {
+        const invalidIds = invalidRuleIds(req.body?.ruleIds);
+        if (invalidIds.length > 0) return res.status(400).json({ error: "Invalid rule ids", ruleIds: invalidIds });
+
+        const rules = await loadRules(req.merchantId, req.body);
+
+        const problems = rules.flatMap((rule, i) => validateRule(rule).map(p => `rules[${i}]: ${p}`));
+        if (problems.length > 0) return res.status(400).json({ error: "Invalid rule", problems });
+
+        const products = await findSnapshotProducts(req.merchantId, { offerIds: req.body?.offerIds });
+        const result = dryRunRules(products, rules);
+
+        res.json({
+            merchantId: req.merchantId,
+            rules: rules.length,
+            ...result,
+            invalid: markInvalidChanges(result.affected)
+        });
+    } catch (error) {
+        console.error("Error running rules:", error.message);
+        res.status(500).json({ error: "Failed to run rules" });
+    }
+};
+
+// -------------------------------
+// APPLY RULES AS PENDING CHANGES
+// POST /api/merchant/rules/apply { ruleIds?, offerIds? }
+// Changes already queued are skipped and older pending rule changes to the
+// same field are superseded, so applying twice does not double the queue.
+// Values that fail the manual edit checks are skipped.
+// -------------------------------
+export const applyFeedRules = async (req, res) => {
+    try {
+        const invalidIds = invalidRuleIds(req.body?.ruleIds);
+        if (invalidIds.length > 0) return res.status(400).json({ error: "Invalid rule ids", ruleIds: invalidIds });
+
+        const rules = await loadRules(req.merchantId, { ruleIds: req.body?.ruleIds });
+        const products = await findSnapshotProducts(req.merchantId, { offerIds: req.body?.offerIds });
+        const { affected } = dryRunRules(products, rules);
+        const invalid = markInvalidChanges(affected);
+
+        const { edits, skipped: queued } = await skipQueuedEdits(
+            req.merchantId,
+            affected.flatMap(product => product.changes
+                .filter(change => !change.problem)
+                .map(change => ({ productId: product.id, offerId: product.offerId, field: change.field, value: change.after }))
+            ),
+            "rule"
+        );
+
+        const { changes, skipped } = await createProductChanges(req.merchantId, edits, {
+            source: "rule",
+            userId: req.user._id,
+        });
+        const superseded = await supersedePendingChanges(req.merchantId, changes, "rule");
+
+        res.status(201).json({
+            affectedCount: affected.length,
+            created: changes.length,
+            superseded,
+            changes,
+            skipped: [...invalid, ...queued, ...skipped]
+        });
+    } catch (error) {
+        console.error("Error applying rules:", error.message);
+        res.status(500).json({ error: "Failed to apply rules" });
+    }
+};
@@ -0,0 +1,310 @@
+import Suggestion from "../models/Suggestion.js";
+import { AI_PROVIDERS, getAIProvider } from "../services/aiProviderService.js";
+import { createTitleSuggestions } from "../services/titleOptimizationService.js";
+import { createEnrichmentSuggestions } from "../services/productEnrichmentService.js";
+import { createCategorySuggestions } from "../services/categorizationService.js";
+import { findSnapshotProducts } from "../services/productSyncService.js";
+import { createProductChanges } from "../services/productChangeService.js";
+import { buildPageInfo, parsePagination } from "../utils/pagination.js";
+
+const DEFAULT_BATCH_LIMIT = 25;
+const MAX_BATCH_LIMIT = 200;
+
+// Keyword categorization is local and cheap, so it takes much larger batches
+const DEFAULT_CATEGORY_LIMIT = 500;
+const MAX_CATEGORY_LIMIT = 5000;
+
+const MAX_BULK_ACCEPT = 5000;
+
+// Resolve the provider named in the request body, or the configured default
+const resolveProvider = (req, res) => {
+    const name = req.body?.provider || process.env.AI_PROVIDER || "stub";
+
+    if (!AI_PROVIDERS.includes(name)) {
+        res.status(400).json({ error: `Unknown provider. Use one of: ${AI_PROVIDERS.join(", ")}` });
+        return null;
+    }
+
+    try {
+        return getAIProvider(name);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return null;
+    }
+};
+
+const batchLimit = (value) =>
+    Math.min(Number.parseInt(value, 10) || DEFAULT_BATCH_LIMIT, MAX_BATCH_LIMIT);
+
+// -------------------------------
+// GENERATE TITLE SUGGESTIONS
+// POST /api/merchant/products/suggestions/title { offerIds?, provider?, limit? }
+// -------------------------------
+export const generateTitleSuggestions = async (req, res) => {
+    try {
+        const provider = resolveProvider(req, res);
+        if (!provider) return;
+
+        const products = await findSnapshotProducts(req.merchantId, {
+            offerIds: req.body?.offerIds,
+            limit: batchLimit(req.body?.limit),
+        });
+
+        if (products.length === 0) {
+            return res.status(404).json({ error: "No products found" });
+        }
+
+        const { suggestions, failures } = await createTitleSuggestions(
+            req.merchantId,
+            products,
+            provider,
+            req.user._id
+        );
+
+        res.status(201).json({
+            provider: provider.name,
+            model: provider.model,
+            created: suggestions.length,
+            suggestions,
+            failures
+        });
+    } catch (error) {
+        console.error("Error generating title suggestions:", error.message);
+        res.status(500).json({ error: "Failed to generate title suggestions" });
+    }
+};
+
+// -------------------------------
+// GENERATE DESCRIPTIONS & MISSING ATTRIBUTES
+// POST /api/merchant/products/enrich { offerIds?, provider?, limit?, save? }
+// -------------------------------
+export const generateEnrichmentSuggestions = async (req, res) => {
+    try {
+        const provider = resolveProvider(req, res);
+        if (!provider) return;
+
+        const products = await findSnapshotProducts(req.merchantId, {
+            offerIds: req.body?.offerIds,
+            limit: batchLimit(req.body?.limit),
+        });
+
+        if (products.length === 0) {
+            return res.status(404).json({ error: "No products found" });
+        }
+
+        const { results, failures } = await createEnrichmentSuggestions(
+            req.merchantId,
+            products,
+            provider,
+            req.user._id,
+            { save: req.body?.save !== false }
+        );
+
+        res.status(201).json({
+            provider: provider.name,
+            model: provider.model,
+            changed: results.filter(r => r.diff.length > 0).length,
+            results,
+            failures
+        });
+    } catch (error) {
+        console.error("Error enriching products:", error.message);
+        res.status(500).json({ error: "Failed to enrich products" });
+    }
+};
+
+// -------------------------------
+// SUGGEST GOOGLE PRODUCT CATEGORIES
+// POST /api/merchant/products/categories/suggest { offerIds?, limit?, useAI?, provider?, minConfidence?, save? }
+// -------------------------------
+export const generateCategorySuggestions = async (req, res) => {
+    try {
+        const useAI = req.body?.useAI === true;
+        const provider = useAI ? resolveProvider(req, res) : null;
+        if (useAI && !provider) return;
+
+        const limit = useAI
+            ? batchLimit(req.body?.limit)
+            : Math.min(Number.parseInt(req.body?.limit, 10) || DEFAULT_CATEGORY_LIMIT, MAX_CATEGORY_LIMIT);
+
+        const products = await findSnapshotProducts(req.merchantId, { offerIds: req.body?.offerIds, limit });
+
+        if (products.length === 0) {
+            return res.status(404).json({ error: "No products found" });
+        }
+
+        const { results, suggestions, failures, taxonomyVersion } = await createCategorySuggestions(
+            req.merchantId,
+            products,
+            {
+                provider,
+                userId: req.user._id,
+                save: req.body?.save !== false,
+                minConfidence: Number(req.body?.minConfidence) || 0,
+            }
+        );
+
+        res.status(201).json({
+            taxonomyVersion,
+            provider: provider?.name || null,
+            created: suggestions.length,
+            uncategorized: results.filter(r => !r.suggested).length,
+            results,
+            suggestions,
+            failures
+        });
+    } catch (error) {
+        if (error.code === "ETAXONOMY") {
+            return res.status(503).json({ error: error.message });
+        }
+        console.error("Error suggesting categories:", error.message);
+        res.status(500).json({ error: "Failed to suggest categories" });
+    }
+};
+
+// -------------------------------
+// LIST SUGGESTIONS
+// GET /api/merchant/suggestions?status=&field=&offerId=
+// -------------------------------
+export const getSuggestions = async (req, res) => {
+    try {
+        const filter = { merchantId: req.merchantId };
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.field) filter.field = req.query.field;
+        if (req.query.offerId) filter.offerId = req.query.offerId;
+
+        const pagination = parsePagination(req.query);
+
+        const [total, suggestions] = await Promise.all([
+            Suggestion.countDocuments(filter),
+            Suggestion.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(pagination.offset)
+                .limit(pagination.pageSize),
+        ]);
+
+        res.json({
+            ...buildPageInfo(total, pagination, suggestions.length),
+            suggestions
+        });
+    } catch (error) {
+        console.error("Error fetching suggestions:", error.message);
+        res.status(500).json({ error: "Failed to fetch suggestions" });
+    }
+};
+
+// -------------------------------
+// ACCEPT SUGGESTION
+// POST /api/merchant/suggestions/:id/accept { value? }
+// Creates an approved change; pushing it is a separate step.
+// -------------------------------
+export const acceptSuggestion = async (req, res) => {
+    try {
+        const suggestion = await Suggestion.findOne({ _id: req.params.id, merchantId: req.merchantId });
+
+        if (!suggestion) return res.status(404).json({ error: "Suggestion not found" });
+        if (suggestion.status !== "pending") {
+            return res.status(400).json({ error: `Suggestion is already ${suggestion.status}` });
+        }
+
+        // Reviewers may tweak the suggested value before accepting it
+        const value = req.body?.value ?? suggestion.suggestedValue;
+
+        const { changes, skipped } = await createProductChanges(
+            req.merchantId,
+            [{ productId: suggestion.productId, offerId: suggestion.offerId, field: suggestion.field, value }],
+            { source: "ai", status: "approved", userId: req.user._id, suggestionId: suggestion._id }
+        );
+
+        if (changes.length === 0) {
+            return res.status(400).json({ error: skipped[0]?.reason || "Nothing to change" });
+        }
+
+        suggestion.status = "accepted";
+        suggestion.reviewedBy = req.user._id;
+        suggestion.reviewedAt = new Date();
+        await suggestion.save();
+
+        res.json({ suggestion, change: changes[0] });
+    } catch (error) {
+        console.error("Error accepting suggestion:", error.message);
+        res.status(500).json({ error: "Failed to accept suggestion" });
+    }
+};
+
+// -------------------------------
+// BULK ACCEPT SUGGESTIONS
+// POST /api/merchant/suggestions/accept { suggestionIds?, field?, minConfidence? }
+// Accepts the newest pending suggestion per product and field.
+// -------------------------------
+export const bulkAcceptSuggestions = async (req, res) => {
+    try {
+        const { suggestionIds, field, minConfidence } = req.body || {};
+
+        if (!Array.isArray(suggestionIds) && !field) {
+            return res.status(400).json({ error: "suggestionIds or field is required" });
+        }
+
+        const filter = { merchantId: req.merchantId, status: "pending" };
+        if (Array.isArray(suggestionIds)) filter._id = { $in: suggestionIds };
+        if (field) filter.field = field;
+        if (minConfidence != null) filter.confidence = { $gte: Number(minConfidence) };
+
+        const pending = await Suggestion.find(filter).sort({ createdAt: -1 }).limit(MAX_BULK_ACCEPT);
+
+        const latest = new Map();
+        for (const suggestion of pending) {
+            const key = `${suggestion.productId || suggestion.offerId}:${suggestion.field}`;
+            if (!latest.has(key)) latest.set(key, suggestion);
+        }
+
+        const { changes, skipped } = await createProductChanges(
+            req.merchantId,
+            [...latest.values()].map(s => ({
+                productId: s.productId,
+                offerId: s.offerId,
+                field: s.field,
+                value: s.suggestedValue,
+                suggestionId: s._id,
+            })),
+            { source: "ai", status: "approved", userId: req.user._id }
+        );
+
+        const acceptedIds = changes.map(c => c.suggestionId);
+        if (acceptedIds.length > 0) {
+            await Suggestion.updateMany(
+                { _id: { $in: acceptedIds } },
+                { $set: { status: "accepted", reviewedBy: req.user._id, reviewedAt: new Date() } }
+            );
+        }
+
+        res.json({
+            accepted: acceptedIds.length,
+            changes,
+            skipped: skipped.map(({ suggestionId, productId, offerId, reason }) => ({ suggestionId, productId, offerId, reason }))
+        });
+    } catch (error) {
+        console.error("Error accepting suggestions:", error.message);
+        res.status(500).json({ error: "Failed to accept suggestions" });
+    }
+};
+
+// -------------------------------
+// REJECT SUGGESTION
+// -------------------------------
+export const rejectSuggestion = async (req, res) => {
+    try {
+        const suggestion = await Suggestion.findOneAndUpdate(
+            { _id: req.params.id, merchantId: req.merchantId, status: "pending" },
+            { $set: { status: "rejected", reviewedBy: req.user._id, reviewedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!suggestion) return res.status(404).json({ error: "Pending suggestion not found" });
+
+        res.json({ suggestion });
+    } catch (error) {
+        console.error("Error rejecting suggestion:", error.message);
+        res.status(500).json({ error: "Failed to reject suggestion" });
+    }
+};
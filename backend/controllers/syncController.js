@@ -0,0 +1,64 @@
+import SyncRun from "../models/SyncRun.js";
+import { fetchGoogleMerchantProducts } from "../services/googleMerchantService.js";
+import { isOfflineMerchant } from "../utils/merchantSource.js";
+
+// -------------------------------
+// TRIGGER PRODUCT SYNC
+// -------------------------------
+export const syncMerchantProducts = async (req, res) => {
+    try {
+        const merchantId = req.merchantId;
+
+        if (isOfflineMerchant(merchantId)) {
+            return res.status(400).json({ error: "Offline sources are updated by importing a new feed file" });
+        }
+
+        await fetchGoogleMerchantProducts(req.user, merchantId);
+
+        const run = await SyncRun.findOne({ merchantId, userId: req.user._id })
+            .sort({ startedAt: -1 })
+            .select("-changes");
+
+        const status = run?.status === "failed" ? 502 : 200;
+        res.status(status).json({ merchantId, run });
+    } catch (error) {
+        console.error("Error syncing products:", error.message);
+        res.status(500).json({ error: "Failed to sync products" });
+    }
+};
+
+// -------------------------------
+// LIST SYNC RUNS
+// -------------------------------
+export const getSyncRuns = async (req, res) => {
+    try {
+        const merchantId = req.merchantId;
+        const limit = Math.min(Number.parseInt(req.query.limit, 10) || 20, 100);
+
+        const runs = await SyncRun.find({ merchantId })
+            .sort({ startedAt: -1 })
+            .limit(limit)
+            .select("-changes");
+
+        res.json({ merchantId, runs });
+    } catch (error) {
+        console.error("Error fetching sync runs:", error.message);
+        res.status(500).json({ error: "Failed to fetch sync runs" });
+    }
+};
+
+// -------------------------------
+// SYNC RUN DETAIL (with added/removed/modified products)
+// -------------------------------
+export const getSyncRun = async (req, res) => {
+    try {
+        const run = await SyncRun.findOne({ _id: req.params.runId, merchantId: req.merchantId });
+
+        if (!run) return res.status(404).json({ error: "Sync run not found" });
+
+        res.json({ run });
+    } catch (error) {
+        console.error("Error fetching sync run:", error.message);
+        res.status(500).json({ error: "Failed to fetch sync run" });
+    }
+};
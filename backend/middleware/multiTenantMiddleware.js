@@ -130,3 +130,22 @@ export const validateDefaultAccount = async (req, res, next) => {
         });
     }
 };
+
+/**
+ * Require the logged-in user to have a merchant account selected
+ * Exposes it to controllers as req.merchantId
+ */
+export const requireSelectedAccount = (req, res, next) => {
+    if (!req.user) {
+        return res.status(404).json({ error: "User not found" });
+    }
+
+    const merchantId = req.user.selectedAccount;
+
+    if (!merchantId) {
+        return res.status(400).json({ error: "No merchant account selected" });
+    }
+
+    req.merchantId = merchantId;
+    next();
+};
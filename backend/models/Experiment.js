@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const experimentProductSchema = new mongoose.Schema({
+    offerId: { type: String, required: true },
+    productId: String,
+    group: { type: String, enum: ["control", "variant"], required: true },
+    originalTitle: String,
+    variantTitle: String, // Only for the variant group
+    suggestionId: { type: mongoose.Schema.Types.ObjectId, ref: "Suggestion" },
+    changeId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductChange" },
+}, { _id: false });
+
+const groupResultSchema = new mongoose.Schema({
+    products: { type: Number, default: 0 },
+    clicks: { type: Number, default: 0 },
+    impressions: { type: Number, default: 0 },
+    ctr: { type: Number, default: 0 },
+}, { _id: false });
+
+// Title A/B test: optimized titles go live on the variant group only
+const experimentSchema = new mongoose.Schema({
+    merchantId: { type: String, required: true },
+    name: { type: String, required: true },
+    status: {
+        type: String,
+        enum: ["draft", "running", "completed", "cancelled"],
+        default: "draft",
+    },
+
+    // Measurement window, inclusive days
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    confidenceLevel: { type: Number, default: 0.95, min: 0.5, max: 0.999 },
+    performanceProvider: { type: String, default: () => process.env.PERFORMANCE_PROVIDER || "merchant_center" },
+
+    products: { type: [experimentProductSchema], default: [] },
+
+    results: {
+        computedAt: Date,
+        window: { startDate: String, endDate: String },
+        control: groupResultSchema,
+        variant: groupResultSchema,
+        lift: Number,     // Relative CTR change of the variant group
+        zScore: Number,
+        pValue: Number,
+        significant: Boolean,
+        daily: { type: mongoose.Schema.Types.Mixed }, // [{ date, control: {...}, variant: {...} }]
+    },
+
+    startedAt: Date,
+    completedAt: Date,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+experimentSchema.index({ merchantId: 1, createdAt: -1 });
+
+export default mongoose.model("Experiment", experimentSchema);
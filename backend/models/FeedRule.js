@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+const conditionSchema = new mongoose.Schema({
+    field: { type: String, required: true }, // Any product field, dotted paths allowed (e.g. "raw.color")
+    operator: {
+        type: String,
+        enum: ["contains", "equals", "regex", "range", "missing"],
+        required: true,
+    },
+    value: String,          // contains / equals / regex
+    min: Number,            // range
+    max: Number,            // range
+    caseSensitive: { type: Boolean, default: false },
+    negate: { type: Boolean, default: false },
+}, { _id: false });
+
+const actionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ["set", "append", "prepend", "replace", "map", "set_custom_label"],
+        required: true,
+    },
+    field: String,          // Target field (not used by set_custom_label)
+    value: String,          // set / append / prepend / set_custom_label
+    find: String,           // replace
+    replaceWith: String,    // replace
+    regex: { type: Boolean, default: false }, // replace - treat find as a regex
+    sourceField: String,    // map - field to look up, defaults to the target field
+    lookup: { type: mongoose.Schema.Types.Mixed }, // map - { "from value": "to value" }
+    labelIndex: { type: Number, min: 0, max: 4 },  // set_custom_label
+}, { _id: false });
+
+// Merchant Center style feed rule: when the conditions match, run the actions
+const feedRuleSchema = new mongoose.Schema({
+    merchantId: { type: String, required: true },
+    name: { type: String, required: true },
+    description: String,
+    enabled: { type: Boolean, default: true },
+    order: { type: Number, default: 0 }, // Rules run in ascending order
+
+    conditionMatch: { type: String, enum: ["all", "any"], default: "all" },
+    conditions: { type: [conditionSchema], default: [] }, // Empty = every product
+    actions: { type: [actionSchema], default: [] },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+feedRuleSchema.index({ merchantId: 1, order: 1 });
+
+export default mongoose.model("FeedRule", feedRuleSchema);
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// An "offline" merchant: a catalog uploaded as a feed file instead of
+// pulled from the Content API. Its products live in the Product store
+// under merchantId, which always starts with "offline-".
+const feedSourceSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    merchantId: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    contentLanguage: { type: String, default: "en" },
+    targetCountry: { type: String, default: "US" },
+    lastImport: {
+        fileName: String,
+        format: { type: String, enum: ["csv", "tsv", "xml"] },
+        rows: Number,
+        imported: Number,
+        errorCount: Number,
+        syncRunId: { type: mongoose.Schema.Types.ObjectId, ref: "SyncRun" },
+        importedAt: Date,
+    },
+}, { timestamps: true });
+
+feedSourceSchema.index({ userId: 1, createdAt: 1 });
+
+export default mongoose.model("FeedSource", feedSourceSchema);
@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+// Last product history version handed out per product (REST id). Incremented
+// with $inc so concurrent applies for one product never get the same version.
+const historyCounterSchema = new mongoose.Schema({
+    merchantId: { type: String, required: true },
+    productId: { type: String, required: true },
+    version: { type: Number, default: 0 },
+});
+
+historyCounterSchema.index({ merchantId: 1, productId: 1 }, { unique: true });
+
+export default mongoose.model("HistoryCounter", historyCounterSchema);
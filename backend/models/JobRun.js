@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const taskResultSchema = new mongoose.Schema({
+    task: String,
+    status: { type: String, enum: ["succeeded", "failed", "skipped"] },
+    message: String,
+    syncRunId: { type: mongoose.Schema.Types.ObjectId, ref: "SyncRun" },
+    count: Number,
+}, { _id: false });
+
+// One execution of a SyncJob, or of a single task started on request
+// (no jobId), kept as history
+const jobRunSchema = new mongoose.Schema({
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: "SyncJob" },
+    task: String, // Set on runs without a job
+    merchantId: { type: String, required: true },
+    trigger: { type: String, enum: ["schedule", "retry", "manual"], default: "schedule" },
+    attempt: { type: Number, default: 1 },
+    status: {
+        type: String,
+        enum: ["running", "succeeded", "failed"],
+        default: "running",
+    },
+    instance: String, // Server instance that ran it
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: Date,
+    durationMs: Number,
+    tasks: { type: [taskResultSchema], default: [] },
+    error: String,
+    nextRunAt: Date, // When the job was rescheduled for after this run
+}, { timestamps: true });
+
+jobRunSchema.index({ jobId: 1, startedAt: -1 });
+jobRunSchema.index({ merchantId: 1, startedAt: -1 });
+// One running on-request run per merchant and task
+jobRunSchema.index(
+    { merchantId: 1, task: 1 },
+    { unique: true, partialFilterExpression: { status: "running", task: { $exists: true } } }
+);
+
+export default mongoose.model("JobRun", jobRunSchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// Bucket and label one product got in a label run. Kept apart from the
+// LabelRun so a run over a large catalog stays under the document size limit.
+const labelAssignmentSchema = new mongoose.Schema({
+    runId: { type: mongoose.Schema.Types.ObjectId, ref: "LabelRun", required: true },
+    merchantId: { type: String, required: true },
+    offerId: String,
+    bucket: { type: String, enum: ["hero", "sidekick", "villain", "zombie"] },
+    label: String,
+    previousLabel: String,
+    changed: { type: Boolean, default: false }, // label differs from previousLabel
+    clicks: Number,
+    impressions: Number,
+    conversions: Number,
+    changeId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductChange" },
+}, { versionKey: false });
+
+labelAssignmentSchema.index({ runId: 1, offerId: 1 });
+
+export default mongoose.model("LabelAssignment", labelAssignmentSchema);
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// Per-account settings for performance-based custom labels
+const labelConfigSchema = new mongoose.Schema({
+    merchantId: { type: String, required: true, unique: true },
+    labelIndex: { type: Number, default: 0, min: 0, max: 4 }, // Written to customLabel0-4
+    lookbackDays: { type: Number, default: 30, min: 1, max: 365 },
+
+    // Clicks needed before conversion performance is judged
+    minClicks: { type: Number, default: 20, min: 1 },
+    // Conversions per click that separate heroes from villains
+    minConversionRate: { type: Number, default: 0.02, min: 0, max: 1 },
+
+    // Label text written for each bucket
+    labels: {
+        hero: { type: String, default: "hero" },
+        sidekick: { type: String, default: "sidekick" },
+        villain: { type: String, default: "villain" },
+        zombie: { type: String, default: "zombie" },
+    },
+
+    performanceProvider: { type: String, default: () => process.env.PERFORMANCE_PROVIDER || "merchant_center" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+export default mongoose.model("LabelConfig", labelConfigSchema);
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// One pass of bucketing products into performance labels. The per-product
+// results are LabelAssignment documents with this run's id.
+const labelRunSchema = new mongoose.Schema({
+    merchantId: { type: String, required: true },
+    dryRun: { type: Boolean, default: false },
+    config: { type: mongoose.Schema.Types.Mixed }, // Settings the run used
+    window: { startDate: String, endDate: String },
+
+    counts: {
+        hero: { type: Number, default: 0 },
+        sidekick: { type: Number, default: 0 },
+        villain: { type: Number, default: 0 },
+        zombie: { type: Number, default: 0 },
+    },
+    changed: { type: Number, default: 0 },  // Products whose label differs from the current one
+    applied: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+}, { timestamps: true });
+
+labelRunSchema.index({ merchantId: 1, createdAt: -1 });
+
+export default mongoose.model("LabelRun", labelRunSchema);
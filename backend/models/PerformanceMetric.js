@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Daily Merchant Center performance of one offer (reports.search).
+// Stored as a time-series collection; the product dimensions are copied
+// from the report so results can be grouped without joining products.
+const performanceMetricSchema = new mongoose.Schema({
+    date: { type: Date, required: true }, // UTC midnight of the report day
+    meta: {
+        merchantId: { type: String, required: true },
+        offerId: { type: String, required: true },
+        title: String,
+        brand: String,
+        productType: String, // Levels joined with " > "
+        customLabel0: String,
+        customLabel1: String,
+        customLabel2: String,
+        customLabel3: String,
+        customLabel4: String,
+    },
+    clicks: { type: Number, default: 0 },
+    impressions: { type: Number, default: 0 },
+    ctr: { type: Number, default: 0 },
+    conversions: { type: Number, default: 0 },
+    importedAt: { type: Date, default: Date.now },
+}, {
+    timeseries: { timeField: "date", metaField: "meta", granularity: "hours" },
+    versionKey: false,
+});
+
+performanceMetricSchema.index({ "meta.merchantId": 1, date: 1 });
+
+export default mongoose.model("PerformanceMetric", performanceMetricSchema);
@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+
+const priceSchema = new mongoose.Schema({
+    value: String,
+    currency: String,
+}, { _id: false });
+
+const auditIssueSchema = new mongoose.Schema({
+    code: String,
+    field: String,
+    severity: { type: String, enum: ["error", "warning", "info"] },
+    message: String,
+}, { _id: false });
+
+const imageResultSchema = new mongoose.Schema({
+    url: String,
+    role: { type: String, enum: ["main", "additional"] },
+    ok: Boolean,
+    status: Number,
+    error: String,
+    contentType: String,
+    format: String,
+    width: Number,
+    height: Number,
+    bytes: Number,
+    hash: String,
+    overlaySuspected: Boolean,
+    overlayReason: String,
+    checkedAt: Date,
+}, { _id: false });
+
+const destinationStatusSchema = new mongoose.Schema({
+    destination: String,
+    status: String,
+    approvedCountries: [String],
+    pendingCountries: [String],
+    disapprovedCountries: [String],
+}, { _id: false });
+
+const itemLevelIssueSchema = new mongoose.Schema({
+    code: String,
+    servability: String, // "disapproved" | "demoted" | "unaffected"
+    resolution: String,
+    attributeName: String,
+    destination: String,
+    description: String,
+    detail: String,
+    documentation: String,
+    applicableCountries: [String],
+}, { _id: false });
+
+// Local snapshot of a Merchant Center product, refreshed on every sync run
+const productSchema = new mongoose.Schema({
+    merchantId: { type: String, required: true },
+
+    // Identity - mirrors the Content API REST id "channel:contentLanguage:targetCountry:offerId"
+    id: String,
+    offerId: { type: String, required: true },
+    channel: { type: String, default: "online" },
+    contentLanguage: String,
+    targetCountry: String,
+
+    // Normalized attributes
+    title: String,
+    description: String,
+    link: String,
+    imageLink: String,
+    additionalImageLinks: { type: [String], default: [] },
+    price: priceSchema,
+    salePrice: priceSchema,
+    salePriceEffectiveDate: String,
+    availability: String,
+    brand: String,
+    gtin: String,
+    mpn: String,
+    identifierExists: Boolean,
+    condition: String,
+    productType: String,
+    googleProductCategory: String,
+    color: String,
+    size: String,
+    material: String,
+    gender: String,
+    ageGroup: String,
+    pattern: String,
+    customLabel0: String,
+    customLabel1: String,
+    customLabel2: String,
+    customLabel3: String,
+    customLabel4: String,
+
+    // Full Content API resource
+    raw: { type: mongoose.Schema.Types.Mixed },
+
+    // Latest feed quality audit, see services/feedAuditService.js
+    audit: {
+        score: Number,
+        issues: [auditIssueSchema],
+        auditedAt: Date,
+    },
+
+    // Approval state from productstatuses
+    productStatus: {
+        approvalStatus: {
+            type: String,
+            enum: ["approved", "disapproved", "pending", "unknown"],
+        },
+        destinationStatuses: [destinationStatusSchema],
+        itemLevelIssues: [itemLevelIssueSchema],
+        checkedAt: Date,
+    },
+
+    // Downloaded image checks, see services/imageAnalysisService.js
+    imageAnalysis: {
+        images: [imageResultSchema],
+        checkedAt: Date,
+    },
+
+    // Price before the last sync that changed it, for swing detection
+    previousPrice: priceSchema,
+    priceChangedAt: Date,
+
+    // Sync bookkeeping
+    hash: String,
+    firstSeenAt: Date,
+    lastSeenAt: Date,
+    removedAt: { type: Date, default: null },
+    lastSyncRunId: { type: mongoose.Schema.Types.ObjectId, ref: "SyncRun" },
+}, { timestamps: true, id: false });
+
+productSchema.index(
+    { merchantId: 1, offerId: 1, channel: 1, contentLanguage: 1, targetCountry: 1 },
+    { unique: true }
+);
+productSchema.index({ merchantId: 1, removedAt: 1 });
+productSchema.index({ merchantId: 1, "audit.score": 1 });
+productSchema.index({ merchantId: 1, "productStatus.approvalStatus": 1 });
+
+export default mongoose.model("Product", productSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// A single field edit waiting to be (or already) pushed to Merchant Center
+const productChangeSchema = new mongoose.Schema({
+    merchantId: { type: String, required: true },
+    productId: { type: String, required: true }, // Content API REST id
+    offerId: { type: String, required: true },
+
+    field: { type: String, required: true },
+    oldValue: { type: mongoose.Schema.Types.Mixed },
+    newValue: { type: mongoose.Schema.Types.Mixed },
+
+    source: {
+        type: String,
+        enum: ["manual", "rule", "ai"],
+        default: "manual",
+    },
+    status: {
+        type: String,
+        enum: ["pending", "approved", "rejected", "applied", "failed"],
+        default: "pending",
+    },
+
+    suggestionId: { type: mongoose.Schema.Types.ObjectId, ref: "Suggestion" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    rollbackOf: Number, // ProductHistory version this change restores
+
+    // Push results
+    appliedAt: Date,
+    attempts: { type: Number, default: 0 },
+    lastError: String,
+}, { timestamps: true });
+
+productChangeSchema.index({ merchantId: 1, status: 1, createdAt: -1 });
+productChangeSchema.index({ merchantId: 1, offerId: 1 });
+productChangeSchema.index({ merchantId: 1, productId: 1 });
+
+export default mongoose.model("ProductChange", productChangeSchema);
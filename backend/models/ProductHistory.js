@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// One field value the app wrote to a product. Entries applied together
+// share a version number, counted per product (see HistoryCounter), so
+// each country and language version of an offer has its own history.
+const productHistorySchema = new mongoose.Schema({
+    merchantId: { type: String, required: true },
+    productId: { type: String, required: true }, // Content API REST id
+    offerId: { type: String, required: true },
+    version: { type: Number, required: true },
+
+    field: { type: String, required: true },
+    oldValue: { type: mongoose.Schema.Types.Mixed },
+    newValue: { type: mongoose.Schema.Types.Mixed },
+
+    source: {
+        type: String,
+        enum: ["manual", "rule", "ai"],
+        default: "manual",
+    },
+    changeId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductChange" },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Who applied it
+    rollbackOf: Number, // Version this entry restored, for rollbacks
+    appliedAt: { type: Date, default: Date.now },
+}, { timestamps: true });
+
+productHistorySchema.index({ merchantId: 1, productId: 1, version: -1 });
+
+export default mongoose.model("ProductHistory", productHistorySchema);
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// AI-generated proposal for one product field. Never applied automatically.
+const suggestionSchema = new mongoose.Schema({
+    merchantId: { type: String, required: true },
+    productId: String,
+    offerId: { type: String, required: true },
+
+    field: { type: String, required: true }, // e.g. "title"
+    currentValue: { type: mongoose.Schema.Types.Mixed },
+    suggestedValue: { type: mongoose.Schema.Types.Mixed },
+    label: String, // Readable form of suggestedValue, e.g. a taxonomy path for a category ID
+    confidence: { type: Number, min: 0, max: 1 },
+
+    status: {
+        type: String,
+        enum: ["pending", "accepted", "rejected"],
+        default: "pending",
+    },
+
+    // Generation details - suggestions produced by the same call share a generationId
+    generationId: String,
+    provider: String,
+    model: String,
+    prompt: String,
+    usage: {
+        promptTokens: { type: Number, default: 0 },
+        completionTokens: { type: Number, default: 0 },
+        totalTokens: { type: Number, default: 0 },
+    },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: Date,
+}, { timestamps: true });
+
+suggestionSchema.index({ merchantId: 1, offerId: 1, field: 1, createdAt: -1 });
+suggestionSchema.index({ merchantId: 1, status: 1 });
+
+export default mongoose.model("Suggestion", suggestionSchema);
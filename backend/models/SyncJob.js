@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+export const SYNC_JOB_TASKS = ["accounts", "products", "statuses", "performance", "images"];
+
+// Recurring background refresh of one merchant account
+const syncJobSchema = new mongoose.Schema({
+    merchantId: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // Whose Google tokens are used
+    name: String,
+    schedule: { type: String, required: true }, // Cron expression, e.g. "0 8 * * *"
+    timezone: { type: String, default: "UTC" },  // IANA zone the schedule is read in
+    tasks: {
+        type: [{ type: String, enum: SYNC_JOB_TASKS }],
+        default: ["products"],
+    },
+    enabled: { type: Boolean, default: true },
+
+    nextRunAt: Date,
+    lastRunAt: Date,
+    lastStatus: { type: String, enum: ["succeeded", "failed"] },
+    lastError: String,
+
+    // Retry state: failed runs are retried with backoff before the next cron slot
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3, min: 1, max: 10 },
+
+    // Lease held by the server instance currently running the job
+    lockedBy: String,
+    lockedUntil: Date,
+}, { timestamps: true });
+
+syncJobSchema.index({ enabled: 1, nextRunAt: 1 });
+syncJobSchema.index({ merchantId: 1 });
+
+export default mongoose.model("SyncJob", syncJobSchema);
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+const productChangeSchema = new mongoose.Schema({
+    type: { type: String, enum: ["added", "removed", "modified"] },
+    productId: String,
+    offerId: String,
+    fields: [String], // Attributes that differ, only for "modified"
+}, { _id: false });
+
+// One pass of pulling a merchant's catalog into the local Product store
+const syncRunSchema = new mongoose.Schema({
+    merchantId: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    source: {
+        type: String,
+        enum: ["content_api", "file_import"],
+        default: "content_api",
+    },
+    status: {
+        type: String,
+        enum: ["running", "completed", "failed"],
+        default: "running",
+    },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: Date,
+    counts: {
+        fetched: { type: Number, default: 0 },
+        added: { type: Number, default: 0 },
+        modified: { type: Number, default: 0 },
+        removed: { type: Number, default: 0 },
+        unchanged: { type: Number, default: 0 },
+    },
+    // Catalog totals when the run finished, kept for dashboard trends
+    catalog: {
+        total: Number,
+        approved: Number,
+        disapproved: Number,
+        pending: Number,
+        unknown: Number,
+        averageScore: Number,
+    },
+    errorMessages: { type: [String], default: [] },
+    changes: { type: [productChangeSchema], default: [] },
+}, { timestamps: true });
+
+syncRunSchema.index({ merchantId: 1, startedAt: -1 });
+
+export default mongoose.model("SyncRun", syncRunSchema);
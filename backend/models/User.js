@@ -57,6 +57,27 @@ const userSchema = new mongoose.Schema(
                 url: String,
                 email: String,
                 phoneNumber: String
+            },
+            // From accountstatuses
+            health: {
+                status: {
+                    type: String,
+                    enum: ["healthy", "warning", "critical", "unknown"],
+                    default: "unknown"
+                },
+                websiteClaimed: Boolean,
+                issues: [{
+                    _id: false,
+                    id: String,
+                    title: String,
+                    severity: String, // "critical" | "error" | "suggestion"
+                    country: String,
+                    destination: String,
+                    detail: String,
+                    documentation: String
+                }],
+                checkedAt: Date,
+                error: String
             }
         }],
         selectedAccount: {
@@ -1,9 +1,131 @@
 import express from "express";
 import { protect as authMiddleware } from "../middleware/authMiddleware.js";
-import { getMerchantProducts } from "../controllers/productController.js";
+import { requireSelectedAccount } from "../middleware/multiTenantMiddleware.js";
+import { getMerchantProducts, getProductDetail } from "../controllers/productController.js";
+import { getProductAudit } from "../controllers/auditController.js";
+import { getPricingReport } from "../controllers/pricingController.js";
+import { getPerformance, importPerformanceReport } from "../controllers/performanceController.js";
+import {
+    getLabelConfig,
+    updateLabelConfig,
+    runLabels,
+    getLabelRuns,
+    getLabelRun
+} from "../controllers/labelController.js";
+import { analyzeImages, getProductImages } from "../controllers/imageController.js";
+import { getProductChangeHistory, rollbackProductVersion } from "../controllers/historyController.js";
+import {
+    generateTitleSuggestions,
+    generateEnrichmentSuggestions,
+    generateCategorySuggestions,
+    getSuggestions,
+    acceptSuggestion,
+    bulkAcceptSuggestions,
+    rejectSuggestion
+} from "../controllers/suggestionController.js";
+import { getProductStatuses, getIssues, getAuditIssues } from "../controllers/issueController.js";
+import {
+    getRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    reorderRules,
+    dryRunFeedRules,
+    applyFeedRules
+} from "../controllers/ruleController.js";
+import { exportFeed, importFeed, getFeedSources } from "../controllers/feedController.js";
+import { getChanges, reviewChanges, applyChanges } from "../controllers/changeController.js";
+import { previewEdits, saveEdits } from "../controllers/editController.js";
+import { syncMerchantProducts, getSyncRuns, getSyncRun } from "../controllers/syncController.js";
+import {
+    getExperiments,
+    createExperiment,
+    getExperiment,
+    startExperiment,
+    completeExperiment,
+    cancelExperiment
+} from "../controllers/experimentController.js";
+import { getJobs, createJob, updateJob, deleteJob, runJob, getJobRuns, getJobRun } from "../controllers/jobController.js";
+import { getMerchantDashboard } from "../controllers/dashboardController.js";
 
 const router = express.Router();
 
-router.get("/products", authMiddleware, getMerchantProducts);
+router.use(authMiddleware);
+
+// Offline feed sources can be created before any account is selected
+router.post("/feeds/import", express.text({ type: () => true, limit: "100mb" }), importFeed);
+router.get("/feeds/sources", getFeedSources);
+
+router.use(requireSelectedAccount);
+
+router.get("/dashboard", getMerchantDashboard);
+
+router.get("/products", getMerchantProducts);
+router.post("/products/sync", syncMerchantProducts);
+router.get("/products/audit", getProductAudit);
+router.get("/products/pricing", getPricingReport);
+router.get("/products/statuses", getProductStatuses);
+router.post("/products/suggestions/title", generateTitleSuggestions);
+router.post("/products/enrich", generateEnrichmentSuggestions);
+router.post("/products/categories/suggest", generateCategorySuggestions);
+router.post("/products/apply", applyChanges);
+router.post("/products/edits", saveEdits);
+router.post("/products/edits/preview", previewEdits);
+router.post("/products/images/analyze", analyzeImages);
+
+// Per-product routes come after the static /products/* paths
+router.get("/products/:productId", getProductDetail);
+router.get("/products/:productId/images", getProductImages);
+router.get("/products/:productId/history", getProductChangeHistory);
+router.post("/products/:productId/rollback", rollbackProductVersion);
+
+router.get("/issues", getIssues);
+router.get("/issues/audit", getAuditIssues);
+
+router.get("/suggestions", getSuggestions);
+router.post("/suggestions/accept", bulkAcceptSuggestions);
+router.post("/suggestions/:id/accept", acceptSuggestion);
+router.post("/suggestions/:id/reject", rejectSuggestion);
+
+router.get("/changes", getChanges);
+router.post("/changes/review", reviewChanges);
+
+router.get("/feeds/export", exportFeed);
+
+router.get("/rules", getRules);
+router.post("/rules", createRule);
+router.post("/rules/reorder", reorderRules);
+router.post("/rules/dry-run", dryRunFeedRules);
+router.post("/rules/apply", applyFeedRules);
+router.put("/rules/:id", updateRule);
+router.delete("/rules/:id", deleteRule);
+
+router.get("/sync-runs", getSyncRuns);
+router.get("/sync-runs/:runId", getSyncRun);
+
+router.get("/performance", getPerformance);
+router.post("/performance/import", importPerformanceReport);
+
+router.get("/labels/config", getLabelConfig);
+router.put("/labels/config", updateLabelConfig);
+router.post("/labels/run", runLabels);
+router.get("/labels/runs", getLabelRuns);
+router.get("/labels/runs/:id", getLabelRun);
+
+router.get("/experiments", getExperiments);
+router.post("/experiments", createExperiment);
+router.get("/experiments/:id", getExperiment);
+router.post("/experiments/:id/start", startExperiment);
+router.post("/experiments/:id/complete", completeExperiment);
+router.post("/experiments/:id/cancel", cancelExperiment);
+
+router.get("/jobs", getJobs);
+router.post("/jobs", createJob);
+router.get("/jobs/runs", getJobRuns);
+router.get("/jobs/runs/:runId", getJobRun);
+router.put("/jobs/:id", updateJob);
+router.delete("/jobs/:id", deleteJob);
+router.post("/jobs/:id/run", runJob);
+router.get("/jobs/:id/runs", getJobRuns);
 
 export default router;
@@ -0,0 +1,10 @@
+import { downloadTaxonomy } from "../services/taxonomyService.js";
+
+// npm run taxonomy - download Google's product taxonomy into data/ (or GOOGLE_TAXONOMY_PATH)
+try {
+    const taxonomy = await downloadTaxonomy();
+    console.log(`Saved ${taxonomy.categories.length} categories (version ${taxonomy.version})`);
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -9,6 +9,8 @@ import passport from "passport";
 import setupPassport from "./config/passport.js";
 import googleAuthRoutes from "./routes/googleAuthRoutes.js";
 import productRoutes from "./routes/productRoutes.js";
+import { startScheduler } from "./services/schedulerService.js";
+import { ensureTaxonomy } from "./services/taxonomyService.js";
 
 dotenv.config();
 
@@ -38,9 +40,15 @@ app.use("/api/auth", authRoutes);       // Email/password auth
 app.use("/api/auth", googleAuthRoutes); // Google OAuth
 app.use("/api/merchant", productRoutes); // Products endpoints
 
+// Category suggestions need Google's product taxonomy; fetch it if it is not cached yet
+ensureTaxonomy().catch(error => console.warn(`Category suggestions are unavailable: ${error.message}`));
+
 // Connect to MongoDB
 connectDB();
 
+// Background sync jobs (see /api/merchant/jobs)
+startScheduler();
+
 // Start server
 app.listen(process.env.PORT || 5000, () => {
     console.log(`Server is running on port ${process.env.PORT || 5000}`);
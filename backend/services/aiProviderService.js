@@ -0,0 +1,139 @@
+import OpenAI from "openai";
+import { GoogleGenAI } from "@google/genai";
+
+/**
+ * AI provider interface shared by every AI feature of the backend.
+ *
+ *   provider.name  - "openai" | "gemini" | "stub"
+ *   provider.model - model used for generation
+ *   provider.generate({ system, prompt, json, fallback })
+ *     => Promise<{ text, model, usage: { promptTokens, completionTokens, totalTokens } }>
+ *
+ * `fallback` is a function returning the deterministic answer the stub
+ * provider should give; real providers ignore it.
+ */
+
+// -------------------------------
+// OPENAI
+// -------------------------------
+export const createOpenAIProvider = ({
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL || "gpt-4o-mini",
+    client,
+} = {}) => {
+    if (!client && !apiKey) throw new Error("OPENAI_API_KEY is not configured");
+
+    const openai = client || new OpenAI({ apiKey });
+
+    return {
+        name: "openai",
+        model,
+        generate: async ({ system, prompt, json = false }) => {
+            const response = await openai.chat.completions.create({
+                model,
+                messages: [
+                    ...(system ? [{ role: "system", content: system }] : []),
+                    { role: "user", content: prompt },
+                ],
+                ...(json ? { response_format: { type: "json_object" } } : {}),
+            });
+
+            return {
+                text: response.choices?.[0]?.message?.content?.trim() || "",
+                model: response.model || model,
+                usage: {
+                    promptTokens: response.usage?.prompt_tokens || 0,
+                    completionTokens: response.usage?.completion_tokens || 0,
+                    totalTokens: response.usage?.total_tokens || 0,
+                },
+            };
+        },
+    };
+};
+
+// -------------------------------
+// GEMINI
+// -------------------------------
+export const createGeminiProvider = ({
+    apiKey = process.env.GEMINI_API_KEY,
+    model = process.env.GEMINI_MODEL || "gemini-2.5-flash",
+    client,
+} = {}) => {
+    if (!client && !apiKey) throw new Error("GEMINI_API_KEY is not configured");
+
+    const genai = client || new GoogleGenAI({ apiKey });
+
+    return {
+        name: "gemini",
+        model,
+        generate: async ({ system, prompt, json = false }) => {
+            const response = await genai.models.generateContent({
+                model,
+                contents: prompt,
+                config: {
+                    ...(system ? { systemInstruction: system } : {}),
+                    ...(json ? { responseMimeType: "application/json" } : {}),
+                },
+            });
+
+            return {
+                text: response.text?.trim() || "",
+                model: response.modelVersion || model,
+                usage: {
+                    promptTokens: response.usageMetadata?.promptTokenCount || 0,
+                    completionTokens: response.usageMetadata?.candidatesTokenCount || 0,
+                    totalTokens: response.usageMetadata?.totalTokenCount || 0,
+                },
+            };
+        },
+    };
+};
+
+// -------------------------------
+// LOCAL STUB (offline / tests)
+// -------------------------------
+const countWords = (text = "") => text.split(/\s+/).filter(Boolean).length;
+
+export const createStubProvider = ({ model = "stub-v1" } = {}) => ({
+    name: "stub",
+    model,
+    generate: async ({ system = "", prompt = "", fallback }) => {
+        const answer = typeof fallback === "function" ? await fallback() : "";
+        const text = typeof answer === "string" ? answer : JSON.stringify(answer);
+
+        // Word counts stand in for tokens so usage is stable between runs
+        const promptTokens = countWords(system) + countWords(prompt);
+        const completionTokens = countWords(text);
+
+        return {
+            text,
+            model,
+            usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+        };
+    },
+});
+
+const PROVIDERS = {
+    openai: createOpenAIProvider,
+    gemini: createGeminiProvider,
+    stub: createStubProvider,
+};
+
+export const AI_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * Build a provider by name, defaulting to AI_PROVIDER from the environment.
+ */
+export const getAIProvider = (name = process.env.AI_PROVIDER || "stub", options = {}) => {
+    const factory = PROVIDERS[name];
+    if (!factory) throw new Error(`Unknown AI provider "${name}"`);
+    return factory(options);
+};
+
+/**
+ * Parse a JSON answer, tolerating the ```json fences some models add.
+ */
+export const parseJSONResponse = (text) => {
+    const cleaned = text.replace(/^```(?:json)?\s*/i, "").replace(/```\s*$/, "").trim();
+    return JSON.parse(cleaned);
+};
@@ -0,0 +1,235 @@
+import Suggestion from "../models/Suggestion.js";
+import { parseJSONResponse } from "./aiProviderService.js";
+import { loadTaxonomy, resolveCategory, stemWord, tokenize } from "./taxonomyService.js";
+
+const CANDIDATE_LIMIT = 5;
+
+// Below this keyword confidence the AI provider is asked to pick between candidates
+const AI_CONFIDENCE_THRESHOLD = 0.75;
+
+export const CATEGORY_SYSTEM_PROMPT = [
+    "You are a Google Shopping feed specialist.",
+    "You pick the Google product category that best describes a product.",
+    "Only choose from the candidates you are given. Answer with JSON only.",
+].join(" ");
+
+// Everyday product words mapped onto the wording the taxonomy uses
+const SYNONYMS = {
+    sneaker: ["shoe"], boot: ["shoe"], sandal: ["shoe"], heel: ["shoe"], loafer: ["shoe"], trainer: ["shoe"],
+    tee: ["shirt", "top"], tshirt: ["shirt", "top"], blouse: ["shirt", "top"], polo: ["shirt", "top"], sweater: ["shirt", "top"], hoodie: ["shirt", "top"],
+    jean: ["pant"], trouser: ["pant"], legging: ["pant"], chino: ["pant"], jogger: ["pant"],
+    jacket: ["coat"], parka: ["coat"], blazer: ["coat", "jacket"], raincoat: ["coat"],
+    bikini: ["swimwear"], swimsuit: ["swimwear"], pyjama: ["sleepwear"], pajama: ["sleepwear"], robe: ["loungewear"],
+    cap: ["hat"], beanie: ["hat"], purse: ["handbag"], tote: ["handbag"],
+    pendant: ["necklace"], bangle: ["bracelet"],
+    phone: ["mobile", "phone"], smartphone: ["mobile", "phone"], iphone: ["mobile", "phone"],
+    notebook: ["laptop"], macbook: ["laptop"], ipad: ["tablet"], tv: ["television"],
+    soundbar: ["speaker"],
+    couch: ["sofa"], armchair: ["chair"], stool: ["chair"], desk: ["table", "office"], mattress: ["bed"], wardrobe: ["cabinet", "storage"], shelf: ["storage"],
+    pan: ["cookware"], pot: ["cookware"], skillet: ["cookware"], mug: ["drinkware"], tumbler: ["drinkware"], plate: ["tableware"], bowl: ["tableware"],
+    lamp: ["lighting"], bulb: ["lighting"], duvet: ["bedding"], sheet: ["bedding"], pillow: ["bedding"],
+    lipstick: ["makeup"], mascara: ["makeup"], foundation: ["makeup"], eyeliner: ["makeup"], serum: ["skin", "care"], moisturizer: ["skin", "care"], cleanser: ["skin", "care"],
+    fragrance: ["perfume", "cologne"], eau: ["perfume"], toothbrush: ["oral"], toothpaste: ["oral"],
+    vitamin: ["supplement"], protein: ["supplement"], bike: ["bicycle"], tent: ["camping"], dumbbell: ["exercise", "fitness"], yoga: ["exercise", "fitness"],
+    novel: ["book"], paperback: ["book"], hardcover: ["book"], vinyl: ["music"], album: ["music"], lego: ["toy"],
+    luggage: ["suitcase"], rucksack: ["backpack"], puppy: ["dog"], kitten: ["cat"],
+    diaper: ["diapering"], nappy: ["diapering"], guitar: ["musical", "instrument"], piano: ["musical", "instrument"], drill: ["tool"], hammer: ["tool"],
+};
+
+const expand = (tokens) => new Set(tokens.flatMap(t => [t, ...(SYNONYMS[t] || []).map(stemWord)]));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Category-name words too vague to identify a category on their own
+const GENERIC_TOKENS = new Set(["accessory", "supply", "item", "care", "component", "part", "equipment"]);
+
+/**
+ * Score every taxonomy category against a product's productType and title.
+ * productType is weighted above the title because merchants usually
+ * maintain it as a category path already. Leaf scores are scaled by the
+ * name length so "Coffee" beats "Coffee Makers & Espresso Machines" for coffee.
+ * @returns {Array<{ id, path, score, coverage }>} Best first
+ */
+export const rankCategories = (product, taxonomy = loadTaxonomy()) => {
+    const productTypePath = String(product.productType || "");
+    const productTypeLeaf = expand(tokenize(productTypePath.split(">").pop()));
+    const productTypeAll = expand(tokenize(productTypePath));
+    const title = expand(tokenize(product.title));
+
+    const ranked = [];
+
+    for (const category of taxonomy.categories) {
+        let leafScore = 0;
+        let matchedLeaf = 0;
+
+        for (const token of category.leafTokens) {
+            const weight = GENERIC_TOKENS.has(token) ? 0.25 : 1;
+            let points = 0;
+            if (productTypeLeaf.has(token)) points += 4;
+            else if (productTypeAll.has(token)) points += 2;
+            if (title.has(token)) points += 2;
+            if (points > 0) matchedLeaf++;
+            leafScore += points * weight;
+        }
+
+        if (matchedLeaf === 0) continue;
+
+        let score = leafScore / Math.sqrt(category.leafTokens.length);
+
+        // A parent named in the productType backs up a child named in the title
+        for (const token of category.ancestorTokens) {
+            if (productTypeAll.has(token)) score += 2.5;
+            else if (title.has(token)) score += 0.5;
+        }
+
+        // Deeper categories win ties against their parents
+        score += category.depth * 0.1;
+
+        ranked.push({
+            id: category.id,
+            path: category.path,
+            score: round(score),
+            coverage: matchedLeaf / category.leafTokens.length,
+        });
+    }
+
+    return ranked.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Keyword categorization. Confidence mixes how much of the category name
+ * matched with the margin over the runner-up.
+ * @returns {{ category, confidence, candidates }|null}
+ */
+export const categorizeByKeywords = (product, taxonomy = loadTaxonomy()) => {
+    // A productType that already is a taxonomy path needs no guessing
+    const exact = resolveCategory(product.productType, taxonomy);
+    if (exact) {
+        return { category: exact, confidence: 1, candidates: [{ id: exact.id, path: exact.path, score: null }] };
+    }
+
+    const ranked = rankCategories(product, taxonomy);
+    if (ranked.length === 0) return null;
+
+    const [top, second] = ranked;
+    const margin = second ? (top.score - second.score) / top.score : 1;
+
+    return {
+        category: taxonomy.byId.get(top.id),
+        confidence: round(Math.min(1, top.coverage * 0.6 + margin * 0.4)),
+        candidates: ranked.slice(0, CANDIDATE_LIMIT).map(({ id, path, score }) => ({ id, path, score })),
+    };
+};
+
+export const buildCategoryPrompt = (product, candidates) => [
+    "Pick the Google product category for this product from the candidates below.",
+    'Respond as {"id": number, "confidence": number between 0 and 1}.',
+    "",
+    `Title: ${product.title || ""}`,
+    `Product type: ${product.productType || "unknown"}`,
+    `Brand: ${product.brand || "unknown"}`,
+    `Description: ${(product.description || "").slice(0, 500)}`,
+    "",
+    "Candidates:",
+    ...candidates.map(c => `${c.id} - ${c.path}`),
+].join("\n");
+
+/**
+ * Categorize one product. When keywords leave it ambiguous and a provider
+ * is given, the provider chooses between the top candidates.
+ */
+export const categorizeProduct = async (product, { provider, taxonomy = loadTaxonomy() } = {}) => {
+    const current = resolveCategory(product.googleProductCategory, taxonomy);
+    const keywords = categorizeByKeywords(product, taxonomy);
+
+    const result = {
+        offerId: product.offerId,
+        productId: product.id,
+        current: current ? { id: current.id, path: current.path } : null,
+        suggested: null,
+        confidence: 0,
+        candidates: keywords?.candidates || [],
+        method: "keywords",
+    };
+
+    if (!keywords) return result;
+
+    result.suggested = { id: keywords.category.id, path: keywords.category.path };
+    result.confidence = keywords.confidence;
+
+    if (!provider || keywords.confidence >= AI_CONFIDENCE_THRESHOLD || keywords.candidates.length < 2) {
+        return result;
+    }
+
+    const prompt = buildCategoryPrompt(product, keywords.candidates);
+    const answer = await provider.generate({
+        system: CATEGORY_SYSTEM_PROMPT,
+        prompt,
+        json: true,
+        fallback: () => ({ id: keywords.category.id, confidence: keywords.confidence }),
+    });
+
+    const choice = parseJSONResponse(answer.text);
+    const picked = keywords.candidates.find(c => c.id === Number(choice.id));
+
+    // Answers outside the candidate list are ignored
+    if (picked) {
+        const confidence = Number(choice.confidence);
+        result.suggested = { id: picked.id, path: picked.path };
+        result.confidence = Number.isFinite(confidence) ? round(Math.min(Math.max(confidence, 0), 1)) : keywords.confidence;
+        result.method = "ai";
+        result.provider = provider.name;
+        result.model = answer.model;
+        result.prompt = prompt;
+        result.usage = answer.usage;
+    }
+
+    return result;
+};
+
+/**
+ * Categorize products and store a suggestion wherever the best category
+ * differs from the current one.
+ * @param {Object} options - { provider, userId, save, minConfidence }
+ */
+export const createCategorySuggestions = async (merchantId, products, { provider, userId, save = true, minConfidence = 0 } = {}) => {
+    const taxonomy = loadTaxonomy();
+    const results = [];
+    const failures = [];
+    const docs = [];
+
+    for (const product of products) {
+        try {
+            const result = await categorizeProduct(product, { provider, taxonomy });
+            const changed = result.suggested && result.suggested.id !== result.current?.id;
+
+            if (save && changed && result.confidence >= minConfidence) {
+                docs.push({
+                    merchantId,
+                    productId: product.id,
+                    offerId: product.offerId,
+                    field: "googleProductCategory",
+                    currentValue: product.googleProductCategory ?? null,
+                    suggestedValue: String(result.suggested.id),
+                    label: result.suggested.path,
+                    confidence: result.confidence,
+                    provider: result.method === "ai" ? result.provider : "keywords",
+                    model: result.model,
+                    prompt: result.prompt,
+                    usage: result.usage,
+                    createdBy: userId,
+                });
+            }
+
+            delete result.prompt;
+            results.push(result);
+        } catch (error) {
+            console.error(`Categorization failed for ${product.offerId}:`, error.message);
+            failures.push({ offerId: product.offerId, error: error.message });
+        }
+    }
+
+    const suggestions = docs.length > 0 ? await Suggestion.insertMany(docs) : [];
+
+    return { results, suggestions, failures, taxonomyVersion: taxonomy.version };
+};
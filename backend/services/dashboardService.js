@@ -0,0 +1,171 @@
+import Product from "../models/Product.js";
+import SyncRun from "../models/SyncRun.js";
+import { getLatestSyncRun } from "./productSyncService.js";
+import { SCORE_BUCKETS, scoreRangeLabel } from "./feedAuditService.js";
+
+const TOP_ISSUES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const APPROVAL_STATUSES = ["approved", "disapproved", "pending", "unknown"];
+
+const roundScore = (score) => (score == null ? null : Math.round(score * 10) / 10);
+
+const countBy = (field) => [
+    { $group: { _id: { $ifNull: [`$${field}`, ""] }, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+];
+
+/**
+ * Product totals of a merchant's active catalog by approval status.
+ */
+export const summarizeCatalog = async (merchantId) => {
+    const [result] = await Product.aggregate([
+        { $match: { merchantId, removedAt: null } },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: 1 },
+                averageScore: { $avg: "$audit.score" },
+                ...Object.fromEntries(APPROVAL_STATUSES.slice(0, 3).map(status => [
+                    status,
+                    { $sum: { $cond: [{ $eq: ["$productStatus.approvalStatus", status] }, 1, 0] } },
+                ])),
+            },
+        },
+    ]);
+
+    const total = result?.total ?? 0;
+    const approved = result?.approved ?? 0;
+    const disapproved = result?.disapproved ?? 0;
+    const pending = result?.pending ?? 0;
+
+    return {
+        total,
+        approved,
+        disapproved,
+        pending,
+        unknown: total - approved - disapproved - pending,
+        averageScore: roundScore(result?.averageScore),
+    };
+};
+
+/**
+ * Store the catalog totals on a finished sync run. Call it after the
+ * statuses are saved so the approval counts are current. Never throws;
+ * a missing snapshot only leaves a gap in the trends.
+ */
+export const recordCatalogSnapshot = async (run) => {
+    try {
+        run.catalog = await summarizeCatalog(run.merchantId);
+        await run.save();
+    } catch (error) {
+        console.error(`Error recording catalog snapshot for sync run ${run._id}:`, error.message);
+    }
+};
+
+/**
+ * One point per day from completed sync runs: the catalog as the day's last
+ * run left it, with additions, changes and removals summed over the day.
+ * Runs from before catalog snapshots were recorded only have the product count.
+ */
+export const buildSyncTrends = (runs) => {
+    const days = new Map();
+
+    for (const run of runs) {
+        const date = new Date(run.startedAt).toISOString().slice(0, 10);
+        const day = days.get(date) || { date, runs: 0, added: 0, modified: 0, removed: 0 };
+
+        day.runs++;
+        day.added += run.counts?.added || 0;
+        day.modified += run.counts?.modified || 0;
+        day.removed += run.counts?.removed || 0;
+        day.total = run.catalog?.total ?? run.counts?.fetched ?? 0;
+        day.approved = run.catalog?.approved ?? null;
+        day.disapproved = run.catalog?.disapproved ?? null;
+        day.pending = run.catalog?.pending ?? null;
+        day.averageScore = run.catalog?.averageScore ?? null;
+
+        days.set(date, day);
+    }
+
+    return [...days.values()];
+};
+
+/**
+ * Everything the dashboard shows for one merchant, from the local snapshot.
+ * @param {string} merchantId
+ * @param {Object} options - { days } of sync history for the trends
+ */
+export const getDashboard = async (merchantId, { days = 30, now = new Date() } = {}) => {
+    const [[facets], runs, lastSync] = await Promise.all([
+        Product.aggregate([
+            { $match: { merchantId, removedAt: null } },
+            {
+                $facet: {
+                    approval: countBy("productStatus.approvalStatus"),
+                    availability: countBy("availability"),
+                    scores: [
+                        { $bucket: { groupBy: "$audit.score", boundaries: SCORE_BUCKETS, default: "unaudited", output: { count: { $sum: 1 } } } },
+                    ],
+                    averageScore: [{ $group: { _id: null, value: { $avg: "$audit.score" } } }],
+                    auditIssues: [
+                        { $unwind: "$audit.issues" },
+                        { $group: { _id: "$audit.issues.code", severity: { $first: "$audit.issues.severity" }, count: { $sum: 1 } } },
+                        { $sort: { count: -1, _id: 1 } },
+                        { $limit: TOP_ISSUES },
+                    ],
+                    itemIssues: [
+                        { $unwind: "$productStatus.itemLevelIssues" },
+                        {
+                            $group: {
+                                _id: "$productStatus.itemLevelIssues.code",
+                                servability: { $first: "$productStatus.itemLevelIssues.servability" },
+                                description: { $first: "$productStatus.itemLevelIssues.description" },
+                                // An issue repeats per destination; count products
+                                products: { $addToSet: "$_id" },
+                            },
+                        },
+                        { $project: { servability: 1, description: 1, count: { $size: "$products" } } },
+                        { $sort: { count: -1, _id: 1 } },
+                        { $limit: TOP_ISSUES },
+                    ],
+                },
+            },
+        ]),
+        SyncRun.find({ merchantId, status: "completed", startedAt: { $gte: new Date(now.getTime() - days * DAY_MS) } })
+            .sort({ startedAt: 1 })
+            .select("startedAt counts catalog")
+            .lean(),
+        getLatestSyncRun(merchantId),
+    ]);
+
+    const approval = Object.fromEntries(APPROVAL_STATUSES.map(status => [status, 0]));
+    for (const { _id, count } of facets.approval) {
+        // Products whose statuses were never fetched have no approval status
+        approval[APPROVAL_STATUSES.includes(_id) ? _id : "unknown"] += count;
+    }
+
+    const scoreCounts = new Map(facets.scores.map(({ _id, count }) => [_id, count]));
+
+    return {
+        totals: {
+            total: Object.values(approval).reduce((sum, count) => sum + count, 0),
+            ...approval,
+            averageScore: roundScore(facets.averageScore[0]?.value),
+        },
+        scoreDistribution: [
+            ...SCORE_BUCKETS.slice(0, -1).map((min, i) => ({
+                range: scoreRangeLabel(i),
+                count: scoreCounts.get(min) || 0,
+            })),
+            { range: "unaudited", count: scoreCounts.get("unaudited") || 0 },
+        ],
+        availability: facets.availability.map(({ _id, count }) => ({ value: _id, count })),
+        topIssues: {
+            audit: facets.auditIssues.map(({ _id, severity, count }) => ({ code: _id, severity, count })),
+            merchantCenter: facets.itemIssues.map(({ _id, servability, description, count }) => ({ code: _id, servability, description, count })),
+        },
+        trends: buildSyncTrends(runs),
+        lastSync,
+    };
+};
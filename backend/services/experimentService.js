@@ -0,0 +1,314 @@
+import crypto from "crypto";
+import Experiment from "../models/Experiment.js";
+import Suggestion from "../models/Suggestion.js";
+import Product from "../models/Product.js";
+import ProductHistory from "../models/ProductHistory.js";
+import { findSnapshotProducts } from "./productSyncService.js";
+import { createProductChanges, applyProductChanges } from "./productChangeService.js";
+import { getPerformanceProvider } from "./performanceProviderService.js";
+import { toDay } from "./performanceService.js";
+
+const DEFAULT_DURATION_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// -------------------------------
+// STATISTICS
+// -------------------------------
+// Abramowitz & Stegun 7.1.26, accurate to about 1e-7
+const erf = (x) => {
+    const sign = x < 0 ? -1 : 1;
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return sign * y;
+};
+
+export const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+/**
+ * Two-sided two-proportion z-test, e.g. clicks out of impressions.
+ * @returns {{ z: number, pValue: number }|null} null when a group has no trials
+ */
+export const twoProportionZTest = (successesA, trialsA, successesB, trialsB) => {
+    if (!trialsA || !trialsB) return null;
+
+    const pA = successesA / trialsA;
+    const pB = successesB / trialsB;
+    const pooled = (successesA + successesB) / (trialsA + trialsB);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+
+    if (standardError === 0) return { z: 0, pValue: 1 };
+
+    const z = (pB - pA) / standardError;
+    return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+};
+
+// -------------------------------
+// GROUPS
+// -------------------------------
+/**
+ * Split offers into two groups of equal size (±1). The order comes from a
+ * seeded hash, so the same seed always gives the same split.
+ * @returns {Map<string, "control"|"variant">}
+ */
+export const assignGroups = (offerIds, seed = "") => {
+    const hash = (offerId) => crypto.createHash("sha1").update(`${seed}:${offerId}`).digest("hex");
+    const ordered = [...new Set(offerIds.map(String))]
+        .map(offerId => ({ offerId, key: hash(offerId) }))
+        .sort((a, b) => a.key.localeCompare(b.key));
+
+    return new Map(ordered.map(({ offerId }, i) => [offerId, i % 2 === 0 ? "control" : "variant"]));
+};
+
+// Newest pending title suggestion per product (REST id), so each
+// language version keeps its own title
+const latestTitleSuggestions = async (merchantId, productIds) => {
+    const suggestions = await Suggestion.find({ merchantId, productId: { $in: productIds }, field: "title", status: "pending" })
+        .sort({ createdAt: -1 })
+        .lean();
+
+    const byProduct = new Map();
+    for (const suggestion of suggestions) {
+        if (!byProduct.has(suggestion.productId)) byProduct.set(suggestion.productId, suggestion);
+    }
+    return byProduct;
+};
+
+/**
+ * Create a draft experiment from products that have a pending title
+ * suggestion. Products without one are returned as skipped.
+ * @param {Object} options - { name, offerIds, startDate, endDate, durationDays, confidenceLevel, performanceProvider, userId }
+ */
+export const createExperiment = async (merchantId, options) => {
+    const products = await findSnapshotProducts(merchantId, { offerIds: options.offerIds });
+    const suggestions = await latestTitleSuggestions(merchantId, products.map(p => p.id));
+
+    const eligible = products.filter(p => suggestions.has(p.id));
+    const skipped = products
+        .filter(p => !suggestions.has(p.id))
+        .map(p => ({ productId: p.id, offerId: p.offerId, reason: "No pending title suggestion" }));
+
+    const experiment = new Experiment({
+        merchantId,
+        name: options.name,
+        confidenceLevel: options.confidenceLevel,
+        performanceProvider: options.performanceProvider,
+        createdBy: options.userId,
+    });
+
+    const startDate = options.startDate ? new Date(options.startDate) : new Date();
+    experiment.startDate = startDate;
+    experiment.endDate = options.endDate
+        ? new Date(options.endDate)
+        : new Date(startDate.getTime() + ((options.durationDays || DEFAULT_DURATION_DAYS) - 1) * DAY_MS);
+
+    // Versions of one offer share a group: performance is reported per offer
+    const groups = assignGroups(eligible.map(p => p.offerId), String(experiment._id));
+
+    experiment.products = eligible.map(product => {
+        const group = groups.get(product.offerId);
+        const suggestion = suggestions.get(product.id);
+
+        return {
+            offerId: product.offerId,
+            productId: product.id,
+            group,
+            originalTitle: product.title,
+            ...(group === "variant" ? { variantTitle: suggestion.suggestedValue, suggestionId: suggestion._id } : {}),
+        };
+    });
+
+    return { experiment, skipped };
+};
+
+// UTC midnight of the day a date falls on, as performance rows are stored
+const dayStart = (date) => new Date(toDay(date));
+
+/**
+ * Move the window to start on the day the titles went live, keeping its
+ * length, so a draft started later than planned still gets its full run.
+ */
+export const alignWindow = (experiment, startedAt) => {
+    const startDate = dayStart(startedAt);
+    const shift = startDate - experiment.startDate;
+
+    experiment.startDate = startDate;
+    experiment.endDate = new Date(experiment.endDate.getTime() + shift);
+    return experiment;
+};
+
+/**
+ * Apply the optimized titles to the variant group and start the clock.
+ * Their suggestions are marked accepted so they are not applied twice.
+ * When no title could be applied the experiment stays a draft.
+ */
+export const startExperiment = async (user, experiment) => {
+    const variants = experiment.products.filter(p => p.group === "variant");
+
+    const { changes, skipped } = await createProductChanges(
+        experiment.merchantId,
+        variants.map(p => ({ productId: p.productId, offerId: p.offerId, field: "title", value: p.variantTitle, suggestionId: p.suggestionId })),
+        { source: "ai", status: "approved", userId: user._id }
+    );
+
+    const result = await applyProductChanges(user, experiment.merchantId, changes.map(c => c._id));
+
+    // Nothing went live: stay a draft so it can be started again
+    if (result.applied.length === 0) {
+        return {
+            experiment,
+            applied: 0,
+            failed: result.failed.map(c => ({ offerId: c.offerId, error: c.lastError })),
+            skipped: [...skipped, ...result.skipped],
+        };
+    }
+
+    const changeByProduct = new Map(result.applied.map(c => [c.productId, c]));
+    for (const product of variants) {
+        product.changeId = changeByProduct.get(product.productId)?._id;
+    }
+
+    await Suggestion.updateMany(
+        { _id: { $in: result.applied.map(c => c.suggestionId).filter(Boolean) } },
+        { $set: { status: "accepted", reviewedBy: user._id, reviewedAt: new Date() } }
+    );
+
+    experiment.status = "running";
+    experiment.startedAt = new Date();
+    alignWindow(experiment, experiment.startedAt);
+    await experiment.save();
+
+    return {
+        experiment,
+        applied: result.applied.length,
+        failed: result.failed.map(c => ({ offerId: c.offerId, error: c.lastError })),
+        skipped: [...skipped, ...result.skipped],
+    };
+};
+
+// -------------------------------
+// RESULTS
+// -------------------------------
+const emptyGroup = () => ({ products: 0, clicks: 0, impressions: 0, ctr: 0 });
+
+const withCtr = (group) => ({ ...group, ctr: group.impressions ? group.clicks / group.impressions : 0 });
+
+/**
+ * Clicks, impressions and CTR per group over the experiment window (up to
+ * `now` while it is running), with a two-proportion z-test on CTR.
+ * Days before the experiment started are never counted, and variants
+ * whose title change failed are left out of the comparison.
+ */
+export const computeExperimentResults = async (experiment, { provider, now = new Date() } = {}) => {
+    const source = provider || getPerformanceProvider(experiment.performanceProvider);
+    const included = experiment.products.filter(p => p.group === "control" || p.changeId);
+    const groupOf = new Map(included.map(p => [p.offerId, p.group]));
+
+    const firstDay = experiment.startedAt ? dayStart(experiment.startedAt) : null;
+    const startDate = firstDay && experiment.startDate < firstDay ? firstDay : experiment.startDate;
+    const endDate = experiment.endDate < now ? experiment.endDate : now;
+    const rows = endDate < startDate ? [] : await source.fetchOfferMetrics({
+        merchantId: experiment.merchantId,
+        offerIds: [...groupOf.keys()],
+        startDate,
+        endDate,
+    });
+
+    const totals = { control: emptyGroup(), variant: emptyGroup() };
+    const daily = new Map();
+
+    for (const product of included) totals[product.group].products++;
+
+    for (const row of rows) {
+        const group = groupOf.get(row.offerId);
+        if (!group) continue;
+
+        totals[group].clicks += row.clicks;
+        totals[group].impressions += row.impressions;
+
+        if (!daily.has(row.date)) daily.set(row.date, { date: row.date, control: { clicks: 0, impressions: 0 }, variant: { clicks: 0, impressions: 0 } });
+        daily.get(row.date)[group].clicks += row.clicks;
+        daily.get(row.date)[group].impressions += row.impressions;
+    }
+
+    const control = withCtr(totals.control);
+    const variant = withCtr(totals.variant);
+    const test = twoProportionZTest(control.clicks, control.impressions, variant.clicks, variant.impressions);
+
+    return {
+        computedAt: new Date(),
+        window: { startDate: toDay(startDate), endDate: toDay(endDate) },
+        control,
+        variant,
+        lift: control.ctr ? (variant.ctr - control.ctr) / control.ctr : null,
+        zScore: test?.z ?? null,
+        pValue: test?.pValue ?? null,
+        significant: test ? test.pValue < 1 - experiment.confidenceLevel : false,
+        daily: [...daily.values()]
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(day => ({ date: day.date, control: withCtr(day.control), variant: withCtr(day.variant) })),
+    };
+};
+
+/**
+ * Store the final results. The variant titles stay live; roll them back
+ * through the product history if the variant lost.
+ */
+export const completeExperiment = async (experiment, options = {}) => {
+    experiment.results = await computeExperimentResults(experiment, options);
+    experiment.status = "completed";
+    experiment.completedAt = new Date();
+    await experiment.save();
+
+    return experiment;
+};
+
+/**
+ * Put the variant group's titles back to their pre-experiment values,
+ * taken from the product history entries of the experiment's changes.
+ * Titles edited again since then are left alone and reported as skipped.
+ * @returns {Promise<{ reverted: number, failed: Array, skipped: Array }>}
+ */
+export const revertExperimentTitles = async (user, experiment) => {
+    const variants = experiment.products.filter(p => p.group === "variant" && p.changeId);
+    if (variants.length === 0) return { reverted: 0, failed: [], skipped: [] };
+
+    const [entries, products] = await Promise.all([
+        ProductHistory.find({ merchantId: experiment.merchantId, changeId: { $in: variants.map(p => p.changeId) } }).lean(),
+        Product.find({ merchantId: experiment.merchantId, id: { $in: variants.map(p => p.productId) }, removedAt: null })
+            .select("id title")
+            .lean(),
+    ]);
+    const entryByChange = new Map(entries.map(e => [String(e.changeId), e]));
+    const titleByProduct = new Map(products.map(p => [p.id, p.title]));
+
+    const edits = [];
+    const skipped = [];
+
+    for (const product of variants) {
+        const entry = entryByChange.get(String(product.changeId));
+
+        if (!entry) {
+            skipped.push({ offerId: product.offerId, reason: "No history entry for the variant title" });
+        } else if (titleByProduct.get(product.productId) !== product.variantTitle) {
+            skipped.push({ offerId: product.offerId, reason: "Title was changed after the experiment started" });
+        } else {
+            // Restores the version before the one that applied the variant title
+            edits.push({ productId: product.productId, offerId: product.offerId, field: "title", value: entry.oldValue, rollbackOf: entry.version - 1 });
+        }
+    }
+
+    const { changes, skipped: unchanged } = await createProductChanges(experiment.merchantId, edits, {
+        source: "manual",
+        status: "approved",
+        userId: user._id,
+    });
+    const result = changes.length > 0
+        ? await applyProductChanges(user, experiment.merchantId, changes.map(c => c._id))
+        : { applied: [], failed: [], skipped: [] };
+
+    return {
+        reverted: result.applied.length,
+        failed: result.failed.map(c => ({ offerId: c.offerId, error: c.lastError })),
+        skipped: [...skipped, ...unchanged, ...result.skipped],
+    };
+};
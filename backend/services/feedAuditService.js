@@ -0,0 +1,313 @@
+import Product from "../models/Product.js";
+import { buildPricingContext, validatePricing } from "./pricingValidationService.js";
+import { imageAnalysisIssues, indexImageHashes } from "./imageAnalysisService.js";
+import { indexGtins, validateIdentifiers } from "../utils/identifierValidator.js";
+
+// Points taken off the 100 score for each issue
+export const SEVERITY_PENALTY = {
+    error: 25,
+    warning: 10,
+    info: 3,
+};
+
+const TITLE_MAX_LENGTH = 150;
+const TITLE_MIN_LENGTH = 30;
+// Google truncates titles in most placements around here
+const TITLE_VISIBLE_LENGTH = 70;
+const MIN_PRODUCT_TYPE_DEPTH = 2;
+
+const VALID_CONDITIONS = ["new", "refurbished", "used"];
+const VALID_AVAILABILITY = ["in stock", "out of stock", "preorder", "backorder"];
+const PROMOTIONAL_PATTERN = /\b(free shipping|sale|discount|best price|cheapest|buy now)\b|!{2,}/i;
+
+const CUSTOM_LABELS = ["customLabel0", "customLabel1", "customLabel2", "customLabel3", "customLabel4"];
+
+const issue = (code, field, severity, message) => ({ code, field, severity, message });
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+// -------------------------------
+// RULES
+// Each rule receives a normalized product and returns an issue, a list of issues or nothing.
+// -------------------------------
+const titleRule = (product) => {
+    const title = product.title?.trim();
+
+    if (!title) return issue("title_missing", "title", "error", "Title is missing");
+
+    const issues = [];
+
+    if (title.length > TITLE_MAX_LENGTH) {
+        issues.push(issue("title_too_long", "title", "error", `Title is longer than ${TITLE_MAX_LENGTH} characters`));
+    } else if (title.length < TITLE_MIN_LENGTH) {
+        issues.push(issue("title_too_short", "title", "warning", `Title is shorter than ${TITLE_MIN_LENGTH} characters`));
+    }
+
+    if (title === title.toUpperCase() && /[A-Z]/.test(title)) {
+        issues.push(issue("title_all_caps", "title", "warning", "Title is written in capital letters"));
+    }
+
+    if (PROMOTIONAL_PATTERN.test(title)) {
+        issues.push(issue("title_promotional", "title", "warning", "Title contains promotional text"));
+    }
+
+    // Keyword placement - the brand should be visible before truncation
+    if (!isBlank(product.brand)) {
+        const position = title.toLowerCase().indexOf(product.brand.trim().toLowerCase());
+
+        if (position === -1) {
+            issues.push(issue("title_missing_brand", "title", "warning", "Title does not mention the brand"));
+        } else if (position > TITLE_VISIBLE_LENGTH) {
+            issues.push(issue("title_brand_truncated", "title", "info", `Brand appears after the first ${TITLE_VISIBLE_LENGTH} characters`));
+        }
+    }
+
+    // ...and so should the most specific product type keyword
+    const typeKeyword = product.productType?.split(">").pop().trim().toLowerCase();
+    if (typeKeyword) {
+        const words = typeKeyword.split(/\s+/).filter(w => w.length > 2);
+        const head = title.toLowerCase().slice(0, TITLE_VISIBLE_LENGTH);
+        if (words.length > 0 && !words.some(w => head.includes(w.replace(/s$/, "")))) {
+            issues.push(issue("title_missing_product_type", "title", "info", "Product type keyword is not in the visible part of the title"));
+        }
+    }
+
+    return issues;
+};
+
+const identifierRule = (product, context) => {
+    const issues = [];
+
+    if (isBlank(product.brand)) {
+        issues.push(issue("brand_missing", "brand", "error", "Brand is missing"));
+    }
+
+    // Custom-made items declare identifier_exists: no and need neither
+    if (isBlank(product.gtin) && product.identifierExists !== false) {
+        issues.push(issue("gtin_missing", "gtin", "warning", "GTIN is missing"));
+
+        if (isBlank(product.mpn)) {
+            issues.push(issue("mpn_missing", "mpn", "warning", "MPN is missing and there is no GTIN"));
+        }
+    }
+
+    issues.push(...validateIdentifiers(product, context));
+
+    return issues;
+};
+
+const conditionRule = (product) => {
+    if (isBlank(product.condition)) {
+        return issue("condition_missing", "condition", "warning", "Condition is missing");
+    }
+    if (!VALID_CONDITIONS.includes(product.condition)) {
+        return issue("condition_invalid", "condition", "error", `Condition "${product.condition}" is not a supported value`);
+    }
+    return null;
+};
+
+const availabilityRule = (product) => {
+    if (isBlank(product.availability)) {
+        return issue("availability_missing", "availability", "error", "Availability is missing");
+    }
+    if (!VALID_AVAILABILITY.includes(product.availability)) {
+        return issue("availability_invalid", "availability", "error", `Availability "${product.availability}" is not a supported value`);
+    }
+    return null;
+};
+
+// Price, sale price, currency and price history checks
+const priceRule = (product, context) => validatePricing(product, context.pricing);
+
+const imageRule = (product, context) => {
+    if (isBlank(product.imageLink)) {
+        return issue("image_missing", "imageLink", "error", "Main image is missing");
+    }
+
+    // Downloaded image checks, once an image analysis has run
+    const issues = imageAnalysisIssues(product, context);
+
+    if (!product.additionalImageLinks?.length) {
+        issues.push(issue("additional_images_missing", "additionalImageLinks", "info", "No additional images"));
+    }
+    return issues;
+};
+
+const productTypeRule = (product) => {
+    if (isBlank(product.productType)) {
+        return issue("product_type_missing", "productType", "warning", "Product type is missing");
+    }
+
+    const depth = product.productType.split(">").filter(part => part.trim()).length;
+    if (depth < MIN_PRODUCT_TYPE_DEPTH) {
+        return issue("product_type_shallow", "productType", "info", `Product type has fewer than ${MIN_PRODUCT_TYPE_DEPTH} levels`);
+    }
+    return null;
+};
+
+const customLabelRule = (product) => {
+    if (CUSTOM_LABELS.every(label => isBlank(product[label]))) {
+        return issue("custom_labels_empty", "customLabel0", "info", "No custom labels are set");
+    }
+    return null;
+};
+
+export const AUDIT_RULES = [
+    titleRule,
+    identifierRule,
+    conditionRule,
+    availabilityRule,
+    priceRule,
+    imageRule,
+    productTypeRule,
+    customLabelRule,
+];
+
+/**
+ * Run every audit rule against one product.
+ * @param {Object} product - Normalized product
+ * @param {Object} context - Catalog-wide data some rules need
+ * @returns {{ score: number, issues: Array }}
+ */
+export const auditProduct = (product, context = {}) => {
+    const issues = AUDIT_RULES.flatMap(rule => [rule(product, context)].flat().filter(Boolean));
+    const penalty = issues.reduce((sum, i) => sum + SEVERITY_PENALTY[i.severity], 0);
+
+    return { score: Math.max(0, 100 - penalty), issues };
+};
+
+// Catalog-wide lookups shared by all rules of one audit pass
+const buildAuditContext = (products) => ({
+    gtinOwners: indexGtins(products),
+    pricing: buildPricingContext(),
+    imageOwners: indexImageHashes(products),
+});
+
+/**
+ * Audit a whole catalog and aggregate the results.
+ */
+export const auditProducts = (products) => {
+    const context = buildAuditContext(products);
+
+    const results = products.map(product => ({
+        id: product.id,
+        offerId: product.offerId,
+        title: product.title,
+        ...auditProduct(product, context),
+    }));
+
+    return { results, summary: summarizeAudit(results) };
+};
+
+// Score ranges of the audit summary, the dashboard and the product search
+// facets: lower bounds, the last one exclusive
+export const SCORE_BUCKETS = [0, 50, 70, 90, 101];
+
+export const scoreRangeLabel = (i) => `${SCORE_BUCKETS[i]}-${Math.min(SCORE_BUCKETS[i + 1] - 1, 100)}`;
+
+const emptyDistribution = () =>
+    Object.fromEntries(SCORE_BUCKETS.slice(0, -1).map((_, i) => [scoreRangeLabel(i), 0]));
+
+export const summarizeAudit = (results) => {
+    const distribution = emptyDistribution();
+    const issueCounts = {};
+
+    for (const result of results) {
+        const bucket = SCORE_BUCKETS.findLastIndex(min => result.score >= min);
+        distribution[scoreRangeLabel(Math.min(bucket, SCORE_BUCKETS.length - 2))]++;
+
+        for (const i of result.issues) {
+            issueCounts[i.code] ??= { code: i.code, severity: i.severity, count: 0 };
+            issueCounts[i.code].count++;
+        }
+    }
+
+    const total = results.reduce((sum, r) => sum + r.score, 0);
+
+    return {
+        productCount: results.length,
+        averageScore: results.length ? Math.round((total / results.length) * 10) / 10 : null,
+        distribution,
+        issues: Object.values(issueCounts).sort((a, b) => b.count - a.count),
+    };
+};
+
+/**
+ * The audit as the last run saved it: one page of products, worst first,
+ * and the summary of the whole catalog. Nothing is re-audited.
+ * @param {Object} pagination - { offset, pageSize } from parsePagination()
+ * @returns {Promise<{ results, total, summary }>}
+ */
+export const getStoredAudit = async (merchantId, { offset, pageSize }) => {
+    const match = { merchantId, removedAt: null, "audit.score": { $ne: null } };
+
+    const [products, [stats]] = await Promise.all([
+        Product.find(match)
+            .sort({ "audit.score": 1, offerId: 1 })
+            .skip(offset)
+            .limit(pageSize)
+            .select("id offerId title audit")
+            .lean(),
+        Product.aggregate([
+            { $match: match },
+            {
+                $facet: {
+                    totals: [{ $group: { _id: null, count: { $sum: 1 }, average: { $avg: "$audit.score" } } }],
+                    scores: [{ $bucket: { groupBy: "$audit.score", boundaries: SCORE_BUCKETS, output: { count: { $sum: 1 } } } }],
+                    issues: [
+                        { $unwind: "$audit.issues" },
+                        { $group: { _id: "$audit.issues.code", severity: { $first: "$audit.issues.severity" }, count: { $sum: 1 } } },
+                        { $sort: { count: -1, _id: 1 } },
+                    ],
+                },
+            },
+        ]),
+    ]);
+
+    const distribution = emptyDistribution();
+    for (const { _id, count } of stats.scores) {
+        distribution[scoreRangeLabel(SCORE_BUCKETS.indexOf(_id))] = count;
+    }
+
+    const total = stats.totals[0]?.count ?? 0;
+
+    return {
+        results: products.map(p => ({ id: p.id, offerId: p.offerId, title: p.title, score: p.audit.score, issues: p.audit.issues })),
+        total,
+        summary: {
+            productCount: total,
+            averageScore: total ? Math.round(stats.totals[0].average * 10) / 10 : null,
+            distribution,
+            issues: stats.issues.map(({ _id, severity, count }) => ({ code: _id, severity, count })),
+        },
+    };
+};
+
+/**
+ * Audit every active product of a merchant from the local store
+ * and save the score on each product.
+ */
+export const runMerchantAudit = async (merchantId) => {
+    const products = await Product.find({ merchantId, removedAt: null }).select("-raw -hash").lean();
+    const audit = auditProducts(products);
+    const auditedAt = new Date();
+
+    if (products.length > 0) {
+        await Product.bulkWrite(products.map((product, i) => ({
+            updateOne: {
+                filter: { _id: product._id },
+                update: {
+                    $set: {
+                        audit: {
+                            score: audit.results[i].score,
+                            issues: audit.results[i].issues,
+                            auditedAt,
+                        },
+                    },
+                },
+            },
+        })), { ordered: false });
+    }
+
+    return audit;
+};
@@ -0,0 +1,162 @@
+import { once } from "events";
+import Product from "../models/Product.js";
+import ProductChange from "../models/ProductChange.js";
+import FeedRule from "../models/FeedRule.js";
+import { applyRules } from "./feedRulesService.js";
+import { FEED_ATTRIBUTES, FIELD_TO_ATTRIBUTE, formatFeedValue } from "../utils/feedAttributes.js";
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+    tsv: { contentType: "text/tab-separated-values; charset=utf-8", extension: "tsv" },
+    xml: { contentType: "application/xml; charset=utf-8", extension: "xml" },
+};
+
+// -------------------------------
+// WRITERS
+// Each writer turns { field: value } rows into text chunks.
+// -------------------------------
+const csvCell = (value) => {
+    const text = Array.isArray(value) ? value.join(",") : value;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const tsvCell = (value) => (Array.isArray(value) ? value.join(",") : value).replace(/[\t\r\n]+/g, " ");
+
+const xmlEscape = (text) => text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const delimitedWriter = (fields, delimiter, cell) => ({
+    header: () => `${fields.map(f => FIELD_TO_ATTRIBUTE[f]).join(delimiter)}\n`,
+    row: (values) => `${fields.map(f => cell(values[f])).join(delimiter)}\n`,
+    footer: () => "",
+});
+
+// RSS 2.0 with the Google "g:" namespace
+const xmlWriter = (fields, { title, link }) => ({
+    header: () => [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+        "<channel>",
+        `<title>${xmlEscape(title)}</title>`,
+        `<link>${xmlEscape(link)}</link>`,
+        "<description>Supplemental feed generated by Leap Feed Optimizer</description>",
+        "",
+    ].join("\n"),
+    row: (values) => {
+        const tags = fields.flatMap(field => {
+            const value = values[field];
+            const attribute = FIELD_TO_ATTRIBUTE[field];
+            return [value].flat()
+                .filter(v => v !== "")
+                .map(v => `<g:${attribute}>${xmlEscape(v)}</g:${attribute}>`);
+        });
+        return `<item>\n${tags.join("\n")}\n</item>\n`;
+    },
+    footer: () => "</channel>\n</rss>\n",
+});
+
+export const createFeedWriter = (format, fields, meta = {}) => {
+    if (format === "csv") return delimitedWriter(fields, ",", csvCell);
+    if (format === "tsv") return delimitedWriter(fields, "\t", tsvCell);
+    if (format === "xml") return xmlWriter(fields, { title: "Supplemental feed", link: "", ...meta });
+    throw new Error(`Unsupported feed format "${format}"`);
+};
+
+// -------------------------------
+// OPTIMIZED VALUES
+// -------------------------------
+/**
+ * Snapshot + approved changes not pushed yet + enabled feed rules.
+ */
+export const buildOptimizedProduct = (product, approvedChanges = [], rules = []) => {
+    const optimized = { ...product };
+    for (const change of approvedChanges) {
+        optimized[change.field] = change.newValue;
+    }
+    return applyRules(optimized, rules).product;
+};
+
+export const toFeedRow = (product, fields) =>
+    Object.fromEntries(fields.map(field => [field, formatFeedValue(field, product[field])]));
+
+/**
+ * Resolve the requested attribute list. The id column is always included.
+ * @param {string} requested - Comma separated normalized fields or Google attribute names
+ */
+export const resolveExportFields = (requested) => {
+    if (!requested) return FEED_ATTRIBUTES.map(([field]) => field);
+
+    const wanted = new Set(String(requested).split(",").map(s => s.trim()).filter(Boolean));
+    const fields = FEED_ATTRIBUTES
+        .filter(([field, attribute]) => wanted.has(field) || wanted.has(attribute))
+        .map(([field]) => field);
+
+    return ["offerId", ...fields.filter(f => f !== "offerId")];
+};
+
+/**
+ * Stream a supplemental feed for a merchant into a writable stream,
+ * reading products with a cursor so large catalogs stay out of memory.
+ * @returns {Promise<number>} Number of products written
+ */
+export const streamSupplementalFeed = async (merchantId, format, output, { fields, meta } = {}) => {
+    const exportFields = fields || resolveExportFields();
+    const writer = createFeedWriter(format, exportFields, meta);
+
+    const [approved, rules] = await Promise.all([
+        ProductChange.find({ merchantId, status: "approved" }).sort({ createdAt: 1 }).lean(),
+        FeedRule.find({ merchantId, enabled: true }).sort({ order: 1, createdAt: 1 }).lean(),
+    ]);
+
+    const changesByProduct = new Map();
+    for (const change of approved) {
+        if (!changesByProduct.has(change.productId)) changesByProduct.set(change.productId, []);
+        changesByProduct.get(change.productId).push(change);
+    }
+
+    // Wait out backpressure, but give up when the client disconnects;
+    // "drain" never fires on a closed response
+    const write = async (chunk) => {
+        if (output.destroyed) throw new Error("Output closed before the export finished");
+        if (output.write(chunk)) return;
+
+        const waiting = new AbortController();
+        try {
+            await Promise.race([
+                once(output, "drain", { signal: waiting.signal }),
+                once(output, "close", { signal: waiting.signal }).then(() => {
+                    throw new Error("Output closed before the export finished");
+                }),
+            ]);
+        } finally {
+            waiting.abort();
+        }
+    };
+
+    await write(writer.header());
+
+    let count = 0;
+    const cursor = Product.find({ merchantId, removedAt: null })
+        .sort({ offerId: 1 })
+        .select("-hash -audit -productStatus")
+        .lean()
+        .cursor();
+
+    try {
+        for await (const product of cursor) {
+            const optimized = buildOptimizedProduct(product, changesByProduct.get(product.id), rules);
+            await write(writer.row(toFeedRow(optimized, exportFields)));
+            count++;
+        }
+    } finally {
+        await cursor.close();
+    }
+
+    await write(writer.footer());
+
+    return count;
+};
@@ -0,0 +1,222 @@
+import mongoose from "mongoose";
+import FeedSource from "../models/FeedSource.js";
+import { normalizeProduct } from "./googleMerchantService.js";
+import { toApiAttribute } from "./productPushService.js";
+import { saveProductSnapshot, startSyncRun } from "./productSyncService.js";
+import { recordCatalogSnapshot } from "./dashboardService.js";
+import { ATTRIBUTE_TO_FIELD } from "../utils/feedAttributes.js";
+import { detectFeedFormat, FEED_FILE_FORMATS, parseFeedFile } from "../utils/feedParser.js";
+import { OFFLINE_PREFIX } from "../utils/merchantSource.js";
+
+// Errors kept on the sync run; the full list is only returned to the uploader
+const RUN_ERROR_LIMIT = 50;
+
+const PRICE_FIELDS = ["price", "salePrice"];
+const YES = ["yes", "y", "true", "1"];
+const NO = ["no", "n", "false", "0"];
+
+// -------------------------------
+// VALUE PARSING
+// -------------------------------
+// Digits in groups of three after the first, split by `separator`
+const groupedPattern = (separator) => new RegExp(`^\\d{1,3}(\\${separator}\\d{3})+$`);
+const GROUPED = { ".": groupedPattern("."), ",": groupedPattern(",") };
+
+/**
+ * Amount text as a plain decimal number ("1.299,00" -> "1299.00").
+ * With both separators the last one is the decimal point. A lone separator
+ * followed by exactly three digits ("1.299") could be either, so it is refused.
+ * @returns {string|null}
+ */
+const normalizeAmount = (amount) => {
+    const separators = [...new Set(amount.replace(/\d/g, ""))];
+    if (separators.length === 0) return amount;
+
+    if (separators.length === 2) {
+        const decimal = amount.lastIndexOf(",") > amount.lastIndexOf(".") ? "," : ".";
+        const [whole, fraction, ...rest] = amount.split(decimal);
+        const thousands = decimal === "," ? "." : ",";
+        if (rest.length > 0 || !fraction || !GROUPED[thousands].test(whole)) return null;
+        return `${whole.split(thousands).join("")}.${fraction}`;
+    }
+
+    const [separator] = separators;
+    const parts = amount.split(separator);
+    if (parts.length > 2) return GROUPED[separator].test(amount) ? parts.join("") : null;
+
+    const [whole, fraction] = parts;
+    if (!whole || !fraction || fraction.length === 3) return null;
+    return `${whole}.${fraction}`;
+};
+
+/**
+ * "12.99 USD", "USD 12.99", "12,99 EUR" or "1.299,00 EUR" -> { value, currency }
+ * @returns {Object|null} null when the text is not a price, or its amount is ambiguous
+ */
+export const parseFeedPrice = (text) => {
+    const match = String(text).trim().match(/^([A-Za-z]{3})?\s*([\d.,]+)\s*([A-Za-z]{3})?$/);
+    if (!match || (match[1] && match[3])) return null;
+
+    const [, before, amount, after] = match;
+    const value = Number.parseFloat(normalizeAmount(amount));
+    if (!Number.isFinite(value)) return null;
+
+    return { value: value.toFixed(2), currency: (before || after)?.toUpperCase() };
+};
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Convert one parsed record into the Content API product resource, so the
+ * result goes through the same normalizeProduct() as synced products.
+ * @returns {{ resource: Object, errors: Array<{ field, message }> }}
+ */
+export const toProductResource = (attributes, { contentLanguage, targetCountry }) => {
+    const offerId = String(first(attributes.id));
+    const resource = {
+        kind: "content#product",
+        id: `online:${contentLanguage}:${targetCountry}:${offerId}`,
+        offerId,
+        channel: "online",
+        contentLanguage,
+        targetCountry,
+    };
+    const customAttributes = [];
+    const errors = [];
+
+    for (const [attribute, rawValue] of Object.entries(attributes)) {
+        const field = ATTRIBUTE_TO_FIELD[attribute];
+
+        if (!field) {
+            customAttributes.push({ name: attribute, value: typeof rawValue === "string" ? rawValue : JSON.stringify(rawValue) });
+            continue;
+        }
+        if (field === "offerId") continue;
+
+        let value = first(rawValue);
+
+        if (PRICE_FIELDS.includes(field)) {
+            value = parseFeedPrice(value);
+            if (!value) {
+                errors.push({ field, message: `${attribute} "${first(rawValue)}" is not a valid price; write amounts like "1299.00 EUR"` });
+                continue;
+            }
+            if (!value.currency) {
+                errors.push({ field, message: `${attribute} "${first(rawValue)}" has no currency` });
+            }
+        } else if (field === "additionalImageLinks") {
+            value = [rawValue].flat().flatMap(v => String(v).split(",")).map(v => v.trim()).filter(Boolean);
+        } else if (field === "identifierExists") {
+            const text = String(value).toLowerCase();
+            if (!YES.includes(text) && !NO.includes(text)) {
+                errors.push({ field, message: `identifier_exists must be yes or no, got "${value}"` });
+                continue;
+            }
+            value = YES.includes(text);
+        } else if (field === "availability") {
+            value = String(value).toLowerCase().replace(/_/g, " ");
+        }
+
+        const [apiAttribute, apiValue] = toApiAttribute(field, value);
+        resource[apiAttribute] = apiValue;
+    }
+
+    if (customAttributes.length > 0) resource.customAttributes = customAttributes;
+
+    return { resource, errors };
+};
+
+/**
+ * Parse a feed file into normalized products.
+ * Records without an id, or repeating an earlier id, are skipped.
+ * @returns {{ format, rows, products: Array, errors: Array<{ line, offerId?, field?, message }> }}
+ */
+export const parseFeedProducts = (text, { format, contentLanguage = "en", targetCountry = "US" } = {}) => {
+    const { records, errors } = parseFeedFile(text, format);
+    const products = [];
+    const seen = new Map();
+
+    for (const { line, attributes } of records) {
+        const offerId = first(attributes.id);
+
+        if (!offerId || typeof offerId !== "string") {
+            errors.push({ line, field: "offerId", message: "Missing id" });
+            continue;
+        }
+        if (seen.has(offerId)) {
+            errors.push({ line, offerId, field: "offerId", message: `Duplicate id, first seen on line ${seen.get(offerId)}` });
+            continue;
+        }
+        seen.set(offerId, line);
+
+        const { resource, errors: valueErrors } = toProductResource(attributes, { contentLanguage, targetCountry });
+        errors.push(...valueErrors.map(e => ({ line, offerId, ...e })));
+        products.push(normalizeProduct(resource));
+    }
+
+    errors.sort((a, b) => a.line - b.line);
+
+    return { format, rows: records.length, products, errors };
+};
+
+// -------------------------------
+// OFFLINE SOURCES
+// -------------------------------
+export const createFeedSource = (user, { name, contentLanguage, targetCountry }) => {
+    const _id = new mongoose.Types.ObjectId();
+
+    return FeedSource.create({
+        _id,
+        userId: user._id,
+        merchantId: `${OFFLINE_PREFIX}${_id}`,
+        name,
+        contentLanguage,
+        targetCountry,
+    });
+};
+
+/**
+ * Import a feed file into an offline source. The file is treated as the
+ * full catalog: products missing from it are marked removed, like a sync.
+ * @param {Object} user
+ * @param {Object} source - FeedSource document
+ * @param {string} text - Whole feed file
+ * @param {Object} options - { format, fileName }
+ */
+export const importFeedFile = async (user, source, text, { format, fileName } = {}) => {
+    const feedFormat = format || detectFeedFormat(text, fileName);
+    if (!FEED_FILE_FORMATS.includes(feedFormat)) {
+        throw new Error(`format must be one of: ${FEED_FILE_FORMATS.join(", ")}`);
+    }
+
+    const parsed = parseFeedProducts(text, {
+        format: feedFormat,
+        contentLanguage: source.contentLanguage,
+        targetCountry: source.targetCountry,
+    });
+
+    // Nothing usable: keep the previous catalog instead of marking it all removed
+    if (parsed.products.length === 0) {
+        return { ...parsed, run: null };
+    }
+
+    const run = await startSyncRun(user, source.merchantId, { source: "file_import" });
+    run.errorMessages = parsed.errors
+        .slice(0, RUN_ERROR_LIMIT)
+        .map(e => `Line ${e.line}: ${e.message}`);
+    await saveProductSnapshot(run, source.merchantId, parsed.products);
+    await recordCatalogSnapshot(run);
+
+    source.lastImport = {
+        fileName,
+        format: feedFormat,
+        rows: parsed.rows,
+        imported: parsed.products.length,
+        errorCount: parsed.errors.length,
+        syncRunId: run._id,
+        importedAt: new Date(),
+    };
+    await source.save();
+
+    return { ...parsed, run };
+};
@@ -0,0 +1,246 @@
+import { RE2JS } from "re2js";
+import { EDITABLE_FIELDS } from "./productChangeService.js";
+
+export const CONDITION_OPERATORS = ["contains", "equals", "regex", "range", "missing"];
+export const ACTION_TYPES = ["set", "append", "prepend", "replace", "map", "set_custom_label"];
+
+const isMissing = (value) =>
+    value === undefined || value === null || (typeof value === "string" && value.trim() === "") ||
+    (Array.isArray(value) && value.length === 0);
+
+// Read a field, following dotted paths into nested objects such as raw
+export const getFieldValue = (product, field) =>
+    field.split(".").reduce((value, key) => (value == null ? undefined : value[key]), product);
+
+// Prices are { value, currency }; conditions and actions work on the amount
+const toText = (value) => {
+    if (value && typeof value === "object" && "value" in value) return String(value.value ?? "");
+    if (Array.isArray(value)) return value.join(", ");
+    return value == null ? "" : String(value);
+};
+
+const setFieldValue = (product, field, text) => {
+    const current = product[field];
+    product[field] = current && typeof current === "object" && "value" in current
+        ? { ...current, value: text }
+        : text;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// User-supplied patterns run on RE2, which matches in linear time, so no
+// pattern can stall the event loop across a catalog. RE2 has no
+// backreferences or lookaround; those patterns fail validation.
+const MAX_PATTERN_LENGTH = 500;
+const PATTERN_CACHE_SIZE = 500;
+const patternCache = new Map();
+
+export const compilePattern = (pattern, { caseSensitive = true } = {}) => {
+    const key = `${caseSensitive ? "" : "i"}/${pattern}`;
+
+    if (!patternCache.has(key)) {
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+            throw new Error(`pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+        }
+        if (patternCache.size >= PATTERN_CACHE_SIZE) patternCache.clear();
+        patternCache.set(key, RE2JS.compile(pattern, caseSensitive ? 0 : RE2JS.CASE_INSENSITIVE));
+    }
+    return patternCache.get(key);
+};
+
+/**
+ * @returns {string|null} Why the pattern cannot be used, or null
+ */
+export const patternProblem = (pattern) => {
+    try {
+        compilePattern(String(pattern ?? ""));
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+// -------------------------------
+// VALIDATION
+// -------------------------------
+/**
+ * @returns {Array<string>} Problems with the rule; empty when it is valid
+ */
+export const validateRule = (rule) => {
+    const problems = [];
+
+    if (!rule.name?.trim()) problems.push("name is required");
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) problems.push("at least one action is required");
+
+    (rule.conditions || []).forEach((condition, i) => {
+        if (!condition.field) problems.push(`conditions[${i}]: field is required`);
+        if (!CONDITION_OPERATORS.includes(condition.operator)) {
+            problems.push(`conditions[${i}]: operator must be one of ${CONDITION_OPERATORS.join(", ")}`);
+        }
+        if (condition.operator === "regex") {
+            const problem = patternProblem(condition.value);
+            if (problem) problems.push(`conditions[${i}]: invalid regex: ${problem}`);
+        }
+        if (condition.operator === "range" && condition.min == null && condition.max == null) {
+            problems.push(`conditions[${i}]: range needs min and/or max`);
+        }
+    });
+
+    (rule.actions || []).forEach((action, i) => {
+        if (!ACTION_TYPES.includes(action.type)) {
+            problems.push(`actions[${i}]: type must be one of ${ACTION_TYPES.join(", ")}`);
+            return;
+        }
+        if (action.type === "set_custom_label") {
+            if (!Number.isInteger(action.labelIndex) || action.labelIndex < 0 || action.labelIndex > 4) {
+                problems.push(`actions[${i}]: labelIndex must be 0-4`);
+            }
+            return;
+        }
+        if (!EDITABLE_FIELDS.includes(action.field)) {
+            problems.push(`actions[${i}]: field "${action.field}" cannot be edited`);
+        }
+        if (action.type === "replace" && !action.find) problems.push(`actions[${i}]: find is required`);
+        if (action.type === "replace" && action.regex) {
+            const problem = patternProblem(action.find);
+            if (problem) problems.push(`actions[${i}]: invalid regex: ${problem}`);
+        }
+        if (action.type === "map" && (!action.lookup || typeof action.lookup !== "object")) {
+            problems.push(`actions[${i}]: lookup table is required`);
+        }
+    });
+
+    return problems;
+};
+
+// -------------------------------
+// EVALUATION
+// -------------------------------
+export const evaluateCondition = (product, condition) => {
+    const value = getFieldValue(product, condition.field);
+    const text = toText(value);
+    const flags = condition.caseSensitive ? "" : "i";
+    let matched;
+
+    switch (condition.operator) {
+        case "missing":
+            matched = isMissing(value);
+            break;
+        case "contains":
+            matched = new RegExp(escapeRegex(condition.value ?? ""), flags).test(text);
+            break;
+        case "equals":
+            matched = condition.caseSensitive
+                ? text === (condition.value ?? "")
+                : text.toLowerCase() === (condition.value ?? "").toLowerCase();
+            break;
+        case "regex":
+            matched = compilePattern(condition.value ?? "", { caseSensitive: Boolean(condition.caseSensitive) }).matcher(text).find();
+            break;
+        case "range": {
+            const number = Number.parseFloat(text);
+            matched = Number.isFinite(number) &&
+                (condition.min == null || number >= condition.min) &&
+                (condition.max == null || number <= condition.max);
+            break;
+        }
+        default:
+            matched = false;
+    }
+
+    return condition.negate ? !matched : matched;
+};
+
+export const ruleMatches = (product, rule) => {
+    const conditions = rule.conditions || [];
+    if (conditions.length === 0) return true;
+
+    return rule.conditionMatch === "any"
+        ? conditions.some(c => evaluateCondition(product, c))
+        : conditions.every(c => evaluateCondition(product, c));
+};
+
+// Run one action against the working copy of a product
+const applyAction = (product, action) => {
+    if (action.type === "set_custom_label") {
+        product[`customLabel${action.labelIndex}`] = action.value ?? "";
+        return;
+    }
+
+    const current = toText(product[action.field]);
+
+    switch (action.type) {
+        case "set":
+            setFieldValue(product, action.field, action.value ?? "");
+            break;
+        case "append":
+            setFieldValue(product, action.field, `${current}${action.value ?? ""}`);
+            break;
+        case "prepend":
+            setFieldValue(product, action.field, `${action.value ?? ""}${current}`);
+            break;
+        case "replace": {
+            const replaced = action.regex
+                ? compilePattern(action.find).matcher(current).replaceAll(action.replaceWith ?? "")
+                : current.split(action.find).join(action.replaceWith ?? "");
+            setFieldValue(product, action.field, replaced);
+            break;
+        }
+        case "map": {
+            const key = toText(getFieldValue(product, action.sourceField || action.field));
+            if (Object.prototype.hasOwnProperty.call(action.lookup || {}, key)) {
+                setFieldValue(product, action.field, String(action.lookup[key]));
+            }
+            break;
+        }
+    }
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Run ordered rules against one product. Each rule sees the output of
+ * the previous ones, like Merchant Center feed rules.
+ * @returns {{ product: Object, changes: Array<{ field, before, after, ruleIds }> }}
+ */
+export const applyRules = (product, rules) => {
+    const working = { ...product };
+    const touchedBy = {};
+
+    for (const rule of rules) {
+        if (rule.enabled === false || !ruleMatches(working, rule)) continue;
+
+        for (const action of rule.actions || []) {
+            applyAction(working, action);
+            const field = action.type === "set_custom_label" ? `customLabel${action.labelIndex}` : action.field;
+            touchedBy[field] = [...new Set([...(touchedBy[field] || []), String(rule._id ?? rule.name)])];
+        }
+    }
+
+    const changes = Object.keys(touchedBy)
+        .filter(field => !sameValue(product[field], working[field]))
+        .map(field => ({ field, before: product[field] ?? null, after: working[field], ruleIds: touchedBy[field] }));
+
+    return { product: working, changes };
+};
+
+/**
+ * Before/after for every product the rules change.
+ */
+export const dryRunRules = (products, rules) => {
+    const ordered = [...rules].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    const affected = [];
+
+    for (const product of products) {
+        const { changes } = applyRules(product, ordered);
+        if (changes.length > 0) {
+            affected.push({ id: product.id, offerId: product.offerId, title: product.title, changes });
+        }
+    }
+
+    return {
+        evaluated: products.length,
+        affectedCount: affected.length,
+        affected,
+    };
+};
@@ -1,5 +1,126 @@
 import { google } from "googleapis";
 import User from "../models/User.js";
+import { startSyncRun, saveProductSnapshot, saveProductStatuses, failSyncRun } from "./productSyncService.js";
+import { recordCatalogSnapshot } from "./dashboardService.js";
+
+// Google API max for products.list and productstatuses.list
+const PRODUCTS_PAGE_SIZE = 250;
+
+/**
+ * Map a Content API product resource to the shape the app works with.
+ * The full resource is kept under `raw`.
+ */
+export const normalizeProduct = (p) => ({
+    id: p.id,
+    title: p.title,
+    description: p.description,
+    link: p.link,
+    imageLink: p.imageLink,
+    additionalImageLinks: p.additionalImageLinks || [],
+    price: p.price,
+    salePrice: p.salePrice,
+    salePriceEffectiveDate: p.salePriceEffectiveDate,
+    availability: p.availability,
+    brand: p.brand,
+    gtin: p.gtin,
+    mpn: p.mpn,
+    identifierExists: p.identifierExists,
+    condition: p.condition,
+    productType: p.productTypes?.[0] ?? p.productType,
+    googleProductCategory: p.googleProductCategory,
+    color: p.color,
+    size: p.sizes?.[0],
+    material: p.material,
+    gender: p.gender,
+    ageGroup: p.ageGroup,
+    pattern: p.pattern,
+    customLabel0: p.customLabel0,
+    customLabel1: p.customLabel1,
+    customLabel2: p.customLabel2,
+    customLabel3: p.customLabel3,
+    customLabel4: p.customLabel4,
+    channel: p.channel,
+    offerId: p.offerId,
+    contentLanguage: p.contentLanguage,
+    targetCountry: p.targetCountry,
+    raw: p
+});
+
+/**
+ * Content API v2.1 client authorized with the user's Google tokens
+ */
+export const getContentClient = (user) => {
+    const auth = new google.auth.OAuth2(
+        process.env.GOOGLE_CLIENT_ID,
+        process.env.GOOGLE_CLIENT_SECRET
+    );
+
+    auth.setCredentials({
+        access_token: user.googleAccessToken,
+        refresh_token: user.googleRefreshToken,
+    });
+
+    return google.content({ version: "v2.1", auth });
+};
+
+// Overall account health from accountstatuses issue severities
+export const deriveAccountHealth = (issues = [], websiteClaimed) => {
+    if (issues.some(i => i.severity === "critical")) return "critical";
+    if (issues.some(i => i.severity === "error") || websiteClaimed === false) return "warning";
+    return "healthy";
+};
+
+/**
+ * Account-level issues (suspension risk, website claim, shipping...)
+ * from accountstatuses. Failures are reported as an "unknown" health.
+ */
+export const fetchGoogleAccountHealth = async (content, merchantId) => {
+    try {
+        const response = await content.accountstatuses.get({
+            merchantId: merchantId,
+            accountId: merchantId,
+        });
+
+        const issues = (response.data.accountLevelIssues || []).map(issue => ({
+            id: issue.id,
+            title: issue.title,
+            severity: issue.severity,
+            country: issue.country,
+            destination: issue.destination,
+            detail: issue.detail,
+            documentation: issue.documentation,
+        }));
+
+        return {
+            status: deriveAccountHealth(issues, response.data.websiteClaimed),
+            websiteClaimed: response.data.websiteClaimed ?? null,
+            issues,
+            checkedAt: new Date(),
+        };
+    } catch (err) {
+        console.error(`Error fetching account status for ${merchantId}:`, err.message);
+        return { status: "unknown", issues: [], checkedAt: new Date(), error: err.message };
+    }
+};
+
+/**
+ * Refresh health of the accounts already stored on the user.
+ */
+export const refreshMerchantAccountHealth = async (user) => {
+    if (!user.googleAccessToken || !user.googleRefreshToken) {
+        console.error("Missing Google tokens for:", user.email);
+        return user.googleMerchantAccounts;
+    }
+
+    const content = getContentClient(user);
+
+    for (const account of user.googleMerchantAccounts) {
+        account.health = await fetchGoogleAccountHealth(content, account.id);
+    }
+
+    await user.save();
+    return user.googleMerchantAccounts;
+};
 
 export const fetchGoogleMerchantAccounts = async (user) => {
     try {
@@ -8,17 +129,7 @@ export const fetchGoogleMerchantAccounts = async (user) => {
             return [];
         }
 
-        const auth = new google.auth.OAuth2(
-            process.env.GOOGLE_CLIENT_ID,
-            process.env.GOOGLE_CLIENT_SECRET
-        );
-
-        auth.setCredentials({
-            access_token: user.googleAccessToken,
-            refresh_token: user.googleRefreshToken,
-        });
-
-        const content = google.content({ version: "v2.1", auth });
+        const content = getContentClient(user);
 
         console.log(`Fetching ALL merchant accounts for: ${user.email}`);
 
@@ -54,6 +165,7 @@ export const fetchGoogleMerchantAccounts = async (user) => {
                     businessAddress: account.businessInformation?.address || {},
                     phoneNumber: account.businessInformation?.phoneNumber || "",
                     customerService: account.businessInformation?.customerService || {},
+                    health: await fetchGoogleAccountHealth(content, account.id),
                 });
 
                 console.log("Fetched account:", account.id);
@@ -85,56 +197,93 @@ export const fetchGoogleMerchantAccounts = async (user) => {
 };
 
 
+/**
+ * Fetch the full catalog of a merchant account and upsert it into the
+ * local Product store. Every call is recorded as a SyncRun.
+ */
 export const fetchGoogleMerchantProducts = async (user, merchantId) => {
+    let run;
+
     try {
+        run = await startSyncRun(user, merchantId);
+
         if (!user.googleAccessToken || !user.googleRefreshToken) {
             console.error("Missing Google tokens for:", user.email);
+            await failSyncRun(run, new Error("Missing Google tokens"));
             return [];
         }
 
-        const auth = new google.auth.OAuth2(
-            process.env.GOOGLE_CLIENT_ID,
-            process.env.GOOGLE_CLIENT_SECRET
-        );
+        const content = getContentClient(user);
 
-        auth.setCredentials({
-            access_token: user.googleAccessToken,
-            refresh_token: user.googleRefreshToken,
-        });
+        console.log(`Fetching PRODUCTS for merchant: ${merchantId}`);
 
-        const content = google.content({ version: "v2.1", auth });
+        // Walk every page - products.list returns at most 250 items per call
+        const products = [];
+        let pageToken;
+        let pages = 0;
 
-        console.log(`Fetching PRODUCTS for merchant: ${merchantId}`);
+        do {
+            const response = await content.products.list({
+                merchantId: merchantId,
+                maxResults: PRODUCTS_PAGE_SIZE,
+                pageToken,
+            });
 
-        // List all products
-        const response = await content.products.list({
-            merchantId: merchantId,
-            maxResults: 250, // Google API max
-        });
+            products.push(...(response.data.resources || []));
+            pageToken = response.data.nextPageToken;
+            pages++;
+        } while (pageToken);
 
-        const products = response.data.resources || [];
-
-        console.log(`Fetched ${products.length} products from merchant ${merchantId}`);
-
-        return products.map(p => ({
-            id: p.id,
-            title: p.title,
-            link: p.link,
-            imageLink: p.imageLink,
-            price: p.price,
-            salePrice: p.salePrice,
-            availability: p.availability,
-            brand: p.brand,
-            gtin: p.gtin,
-            condition: p.condition,
-            productType: p.productType,
-            customLabel0: p.customLabel0,
-            channel: p.channel,
-            offerId: p.offerId,
-            raw: p
-        }));
+        console.log(`Fetched ${products.length} products in ${pages} page(s) from merchant ${merchantId}`);
+
+        const normalized = products.map(normalizeProduct);
+        await saveProductSnapshot(run, merchantId, normalized);
+
+        // Approval state is joined onto the snapshot; a failure here keeps the products
+        try {
+            const statuses = await fetchGoogleProductStatuses(user, merchantId, { content });
+            await saveProductStatuses(merchantId, statuses);
+        } catch (error) {
+            console.error("Error fetching product statuses:", error.message);
+            run.errorMessages.push(`productstatuses: ${error.message}`);
+            await run.save();
+        }
+
+        await recordCatalogSnapshot(run);
+
+        return normalized;
     } catch (error) {
         console.error("Error fetching products:", error.message);
+        if (run) await failSyncRun(run, error).catch(() => {});
         return [];
     }
 };
+
+
+/**
+ * Fetch approval state for every product of a merchant account.
+ * Unlike the product fetch this throws, so callers decide how to report it.
+ */
+export const fetchGoogleProductStatuses = async (user, merchantId, { content } = {}) => {
+    const client = content || getContentClient(user);
+
+    console.log(`Fetching PRODUCT STATUSES for merchant: ${merchantId}`);
+
+    const statuses = [];
+    let pageToken;
+
+    do {
+        const response = await client.productstatuses.list({
+            merchantId: merchantId,
+            maxResults: PRODUCTS_PAGE_SIZE,
+            pageToken,
+        });
+
+        statuses.push(...(response.data.resources || []));
+        pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    console.log(`Fetched ${statuses.length} product statuses from merchant ${merchantId}`);
+
+    return statuses;
+};
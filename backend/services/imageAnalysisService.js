@@ -0,0 +1,340 @@
+import crypto from "crypto";
+import axios from "axios";
+import Product from "../models/Product.js";
+import { resolveCategory } from "./taxonomyService.js";
+import { assertPublicUrl, publicHttpAgent, publicHttpsAgent } from "../utils/urlGuard.js";
+
+// Google's limits for product images
+export const MIN_IMAGE_SIZE = 100;
+export const MIN_APPAREL_IMAGE_SIZE = 250;
+export const MAX_IMAGE_BYTES = 16 * 1024 * 1024;
+
+const FETCH_TIMEOUT_MS = 15000;
+const CONCURRENCY = 4;
+const MAX_REDIRECTS = 5;
+
+/**
+ * Fetcher interface: (url) => Promise<{ status, contentType, data: Buffer }>.
+ * Network failures throw. Tests can pass their own to read local fixtures.
+ *
+ * Image links come from feeds, so only public http(s) hosts are fetched.
+ * Redirects are followed by hand so every hop is checked again.
+ */
+export const httpImageFetcher = async (url) => {
+    let current = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        assertPublicUrl(current);
+
+        const response = await axios.get(current, {
+            responseType: "arraybuffer",
+            timeout: FETCH_TIMEOUT_MS,
+            maxContentLength: MAX_IMAGE_BYTES + 1,
+            maxRedirects: 0,
+            proxy: false,
+            httpAgent: publicHttpAgent,
+            httpsAgent: publicHttpsAgent,
+            validateStatus: () => true,
+        });
+
+        const location = response.headers.location;
+        if (response.status >= 300 && response.status < 400 && location) {
+            current = new URL(location, current).toString();
+            continue;
+        }
+
+        return {
+            status: response.status,
+            contentType: response.headers["content-type"] || null,
+            data: Buffer.from(response.data || []),
+        };
+    }
+
+    throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+};
+
+// -------------------------------
+// HEADER PARSING
+// Dimensions come from the file header; pixels are never decoded.
+// -------------------------------
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+const jpegSize = (data) => {
+    let offset = 2;
+
+    while (offset + 9 < data.length) {
+        if (data[offset] !== 0xff) return null;
+        const marker = data[offset + 1];
+
+        // Padding bytes between segments
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (JPEG_SOF_MARKERS.has(marker)) {
+            return { height: data.readUInt16BE(offset + 5), width: data.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + data.readUInt16BE(offset + 2);
+    }
+
+    return null;
+};
+
+const webpSize = (data) => {
+    const chunk = data.toString("ascii", 12, 16);
+
+    if (chunk === "VP8 " && data.length >= 30) {
+        return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === "VP8L" && data.length >= 25) {
+        const [b0, b1, b2, b3] = data.subarray(21, 25);
+        return {
+            width: 1 + (((b1 & 0x3f) << 8) | b0),
+            height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6)),
+        };
+    }
+    if (chunk === "VP8X" && data.length >= 30) {
+        return { width: 1 + data.readUIntLE(24, 3), height: 1 + data.readUIntLE(27, 3) };
+    }
+    return null;
+};
+
+/**
+ * Format and pixel size from the first bytes of an image.
+ * @returns {{ format: string, width: number|null, height: number|null }|null}
+ */
+export const readImageInfo = (data) => {
+    if (!data || data.length < 12) return null;
+
+    if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) && data.length >= 24) {
+        return { format: "png", width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    }
+    if (data[0] === 0xff && data[1] === 0xd8) {
+        return { format: "jpeg", width: null, height: null, ...jpegSize(data) };
+    }
+    if (/^GIF8[79]a/.test(data.toString("ascii", 0, 6))) {
+        return { format: "gif", width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+    }
+    if (data.toString("ascii", 0, 4) === "RIFF" && data.toString("ascii", 8, 12) === "WEBP") {
+        return { format: "webp", width: null, height: null, ...webpSize(data) };
+    }
+    if (data.toString("ascii", 0, 2) === "BM" && data.length >= 26) {
+        return { format: "bmp", width: data.readInt32LE(18), height: Math.abs(data.readInt32LE(22)) };
+    }
+    if (["II*\0", "MM\0*"].includes(data.toString("latin1", 0, 4))) {
+        return { format: "tiff", width: null, height: null };
+    }
+    return null;
+};
+
+// -------------------------------
+// OVERLAY HEURISTIC
+// Stock-photo and watermark hints in the URL or in EXIF/XMP/PNG text
+// metadata. It does not look at pixels, so it only catches likely cases.
+// -------------------------------
+const OVERLAY_URL_PATTERN = /watermark|[_-]wm[_.-]|with[_-]?logo/i;
+const OVERLAY_METADATA_PATTERN = /watermark|shutterstock|gettyimages|istockphoto|dreamstime|123rf|alamy|depositphotos|adobe stock|\bpreview only\b/i;
+const METADATA_SCAN_BYTES = 64 * 1024;
+
+export const detectOverlay = (url, data) => {
+    if (OVERLAY_URL_PATTERN.test(url)) {
+        return { suspected: true, reason: "Image URL mentions a watermark or logo" };
+    }
+
+    const metadata = data.toString("latin1", 0, Math.min(data.length, METADATA_SCAN_BYTES));
+    const match = metadata.match(OVERLAY_METADATA_PATTERN);
+    if (match) {
+        return { suspected: true, reason: `Image metadata mentions "${match[0]}"` };
+    }
+
+    return { suspected: false };
+};
+
+// -------------------------------
+// ANALYSIS
+// -------------------------------
+/**
+ * Download one image and describe it.
+ */
+export const analyzeImage = async (url, { fetcher = httpImageFetcher, detectOverlays = false } = {}) => {
+    const result = { url, checkedAt: new Date() };
+
+    try {
+        const response = await fetcher(url);
+        const data = response.data || Buffer.alloc(0);
+
+        result.status = response.status;
+        result.contentType = response.contentType;
+        result.bytes = data.length;
+
+        if (response.status < 200 || response.status >= 300) {
+            result.ok = false;
+            result.error = `HTTP ${response.status}`;
+            return result;
+        }
+
+        const info = readImageInfo(data);
+        if (!info) {
+            result.ok = false;
+            result.error = "Not a recognizable image";
+            return result;
+        }
+
+        Object.assign(result, info);
+        result.ok = true;
+        result.hash = crypto.createHash("sha1").update(data).digest("hex");
+
+        if (detectOverlays) {
+            const overlay = detectOverlay(url, data);
+            result.overlaySuspected = overlay.suspected;
+            result.overlayReason = overlay.reason;
+        }
+    } catch (error) {
+        result.ok = false;
+        result.error = error.code === "ERR_BAD_RESPONSE" && /maxContentLength/.test(error.message)
+            ? `Image is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`
+            : error.message;
+    }
+
+    return result;
+};
+
+// Run async jobs with a small fixed concurrency
+const mapWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const run = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await worker(items[i]);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
+};
+
+/**
+ * Analyze the main and additional images of a list of products.
+ * URLs shared by several products are only downloaded once.
+ * @returns {Array<{ product, images: Array }>}
+ */
+export const analyzeProductImages = async (products, options = {}) => {
+    const urls = [...new Set(products.flatMap(p => [p.imageLink, ...(p.additionalImageLinks || [])]).filter(Boolean))];
+    const analyzed = await mapWithConcurrency(urls, options.concurrency || CONCURRENCY, url => analyzeImage(url, options));
+    const byUrl = new Map(analyzed.map(result => [result.url, result]));
+
+    return products.map(product => ({
+        product,
+        images: [
+            ...(product.imageLink ? [{ ...byUrl.get(product.imageLink), role: "main" }] : []),
+            ...(product.additionalImageLinks || []).filter(Boolean).map(url => ({ ...byUrl.get(url), role: "additional" })),
+        ],
+    }));
+};
+
+/**
+ * Analyze a merchant's stored products and save the results on each
+ * product. Re-run the audit afterwards to score the new results.
+ * @param {Object} options - { offerIds, limit, fetcher, detectOverlays }
+ */
+export const runImageAnalysis = async (merchantId, { offerIds, limit, ...options } = {}) => {
+    const filter = { merchantId, removedAt: null };
+    if (Array.isArray(offerIds) && offerIds.length > 0) filter.offerId = { $in: offerIds.map(String) };
+
+    // Never-checked products sort first, then the longest unchecked
+    const products = await Product.find(filter)
+        .sort({ "imageAnalysis.checkedAt": 1, offerId: 1 })
+        .limit(limit || 0)
+        .select("id offerId title imageLink additionalImageLinks")
+        .lean();
+
+    const results = await analyzeProductImages(products, options);
+    const checkedAt = new Date();
+
+    if (results.length > 0) {
+        await Product.bulkWrite(results.map(({ product, images }) => ({
+            updateOne: {
+                filter: { _id: product._id },
+                update: { $set: { imageAnalysis: { images, checkedAt } } },
+            },
+        })), { ordered: false });
+    }
+
+    return results.map(({ product, images }) => ({
+        id: product.id,
+        offerId: product.offerId,
+        title: product.title,
+        images,
+    }));
+};
+
+// -------------------------------
+// AUDIT
+// -------------------------------
+const issue = (code, field, severity, message) => ({ code, field, severity, message });
+
+// Apparel has a higher minimum image size
+const isApparel = (product) => {
+    const category = resolveCategory(product.googleProductCategory)?.path || product.googleProductCategory || "";
+    return /apparel|clothing|shoes/i.test(`${category} ${product.productType || ""}`);
+};
+
+/**
+ * Offer ids per image hash across a catalog, for duplicate detection.
+ * @returns {Map<string, Set<string>>}
+ */
+export const indexImageHashes = (products) => {
+    const owners = new Map();
+
+    for (const product of products) {
+        for (const image of product.imageAnalysis?.images || []) {
+            if (!image.hash) continue;
+            if (!owners.has(image.hash)) owners.set(image.hash, new Set());
+            owners.get(image.hash).add(product.offerId);
+        }
+    }
+
+    return owners;
+};
+
+/**
+ * Issues for the stored image analysis of one product. Results for URLs
+ * the product no longer uses are ignored.
+ * @param {Object} context - { imageOwners } from indexImageHashes()
+ */
+export const imageAnalysisIssues = (product, { imageOwners } = {}) => {
+    const current = new Set([product.imageLink, ...(product.additionalImageLinks || [])]);
+    const images = (product.imageAnalysis?.images || []).filter(image => current.has(image.url));
+    const minSize = isApparel(product) ? MIN_APPAREL_IMAGE_SIZE : MIN_IMAGE_SIZE;
+    const issues = [];
+
+    for (const image of images) {
+        const main = image.role === "main";
+        const field = main ? "imageLink" : "additionalImageLinks";
+        const label = main ? "Main image" : "Additional image";
+
+        if (!image.ok) {
+            issues.push(issue("image_broken", field, main ? "error" : "warning", `${label} cannot be loaded: ${image.error || "unknown error"}`));
+            continue;
+        }
+        if (image.bytes > MAX_IMAGE_BYTES) {
+            issues.push(issue("image_file_too_large", field, main ? "error" : "warning", `${label} is larger than 16 MB`));
+        }
+        if (image.width && image.height && (image.width < minSize || image.height < minSize)) {
+            issues.push(issue("image_too_small", field, main ? "error" : "warning", `${label} is ${image.width}x${image.height}; the minimum is ${minSize}x${minSize}`));
+        }
+
+        const owners = imageOwners?.get(image.hash);
+        if (owners && owners.size > 1) {
+            issues.push(issue("image_duplicate", field, "warning", `${label} is also used by ${owners.size - 1} other product(s)`));
+        }
+
+        if (image.overlaySuspected) {
+            issues.push(issue("image_overlay_suspected", field, "warning", `${label} may carry a watermark or text overlay: ${image.overlayReason}`));
+        }
+    }
+
+    return issues;
+};
@@ -0,0 +1,122 @@
+import LabelRun from "../models/LabelRun.js";
+import LabelAssignment from "../models/LabelAssignment.js";
+import { findSnapshotProducts } from "./productSyncService.js";
+import { createProductChanges, applyProductChanges } from "./productChangeService.js";
+import { getPerformanceProvider } from "./performanceProviderService.js";
+import { toDay } from "./performanceService.js";
+
+export const LABEL_BUCKETS = ["hero", "sidekick", "villain", "zombie"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Bucket of one product from its totals over the lookback window:
+ *   hero     - enough clicks and converting at or above minConversionRate
+ *   villain  - enough clicks but converting below it
+ *   sidekick - too few clicks to judge, but it has converted
+ *   zombie   - everything else (little traffic and no conversions)
+ */
+export const classifyProduct = ({ clicks = 0, conversions = 0 }, { minClicks, minConversionRate }) => {
+    if (clicks >= minClicks) {
+        return conversions / clicks >= minConversionRate ? "hero" : "villain";
+    }
+    return conversions > 0 ? "sidekick" : "zombie";
+};
+
+// Window ending yesterday; today's numbers are still incomplete
+export const labelWindow = (lookbackDays, now = new Date()) => {
+    const end = new Date(now.getTime() - DAY_MS);
+    return { startDate: toDay(new Date(end.getTime() - (lookbackDays - 1) * DAY_MS)), endDate: toDay(end) };
+};
+
+/**
+ * Label of every product from its metrics. Products without any metrics
+ * in the window are zombies.
+ * @param {Array} products - Snapshot products
+ * @param {Array} rows - Daily rows from a performance provider
+ * @param {Object} config - LabelConfig values
+ */
+export const buildLabelAssignments = (products, rows, config) => {
+    const totals = new Map();
+    for (const row of rows) {
+        const total = totals.get(row.offerId) || { clicks: 0, impressions: 0, conversions: 0 };
+        total.clicks += row.clicks;
+        total.impressions += row.impressions;
+        total.conversions += row.conversions || 0;
+        totals.set(row.offerId, total);
+    }
+
+    const field = `customLabel${config.labelIndex}`;
+
+    return products.map(product => {
+        const metrics = totals.get(product.offerId) || { clicks: 0, impressions: 0, conversions: 0 };
+        const bucket = classifyProduct(metrics, config);
+
+        return {
+            offerId: product.offerId,
+            bucket,
+            label: config.labels[bucket],
+            previousLabel: product[field] || "",
+            ...metrics,
+        };
+    });
+};
+
+/**
+ * Label a merchant's products and, unless it is a dry run, push the labels
+ * that changed. Every run is stored as a LabelRun, with one LabelAssignment
+ * per product.
+ * @param {Object} user
+ * @param {string} merchantId
+ * @param {Object} config - LabelConfig values
+ * @param {Object} options - { dryRun, offerIds, provider, now }
+ */
+export const runLabeling = async (user, merchantId, config, { dryRun = false, offerIds, provider, now } = {}) => {
+    const window = labelWindow(config.lookbackDays, now);
+    const products = await findSnapshotProducts(merchantId, { offerIds });
+
+    const rows = await (provider || getPerformanceProvider(config.performanceProvider)).fetchOfferMetrics({
+        merchantId,
+        offerIds: offerIds ? products.map(p => p.offerId) : undefined,
+        ...window,
+    });
+
+    const assignments = buildLabelAssignments(products, rows, config);
+    const changed = assignments.filter(a => a.label !== a.previousLabel);
+
+    const run = new LabelRun({
+        merchantId,
+        dryRun,
+        config,
+        window,
+        changed: changed.length,
+        createdBy: user._id,
+    });
+
+    for (const assignment of assignments) run.counts[assignment.bucket]++;
+
+    if (!dryRun && changed.length > 0) {
+        const { changes } = await createProductChanges(
+            merchantId,
+            changed.map(a => ({ offerId: a.offerId, field: `customLabel${config.labelIndex}`, value: a.label })),
+            { source: "rule", status: "approved", userId: user._id }
+        );
+
+        const { applied, failed } = await applyProductChanges(user, merchantId, changes.map(c => c._id));
+        const changeByOffer = new Map(changes.map(c => [c.offerId, c._id]));
+
+        for (const assignment of changed) {
+            assignment.changeId = changeByOffer.get(assignment.offerId);
+        }
+        run.applied = applied.length;
+        run.failed = failed.length;
+    }
+
+    // Assignments first, so a saved run always has its assignments
+    await LabelAssignment.insertMany(
+        assignments.map(a => ({ ...a, runId: run._id, merchantId, changed: a.label !== a.previousLabel })),
+        { ordered: false }
+    );
+    await run.save();
+    return run;
+};
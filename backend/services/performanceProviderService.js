@@ -0,0 +1,74 @@
+import fs from "fs";
+import { findOfferMetrics, toDay } from "./performanceService.js";
+
+/**
+ * Performance data source shared by the experiment and reporting features.
+ *
+ *   provider.name - "merchant_center" | "fixture"
+ *   provider.fetchOfferMetrics({ merchantId, offerIds, startDate, endDate })
+ *     => Promise<Array<{ offerId, date: "YYYY-MM-DD", clicks, impressions, conversions }>>
+ *
+ * Dates are inclusive days in UTC.
+ */
+
+// -------------------------------
+// MERCHANT CENTER
+// Reads the metrics imported from reports.search (see performanceService)
+// -------------------------------
+export const createMerchantCenterProvider = () => ({
+    name: "merchant_center",
+    fetchOfferMetrics: findOfferMetrics,
+});
+
+// -------------------------------
+// LOCAL FIXTURE (offline / tests)
+// Rows come from `rows` or a JSON file (PERFORMANCE_FIXTURE_PATH) holding
+// an array of { merchantId?, offerId, date, clicks, impressions, conversions? }.
+// -------------------------------
+export const createFixtureProvider = ({ rows, path = process.env.PERFORMANCE_FIXTURE_PATH } = {}) => {
+    let data = rows;
+
+    const load = () => {
+        if (!data) {
+            data = path && fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, "utf8")) : [];
+        }
+        return data;
+    };
+
+    return {
+        name: "fixture",
+        fetchOfferMetrics: async ({ merchantId, offerIds, startDate, endDate }) => {
+            const offers = offerIds ? new Set(offerIds.map(String)) : null;
+            const from = toDay(startDate);
+            const to = toDay(endDate);
+
+            return load()
+                .filter(row => !row.merchantId || String(row.merchantId) === String(merchantId))
+                .filter(row => !offers || offers.has(String(row.offerId)))
+                .filter(row => row.date >= from && row.date <= to)
+                .map(row => ({
+                    offerId: String(row.offerId),
+                    date: row.date,
+                    clicks: Number(row.clicks) || 0,
+                    impressions: Number(row.impressions) || 0,
+                    conversions: Number(row.conversions) || 0,
+                }));
+        },
+    };
+};
+
+const PROVIDERS = {
+    merchant_center: createMerchantCenterProvider,
+    fixture: createFixtureProvider,
+};
+
+export const PERFORMANCE_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * Build a provider by name, defaulting to PERFORMANCE_PROVIDER from the environment.
+ */
+export const getPerformanceProvider = (name = process.env.PERFORMANCE_PROVIDER || "merchant_center", options = {}) => {
+    const factory = PROVIDERS[name];
+    if (!factory) throw new Error(`Unknown performance provider "${name}"`);
+    return factory(options);
+};
@@ -0,0 +1,201 @@
+import PerformanceMetric from "../models/PerformanceMetric.js";
+import { getContentClient } from "./googleMerchantService.js";
+
+// reports.search returns at most 1000 rows per page
+const REPORT_PAGE_SIZE = 1000;
+const CUSTOM_LABELS = ["customLabel0", "customLabel1", "customLabel2", "customLabel3", "customLabel4"];
+const PRODUCT_TYPE_LEVELS = ["productTypeL1", "productTypeL2", "productTypeL3", "productTypeL4", "productTypeL5"];
+
+export const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Stored dates are UTC midnights, so whole days compare on those
+const dayRange = (startDate, endDate) => ({
+    $gte: new Date(`${toDay(startDate)}T00:00:00Z`),
+    $lte: new Date(`${toDay(endDate)}T00:00:00Z`),
+});
+
+// Fields of the stored metric each grouping reads
+export const PERFORMANCE_GROUPS = {
+    product: "meta.offerId",
+    brand: "meta.brand",
+    productType: "meta.productType",
+    ...Object.fromEntries(CUSTOM_LABELS.map(label => [label, `meta.${label}`])),
+};
+
+export const PERFORMANCE_SORTS = ["clicks", "impressions", "conversions"];
+
+/**
+ * MCQL query for daily offer performance between two days (inclusive).
+ */
+export const buildPerformanceQuery = ({ startDate, endDate }) => [
+    "SELECT",
+    [
+        "segments.offer_id", "segments.date", "segments.title", "segments.brand",
+        "segments.product_type_l1", "segments.product_type_l2", "segments.product_type_l3",
+        "segments.product_type_l4", "segments.product_type_l5",
+        "segments.custom_label0", "segments.custom_label1", "segments.custom_label2",
+        "segments.custom_label3", "segments.custom_label4",
+        "metrics.clicks", "metrics.impressions", "metrics.ctr", "metrics.conversions",
+    ].join(", "),
+    "FROM MerchantPerformanceView",
+    `WHERE segments.date BETWEEN '${toDay(startDate)}' AND '${toDay(endDate)}'`,
+].join(" ");
+
+/**
+ * One reports.search row -> PerformanceMetric document.
+ * int64 metrics come back as strings.
+ */
+export const parseReportRow = (merchantId, row) => {
+    const segments = row.segments || {};
+    const metrics = row.metrics || {};
+    const { year, month, day } = segments.date || {};
+    const clicks = Number(metrics.clicks) || 0;
+    const impressions = Number(metrics.impressions) || 0;
+
+    return {
+        date: new Date(Date.UTC(year, month - 1, day)),
+        meta: {
+            merchantId: String(merchantId),
+            offerId: String(segments.offerId),
+            title: segments.title,
+            brand: segments.brand,
+            productType: PRODUCT_TYPE_LEVELS.map(level => segments[level]).filter(Boolean).join(" > ") || undefined,
+            ...Object.fromEntries(CUSTOM_LABELS.map(label => [label, segments[label]])),
+        },
+        clicks,
+        impressions,
+        ctr: metrics.ctr !== undefined ? Number(metrics.ctr) || 0 : impressions ? clicks / impressions : 0,
+        conversions: Number(metrics.conversions) || 0,
+    };
+};
+
+/**
+ * Run the performance query through reports.search, walking every page.
+ * @param {Object} client - Content API client; tests can pass one that replays recorded responses
+ */
+export const fetchPerformanceReport = async (client, merchantId, range) => {
+    const query = buildPerformanceQuery(range);
+    const rows = [];
+    let pageToken;
+
+    do {
+        const response = await client.reports.search({
+            merchantId,
+            requestBody: { query, pageSize: REPORT_PAGE_SIZE, pageToken },
+        });
+
+        rows.push(...(response.data.results || []));
+        pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return rows.map(row => parseReportRow(merchantId, row));
+};
+
+/**
+ * Import a date range, replacing what was stored for those days: recent
+ * days keep changing as late conversions are attributed. New rows are
+ * inserted before the older import is removed, so a failed report or
+ * insert never leaves the range empty.
+ * Deleting by date from a time-series collection needs MongoDB 7.
+ * @param {Object} options - { startDate, endDate, client }
+ */
+export const importPerformance = async (user, merchantId, { startDate, endDate, client } = {}) => {
+    const metrics = await fetchPerformanceReport(client || getContentClient(user), merchantId, { startDate, endDate });
+    const importedAt = new Date();
+    const range = { "meta.merchantId": String(merchantId), date: dayRange(startDate, endDate) };
+
+    if (metrics.length > 0) {
+        try {
+            await PerformanceMetric.insertMany(metrics.map(metric => ({ ...metric, importedAt })), { ordered: false });
+        } catch (error) {
+            // Drop the partial import; the previous one stays in place
+            await PerformanceMetric.deleteMany({ ...range, importedAt });
+            throw error;
+        }
+    }
+
+    const { deletedCount } = await PerformanceMetric.deleteMany({ ...range, importedAt: { $lt: importedAt } });
+
+    return {
+        startDate: toDay(startDate),
+        endDate: toDay(endDate),
+        imported: metrics.length,
+        replaced: deletedCount,
+        offers: new Set(metrics.map(m => m.meta.offerId)).size,
+    };
+};
+
+const totalsStage = {
+    clicks: { $sum: "$clicks" },
+    impressions: { $sum: "$impressions" },
+    conversions: { $sum: "$conversions" },
+};
+
+const withRates = (row) => ({
+    ...row,
+    ctr: row.impressions ? row.clicks / row.impressions : 0,
+    conversionRate: row.clicks ? row.conversions / row.clicks : 0,
+});
+
+/**
+ * Stored performance for a date range, grouped by one dimension.
+ * Rows without a value for the dimension are grouped under null.
+ * @param {Object} options - { startDate, endDate, groupBy, sort, limit }
+ * @returns {Promise<{ totals, groups: Array<{ key, clicks, impressions, conversions, ctr, conversionRate }> }>}
+ */
+export const queryPerformance = async (merchantId, { startDate, endDate, groupBy = "product", sort = "clicks", limit = 100 } = {}) => {
+    const match = {
+        "meta.merchantId": String(merchantId),
+        date: dayRange(startDate, endDate),
+    };
+
+    const [totals] = await PerformanceMetric.aggregate([
+        { $match: match },
+        { $group: { _id: null, ...totalsStage } },
+    ]);
+
+    const groups = await PerformanceMetric.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: `$${PERFORMANCE_GROUPS[groupBy]}`,
+                ...totalsStage,
+                // Titles are only meaningful per product
+                ...(groupBy === "product" ? { title: { $last: "$meta.title" } } : {}),
+                days: { $addToSet: "$date" },
+            },
+        },
+        { $project: { _id: 0, key: "$_id", clicks: 1, impressions: 1, conversions: 1, title: 1, days: { $size: "$days" } } },
+        { $sort: { [sort]: -1, key: 1 } },
+        { $limit: limit },
+    ]);
+
+    const { clicks = 0, impressions = 0, conversions = 0 } = totals || {};
+
+    return {
+        totals: withRates({ clicks, impressions, conversions }),
+        groups: groups.map(withRates),
+    };
+};
+
+/**
+ * Daily clicks and impressions of some offers, in the shape of a
+ * performance provider's fetchOfferMetrics.
+ */
+export const findOfferMetrics = async ({ merchantId, offerIds, startDate, endDate }) => {
+    const filter = {
+        "meta.merchantId": String(merchantId),
+        date: dayRange(startDate, endDate),
+    };
+    if (offerIds) filter["meta.offerId"] = { $in: offerIds.map(String) };
+
+    const metrics = await PerformanceMetric.find(filter).lean();
+
+    return metrics.map(metric => ({
+        offerId: metric.meta.offerId,
+        date: toDay(metric.date),
+        clicks: metric.clicks,
+        impressions: metric.impressions,
+        conversions: metric.conversions,
+    }));
+};
@@ -0,0 +1,166 @@
+import { COUNTRY_CURRENCIES, convertAmount, getReportingCurrency, loadExchangeRates } from "../utils/currency.js";
+
+// Above this (in the reporting currency) a price is more likely a typo than a product
+const ABSURD_PRICE = 100000;
+// Relative change against the previous snapshot that deserves a look
+const PRICE_SWING_THRESHOLD = 0.5;
+
+const issue = (code, field, severity, message) => ({ code, field, severity, message });
+
+const amount = (price) => Number.parseFloat(price?.value);
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+/**
+ * Settings shared by every product of one validation pass.
+ */
+export const buildPricingContext = ({ now = new Date(), reportingCurrency = getReportingCurrency(), rates } = {}) => ({
+    now,
+    reportingCurrency,
+    rates: rates || loadExchangeRates().rates,
+});
+
+/**
+ * Price in the reporting currency, or null when it cannot be converted.
+ */
+export const toReportingAmount = (price, context = buildPricingContext()) => {
+    const value = amount(price);
+    if (!Number.isFinite(value) || !price.currency) return null;
+    return convertAmount(value, price.currency, context.reportingCurrency, { rates: context.rates });
+};
+
+/**
+ * Parse "2024-11-01T00:00-08:00/2024-11-30T23:59-08:00".
+ * @returns {{ start: Date, end: Date }|null}
+ */
+export const parseEffectiveDate = (value) => {
+    const [start, end] = String(value || "").split("/").map(part => new Date(part.trim()));
+    if (!start || !end || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) return null;
+    return { start, end };
+};
+
+// Relative change from the previous snapshot price, compared in one currency
+export const priceChange = (product, context = buildPricingContext()) => {
+    const previous = product.previousPrice;
+    if (!previous?.value || !product.price?.value) return null;
+
+    const before = previous.currency === product.price.currency ? amount(previous) : toReportingAmount(previous, context);
+    const after = previous.currency === product.price.currency ? amount(product.price) : toReportingAmount(product.price, context);
+    if (!Number.isFinite(before) || !Number.isFinite(after) || before === 0) return null;
+
+    return (after - before) / before;
+};
+
+// -------------------------------
+// CHECKS
+// -------------------------------
+const regularPriceIssues = (product, context) => {
+    const price = amount(product.price);
+
+    if (!Number.isFinite(price)) {
+        return [issue("price_missing", "price", "error", "Price is missing")];
+    }
+
+    const issues = [];
+    const currency = product.price.currency;
+    const expected = COUNTRY_CURRENCIES[product.targetCountry];
+
+    if (price <= 0) {
+        issues.push(issue("price_zero", "price", "error", "Price is zero or negative"));
+    }
+
+    if (!currency) {
+        issues.push(issue("price_currency_missing", "price", "error", "Price has no currency"));
+    } else if (expected && currency !== expected) {
+        issues.push(issue("price_currency_mismatch", "price", "error", `Price is in ${currency} but ${product.targetCountry} expects ${expected}`));
+    } else if (!context.rates[currency]) {
+        issues.push(issue("price_currency_unknown", "price", "info", `No exchange rate for ${currency}; it is left out of reporting totals`));
+    }
+
+    const reporting = toReportingAmount(product.price, context);
+    if (reporting !== null && reporting > ABSURD_PRICE) {
+        issues.push(issue("price_absurd", "price", "warning", `Price is above ${ABSURD_PRICE} ${context.reportingCurrency}`));
+    }
+
+    const change = priceChange(product, context);
+    if (change !== null && Math.abs(change) >= PRICE_SWING_THRESHOLD) {
+        issues.push(issue(
+            "price_swing",
+            "price",
+            "warning",
+            `Price ${change > 0 ? "rose" : "dropped"} ${percent(Math.abs(change))} since the previous sync (was ${product.previousPrice.value} ${product.previousPrice.currency || ""})`.trim()
+        ));
+    }
+
+    return issues;
+};
+
+const salePriceIssues = (product, context) => {
+    if (!product.salePrice?.value) return [];
+
+    const issues = [];
+    const price = amount(product.price);
+    const salePrice = amount(product.salePrice);
+
+    if (product.salePrice.currency && product.price?.currency && product.salePrice.currency !== product.price.currency) {
+        issues.push(issue("sale_price_currency_mismatch", "salePrice", "error", "Sale price and price use different currencies"));
+    }
+
+    if (Number.isFinite(salePrice) && salePrice <= 0) {
+        issues.push(issue("price_zero", "salePrice", "error", "Sale price is zero or negative"));
+    } else if (Number.isFinite(salePrice) && Number.isFinite(price) && salePrice >= price) {
+        issues.push(issue("sale_price_not_lower", "salePrice", "error", "Sale price is not lower than the regular price"));
+    }
+
+    if (!product.salePriceEffectiveDate) {
+        issues.push(issue("sale_price_date_missing", "salePriceEffectiveDate", "warning", "Sale price has no effective date, so it never ends"));
+        return issues;
+    }
+
+    const period = parseEffectiveDate(product.salePriceEffectiveDate);
+    if (!period) {
+        issues.push(issue("sale_price_date_invalid", "salePriceEffectiveDate", "error", `Sale price effective date "${product.salePriceEffectiveDate}" is not a valid ISO 8601 range`));
+    } else if (period.end < context.now) {
+        issues.push(issue("sale_price_expired", "salePriceEffectiveDate", "warning", `Sale ended on ${period.end.toISOString().slice(0, 10)}; remove the sale price`));
+    } else if (period.start > context.now) {
+        issues.push(issue("sale_price_scheduled", "salePriceEffectiveDate", "info", `Sale starts on ${period.start.toISOString().slice(0, 10)}`));
+    }
+
+    return issues;
+};
+
+/**
+ * All pricing issues of one product.
+ * @param {Object} product - Normalized product, optionally with previousPrice
+ * @param {Object} context - From buildPricingContext()
+ */
+export const validatePricing = (product, context = buildPricingContext()) => [
+    ...regularPriceIssues(product, context),
+    ...salePriceIssues(product, context),
+];
+
+/**
+ * Pricing view of one product with amounts in the reporting currency.
+ */
+export const buildPricingReport = (product, context = buildPricingContext()) => {
+    const change = priceChange(product, context);
+
+    return {
+        id: product.id,
+        offerId: product.offerId,
+        title: product.title,
+        targetCountry: product.targetCountry,
+        price: product.price || null,
+        salePrice: product.salePrice || null,
+        salePriceEffectiveDate: product.salePriceEffectiveDate || null,
+        previousPrice: product.previousPrice || null,
+        priceChangedAt: product.priceChangedAt || null,
+        changePercent: change === null ? null : Math.round(change * 1000) / 10,
+        reporting: {
+            currency: context.reportingCurrency,
+            price: toReportingAmount(product.price, context),
+            salePrice: product.salePrice?.value ? toReportingAmount(product.salePrice, context) : null,
+        },
+        issues: validatePricing(product, context),
+    };
+};
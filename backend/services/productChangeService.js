@@ -0,0 +1,257 @@
+import Product from "../models/Product.js";
+import ProductChange from "../models/ProductChange.js";
+import { pushProductChanges, toApiAttribute } from "./productPushService.js";
+import { recordProductHistory, buildRollbackEdits } from "./productHistoryService.js";
+import { isOfflineMerchant } from "../utils/merchantSource.js";
+
+// Normalized product fields the app is allowed to edit
+export const EDITABLE_FIELDS = [
+    "title", "description", "link", "imageLink", "additionalImageLinks",
+    "price", "salePrice", "salePriceEffectiveDate", "availability", "condition",
+    "brand", "gtin", "mpn", "identifierExists",
+    "productType", "googleProductCategory",
+    "color", "size", "material", "gender", "ageGroup", "pattern",
+    "customLabel0", "customLabel1", "customLabel2", "customLabel3", "customLabel4",
+];
+
+// Statuses a change can be pushed from - failed ones may be retried
+const APPLICABLE_STATUSES = ["approved", "failed"];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Products an edit targets: one by REST id, or every country and language
+// version of an offer when the edit only names the offerId
+const editTargets = (edit, productsById, productsByOffer) =>
+    edit.productId
+        ? [productsById.get(String(edit.productId))].filter(Boolean)
+        : productsByOffer.get(String(edit.offerId)) || [];
+
+/**
+ * Match field edits against the snapshot without saving anything.
+ * @param {string} merchantId
+ * @param {Array<{ productId?, offerId?, field, value }>} edits
+ * @returns {Promise<{ planned: Array<{ product, edit }>, skipped: Array }>} Edits
+ *   that would change a value, and the rest with a reason
+ */
+export const planProductChanges = async (merchantId, edits) => {
+    const productIds = [...new Set(edits.filter(e => e.productId).map(e => String(e.productId)))];
+    const offerIds = [...new Set(edits.filter(e => !e.productId).map(e => String(e.offerId)))];
+    const products = await Product.find({
+        merchantId,
+        removedAt: null,
+        $or: [{ id: { $in: productIds } }, { offerId: { $in: offerIds } }],
+    }).lean();
+
+    const productsById = new Map(products.map(p => [p.id, p]));
+    const productsByOffer = new Map();
+    for (const product of products) {
+        if (!productsByOffer.has(product.offerId)) productsByOffer.set(product.offerId, []);
+        productsByOffer.get(product.offerId).push(product);
+    }
+
+    const planned = [];
+    const skipped = [];
+
+    for (const edit of edits) {
+        const targets = editTargets(edit, productsById, productsByOffer);
+
+        if (!EDITABLE_FIELDS.includes(edit.field)) {
+            skipped.push({ ...edit, reason: `Field "${edit.field}" cannot be edited` });
+            continue;
+        }
+        if (targets.length === 0) {
+            skipped.push({ ...edit, reason: "Product not found" });
+            continue;
+        }
+
+        for (const product of targets) {
+            if (sameValue(product[edit.field], edit.value)) {
+                skipped.push({ ...edit, productId: product.id, offerId: product.offerId, reason: "Value is unchanged" });
+            } else {
+                planned.push({ product, edit });
+            }
+        }
+    }
+
+    return { planned, skipped };
+};
+
+/**
+ * Record field edits as ProductChange documents. The current snapshot
+ * value is kept as oldValue; edits that change nothing are skipped.
+ * @param {string} merchantId
+ * @param {Array<{ productId?, offerId?, field, value, suggestionId?, rollbackOf? }>} edits
+ * @param {Object} options - { source, status, userId, suggestionId, rollbackOf }
+ */
+export const createProductChanges = async (merchantId, edits, { source = "manual", status = "pending", userId, suggestionId, rollbackOf } = {}) => {
+    const { planned, skipped } = await planProductChanges(merchantId, edits);
+
+    const docs = planned.map(({ product, edit }) => ({
+        merchantId,
+        productId: product.id,
+        offerId: product.offerId,
+        field: edit.field,
+        oldValue: product[edit.field] ?? null,
+        newValue: edit.value ?? null,
+        source,
+        status,
+        suggestionId: edit.suggestionId ?? suggestionId,
+        createdBy: userId,
+        approvedBy: status === "approved" ? userId : undefined,
+        rollbackOf: edit.rollbackOf ?? rollbackOf,
+    }));
+
+    const changes = docs.length > 0 ? await ProductChange.insertMany(docs) : [];
+
+    return { changes, skipped };
+};
+
+/**
+ * Reject older pending changes from the same source for the fields just
+ * changed, so a batch never pushes two values for one field.
+ * @returns {Promise<number>} Number of changes superseded
+ */
+export const supersedePendingChanges = async (merchantId, changes, source) => {
+    if (changes.length === 0) return 0;
+
+    const result = await ProductChange.updateMany(
+        {
+            merchantId,
+            source,
+            status: "pending",
+            _id: { $nin: changes.map(c => c._id) },
+            $or: changes.map(c => ({ productId: c.productId, field: c.field })),
+        },
+        { $set: { status: "rejected" } }
+    );
+
+    return result.modifiedCount;
+};
+
+/**
+ * Drop edits whose value is already waiting from the same source, pending
+ * review or approved but not yet pushed, so re-running a batch adds nothing.
+ * Edits by offerId count as queued when a change to any version of the
+ * offer is.
+ * @returns {Promise<{ edits: Array, skipped: Array }>}
+ */
+export const skipQueuedEdits = async (merchantId, edits, source) => {
+    if (edits.length === 0) return { edits, skipped: [] };
+
+    const productIds = [...new Set(edits.filter(e => e.productId).map(e => String(e.productId)))];
+    const offerIds = [...new Set(edits.filter(e => !e.productId).map(e => String(e.offerId)))];
+    const queued = await ProductChange.find({
+        merchantId,
+        source,
+        status: { $in: ["pending", "approved"] },
+        $or: [{ productId: { $in: productIds } }, { offerId: { $in: offerIds } }],
+    }).select("productId offerId field newValue").lean();
+
+    const key = (kind, id, field, value) => JSON.stringify([kind, String(id), field, value ?? null]);
+    const queuedKeys = new Set(queued.flatMap(c => [
+        key("product", c.productId, c.field, c.newValue),
+        key("offer", c.offerId, c.field, c.newValue),
+    ]));
+
+    const fresh = [];
+    const skipped = [];
+    for (const edit of edits) {
+        const editKey = edit.productId
+            ? key("product", edit.productId, edit.field, edit.value)
+            : key("offer", edit.offerId, edit.field, edit.value);
+
+        if (queuedKeys.has(editKey)) {
+            skipped.push({ ...edit, reason: "Same change is already queued" });
+        } else {
+            fresh.push(edit);
+        }
+    }
+
+    return { edits: fresh, skipped };
+};
+
+// Mirror pushed values into the local snapshot so reads stay consistent
+const updateSnapshot = async (merchantId, changes) => {
+    if (changes.length === 0) return;
+
+    await Product.bulkWrite(changes.map(change => {
+        const [attribute, value] = toApiAttribute(change.field, change.newValue);
+        return {
+            updateOne: {
+                filter: { merchantId, id: change.productId },
+                update: { $set: { [change.field]: change.newValue, [`raw.${attribute}`]: value } },
+            },
+        };
+    }), { ordered: false });
+};
+
+/**
+ * Push approved changes to Merchant Center and record the outcome on each.
+ * Applied changes are added to the product history.
+ * Offline sources have nothing to push to; their changes apply locally.
+ * @param {Object} user
+ * @param {string} merchantId
+ * @param {Array<string>} changeIds
+ * @param {Object} options - Passed through to pushProductChanges
+ */
+export const applyProductChanges = async (user, merchantId, changeIds, options = {}) => {
+    const changes = await ProductChange.find({ _id: { $in: changeIds }, merchantId });
+
+    const ready = changes.filter(c => APPLICABLE_STATUSES.includes(c.status));
+    const foundIds = new Set(changes.map(c => String(c._id)));
+
+    const skipped = [
+        ...changeIds.filter(id => !foundIds.has(String(id))).map(id => ({ changeId: id, reason: "Change not found" })),
+        ...changes
+            .filter(c => !APPLICABLE_STATUSES.includes(c.status))
+            .map(c => ({ changeId: c._id, reason: `Change is ${c.status}` })),
+    ];
+
+    if (ready.length === 0) {
+        return { applied: [], failed: [], skipped };
+    }
+
+    const outcomes = isOfflineMerchant(merchantId)
+        ? ready.map(change => ({ change, ok: true }))
+        : await pushProductChanges(user, merchantId, ready, options);
+    const now = new Date();
+
+    for (const { change, ok, error } of outcomes) {
+        change.attempts += 1;
+        change.status = ok ? "applied" : "failed";
+        change.appliedAt = ok ? now : change.appliedAt;
+        change.lastError = ok ? undefined : error;
+    }
+
+    await ProductChange.bulkSave(outcomes.map(o => o.change));
+
+    const applied = outcomes.filter(o => o.ok).map(o => o.change);
+    const failed = outcomes.filter(o => !o.ok).map(o => o.change);
+
+    await recordProductHistory(merchantId, applied, { userId: user._id });
+    await updateSnapshot(merchantId, applied);
+
+    return { applied, failed, skipped };
+};
+
+/**
+ * Restore a product (REST id) to a history version and push it right away.
+ * @returns {Promise<Object|null>} Same shape as applyProductChanges plus the
+ *   created changes, or null when the version does not exist
+ */
+export const rollbackProduct = async (user, merchantId, productId, version) => {
+    const edits = await buildRollbackEdits(merchantId, productId, version);
+    if (!edits) return null;
+
+    const { changes, skipped } = await createProductChanges(merchantId, edits, {
+        source: "manual",
+        status: "approved",
+        userId: user._id,
+        rollbackOf: version,
+    });
+
+    if (changes.length === 0) return { changes, applied: [], failed: [], skipped };
+
+    const result = await applyProductChanges(user, merchantId, changes.map(c => c._id));
+    return { changes, ...result, skipped: [...skipped, ...result.skipped] };
+};
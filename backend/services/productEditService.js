@@ -0,0 +1,140 @@
+import { findSnapshotProducts } from "./productSyncService.js";
+import { planProductChanges, createProductChanges, supersedePendingChanges } from "./productChangeService.js";
+import { validateRule, applyRules } from "./feedRulesService.js";
+
+// Bulk edits run as a single feed rule action without conditions
+export const BULK_ACTION_TYPES = ["set", "replace", "append", "prepend"];
+
+export const MAX_EDITS = 5000;
+
+const PRICE_FIELDS = ["price", "salePrice"];
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+/**
+ * Prices are pushed as { value, currency } with a plain non-negative
+ * amount; anything else would be rejected by Merchant Center at push time.
+ * @returns {string|null} Why the value cannot be saved, or null
+ */
+export const editValueProblem = (field, value) => {
+    if (!PRICE_FIELDS.includes(field)) return null;
+
+    if (!value || typeof value !== "object" || !value.currency) {
+        return `${field} needs an amount and a currency`;
+    }
+    if (!AMOUNT_PATTERN.test(String(value.value ?? "").trim())) {
+        return `${field} amount must be a non-negative number, got "${value.value ?? ""}"`;
+    }
+    return null;
+};
+
+/**
+ * Edits come in one of two shapes:
+ *   { edits: [{ productId | offerId, field, value }] }                                  - inline edits
+ *   { productIds | offerIds, action: { type, field, value, find, replaceWith, regex } } - bulk edit
+ * Products are named by REST id; an offerId stands for every country and
+ * language version of the offer.
+ * @returns {Array<string>} Problems with the request; empty when it is valid
+ */
+export const validateEditRequest = (body = {}) => {
+    const { edits, action } = body;
+    const ids = body.productIds ?? body.offerIds;
+    const problems = [];
+
+    if (Array.isArray(edits)) {
+        if (edits.length === 0) problems.push("edits must not be empty");
+        if (edits.length > MAX_EDITS) problems.push(`at most ${MAX_EDITS} edits per request`);
+
+        edits.slice(0, MAX_EDITS).forEach((edit, i) => {
+            if (!edit?.productId && !edit?.offerId) problems.push(`edits[${i}]: productId or offerId is required`);
+            if (!edit?.field) problems.push(`edits[${i}]: field is required`);
+
+            const problem = editValueProblem(edit?.field, edit?.value);
+            if (problem) problems.push(`edits[${i}]: ${problem}`);
+        });
+        return problems;
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+        problems.push("edits, productIds or offerIds are required");
+    } else if (ids.length > MAX_EDITS) {
+        problems.push(`at most ${MAX_EDITS} products per bulk edit`);
+    }
+
+    if (!BULK_ACTION_TYPES.includes(action?.type)) {
+        problems.push(`action.type must be one of: ${BULK_ACTION_TYPES.join(", ")}`);
+    } else {
+        problems.push(...validateRule({ name: "Bulk edit", actions: [action] }).map(p => p.replace("actions[0]", "action")));
+
+        if (action.type === "set" && PRICE_FIELDS.includes(action.field) && !AMOUNT_PATTERN.test(String(action.value ?? "").trim())) {
+            problems.push(`action: ${action.field} amount must be a non-negative number`);
+        }
+    }
+
+    return problems;
+};
+
+/**
+ * Field edits for a valid request. A bulk action is run against the
+ * current snapshot, so find/replace and append see the stored values.
+ * Results that are not a valid value for the field are skipped.
+ * @returns {Promise<{ edits: Array, skipped: Array }>}
+ */
+export const resolveEdits = async (merchantId, { edits, productIds, offerIds, action }) => {
+    if (Array.isArray(edits)) {
+        return {
+            edits: edits.map(({ productId, offerId, field, value }) => ({
+                ...(productId ? { productId: String(productId) } : {}),
+                ...(offerId ? { offerId: String(offerId) } : {}),
+                field,
+                value,
+            })),
+            skipped: [],
+        };
+    }
+
+    const products = await findSnapshotProducts(merchantId, productIds ? { productIds } : { offerIds });
+    const resolved = products.flatMap(product =>
+        applyRules(product, [{ actions: [action] }]).changes
+            .map(change => ({ productId: product.id, offerId: product.offerId, field: change.field, value: change.after }))
+    );
+
+    const valid = [];
+    const skipped = [];
+    for (const edit of resolved) {
+        const problem = editValueProblem(edit.field, edit.value);
+        if (problem) skipped.push({ ...edit, reason: problem });
+        else valid.push(edit);
+    }
+
+    return { edits: valid, skipped };
+};
+
+/**
+ * Before/after of every field the edits would change; nothing is saved.
+ */
+export const previewProductEdits = async (merchantId, edits) => {
+    const { planned, skipped } = await planProductChanges(merchantId, edits);
+
+    return {
+        diff: planned.map(({ product, edit }) => ({
+            productId: product.id,
+            offerId: product.offerId,
+            title: product.title,
+            field: edit.field,
+            before: product[edit.field] ?? null,
+            after: edit.value ?? null,
+        })),
+        skipped,
+    };
+};
+
+/**
+ * Save edits as pending manual changes for review. An older pending manual
+ * edit of the same field is superseded, so a batch never pushes two values.
+ */
+export const saveProductEdits = async (user, merchantId, edits) => {
+    const { changes, skipped } = await createProductChanges(merchantId, edits, { userId: user._id });
+    const superseded = await supersedePendingChanges(merchantId, changes, "manual");
+
+    return { changes, skipped, superseded };
+};
@@ -0,0 +1,240 @@
+import crypto from "crypto";
+import Suggestion from "../models/Suggestion.js";
+import { parseJSONResponse } from "./aiProviderService.js";
+
+export const ENRICHABLE_ATTRIBUTES = ["color", "size", "material", "gender", "ageGroup", "pattern"];
+
+// Values Google accepts for the enum attributes
+const GENDERS = ["male", "female", "unisex"];
+const AGE_GROUPS = ["newborn", "infant", "toddler", "kids", "adult"];
+
+const DESCRIPTION_MIN_LENGTH = 150;
+const DESCRIPTION_MAX_LENGTH = 5000;
+
+export const ENRICHMENT_SYSTEM_PROMPT = [
+    "You are a Google Shopping feed specialist.",
+    "You write factual product descriptions and extract structured attributes from product data.",
+    "Only use facts present in the input. Answer with JSON only.",
+].join(" ");
+
+// -------------------------------
+// HEURISTIC EXTRACTION
+// Deterministic answers for the stub provider.
+// -------------------------------
+const COLORS = [
+    "black", "white", "grey", "gray", "silver", "gold", "red", "blue", "navy", "green", "olive",
+    "yellow", "orange", "pink", "purple", "brown", "beige", "cream", "ivory", "khaki", "burgundy",
+    "maroon", "teal", "turquoise", "multicolor",
+];
+const MATERIALS = [
+    "cotton", "polyester", "wool", "cashmere", "silk", "linen", "leather", "suede", "denim", "nylon",
+    "spandex", "elastane", "viscose", "rayon", "bamboo", "fleece", "canvas", "rubber", "stainless steel",
+    "steel", "aluminium", "aluminum", "wood", "oak", "glass", "ceramic", "plastic", "silicone",
+];
+const PATTERNS = [
+    "striped", "stripes", "plaid", "checked", "floral", "polka dot", "camouflage", "camo", "paisley",
+    "geometric", "leopard", "solid", "houndstooth", "tie-dye",
+];
+const GENDER_WORDS = [
+    [/\b(women'?s|womens|ladies|female|girls?)\b/i, "female"],
+    [/\b(men'?s|mens|male|boys?)\b/i, "male"],
+    [/\bunisex\b/i, "unisex"],
+];
+const AGE_WORDS = [
+    [/\bnewborns?\b/i, "newborn"],
+    [/\b(infants?|baby|babies)\b/i, "infant"],
+    [/\btoddlers?\b/i, "toddler"],
+    [/\b(kids?|children'?s?|girls?|boys?|junior)\b/i, "kids"],
+];
+const SIZE_PATTERN = /\bsize[:\s]+([a-z0-9./-]+)\b|\b(xxs|xs|xxl|xxxl|xl|one size)\b/i;
+
+const findWord = (text, words) => {
+    const lower = text.toLowerCase();
+    return words.find(word => new RegExp(`\\b${word}\\b`).test(lower));
+};
+
+const titleCase = (value) => value.replace(/\b\w/g, c => c.toUpperCase());
+
+// Text the attributes can be pulled from: title, description and raw payload details
+const sourceText = (product) => {
+    const raw = product.raw || {};
+    const details = [
+        ...(raw.productDetails || []).map(d => `${d.attributeName}: ${d.attributeValue}`),
+        ...(raw.customAttributes || []).map(a => `${a.name}: ${a.value}`),
+        ...(raw.productHighlights || []),
+    ];
+
+    return [product.title, product.description, ...details].filter(Boolean).join("\n");
+};
+
+export const extractAttributes = (product) => {
+    const text = sourceText(product);
+    const attributes = {};
+
+    const color = findWord(text, COLORS);
+    if (color) attributes.color = titleCase(color);
+
+    const material = findWord(text, MATERIALS);
+    if (material) attributes.material = titleCase(material);
+
+    const pattern = findWord(text, PATTERNS);
+    if (pattern) attributes.pattern = titleCase(pattern);
+
+    const size = text.match(SIZE_PATTERN);
+    if (size) attributes.size = (size[1] || size[2]).toUpperCase();
+
+    const gender = GENDER_WORDS.find(([regex]) => regex.test(text));
+    if (gender) attributes.gender = gender[1];
+
+    const ageGroup = AGE_WORDS.find(([regex]) => regex.test(text));
+    if (ageGroup) attributes.ageGroup = ageGroup[1];
+
+    return attributes;
+};
+
+export const composeDescription = (product, attributes = {}) => {
+    const current = product.description?.trim() || "";
+    if (current.length >= DESCRIPTION_MIN_LENGTH) return current;
+
+    const details = ENRICHABLE_ATTRIBUTES
+        .map(name => attributes[name] || product[name])
+        .filter(Boolean);
+
+    const title = product.title || "";
+    const lead = product.brand && !title.toLowerCase().includes(product.brand.toLowerCase())
+        ? `${product.brand} ${title}`
+        : title;
+    const sentence = (text) => (text && !/[.!?]$/.test(text) ? `${text}.` : text);
+
+    const sentences = [
+        sentence(lead.trim()),
+        sentence(current),
+        details.length ? `Details: ${details.join(", ")}.` : "",
+        product.productType ? `Category: ${product.productType.split(">").pop().trim()}.` : "",
+    ];
+
+    return sentences.filter(Boolean).join(" ").replace(/\s+/g, " ").trim();
+};
+
+// -------------------------------
+// PROMPT & NORMALIZATION
+// -------------------------------
+const missingAttributes = (product) => ENRICHABLE_ATTRIBUTES.filter(name => !product[name]);
+
+export const buildEnrichmentPrompt = (product) => {
+    const missing = missingAttributes(product);
+
+    return [
+        "Improve the description of this product and fill in the missing attributes.",
+        `The description must be plain text, at least ${DESCRIPTION_MIN_LENGTH} characters and at most ${DESCRIPTION_MAX_LENGTH},`,
+        "without promotional text, links or HTML.",
+        `Missing attributes: ${missing.join(", ") || "none"}.`,
+        `gender must be one of ${GENDERS.join("/")}, ageGroup one of ${AGE_GROUPS.join("/")}.`,
+        "Use null for any attribute the input does not support.",
+        'Respond as {"description": string, "attributes": {"color": string|null, ...}}',
+        "",
+        `Title: ${product.title || ""}`,
+        `Brand: ${product.brand || "unknown"}`,
+        `Product type: ${product.productType || "unknown"}`,
+        `Current description: ${product.description || "none"}`,
+        `Payload: ${JSON.stringify(product.raw || {}).slice(0, 3000)}`,
+    ].join("\n");
+};
+
+const cleanValue = (name, value) => {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    if (!text) return null;
+
+    if (name === "gender") return GENDERS.includes(text.toLowerCase()) ? text.toLowerCase() : null;
+    if (name === "ageGroup") return AGE_GROUPS.includes(text.toLowerCase()) ? text.toLowerCase() : null;
+    return text;
+};
+
+/**
+ * Field-level diff between a product and an enrichment answer. Existing
+ * attribute values are never overwritten, only gaps are filled.
+ */
+export const diffEnrichment = (product, answer) => {
+    const diff = [];
+
+    const description = answer.description?.trim().slice(0, DESCRIPTION_MAX_LENGTH);
+    if (description && description !== (product.description || "").trim()) {
+        diff.push({ field: "description", current: product.description ?? null, proposed: description });
+    }
+
+    for (const name of missingAttributes(product)) {
+        const proposed = cleanValue(name, answer.attributes?.[name]);
+        if (proposed) diff.push({ field: name, current: null, proposed });
+    }
+
+    return diff;
+};
+
+// -------------------------------
+// ENRICHMENT
+// -------------------------------
+export const enrichProduct = async (product, provider) => {
+    const prompt = buildEnrichmentPrompt(product);
+
+    const result = await provider.generate({
+        system: ENRICHMENT_SYSTEM_PROMPT,
+        prompt,
+        json: true,
+        fallback: () => {
+            const attributes = extractAttributes(product);
+            return { description: composeDescription(product, attributes), attributes };
+        },
+    });
+
+    return {
+        offerId: product.offerId,
+        productId: product.id,
+        diff: diffEnrichment(product, parseJSONResponse(result.text)),
+        provider: provider.name,
+        model: result.model,
+        prompt,
+        usage: result.usage,
+    };
+};
+
+/**
+ * Enrich a list of products and store one suggestion per changed field.
+ */
+export const createEnrichmentSuggestions = async (merchantId, products, provider, userId, { save = true } = {}) => {
+    const results = [];
+    const failures = [];
+
+    for (const product of products) {
+        try {
+            const enrichment = await enrichProduct(product, provider);
+
+            if (save && enrichment.diff.length > 0) {
+                const generationId = crypto.randomUUID();
+
+                enrichment.suggestions = await Suggestion.insertMany(enrichment.diff.map(change => ({
+                    merchantId,
+                    productId: product.id,
+                    offerId: product.offerId,
+                    field: change.field,
+                    currentValue: change.current,
+                    suggestedValue: change.proposed,
+                    generationId,
+                    provider: enrichment.provider,
+                    model: enrichment.model,
+                    prompt: enrichment.prompt,
+                    usage: enrichment.usage,
+                    createdBy: userId,
+                })));
+            }
+
+            delete enrichment.prompt;
+            results.push(enrichment);
+        } catch (error) {
+            console.error(`Enrichment failed for ${product.offerId}:`, error.message);
+            failures.push({ offerId: product.offerId, error: error.message });
+        }
+    }
+
+    return { results, failures };
+};
@@ -0,0 +1,139 @@
+import Product from "../models/Product.js";
+import ProductHistory from "../models/ProductHistory.js";
+import HistoryCounter from "../models/HistoryCounter.js";
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Products with history from before the counter existed continue from
+// their latest recorded version
+const nextVersion = async (merchantId, productId) => {
+    const counter = await HistoryCounter.findOneAndUpdate({ merchantId, productId }, { $inc: { version: 1 } }, { new: true });
+    if (counter) return counter.version;
+
+    const latest = await ProductHistory.findOne({ merchantId, productId }).sort({ version: -1 }).select("version");
+    try {
+        await HistoryCounter.create({ merchantId, productId, version: latest?.version || 0 });
+    } catch (error) {
+        // Another apply created the counter first
+        if (error.code !== 11000) throw error;
+    }
+    return nextVersion(merchantId, productId);
+};
+
+/**
+ * Record applied changes as a new history version per product. Call it
+ * before the snapshot is updated: old values are read from the snapshot,
+ * since it may have moved on since the change was created.
+ * @param {string} merchantId
+ * @param {Array} changes - Applied ProductChange documents
+ * @param {Object} options - { userId }
+ */
+export const recordProductHistory = async (merchantId, changes, { userId } = {}) => {
+    if (changes.length === 0) return [];
+
+    const products = await Product.find({ merchantId, id: { $in: [...new Set(changes.map(c => c.productId))] } })
+        .select(["id", ...new Set(changes.map(c => c.field))].join(" "))
+        .lean();
+    const current = new Map(products.map(p => [p.id, p]));
+
+    const byProduct = new Map();
+    for (const change of [...changes].sort((a, b) => a.createdAt - b.createdAt)) {
+        if (!byProduct.has(change.productId)) byProduct.set(change.productId, []);
+        byProduct.get(change.productId).push(change);
+    }
+
+    const appliedAt = new Date();
+    const docs = [];
+
+    for (const [productId, productChanges] of byProduct) {
+        const version = await nextVersion(merchantId, productId);
+        // Several changes to one field in a batch chain their old values
+        const values = new Map();
+
+        for (const change of productChanges) {
+            const oldValue = values.has(change.field) ? values.get(change.field) : current.get(productId)?.[change.field] ?? change.oldValue;
+            values.set(change.field, change.newValue);
+
+            docs.push({
+                merchantId,
+                productId,
+                offerId: change.offerId,
+                version,
+                field: change.field,
+                oldValue: oldValue ?? null,
+                newValue: change.newValue ?? null,
+                source: change.source,
+                changeId: change._id,
+                userId: userId || change.approvedBy || change.createdBy,
+                rollbackOf: change.rollbackOf,
+                appliedAt,
+            });
+        }
+    }
+
+    return ProductHistory.insertMany(docs);
+};
+
+/**
+ * History of a product (REST id), newest version first, with entries grouped per version.
+ */
+export const getProductHistory = async (merchantId, productId) => {
+    const entries = await ProductHistory.find({ merchantId, productId })
+        .sort({ version: -1, createdAt: 1 })
+        .populate("userId", "name email")
+        .lean();
+
+    const versions = new Map();
+    for (const entry of entries) {
+        if (!versions.has(entry.version)) {
+            versions.set(entry.version, {
+                version: entry.version,
+                appliedAt: entry.appliedAt,
+                user: entry.userId || null,
+                sources: [],
+                rollbackOf: entry.rollbackOf ?? null,
+                changes: [],
+            });
+        }
+
+        const version = versions.get(entry.version);
+        if (!version.sources.includes(entry.source)) version.sources.push(entry.source);
+        version.changes.push({
+            field: entry.field,
+            oldValue: entry.oldValue,
+            newValue: entry.newValue,
+            source: entry.source,
+            productId: entry.productId,
+            changeId: entry.changeId,
+        });
+    }
+
+    return [...versions.values()];
+};
+
+/**
+ * Edits that put a product (REST id) back to how it was right after `version`.
+ * Version 0 is the state before the app first changed it. Every field
+ * written after that version gets the value it had at that point.
+ * @returns {Promise<Array<{ productId, offerId, field, value }>|null>} null when the version does not exist
+ */
+export const buildRollbackEdits = async (merchantId, productId, version) => {
+    if (version > 0 && !(await ProductHistory.exists({ merchantId, productId, version }))) return null;
+
+    const later = await ProductHistory.find({ merchantId, productId, version: { $gt: version } })
+        .sort({ version: 1, createdAt: 1 })
+        .lean();
+
+    // The first later write of each field saw the value it had at `version`
+    const targets = new Map();
+    for (const entry of later) {
+        if (!targets.has(entry.field)) targets.set(entry.field, entry.oldValue);
+    }
+
+    const product = await Product.findOne({ merchantId, id: productId, removedAt: null }).lean();
+    const offerId = product?.offerId ?? later[0]?.offerId;
+
+    return [...targets]
+        .filter(([field, value]) => !product || !sameValue(product[field], value))
+        .map(([field, value]) => ({ productId, offerId, field, value }));
+};
@@ -0,0 +1,163 @@
+import { getContentClient } from "./googleMerchantService.js";
+
+// products.custombatch accepts up to 1000 entries; stay well below it
+const BATCH_SIZE = 500;
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+
+const TRANSIENT_REASONS = ["backendError", "internalError", "rateLimitExceeded", "userRateLimitExceeded", "serviceUnavailable"];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isTransientStatus = (status) => status === 429 || status >= 500;
+
+// Transient failures of the whole HTTP call
+const isTransientError = (error) =>
+    isTransientStatus(error.response?.status ?? error.code) ||
+    ["ECONNRESET", "ETIMEDOUT", "EAI_AGAIN"].includes(error.code);
+
+// Transient failures reported for a single batch entry
+const isTransientEntryError = (errors) =>
+    isTransientStatus(errors?.code) ||
+    (errors?.errors || []).some(e => TRANSIENT_REASONS.includes(e.reason));
+
+/**
+ * Normalized field name/value -> Content API product attribute.
+ * Most fields share the name; a few are lists in the API.
+ */
+export const toApiAttribute = (field, value) => {
+    if (field === "size") return ["sizes", value ? [value] : []];
+    if (field === "productType") return ["productTypes", value ? [value] : []];
+    return [field, value];
+};
+
+/**
+ * Group changes by product into products.custombatch "update" entries.
+ * @returns {{ entries: Array, changesByBatchId: Map<number, Array> }}
+ */
+export const buildBatchEntries = (merchantId, changes) => {
+    const byProduct = new Map();
+
+    for (const change of changes) {
+        if (!byProduct.has(change.productId)) byProduct.set(change.productId, []);
+        byProduct.get(change.productId).push(change);
+    }
+
+    const entries = [];
+    const changesByBatchId = new Map();
+
+    [...byProduct.entries()].forEach(([productId, productChanges], batchId) => {
+        const product = {};
+        const mask = new Set();
+
+        // Later changes to the same field win
+        for (const change of productChanges) {
+            const [attribute, value] = toApiAttribute(change.field, change.newValue);
+            mask.add(attribute);
+            if (value === null || value === undefined || value === "") {
+                delete product[attribute]; // Omitted + masked clears the attribute
+            } else {
+                product[attribute] = value;
+            }
+        }
+
+        entries.push({
+            batchId,
+            merchantId,
+            method: "update",
+            productId,
+            product,
+            updateMask: [...mask].join(","),
+        });
+        changesByBatchId.set(batchId, productChanges);
+    });
+
+    return { entries, changesByBatchId };
+};
+
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+};
+
+const errorMessage = (errors) =>
+    errors?.message || errors?.errors?.map(e => e.message).join("; ") || "Unknown error";
+
+/**
+ * Send one chunk of entries, retrying the call and transient entry
+ * failures with exponential backoff.
+ * @returns {Map<number, { ok: boolean, error?: string }>} Result per batchId
+ */
+const sendChunk = async (content, entries, retryDelay) => {
+    const results = new Map();
+    let pending = entries;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS && pending.length > 0; attempt++) {
+        if (attempt > 1) await wait(retryDelay * 2 ** (attempt - 2));
+
+        let response;
+        try {
+            response = await content.products.custombatch({ requestBody: { entries: pending } });
+        } catch (error) {
+            if (attempt < MAX_ATTEMPTS && isTransientError(error)) {
+                console.warn(`custombatch attempt ${attempt} failed, retrying:`, error.message);
+                continue;
+            }
+            pending.forEach(entry => results.set(entry.batchId, { ok: false, error: error.message }));
+            return results;
+        }
+
+        const retry = [];
+        const responseEntries = new Map((response.data.entries || []).map(e => [e.batchId, e]));
+
+        for (const entry of pending) {
+            const result = responseEntries.get(entry.batchId);
+
+            if (!result) {
+                results.set(entry.batchId, { ok: false, error: "Missing entry in custombatch response" });
+            } else if (!result.errors) {
+                results.set(entry.batchId, { ok: true });
+            } else if (attempt < MAX_ATTEMPTS && isTransientEntryError(result.errors)) {
+                retry.push(entry);
+            } else {
+                results.set(entry.batchId, { ok: false, error: errorMessage(result.errors) });
+            }
+        }
+
+        pending = retry;
+    }
+
+    return results;
+};
+
+/**
+ * Push field changes to Merchant Center through products.custombatch.
+ * @param {Object} user - User whose Google tokens are used
+ * @param {string} merchantId
+ * @param {Array} changes - ProductChange-like objects ({ productId, field, newValue })
+ * @param {Object} options - { content } injects a Content API client
+ * @returns {Promise<Array<{ change, ok: boolean, error?: string }>>}
+ */
+export const pushProductChanges = async (user, merchantId, changes, { content, retryDelay = RETRY_BASE_DELAY_MS } = {}) => {
+    const client = content || getContentClient(user);
+    const { entries, changesByBatchId } = buildBatchEntries(merchantId, changes);
+    const outcomes = [];
+
+    for (const entriesChunk of chunk(entries, BATCH_SIZE)) {
+        const results = await sendChunk(client, entriesChunk, retryDelay);
+
+        for (const entry of entriesChunk) {
+            const result = results.get(entry.batchId);
+            for (const change of changesByBatchId.get(entry.batchId)) {
+                outcomes.push({ change, ...result });
+            }
+        }
+    }
+
+    console.log(
+        `custombatch for ${merchantId}: ${outcomes.filter(o => o.ok).length}/${outcomes.length} changes applied`
+    );
+
+    return outcomes;
+};
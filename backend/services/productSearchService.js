@@ -0,0 +1,195 @@
+import Product from "../models/Product.js";
+import { SCORE_BUCKETS, scoreRangeLabel } from "./feedAuditService.js";
+
+// Facets with a value list; each query parameter matches the field of the same name
+const VALUE_FACETS = {
+    brand: "brand",
+    availability: "availability",
+    condition: "condition",
+    productType: "productType",
+    approvalStatus: "productStatus.approvalStatus",
+    customLabel0: "customLabel0",
+    customLabel1: "customLabel1",
+    customLabel2: "customLabel2",
+    customLabel3: "customLabel3",
+    customLabel4: "customLabel4",
+};
+
+export const FACET_FIELDS = Object.keys(VALUE_FACETS);
+
+const FACET_LIMIT = 50;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isMissing = { $in: [null, ""] };
+
+// Price amounts are strings; unparseable ones count as missing
+export const priceAmount = { $convert: { input: "$price.value", to: "double", onError: null, onNull: null } };
+
+// Every level of a product type path ("Home > Lamps" -> ["Home", "Home > Lamps"]),
+// so facet counts include subcategories the same way the filter does
+const productTypePaths = {
+    $let: {
+        vars: { levels: { $split: [{ $ifNull: ["$productType", ""] }, " > "] } },
+        in: {
+            $map: {
+                input: { $range: [1, { $add: [{ $size: "$$levels" }, 1] }] },
+                as: "depth",
+                in: {
+                    $reduce: {
+                        input: { $slice: ["$$levels", "$$depth"] },
+                        initialValue: null,
+                        in: { $cond: [{ $eq: ["$$value", null] }, "$$this", { $concat: ["$$value", " > ", "$$this"] }] },
+                    },
+                },
+            },
+        },
+    },
+};
+
+/**
+ * A query parameter as a list: repeated (?brand=a&brand=b) or with
+ * brackets (?brand[]=a) as axios sends arrays. An empty value means "not set".
+ */
+export const readList = (query, key) =>
+    [query[key], query[`${key}[]`]].flat().filter(value => value !== undefined).map(String);
+
+const readNumber = (value) => {
+    if (value === undefined || value === "") return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// Condition for one value facet
+const valueClause = (facet, values) => {
+    const field = VALUE_FACETS[facet];
+    const set = values.filter(Boolean);
+    const wantsMissing = values.includes("");
+
+    // Products without a status are reported as "unknown"
+    if (facet === "approvalStatus" && set.includes("unknown")) {
+        return { $or: [{ [field]: { $in: set } }, { [field]: isMissing }] };
+    }
+
+    // A product type also matches its subcategories ("Home" matches "Home > Lamps")
+    const matchers = facet === "productType"
+        ? set.map(value => new RegExp(`^${escapeRegex(value)}( > |$)`))
+        : set;
+
+    const clauses = [
+        ...(matchers.length > 0 ? [{ [field]: { $in: matchers } }] : []),
+        ...(wantsMissing ? [{ [field]: isMissing }] : []),
+    ];
+    return clauses.length === 1 ? clauses[0] : { $or: clauses };
+};
+
+/**
+ * Mongo filters for a product search.
+ * @param {string} merchantId
+ * @param {Object} query - q, facet values, minPrice, maxPrice, minScore, maxScore
+ * @returns {{ base: Object, facets: Object<string, Object> }} `base` holds the
+ *   search terms, `facets` one condition per selected facet or range
+ */
+export const buildProductFilters = (merchantId, query = {}) => {
+    const and = [];
+
+    // Every term must appear in the title, description or offer id
+    const terms = String(query.q || "").trim().split(/\s+/).filter(Boolean).slice(0, 10);
+    for (const term of terms) {
+        const pattern = new RegExp(escapeRegex(term), "i");
+        and.push({ $or: [{ title: pattern }, { description: pattern }, { offerId: pattern }] });
+    }
+
+    const facets = {};
+    for (const facet of FACET_FIELDS) {
+        const values = readList(query, facet);
+        if (values.length > 0) facets[facet] = valueClause(facet, values);
+    }
+
+    const minPrice = readNumber(query.minPrice);
+    const maxPrice = readNumber(query.maxPrice);
+    if (minPrice !== null || maxPrice !== null) {
+        const bounds = [{ $ne: [priceAmount, null] }];
+        if (minPrice !== null) bounds.push({ $gte: [priceAmount, minPrice] });
+        if (maxPrice !== null) bounds.push({ $lte: [priceAmount, maxPrice] });
+        facets.price = { $expr: { $and: bounds } };
+    }
+
+    const minScore = readNumber(query.minScore);
+    const maxScore = readNumber(query.maxScore);
+    if (minScore !== null || maxScore !== null) {
+        facets.auditScore = {
+            "audit.score": {
+                ...(minScore !== null ? { $gte: minScore } : {}),
+                ...(maxScore !== null ? { $lte: maxScore } : {}),
+            },
+        };
+    }
+
+    return {
+        base: { merchantId, removedAt: null, ...(and.length > 0 ? { $and: and } : {}) },
+        facets,
+    };
+};
+
+/**
+ * Filter combining the base conditions with the selected facets,
+ * optionally leaving one facet out.
+ */
+export const combineFilters = ({ base, facets }, { except } = {}) => {
+    const clauses = Object.entries(facets).filter(([facet]) => facet !== except).map(([, clause]) => clause);
+    if (clauses.length === 0) return base;
+    return { ...base, $and: [...(base.$and || []), ...clauses] };
+};
+
+/**
+ * Facet counts for a search. Each facet (and the score and price ranges) is
+ * counted with every filter except its own, so the other values stay visible.
+ * @returns {Promise<Object>} { brand: [{ value, count }], ..., auditScore: [...], price: { min, max } }
+ */
+export const getProductFacets = async (filters) => {
+    const stages = {};
+
+    for (const facet of FACET_FIELDS) {
+        const field = VALUE_FACETS[facet];
+        stages[facet] = [
+            { $match: combineFilters(filters, { except: facet }) },
+            ...(facet === "productType"
+                ? [{ $project: { productType: productTypePaths } }, { $unwind: "$productType" }]
+                : []),
+            { $group: { _id: { $ifNull: [`$${field}`, ""] }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_LIMIT },
+        ];
+    }
+
+    stages.auditScore = [
+        { $match: combineFilters(filters, { except: "auditScore" }) },
+        { $bucket: { groupBy: "$audit.score", boundaries: SCORE_BUCKETS, default: "none", output: { count: { $sum: 1 } } } },
+    ];
+    stages.price = [
+        { $match: combineFilters(filters, { except: "price" }) },
+        { $group: { _id: null, min: { $min: priceAmount }, max: { $max: priceAmount } } },
+    ];
+
+    // Stage matches are applied inside $facet; the outer match only narrows to the account
+    const [result] = await Product.aggregate([
+        { $match: { merchantId: filters.base.merchantId, removedAt: null } },
+        { $facet: stages },
+    ]);
+
+    const facets = Object.fromEntries(FACET_FIELDS.map(facet => [
+        facet,
+        result[facet].map(({ _id, count }) => ({ value: _id, count })),
+    ]));
+
+    // Bucket ids are lower bounds of the audit score ranges
+    facets.auditScore = result.auditScore.map(({ _id, count }) => {
+        if (_id === "none") return { value: "none", min: null, max: null, count };
+        const i = SCORE_BUCKETS.indexOf(_id);
+        return { value: scoreRangeLabel(i), min: _id, max: Math.min(SCORE_BUCKETS[i + 1] - 1, 100), count };
+    });
+    facets.price = { min: result.price[0]?.min ?? null, max: result.price[0]?.max ?? null };
+
+    return facets;
+};
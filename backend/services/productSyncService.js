@@ -0,0 +1,224 @@
+import crypto from "crypto";
+import Product from "../models/Product.js";
+import SyncRun from "../models/SyncRun.js";
+import { runMerchantAudit } from "./feedAuditService.js";
+
+// Identity of a product inside one merchant account
+const productKey = (p) => [p.offerId, p.channel, p.contentLanguage, p.targetCountry].join("|");
+
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+    }
+    return JSON.stringify(value);
+};
+
+export const hashProduct = (product) =>
+    crypto.createHash("sha1").update(stableStringify(product.raw || product)).digest("hex");
+
+// Top-level Content API attributes that differ between two raw resources
+const diffFields = (before = {}, after = {}) => {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].filter(k => stableStringify(before[k]) !== stableStringify(after[k])).sort();
+};
+
+/**
+ * Compare the stored snapshot with freshly fetched products.
+ * @param {Array} previous - Stored products (need offerId/channel/contentLanguage/targetCountry, hash, raw)
+ * @param {Array} current - Normalized products from the Content API
+ */
+export const detectProductChanges = (previous, current) => {
+    const previousByKey = new Map(previous.map(p => [productKey(p), p]));
+    const result = { added: [], modified: [], removed: [], unchanged: [] };
+
+    for (const product of current) {
+        const key = productKey(product);
+        const hash = hashProduct(product);
+        const stored = previousByKey.get(key);
+        previousByKey.delete(key);
+
+        if (!stored) {
+            result.added.push({ product, hash });
+        } else if (stored.hash !== hash) {
+            result.modified.push({ product, hash, fields: diffFields(stored.raw, product.raw) });
+        } else {
+            result.unchanged.push({ product, hash });
+        }
+    }
+
+    result.removed = [...previousByKey.values()];
+
+    return result;
+};
+
+export const startSyncRun = (user, merchantId, { source } = {}) =>
+    SyncRun.create({ merchantId, userId: user._id, source, startedAt: new Date() });
+
+export const failSyncRun = async (run, error) => {
+    run.status = "failed";
+    run.finishedAt = new Date();
+    run.errorMessages.push(error.message);
+    await run.save();
+    return run;
+};
+
+/**
+ * Upsert fetched products into the Product store, flag products that
+ * disappeared from the feed and close the sync run with its counts.
+ */
+export const saveProductSnapshot = async (run, merchantId, products) => {
+    const now = new Date();
+
+    const stored = await Product.find({ merchantId, removedAt: null })
+        .select("offerId channel contentLanguage targetCountry hash raw id price")
+        .lean();
+
+    const changes = detectProductChanges(stored, products);
+    const storedByKey = new Map(stored.map(p => [productKey(p), p]));
+
+    // Keep the outgoing price when it changes so pricing checks can spot
+    // swings. A sync without a price change clears it again, so a swing is
+    // reported for the sync that saw it and not on every later one.
+    const priceUpdate = (product) => {
+        const before = storedByKey.get(productKey(product))?.price;
+        if (!before || stableStringify(before) === stableStringify(product.price ?? null)) {
+            return { $unset: { previousPrice: "", priceChangedAt: "" } };
+        }
+        return { $set: { previousPrice: before, priceChangedAt: now } };
+    };
+
+    const upserts = [...changes.added, ...changes.modified, ...changes.unchanged].map(({ product, hash }) => {
+        const price = priceUpdate(product);
+
+        // Attributes the fetched product no longer has come through as
+        // undefined, which Mongoose drops from $set; unset them instead
+        const fields = Object.entries(product);
+        const removed = fields.filter(([, value]) => value === undefined).map(([field]) => [field, ""]);
+        const unset = { ...Object.fromEntries(removed), ...price.$unset };
+
+        return {
+            updateOne: {
+                filter: {
+                    merchantId,
+                    offerId: product.offerId,
+                    channel: product.channel,
+                    contentLanguage: product.contentLanguage,
+                    targetCountry: product.targetCountry,
+                },
+                update: {
+                    $set: {
+                        ...Object.fromEntries(fields.filter(([, value]) => value !== undefined)),
+                        ...price.$set,
+                        merchantId,
+                        hash,
+                        lastSeenAt: now,
+                        removedAt: null,
+                        lastSyncRunId: run._id,
+                    },
+                    ...(Object.keys(unset).length > 0 && { $unset: unset }),
+                    $setOnInsert: { firstSeenAt: now },
+                },
+                upsert: true,
+            },
+        };
+    });
+
+    if (upserts.length > 0) {
+        await Product.bulkWrite(upserts, { ordered: false });
+    }
+
+    if (changes.removed.length > 0) {
+        await Product.updateMany(
+            { _id: { $in: changes.removed.map(p => p._id) } },
+            { $set: { removedAt: now, lastSyncRunId: run._id } }
+        );
+    }
+
+    run.status = "completed";
+    run.finishedAt = new Date();
+    run.counts = {
+        fetched: products.length,
+        added: changes.added.length,
+        modified: changes.modified.length,
+        removed: changes.removed.length,
+        unchanged: changes.unchanged.length,
+    };
+    run.changes = [
+        ...changes.added.map(({ product }) => ({ type: "added", productId: product.id, offerId: product.offerId })),
+        ...changes.modified.map(({ product, fields }) => ({ type: "modified", productId: product.id, offerId: product.offerId, fields })),
+        ...changes.removed.map(p => ({ type: "removed", productId: p.id, offerId: p.offerId })),
+    ];
+    await run.save();
+
+    // Keep stored audit scores in line with the new snapshot
+    await runMerchantAudit(merchantId);
+
+    console.log(
+        `Sync run ${run._id} for ${merchantId}: +${run.counts.added} ~${run.counts.modified} -${run.counts.removed}`
+    );
+
+    return run;
+};
+
+// Overall approval derived from per-destination statuses
+export const deriveApprovalStatus = (destinationStatuses = []) => {
+    const has = (key, status) => destinationStatuses.some(d => d[key]?.length > 0 || d.status === status);
+
+    if (has("disapprovedCountries", "disapproved")) return "disapproved";
+    if (has("pendingCountries", "pending")) return "pending";
+    if (has("approvedCountries", "approved")) return "approved";
+    return "unknown";
+};
+
+/**
+ * Join productstatuses resources onto the stored products by REST id.
+ */
+export const saveProductStatuses = async (merchantId, statuses) => {
+    const checkedAt = new Date();
+
+    const updates = statuses.map(status => ({
+        updateOne: {
+            filter: { merchantId, id: status.productId },
+            update: {
+                $set: {
+                    productStatus: {
+                        approvalStatus: deriveApprovalStatus(status.destinationStatuses),
+                        destinationStatuses: status.destinationStatuses || [],
+                        itemLevelIssues: status.itemLevelIssues || [],
+                        checkedAt,
+                    },
+                },
+            },
+        },
+    }));
+
+    if (updates.length > 0) {
+        await Product.bulkWrite(updates, { ordered: false });
+    }
+
+    return updates.length;
+};
+
+export const getLatestSyncRun = (merchantId, status = "completed") =>
+    SyncRun.findOne({ merchantId, status }).sort({ startedAt: -1 }).select("-changes");
+
+/**
+ * Active products from the local snapshot, optionally limited to some offers.
+ */
+export const findSnapshotProducts = (merchantId, { productIds, offerIds, limit } = {}) => {
+    const filter = { merchantId, removedAt: null };
+    if (Array.isArray(productIds) && productIds.length > 0) {
+        filter.id = { $in: productIds.map(String) };
+    }
+    if (Array.isArray(offerIds) && offerIds.length > 0) {
+        filter.offerId = { $in: offerIds.map(String) };
+    }
+
+    const query = Product.find(filter).sort({ offerId: 1 }).select("-hash -__v");
+    if (limit) query.limit(limit);
+
+    return query.lean();
+};
@@ -0,0 +1,344 @@
+import os from "os";
+import crypto from "crypto";
+import SyncJob from "../models/SyncJob.js";
+import JobRun from "../models/JobRun.js";
+import SyncRun from "../models/SyncRun.js";
+import User from "../models/User.js";
+import {
+    fetchGoogleMerchantAccounts,
+    fetchGoogleMerchantProducts,
+    fetchGoogleProductStatuses,
+} from "./googleMerchantService.js";
+import { saveProductStatuses } from "./productSyncService.js";
+import { importPerformance } from "./performanceService.js";
+import { runImageAnalysis } from "./imageAnalysisService.js";
+import { runMerchantAudit } from "./feedAuditService.js";
+import { nextCronRun } from "../utils/cron.js";
+import { isOfflineMerchant } from "../utils/merchantSource.js";
+
+// Identifies this server process in job locks and run history
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+const POLL_INTERVAL_MS = Number(process.env.SCHEDULER_POLL_MS) || 60 * 1000;
+// A lock older than this is treated as abandoned (crashed instance)
+const LOCK_TTL_MS = Number(process.env.SCHEDULER_LOCK_TTL_MS) || 30 * 60 * 1000;
+// A running job renews its lock this often, so a long sync keeps it
+const HEARTBEAT_MS = LOCK_TTL_MS / 3;
+const RETRY_BASE_MS = Number(process.env.SCHEDULER_RETRY_BASE_MS) || 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// Jobs run one after another; this bounds how long one poll can take
+const MAX_JOBS_PER_TICK = 10;
+// Recent days are re-imported because conversions are attributed late
+const PERFORMANCE_LOOKBACK_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Products whose images are checked per scheduled run, least recently checked first
+const IMAGE_BATCH = 500;
+// Tasks that also apply to offline (feed file) sources
+const OFFLINE_TASKS = new Set(["accounts", "images"]);
+
+/**
+ * Delay before retry number `attempt` (1-based): 1, 2, 4, 8... minutes, capped at an hour.
+ */
+export const retryDelay = (attempt) => Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+
+export const scheduleNextRun = (job, from = new Date()) => nextCronRun(job.schedule, from, job.timezone || "UTC");
+
+// -------------------------------
+// TASKS
+// Each task throws when it failed so the run can be retried.
+// -------------------------------
+const latestSyncRun = (user, merchantId, since) =>
+    SyncRun.findOne({ merchantId, userId: user._id, startedAt: { $gte: since } })
+        .sort({ startedAt: -1 })
+        .select("status counts errorMessages");
+
+const TASKS = {
+    accounts: async (user) => {
+        // fetchGoogleMerchantAccounts reports failures as an empty list
+        const accounts = await fetchGoogleMerchantAccounts(user);
+        if (accounts.length === 0) throw new Error("No merchant accounts returned; check the Google connection");
+        return { count: accounts.length };
+    },
+
+    products: async (user, job) => {
+        const startedAt = new Date();
+        await fetchGoogleMerchantProducts(user, job.merchantId);
+
+        // The fetch records its outcome on a SyncRun instead of throwing
+        const run = await latestSyncRun(user, job.merchantId, startedAt);
+        if (!run) throw new Error("Product sync did not start");
+        if (run.status === "failed") throw new Error(run.errorMessages.at(-1) || "Product sync failed");
+
+        return { syncRunId: run._id, count: run.counts.fetched };
+    },
+
+    statuses: async (user, job) => {
+        const statuses = await fetchGoogleProductStatuses(user, job.merchantId);
+        await saveProductStatuses(job.merchantId, statuses);
+        return { count: statuses.length };
+    },
+
+    performance: async (user, job) => {
+        const endDate = new Date(Date.now() - DAY_MS);
+        const startDate = new Date(endDate.getTime() - (PERFORMANCE_LOOKBACK_DAYS - 1) * DAY_MS);
+
+        const result = await importPerformance(user, job.merchantId, { startDate, endDate });
+        return { count: result.imported };
+    },
+
+    // Downloads images only; does not need the Google connection
+    images: async (user, job, options = {}) => {
+        const results = await runImageAnalysis(job.merchantId, { limit: IMAGE_BATCH, ...options });
+
+        // Score the new results; the audit also finds duplicates across the catalog
+        await runMerchantAudit(job.merchantId);
+
+        const images = results.flatMap(r => r.images);
+        return {
+            count: results.length,
+            message: `${images.length} image(s) checked, ${images.filter(i => !i.ok).length} broken`,
+        };
+    },
+};
+
+const runTasks = async (job) => {
+    const user = await User.findById(job.userId);
+    if (!user) throw Object.assign(new Error("Job owner no longer exists"), { results: [] });
+
+    const results = [];
+    const tasks = job.tasks.length > 0 ? job.tasks : ["products"];
+
+    for (const task of tasks) {
+        // A product sync already refreshes statuses
+        if (task === "statuses" && tasks.includes("products")) {
+            results.push({ task, status: "skipped", message: "Refreshed by the product sync" });
+            continue;
+        }
+        if (!OFFLINE_TASKS.has(task) && isOfflineMerchant(job.merchantId)) {
+            results.push({ task, status: "skipped", message: "Offline sources are updated by importing a feed file" });
+            continue;
+        }
+
+        try {
+            results.push({ task, status: "succeeded", ...await TASKS[task](user, job) });
+        } catch (error) {
+            results.push({ task, status: "failed", message: error.message });
+            throw Object.assign(new Error(`${task}: ${error.message}`), { results });
+        }
+    }
+
+    return results;
+};
+
+// -------------------------------
+// LOCKING
+// -------------------------------
+/**
+ * Atomically take the lease on a job. Only one instance can win, because
+ * the lock fields are checked and set in a single findOneAndUpdate.
+ * @param {Object} filter - Extra conditions, e.g. due jobs or one job id
+ */
+const acquireJob = (filter, now = new Date()) =>
+    SyncJob.findOneAndUpdate(
+        {
+            ...filter,
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+        },
+        { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) } },
+        { new: true, sort: { nextRunAt: 1 } }
+    );
+
+export const claimDueJob = (now = new Date()) =>
+    acquireJob({ enabled: true, nextRunAt: { $lte: now } }, now);
+
+/**
+ * Extend the lease on a job every HEARTBEAT_MS while it runs.
+ * @returns {Function} Stops the heartbeat
+ */
+const keepLease = (job) => {
+    const timer = setInterval(() => {
+        SyncJob.updateOne(
+            { _id: job._id, lockedBy: INSTANCE_ID },
+            { $set: { lockedUntil: new Date(Date.now() + LOCK_TTL_MS) } }
+        )
+            .then(result => {
+                if (result.matchedCount === 0) console.warn(`Lost the lock on job ${job._id} while it was running`);
+            })
+            .catch(error => console.error(`Error renewing the lock on job ${job._id}:`, error.message));
+    }, HEARTBEAT_MS);
+    timer.unref();
+
+    return () => clearInterval(timer);
+};
+
+// -------------------------------
+// EXECUTION
+// -------------------------------
+/**
+ * Run a job this instance holds the lock on, record a JobRun and
+ * reschedule it: the next cron slot on success, a backoff retry on failure
+ * until maxAttempts is used up.
+ */
+export const executeJob = async (job, { trigger } = {}) => {
+    const attempt = job.attempts + 1;
+    const run = await JobRun.create({
+        jobId: job._id,
+        merchantId: job.merchantId,
+        trigger: trigger || (job.attempts > 0 ? "retry" : "schedule"),
+        attempt,
+        instance: INSTANCE_ID,
+    });
+
+    const update = { lastRunAt: run.startedAt, lockedBy: null, lockedUntil: null };
+    const stopHeartbeat = keepLease(job);
+
+    try {
+        run.tasks = await runTasks(job);
+        run.status = "succeeded";
+
+        Object.assign(update, { lastStatus: "succeeded", lastError: null, attempts: 0 });
+        update.nextRunAt = scheduleNextRun(job);
+    } catch (error) {
+        console.error(`Scheduled job ${job._id} failed (attempt ${attempt}):`, error.message);
+
+        run.tasks = error.results || [];
+        run.status = "failed";
+        run.error = error.message;
+
+        Object.assign(update, { lastStatus: "failed", lastError: error.message });
+
+        if (attempt < job.maxAttempts) {
+            update.attempts = attempt;
+            update.nextRunAt = new Date(Date.now() + retryDelay(attempt));
+        } else {
+            // Out of retries: wait for the next regular slot
+            update.attempts = 0;
+            update.nextRunAt = scheduleNextRun(job);
+        }
+    } finally {
+        stopHeartbeat();
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    run.nextRunAt = update.nextRunAt;
+    await run.save();
+
+    // Release only our own lease; another instance may have taken over an expired one
+    const released = await SyncJob.updateOne({ _id: job._id, lockedBy: INSTANCE_ID }, { $set: update });
+    if (released.matchedCount === 0) {
+        console.warn(`Job ${job._id} was taken over by another instance; its schedule was left to that run`);
+    }
+
+    return run;
+};
+
+/**
+ * Run a job now, outside its schedule.
+ * @returns {Promise<Object|null>} The JobRun, or null when the job is locked by a running execution
+ */
+export const runJobNow = async (jobId, merchantId) => {
+    const job = await acquireJob({ _id: jobId, merchantId });
+    if (!job) return null;
+
+    return executeJob(job, { trigger: "manual" });
+};
+
+/**
+ * Start one task for a merchant in the background, outside any job, for
+ * work too slow to finish within a request. Poll the returned JobRun for
+ * the outcome. A run left "running" by a crashed instance stops blocking
+ * new ones after the lock TTL.
+ * @param {Object} options - Passed to the task
+ * @returns {Promise<Object|null>} The JobRun, or null when the task is already running for the merchant
+ */
+export const startTaskRun = async (merchantId, task, options = {}) => {
+    await JobRun.updateMany(
+        { merchantId, task, status: "running", startedAt: { $lt: new Date(Date.now() - LOCK_TTL_MS) } },
+        { $set: { status: "failed", error: "Abandoned by a stopped server instance", finishedAt: new Date() } }
+    );
+
+    let run;
+    try {
+        run = await JobRun.create({ merchantId, task, trigger: "manual", instance: INSTANCE_ID });
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+
+    const execute = async () => {
+        try {
+            run.tasks = [{ task, status: "succeeded", ...await TASKS[task](null, { merchantId }, options) }];
+            run.status = "succeeded";
+        } catch (error) {
+            console.error(`Background ${task} run ${run._id} failed:`, error.message);
+
+            run.tasks = [{ task, status: "failed", message: error.message }];
+            run.status = "failed";
+            run.error = error.message;
+        }
+
+        run.finishedAt = new Date();
+        run.durationMs = run.finishedAt - run.startedAt;
+        await run.save();
+    };
+
+    execute().catch(error => console.error(`Error saving background run ${run._id}:`, error.message));
+
+    return run;
+};
+
+/**
+ * Run every job that is due, one at a time.
+ * @returns {Promise<number>} Number of jobs run
+ */
+export const runDueJobs = async (now = new Date()) => {
+    let count = 0;
+
+    while (count < MAX_JOBS_PER_TICK) {
+        const job = await claimDueJob(now);
+        if (!job) break;
+
+        await executeJob(job);
+        count++;
+    }
+
+    return count;
+};
+
+/**
+ * Poll for due jobs in this process. Every instance can run the poller;
+ * the job locks keep a job from running twice.
+ * Set SCHEDULER_ENABLED=false to keep an instance out of the rotation.
+ * @returns {Function} Stops the poller
+ */
+export const startScheduler = ({ intervalMs = POLL_INTERVAL_MS } = {}) => {
+    if (process.env.SCHEDULER_ENABLED === "false") {
+        console.log("Job scheduler disabled");
+        return () => {};
+    }
+
+    let ticking = false;
+
+    const tick = async () => {
+        // A slow sync must not overlap the next poll
+        if (ticking) return;
+        ticking = true;
+
+        try {
+            const count = await runDueJobs();
+            if (count > 0) console.log(`Scheduler ran ${count} job(s)`);
+        } catch (error) {
+            console.error("Error running scheduled jobs:", error.message);
+        } finally {
+            ticking = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+
+    console.log(`Job scheduler started (${INSTANCE_ID}, every ${Math.round(intervalMs / 1000)}s)`);
+
+    return () => clearInterval(timer);
+};
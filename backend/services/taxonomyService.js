@@ -0,0 +1,176 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import axios from "axios";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Google's full "taxonomy-with-ids" file, cached in data/ (or at
+// GOOGLE_TAXONOMY_PATH). `npm run taxonomy` downloads it, and the server
+// fetches it on start when it is missing. Suggestions are only as good as
+// the candidate set, so a partial file is refused rather than used.
+export const TAXONOMY_URL = "https://www.google.com/basepages/producttype/taxonomy-with-ids.en-US.txt";
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, "..", "data", "taxonomy-with-ids.en-US.txt");
+
+// The published file has about 5,600 categories
+const MIN_CATEGORIES = 5000;
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+const STOPWORDS = new Set(["and", "or", "the", "for", "with", "of", "in", "to", "by", "on", "new"]);
+
+// Plural forms count as the same keyword: "Dresses" -> "dress", "Accessories" -> "accessory"
+export const stemWord = (word) => {
+    if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+    if (/(sh|ch|x|ss)es$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+    return word;
+};
+
+export const tokenize = (text) => String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stemWord);
+
+/**
+ * Parse "id - Path > To > Category" lines. Comment lines start with #.
+ */
+export const parseTaxonomy = (text) => {
+    const categories = [];
+
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^\s*(\d+)\s+-\s+(.+?)\s*$/);
+        if (!match) continue;
+
+        const segments = match[2].split(">").map(s => s.trim());
+        categories.push({
+            id: Number(match[1]),
+            path: segments.join(" > "),
+            name: segments[segments.length - 1],
+            depth: segments.length,
+            leafTokens: [...new Set(tokenize(segments[segments.length - 1]))],
+            ancestorTokens: [...new Set(segments.slice(0, -1).flatMap(tokenize))],
+        });
+    }
+
+    return {
+        version: text.match(/Google_Product_Taxonomy_Version:\s*(\S+)/)?.[1] || null,
+        categories,
+        byId: new Map(categories.map(c => [c.id, c])),
+        byPath: new Map(categories.map(c => [c.path.toLowerCase(), c])),
+    };
+};
+
+/**
+ * Problems that show a parsed file is not the full taxonomy: too few
+ * categories, or paths whose parent category is missing.
+ * @returns {string[]}
+ */
+export const checkTaxonomy = (taxonomy) => {
+    const problems = [];
+
+    if (taxonomy.categories.length < MIN_CATEGORIES) {
+        problems.push(`only ${taxonomy.categories.length} categories, expected at least ${MIN_CATEGORIES}`);
+    }
+
+    const orphans = taxonomy.categories.filter(c =>
+        c.depth > 1 && !taxonomy.byPath.has(c.path.split(" > ").slice(0, -1).join(" > ").toLowerCase())
+    );
+    if (orphans.length > 0) {
+        problems.push(`${orphans.length} category path(s) without a parent, e.g. "${orphans[0].path}"`);
+    }
+
+    return problems;
+};
+
+const taxonomyPath = () => process.env.GOOGLE_TAXONOMY_PATH || DEFAULT_TAXONOMY_PATH;
+
+const unavailable = (message) => Object.assign(new Error(message), { code: "ETAXONOMY" });
+
+// Parsed taxonomy or the load error, per file, so a bad file is only read once
+let cached = null;
+
+/**
+ * Load and check the taxonomy file. Throws with code ETAXONOMY when it is
+ * missing or partial.
+ */
+export const loadTaxonomy = (file = taxonomyPath()) => {
+    if (cached?.file !== file) {
+        cached = { file };
+        try {
+            if (!fs.existsSync(file)) {
+                throw unavailable(`Google product taxonomy not found at ${file}. Run "npm run taxonomy" or set GOOGLE_TAXONOMY_PATH.`);
+            }
+
+            const taxonomy = parseTaxonomy(fs.readFileSync(file, "utf8"));
+            const problems = checkTaxonomy(taxonomy);
+            if (problems.length > 0) {
+                throw unavailable(`${file} is not the full Google product taxonomy (${problems.join("; ")}). Run "npm run taxonomy".`);
+            }
+
+            cached.taxonomy = taxonomy;
+            console.log(`Loaded ${taxonomy.categories.length} Google product categories (version ${taxonomy.version}) from ${file}`);
+        } catch (error) {
+            cached.error = error;
+        }
+    }
+
+    if (cached.error) throw cached.error;
+    return cached.taxonomy;
+};
+
+/**
+ * The taxonomy, or null when it is not available. For checks that can do
+ * without it.
+ */
+export const findTaxonomy = () => {
+    try {
+        return loadTaxonomy();
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Download the taxonomy from TAXONOMY_URL and cache it. The file is only
+ * replaced once the download passes checkTaxonomy.
+ */
+export const downloadTaxonomy = async (file = taxonomyPath()) => {
+    const response = await axios.get(TAXONOMY_URL, { responseType: "text", timeout: DOWNLOAD_TIMEOUT_MS });
+
+    const problems = checkTaxonomy(parseTaxonomy(response.data));
+    if (problems.length > 0) {
+        throw unavailable(`Downloaded taxonomy is incomplete (${problems.join("; ")})`);
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, response.data);
+    fs.renameSync(`${file}.tmp`, file);
+
+    cached = null;
+    return loadTaxonomy(file);
+};
+
+/**
+ * Load the taxonomy, downloading it first when the cached file is missing.
+ */
+export const ensureTaxonomy = async () => {
+    const file = taxonomyPath();
+    if (fs.existsSync(file)) return loadTaxonomy(file);
+
+    console.log(`Downloading Google product taxonomy to ${file}`);
+    return downloadTaxonomy(file);
+};
+
+/**
+ * Resolve a google_product_category value, given either as an ID or as a
+ * full path, to its taxonomy entry. Null when the taxonomy is unavailable.
+ */
+export const resolveCategory = (value, taxonomy = findTaxonomy()) => {
+    if (!taxonomy || value === undefined || value === null || value === "") return null;
+
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return taxonomy.byId.get(Number(text)) || null;
+
+    return taxonomy.byPath.get(text.split(">").map(s => s.trim()).join(" > ").toLowerCase()) || null;
+};
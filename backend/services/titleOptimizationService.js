@@ -0,0 +1,148 @@
+import Suggestion from "../models/Suggestion.js";
+
+const TITLE_MAX_LENGTH = 150;
+
+export const TITLE_SYSTEM_PROMPT = [
+    "You are a Google Shopping feed specialist.",
+    "You rewrite product titles so they rank and convert better in Shopping ads.",
+    "Answer with the new title only, on a single line, without quotes.",
+].join(" ");
+
+// Attributes the Content API keeps on the raw resource
+const attribute = (product, name) => {
+    const value = product[name] ?? product.raw?.[name];
+    return Array.isArray(value) ? value[0] : value;
+};
+
+const GENDER_LABELS = { male: "Men", female: "Women", unisex: "Unisex" };
+
+const keyAttributes = (product) => {
+    const size = attribute(product, "sizes") ?? attribute(product, "size");
+    const gender = attribute(product, "gender");
+
+    return [
+        attribute(product, "color"),
+        size && `Size ${size}`,
+        attribute(product, "material"),
+        gender && (GENDER_LABELS[gender] || gender),
+        attribute(product, "pattern"),
+    ].filter(Boolean);
+};
+
+export const buildTitlePrompt = (product) => {
+    const lines = [
+        `Current title: ${product.title || ""}`,
+        `Brand: ${product.brand || "unknown"}`,
+        `Product type: ${product.productType || "unknown"}`,
+        `Google product category: ${product.googleProductCategory || "unknown"}`,
+        `Key attributes: ${keyAttributes(product).join(", ") || "none"}`,
+    ];
+
+    if (product.description) {
+        lines.push(`Description: ${product.description.slice(0, 500)}`);
+    }
+
+    return [
+        "Rewrite this product title following the pattern: Brand + Product type + key attributes (model, color, size, material, gender).",
+        `Keep it under ${TITLE_MAX_LENGTH} characters, put the most important words first,`,
+        "do not invent facts, and avoid promotional text and capital-letter words.",
+        "",
+        ...lines,
+    ].join("\n");
+};
+
+// Trim a title to the max length on a word boundary
+const truncate = (title) => {
+    if (title.length <= TITLE_MAX_LENGTH) return title;
+    const cut = title.slice(0, TITLE_MAX_LENGTH + 1);
+    return cut.slice(0, cut.lastIndexOf(" ")).trim();
+};
+
+/**
+ * Deterministic Brand + Product type + attributes title, used by the stub
+ * provider and as a baseline when no model is configured.
+ */
+export const composeTitle = (product) => {
+    const used = new Set();
+    const parts = [];
+
+    // Compare words loosely so "Shoes" and "shoe" count as the same keyword
+    const stem = (word) => word.toLowerCase().replace(/s$/, "");
+
+    const add = (text) => {
+        const words = String(text || "").split(/\s+/).filter(w => w && !used.has(stem(w)));
+        words.forEach(w => used.add(stem(w)));
+        if (words.length) parts.push(words.join(" "));
+    };
+
+    add(product.brand);
+    add(product.productType?.split(">").pop().trim());
+    add(product.title);
+
+    const attributes = keyAttributes(product).filter(a => !used.has(stem(String(a))));
+    const base = parts.join(" ");
+
+    return truncate(attributes.length ? `${base} - ${attributes.join(", ")}` : base);
+};
+
+// Models sometimes wrap the answer in quotes or add a preamble line
+export const cleanTitle = (text = "") => {
+    const line = text.split("\n").map(l => l.trim()).find(Boolean) || "";
+    return truncate(line.replace(/^title:\s*/i, "").replace(/^["'`]+|["'`]+$/g, "").replace(/\s+/g, " ").trim());
+};
+
+/**
+ * Ask a provider for an optimized title. Nothing is saved here.
+ */
+export const suggestTitle = async (product, provider) => {
+    const prompt = buildTitlePrompt(product);
+
+    const result = await provider.generate({
+        system: TITLE_SYSTEM_PROMPT,
+        prompt,
+        fallback: () => composeTitle(product),
+    });
+
+    return {
+        field: "title",
+        currentValue: product.title,
+        suggestedValue: cleanTitle(result.text),
+        provider: provider.name,
+        model: result.model,
+        prompt,
+        usage: result.usage,
+    };
+};
+
+/**
+ * Generate and store title suggestions for a list of products.
+ * Runs sequentially to stay inside provider rate limits.
+ */
+export const createTitleSuggestions = async (merchantId, products, provider, userId) => {
+    const suggestions = [];
+    const failures = [];
+
+    for (const product of products) {
+        try {
+            const suggestion = await suggestTitle(product, provider);
+
+            if (!suggestion.suggestedValue) {
+                failures.push({ offerId: product.offerId, error: "Empty answer from provider" });
+                continue;
+            }
+
+            suggestions.push(await Suggestion.create({
+                ...suggestion,
+                merchantId,
+                productId: product.id,
+                offerId: product.offerId,
+                createdBy: userId,
+            }));
+        } catch (error) {
+            console.error(`Title suggestion failed for ${product.offerId}:`, error.message);
+            failures.push({ offerId: product.offerId, error: error.message });
+        }
+    }
+
+    return { suggestions, failures };
+};
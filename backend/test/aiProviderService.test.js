@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getAIProvider } from "../services/aiProviderService.js";
+import { suggestTitle, composeTitle } from "../services/titleOptimizationService.js";
+
+test("the stub provider answers with the fallback and counts words", async () => {
+    const provider = getAIProvider("stub");
+    const result = await provider.generate({ system: "Be brief", prompt: "Name a color", fallback: () => ({ color: "red" }) });
+
+    assert.equal(result.text, '{"color":"red"}');
+    assert.equal(result.model, "stub-v1");
+    assert.deepEqual(result.usage, { promptTokens: 5, completionTokens: 1, totalTokens: 6 });
+});
+
+test("title suggestions through the stub are deterministic", async () => {
+    const product = { offerId: "1", title: "Runner", brand: "Acme", productType: "Apparel > Shoes", color: "Blue" };
+    const provider = getAIProvider("stub");
+
+    const first = await suggestTitle(product, provider);
+    const second = await suggestTitle(product, provider);
+
+    assert.equal(first.suggestedValue, composeTitle(product));
+    assert.deepEqual(second, first);
+    assert.equal(first.provider, "stub");
+});
+
+test("unknown providers are rejected", () => {
+    assert.throws(() => getAIProvider("nope"), /Unknown AI provider "nope"/);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCron, canMatch, nextCronRun, isValidTimeZone } from "../utils/cron.js";
+
+const values = (expression, field) => [...parseCron(expression)[field].values].sort((a, b) => a - b);
+
+test("parseCron expands lists, ranges, steps and names", () => {
+    assert.deepEqual(values("*/15 * * * *", "minute"), [0, 15, 30, 45]);
+    assert.deepEqual(values("0 8-10,14 * * *", "hour"), [8, 9, 10, 14]);
+    assert.deepEqual(values("0 0 * * *", "hour"), [0]);
+    assert.deepEqual(values("0 0 10/10 * *", "dayOfMonth"), [10, 20, 30]);
+    assert.deepEqual(values("0 0 1 jan-mar *", "month"), [1, 2, 3]);
+    assert.deepEqual(values("0 0 * * MON-fri", "dayOfWeek"), [1, 2, 3, 4, 5]);
+    assert.deepEqual(values("0 0 * * 5-7", "dayOfWeek"), [0, 5, 6]);
+    assert.deepEqual(parseCron("@daily"), parseCron("0 0 * * *"));
+    assert.equal(parseCron("0 0 1 * *").dayOfMonth.restricted, true);
+    assert.equal(parseCron("0 0 1 * *").dayOfWeek.restricted, false);
+});
+
+test("parseCron rejects malformed expressions", () => {
+    assert.throws(() => parseCron("0 0 * *"), /must have 5 fields/);
+    assert.throws(() => parseCron("60 * * * *"), /minute value 60 is outside 0-59/);
+    assert.throws(() => parseCron("0 0 0 * *"), /dayOfMonth value 0/);
+    assert.throws(() => parseCron("0 0 * 13 *"), /month value 13/);
+    assert.throws(() => parseCron("*/0 * * * *"), /Invalid step/);
+    assert.throws(() => parseCron("0 10-8 * * *"), /Invalid range/);
+    assert.throws(() => parseCron("0 0 * * funday"), /Invalid dayOfWeek value/);
+    assert.throws(() => parseCron("@sometimes"), /must have 5 fields/);
+});
+
+test("canMatch finds schedules that never fire", () => {
+    assert.equal(canMatch(parseCron("0 0 30 2 *")), false);
+    assert.equal(canMatch(parseCron("0 0 31 4,6,9,11 *")), false);
+    assert.equal(canMatch(parseCron("0 0 29 2 *")), true);
+    assert.equal(canMatch(parseCron("0 0 30,31 2,3 *")), true);
+    // Either day field may match when both are restricted
+    assert.equal(canMatch(parseCron("0 0 30 2 mon")), true);
+});
+
+test("nextCronRun returns the first match after the start", () => {
+    const from = new Date("2024-03-15T08:00:00Z");
+
+    assert.deepEqual(nextCronRun("0 8 * * *", from), new Date("2024-03-16T08:00:00Z"));
+    assert.deepEqual(nextCronRun("*/20 * * * *", new Date("2024-03-15T08:05:30Z")), new Date("2024-03-15T08:20:00Z"));
+    assert.deepEqual(nextCronRun("0 9 * * 1-5", from), new Date("2024-03-15T09:00:00Z"));
+    assert.deepEqual(nextCronRun("0 9 * * 1-5", new Date("2024-03-15T10:00:00Z")), new Date("2024-03-18T09:00:00Z"));
+    assert.deepEqual(nextCronRun("0 0 29 2 *", from), new Date("2028-02-29T00:00:00Z"));
+    assert.deepEqual(nextCronRun("0 0 1 * 0", from), new Date("2024-03-17T00:00:00Z"));
+});
+
+test("nextCronRun reads the schedule in the job's time zone", () => {
+    // New York is UTC-4 after the March 10 switch to daylight saving time
+    assert.deepEqual(nextCronRun("0 8 * * *", new Date("2024-03-09T20:00:00Z"), "America/New_York"), new Date("2024-03-10T12:00:00Z"));
+    assert.deepEqual(nextCronRun("0 8 * * *", new Date("2024-03-08T20:00:00Z"), "America/New_York"), new Date("2024-03-09T13:00:00Z"));
+    // 2:30 does not exist on the day of the switch
+    assert.deepEqual(nextCronRun("30 2 * * *", new Date("2024-03-10T00:00:00Z"), "America/New_York"), new Date("2024-03-11T06:30:00Z"));
+});
+
+test("nextCronRun gives up on schedules that never fire", () => {
+    assert.equal(nextCronRun("0 0 30 2 *", new Date("2024-01-01T00:00:00Z")), null);
+});
+
+test("isValidTimeZone", () => {
+    assert.equal(isValidTimeZone("Europe/Berlin"), true);
+    assert.equal(isValidTimeZone("Mars/Olympus_Mons"), false);
+});
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalCdf, twoProportionZTest, assignGroups, alignWindow, computeExperimentResults } from "../services/experimentService.js";
+import { createFixtureProvider } from "../services/performanceProviderService.js";
+
+const close = (actual, expected, tolerance = 1e-4) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test("normalCdf matches the standard normal table", () => {
+    close(normalCdf(0), 0.5);
+    close(normalCdf(1.96), 0.975);
+    close(normalCdf(-1.645), 0.05);
+});
+
+test("twoProportionZTest on 100/1000 against 150/1000", () => {
+    const { z, pValue } = twoProportionZTest(100, 1000, 150, 1000);
+
+    close(z, 3.3806);
+    close(pValue, 0.000723, 1e-5);
+});
+
+test("twoProportionZTest is symmetric and handles degenerate groups", () => {
+    const forward = twoProportionZTest(30, 1000, 42, 1000);
+    const backward = twoProportionZTest(42, 1000, 30, 1000);
+    close(forward.z, -backward.z);
+    close(forward.pValue, backward.pValue);
+
+    assert.equal(twoProportionZTest(1, 0, 1, 10), null);
+    assert.deepEqual(twoProportionZTest(0, 10, 0, 20), { z: 0, pValue: 1 });
+});
+
+test("assignGroups splits evenly and is stable for a seed", () => {
+    const offerIds = ["a", "b", "c", "d", "e"];
+    const groups = assignGroups(offerIds, "seed");
+    const variants = [...groups.values()].filter(g => g === "variant").length;
+
+    assert.equal(groups.size, 5);
+    assert.equal(variants, 2);
+    assert.deepEqual([...assignGroups([...offerIds].reverse(), "seed")].sort(), [...groups].sort());
+});
+
+test("computeExperimentResults compares CTR from the fixture provider", async () => {
+    const provider = createFixtureProvider({
+        rows: [
+            { offerId: "c1", date: "2026-03-01", clicks: 100, impressions: 1000 },
+            { offerId: "v1", date: "2026-03-01", clicks: 150, impressions: 1000 },
+            { offerId: "v2", date: "2026-03-01", clicks: 500, impressions: 1000 }, // change failed, left out
+            { offerId: "c1", date: "2026-03-20", clicks: 900, impressions: 1000 }, // after the window
+        ],
+    });
+    const experiment = {
+        merchantId: "m",
+        startDate: new Date("2026-03-01T00:00:00Z"),
+        endDate: new Date("2026-03-14T00:00:00Z"),
+        startedAt: new Date("2026-03-01T09:30:00Z"),
+        confidenceLevel: 0.95,
+        products: [
+            { offerId: "c1", group: "control" },
+            { offerId: "v1", group: "variant", changeId: "x" },
+            { offerId: "v2", group: "variant" },
+        ],
+    };
+
+    const results = await computeExperimentResults(experiment, { provider, now: new Date("2026-04-01T00:00:00Z") });
+
+    assert.equal(results.control.ctr, 0.1);
+    assert.equal(results.variant.ctr, 0.15);
+    assert.equal(results.variant.products, 1);
+    close(results.lift, 0.5);
+    close(results.zScore, 3.3806);
+    assert.equal(results.significant, true);
+    assert.deepEqual(results.window, { startDate: "2026-03-01", endDate: "2026-03-14" });
+    assert.equal(results.daily.length, 1);
+});
+
+test("alignWindow starts the window on the day the titles went live", () => {
+    const experiment = {
+        startDate: new Date("2026-03-01T14:37:00Z"),
+        endDate: new Date("2026-03-14T14:37:00Z"),
+    };
+
+    alignWindow(experiment, new Date("2026-03-05T09:30:00Z"));
+
+    assert.deepEqual(experiment.startDate, new Date("2026-03-05T00:00:00Z"));
+    assert.deepEqual(experiment.endDate, new Date("2026-03-18T00:00:00Z"));
+});
+
+test("computeExperimentResults leaves out days before the start", async () => {
+    const provider = createFixtureProvider({
+        rows: [
+            { offerId: "c1", date: "2026-03-01", clicks: 900, impressions: 1000 }, // before the titles went live
+            { offerId: "c1", date: "2026-03-05", clicks: 100, impressions: 1000 },
+            { offerId: "v1", date: "2026-03-05", clicks: 150, impressions: 1000 },
+        ],
+    });
+    const experiment = {
+        merchantId: "m",
+        startDate: new Date("2026-03-01T00:00:00Z"),
+        endDate: new Date("2026-03-14T00:00:00Z"),
+        startedAt: new Date("2026-03-05T09:30:00Z"),
+        confidenceLevel: 0.95,
+        products: [
+            { offerId: "c1", group: "control" },
+            { offerId: "v1", group: "variant", changeId: "x" },
+        ],
+    };
+
+    const results = await computeExperimentResults(experiment, { provider, now: new Date("2026-04-01T00:00:00Z") });
+
+    assert.deepEqual(results.window, { startDate: "2026-03-05", endDate: "2026-03-14" });
+    assert.equal(results.control.clicks, 100);
+    assert.equal(results.control.ctr, 0.1);
+});
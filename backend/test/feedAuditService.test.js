@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { auditProduct, auditProducts, summarizeAudit, scoreRangeLabel, SEVERITY_PENALTY } from "../services/feedAuditService.js";
+
+const CLEAN = {
+    offerId: "1",
+    title: "Acme Trail Running Shoes for Men - Blue, Size 10",
+    brand: "Acme",
+    gtin: "4006381333931",
+    mpn: "TR-1",
+    condition: "new",
+    availability: "in stock",
+    price: { value: "50.00", currency: "USD" },
+    imageLink: "https://img.example.com/a.png",
+    additionalImageLinks: ["https://img.example.com/b.png"],
+    productType: "Apparel > Shoes",
+    customLabel0: "summer",
+};
+
+const codes = (product) => auditProduct({ ...CLEAN, ...product }).issues.map(i => i.code);
+
+test("a complete product scores 100", () => {
+    assert.deepEqual(auditProduct(CLEAN), { score: 100, issues: [] });
+});
+
+test("title rules", () => {
+    assert.deepEqual(codes({ title: "" }), ["title_missing"]);
+    assert.deepEqual(codes({ title: "Acme Shoes" }), ["title_too_short"]);
+    assert.ok(codes({ title: "ACME TRAIL RUNNING SHOES FOR MEN BLUE" }).includes("title_all_caps"));
+    assert.ok(codes({ title: "Acme Trail Running Shoes - FREE SHIPPING today" }).includes("title_promotional"));
+    assert.deepEqual(codes({ title: "Trail Running Shoes for Men - Blue, Size 10" }), ["title_missing_brand"]);
+    assert.deepEqual(codes({ title: `${"Lightweight breathable trail running shoes ".repeat(2)}from Acme` }), ["title_brand_truncated"]);
+    assert.deepEqual(codes({ productType: "Apparel > Jackets" }), ["title_missing_product_type"]);
+});
+
+test("attribute rules", () => {
+    assert.deepEqual(codes({ brand: "", title: CLEAN.title }), ["brand_missing"]);
+    assert.deepEqual(codes({ gtin: "" }), ["gtin_missing"]);
+    assert.deepEqual(codes({ gtin: "", mpn: "" }), ["gtin_missing", "mpn_missing"]);
+    assert.deepEqual(codes({ gtin: "", mpn: "", identifierExists: false }), []);
+    assert.deepEqual(codes({ condition: "mint" }), ["condition_invalid"]);
+    assert.deepEqual(codes({ availability: undefined }), ["availability_missing"]);
+    assert.deepEqual(codes({ imageLink: "" }), ["image_missing"]);
+    assert.deepEqual(codes({ additionalImageLinks: [] }), ["additional_images_missing"]);
+    assert.deepEqual(codes({ productType: "Shoes" }), ["product_type_shallow"]);
+    assert.deepEqual(codes({ customLabel0: "" }), ["custom_labels_empty"]);
+});
+
+test("the score takes the severity penalties off 100", () => {
+    const { score, issues } = auditProduct({ ...CLEAN, brand: "", condition: "mint", customLabel0: "" });
+
+    assert.deepEqual(issues.map(i => i.severity).sort(), ["error", "error", "info"]);
+    assert.equal(score, 100 - 2 * SEVERITY_PENALTY.error - SEVERITY_PENALTY.info);
+    assert.equal(auditProduct({ title: "" }).score, 0);
+});
+
+test("auditProducts finds GTINs shared across offers", () => {
+    const { results } = auditProducts([CLEAN, { ...CLEAN, offerId: "2" }]);
+
+    assert.deepEqual(results.map(r => r.issues.map(i => i.code)), [["gtin_duplicate"], ["gtin_duplicate"]]);
+});
+
+test("summarizeAudit buckets scores and counts issues", () => {
+    const issue = { code: "brand_missing", severity: "error" };
+    const summary = summarizeAudit([
+        { score: 100, issues: [] },
+        { score: 90, issues: [] },
+        { score: 75, issues: [issue] },
+        { score: 0, issues: [issue, { code: "title_missing", severity: "error" }] },
+    ]);
+
+    assert.deepEqual(summary.distribution, { "0-49": 1, "50-69": 0, "70-89": 1, "90-100": 2 });
+    assert.equal(summary.averageScore, 66.3);
+    assert.deepEqual(summary.issues[0], { code: "brand_missing", severity: "error", count: 2 });
+    assert.equal(scoreRangeLabel(3), "90-100");
+    assert.equal(summarizeAudit([]).averageScore, null);
+});
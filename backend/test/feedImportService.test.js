@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseFeedPrice, parseFeedProducts } from "../services/feedImportService.js";
+
+test("parseFeedPrice reads the currency before or after the amount", () => {
+    assert.deepEqual(parseFeedPrice("12.99 USD"), { value: "12.99", currency: "USD" });
+    assert.deepEqual(parseFeedPrice("eur 12,99"), { value: "12.99", currency: "EUR" });
+    assert.deepEqual(parseFeedPrice("12"), { value: "12.00", currency: undefined });
+    assert.equal(parseFeedPrice("USD 12 EUR"), null);
+    assert.equal(parseFeedPrice("free"), null);
+});
+
+test("parseFeedPrice accepts thousands separators next to a decimal part", () => {
+    assert.deepEqual(parseFeedPrice("1.299,00 EUR"), { value: "1299.00", currency: "EUR" });
+    assert.deepEqual(parseFeedPrice("1,299.00 USD"), { value: "1299.00", currency: "USD" });
+    assert.deepEqual(parseFeedPrice("1,299,000 USD"), { value: "1299000.00", currency: "USD" });
+    assert.deepEqual(parseFeedPrice("12.5 USD"), { value: "12.50", currency: "USD" });
+});
+
+test("parseFeedPrice rejects amounts whose decimal separator is ambiguous", () => {
+    assert.equal(parseFeedPrice("1.299 EUR"), null);
+    assert.equal(parseFeedPrice("1,299 USD"), null);
+    assert.equal(parseFeedPrice("1.299.00 EUR"), null);
+    assert.equal(parseFeedPrice("12,34.56 USD"), null);
+    assert.equal(parseFeedPrice("1. USD"), null);
+});
+
+test("parseFeedProducts reports bad prices, missing and duplicate ids by line", () => {
+    const { rows, products, errors } = parseFeedProducts(
+        "id,title,price\n1,Shoe,12.99 USD\n2,Hat,1.299 EUR\n1,Again,5 USD\n,No id,5 USD\n",
+        { format: "csv", contentLanguage: "de", targetCountry: "DE" }
+    );
+
+    assert.equal(rows, 4);
+    assert.deepEqual(products.map(p => p.id), ["online:de:DE:1", "online:de:DE:2"]);
+    assert.deepEqual(errors.map(e => [e.line, e.field]), [[3, "price"], [4, "offerId"], [5, "offerId"]]);
+    assert.match(errors[0].message, /"1.299 EUR" is not a valid price/);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectFeedFormat, normalizeAttributeName, parseDelimitedFeed, parseXmlFeed } from "../utils/feedParser.js";
+
+const rss = (items) => `<?xml version="1.0"?>
+<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">
+<channel>
+${items}
+</channel>
+</rss>`;
+
+test("normalizeAttributeName maps headers to feed attribute names", () => {
+    assert.equal(normalizeAttributeName("Sale Price"), "sale_price");
+    assert.equal(normalizeAttributeName("g:image_link"), "image_link");
+});
+
+test("detectFeedFormat looks at the extension, then the content", () => {
+    assert.equal(detectFeedFormat("id,title", "feed.csv"), "csv");
+    assert.equal(detectFeedFormat("id\ttitle\n1\tShoe"), "tsv");
+    assert.equal(detectFeedFormat("<?xml version=\"1.0\"?><rss></rss>"), "xml");
+});
+
+test("parseDelimitedFeed reads quoted values and reports extra columns", () => {
+    const { records, errors } = parseDelimitedFeed('id,title,price\n1,"Shoe, red",12.99 USD\n2,Hat,5 USD,extra\n', ",");
+
+    assert.equal(records.length, 1);
+    assert.deepEqual(records[0], { line: 2, attributes: { id: "1", title: "Shoe, red", price: "12.99 USD" } });
+    assert.deepEqual(errors, [{ line: 3, message: "Expected 3 columns, found 4" }]);
+});
+
+test("parseDelimitedFeed stops at an unterminated quote", () => {
+    const { records, errors } = parseDelimitedFeed('id\ttitle\n1\tShoe\n2\t"Hat\n3\tSock\n', "\t");
+
+    assert.deepEqual(records.map(r => r.attributes.id), ["1"]);
+    assert.equal(errors[0].line, 3);
+    assert.match(errors[0].message, /Unterminated/);
+});
+
+test("parseXmlFeed reads g: elements with their line numbers", () => {
+    const { records, errors } = parseXmlFeed(rss(`<item>
+  <g:id>1</g:id>
+  <title><![CDATA[Shoe & sock]]></title>
+  <g:price>12.99 USD</g:price>
+</item>
+<item><g:id>2</g:id><title>Hat &amp; scarf</title></item>`));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(records.map(r => r.line), [4, 9]);
+    assert.deepEqual(records[0].attributes, { id: "1", title: "Shoe & sock", price: "12.99 USD" });
+    assert.equal(records[1].attributes.title, "Hat & scarf");
+});
+
+test("parseXmlFeed stops at the first item that is not closed", () => {
+    const { records, errors } = parseXmlFeed(rss(`<item><g:id>1</g:id></item>
+<item><g:id>2</g:id>
+<item><g:id>3</g:id></item>`));
+
+    assert.deepEqual(records.map(r => r.attributes.id), ["1"]);
+    assert.deepEqual(errors, [{ line: 5, message: "<item> is not closed; the rest of the file was skipped" }]);
+});
+
+test("parseXmlFeed handles a truncated file in linear time", () => {
+    const text = rss("<item><g:id>1</g:id>".repeat(20000));
+    const startedAt = Date.now();
+    const { records, errors } = parseXmlFeed(text);
+
+    assert.equal(records.length, 0);
+    assert.equal(errors.length, 1);
+    assert.ok(Date.now() - startedAt < 1000);
+});
+
+test("parseXmlFeed rejects files that are not RSS or Atom", () => {
+    assert.deepEqual(parseXmlFeed("<products></products>").errors, [{ line: 1, message: "Not an RSS 2.0 or Atom feed" }]);
+});
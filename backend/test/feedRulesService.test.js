@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateRule, evaluateCondition, ruleMatches, applyRules, dryRunRules } from "../services/feedRulesService.js";
+
+const PRODUCT = {
+    id: "online:en:US:1",
+    offerId: "1",
+    title: "Trail Running Shoes",
+    brand: "acme",
+    price: { value: "50.00", currency: "USD" },
+    color: "",
+    raw: { shipping: { country: "US" } },
+};
+
+const matches = (condition) => evaluateCondition(PRODUCT, condition);
+
+test("validateRule reports every problem", () => {
+    assert.deepEqual(validateRule({ name: "Brand", actions: [{ type: "set", field: "brand", value: "Acme" }] }), []);
+
+    assert.deepEqual(validateRule({
+        name: " ",
+        conditions: [
+            { operator: "contains" },
+            { field: "title", operator: "like" },
+            { field: "title", operator: "regex", value: "(a" },
+            { field: "price", operator: "range" },
+        ],
+        actions: [
+            { type: "delete", field: "title" },
+            { type: "set_custom_label", labelIndex: 5 },
+            { type: "set", field: "offerId" },
+            { type: "replace", field: "title" },
+            { type: "map", field: "brand" },
+        ],
+    }).map(p => p.split(":")[0]), [
+        "name is required",
+        "conditions[0]",
+        "conditions[1]",
+        "conditions[2]",
+        "conditions[3]",
+        "actions[0]",
+        "actions[1]",
+        "actions[2]",
+        "actions[3]",
+        "actions[4]",
+    ]);
+});
+
+test("validateRule refuses patterns RE2 cannot run", () => {
+    const [problem] = validateRule({
+        name: "Backreference",
+        conditions: [{ field: "title", operator: "regex", value: "(a)\\1" }],
+        actions: [{ type: "set", field: "brand", value: "Acme" }],
+    });
+    assert.match(problem, /^conditions\[0\]: invalid regex/);
+});
+
+test("condition operators", () => {
+    assert.equal(matches({ field: "title", operator: "contains", value: "running" }), true);
+    assert.equal(matches({ field: "title", operator: "contains", value: "running", caseSensitive: true }), false);
+    assert.equal(matches({ field: "title", operator: "contains", value: "(" }), false);
+    assert.equal(matches({ field: "brand", operator: "equals", value: "ACME" }), true);
+    assert.equal(matches({ field: "brand", operator: "equals", value: "ACME", caseSensitive: true }), false);
+    assert.equal(matches({ field: "title", operator: "regex", value: "^trail\\s" }), true);
+    assert.equal(matches({ field: "title", operator: "regex", value: "^trail\\s", caseSensitive: true }), false);
+    assert.equal(matches({ field: "price", operator: "range", min: 10, max: 50 }), true);
+    assert.equal(matches({ field: "price", operator: "range", min: 50.01 }), false);
+    assert.equal(matches({ field: "brand", operator: "range", max: 100 }), false);
+    assert.equal(matches({ field: "color", operator: "missing" }), true);
+    assert.equal(matches({ field: "gtin", operator: "missing" }), true);
+    assert.equal(matches({ field: "brand", operator: "missing", negate: true }), true);
+    assert.equal(matches({ field: "raw.shipping.country", operator: "equals", value: "us" }), true);
+    assert.equal(matches({ field: "raw.missing.country", operator: "missing" }), true);
+});
+
+test("ruleMatches combines conditions with all or any", () => {
+    const conditions = [
+        { field: "brand", operator: "equals", value: "acme" },
+        { field: "title", operator: "contains", value: "jacket" },
+    ];
+
+    assert.equal(ruleMatches(PRODUCT, { conditions }), false);
+    assert.equal(ruleMatches(PRODUCT, { conditions, conditionMatch: "all" }), false);
+    assert.equal(ruleMatches(PRODUCT, { conditions, conditionMatch: "any" }), true);
+    assert.equal(ruleMatches(PRODUCT, { conditions: [] }), true);
+});
+
+test("applyRules runs rules in order on the output of the previous ones", () => {
+    const rules = [
+        { _id: "r1", name: "Brand", actions: [{ type: "map", field: "brand", lookup: { acme: "Acme" } }] },
+        {
+            _id: "r2",
+            name: "Title",
+            conditions: [{ field: "brand", operator: "equals", value: "Acme", caseSensitive: true }],
+            actions: [
+                { type: "prepend", field: "title", value: "Acme " },
+                { type: "replace", field: "title", find: "\\s+Shoes$", replaceWith: " Sneakers", regex: true },
+            ],
+        },
+        { _id: "r3", name: "Label", actions: [{ type: "set_custom_label", labelIndex: 2, value: "trail" }] },
+        { _id: "r4", name: "Disabled", enabled: false, actions: [{ type: "set", field: "title", value: "x" }] },
+    ];
+
+    const { product, changes } = applyRules(PRODUCT, rules);
+
+    assert.equal(product.title, "Acme Trail Running Sneakers");
+    assert.equal(PRODUCT.title, "Trail Running Shoes");
+    assert.deepEqual(changes, [
+        { field: "brand", before: "acme", after: "Acme", ruleIds: ["r1"] },
+        { field: "title", before: "Trail Running Shoes", after: "Acme Trail Running Sneakers", ruleIds: ["r2"] },
+        { field: "customLabel2", before: null, after: "trail", ruleIds: ["r3"] },
+    ]);
+});
+
+test("applyRules keeps the currency when setting a price", () => {
+    const { changes } = applyRules(PRODUCT, [
+        { name: "Price", actions: [{ type: "set", field: "price", value: "45.00" }] },
+    ]);
+
+    assert.deepEqual(changes, [{
+        field: "price",
+        before: { value: "50.00", currency: "USD" },
+        after: { value: "45.00", currency: "USD" },
+        ruleIds: ["Price"],
+    }]);
+});
+
+test("applyRules drops fields that end up unchanged", () => {
+    const { changes } = applyRules(PRODUCT, [
+        { name: "Up", actions: [{ type: "set", field: "brand", value: "ACME" }] },
+        { name: "Down", actions: [{ type: "set", field: "brand", value: "acme" }] },
+    ]);
+    assert.deepEqual(changes, []);
+});
+
+test("dryRunRules sorts rules by order and lists affected products", () => {
+    const products = [PRODUCT, { ...PRODUCT, id: "online:en:US:2", offerId: "2", brand: "Other" }];
+    const rules = [
+        { name: "Second", order: 1, actions: [{ type: "append", field: "brand", value: "!" }] },
+        { name: "First", order: 0, conditions: [{ field: "brand", operator: "equals", value: "acme" }], actions: [{ type: "set", field: "brand", value: "Acme" }] },
+    ];
+
+    const result = dryRunRules(products, rules);
+
+    assert.equal(result.evaluated, 2);
+    assert.equal(result.affectedCount, 2);
+    assert.deepEqual(result.affected.map(p => [p.offerId, p.changes[0].after, p.changes[0].ruleIds]), [
+        ["1", "Acme!", ["First", "Second"]],
+        ["2", "Other!", ["Second"]],
+    ]);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateGtin, restrictedGtinReason, validateIdentifiers, indexGtins } from "../utils/identifierValidator.js";
+
+const codes = (product, context) => validateIdentifiers(product, context).map(i => i.code);
+
+test("validateGtin accepts valid GTIN-8, 12, 13 and 14", () => {
+    for (const gtin of ["96385074", "036000291452", "4006381333931", "10012345678902"]) {
+        assert.deepEqual(validateGtin(gtin), { valid: true, gtin });
+    }
+    assert.equal(validateGtin("400-6381 333931").gtin, "4006381333931");
+});
+
+test("validateGtin reports the check digit, length and format", () => {
+    assert.equal(validateGtin("96385075").reason, "check_digit");
+    assert.equal(validateGtin("036000291453").reason, "check_digit");
+    assert.equal(validateGtin("4006381333932").reason, "check_digit");
+    assert.equal(validateGtin("10012345678903").reason, "check_digit");
+    assert.equal(validateGtin("123456789").reason, "length");
+    assert.equal(validateGtin("40063813339X1").reason, "format");
+    assert.equal(validateGtin("00000000").reason, "format");
+});
+
+test("restrictedGtinReason flags coupon, receipt and in-store ranges", () => {
+    assert.match(restrictedGtinReason("2000000000008"), /restricted circulation/);
+    assert.match(restrictedGtinReason("290000000005"), /restricted circulation/); // UPC number system 2
+    assert.match(restrictedGtinReason("0400000000008"), /in-store/);
+    assert.match(restrictedGtinReason("0500000000005"), /coupon/);
+    assert.match(restrictedGtinReason("9810000000006"), /refund receipt or coupon/);
+    assert.match(restrictedGtinReason("9900000000004"), /coupon/);
+    assert.match(restrictedGtinReason("02000008"), /GTIN-8/);
+});
+
+test("restrictedGtinReason allows books, serials and ordinary codes", () => {
+    for (const gtin of ["9780306406157", "9791032300824", "9771234567003", "4006381333931", "036000291452", "10012345678902", "96385074"]) {
+        assert.equal(restrictedGtinReason(gtin), null, gtin);
+    }
+    assert.deepEqual(codes({ gtin: "9780306406157" }), []);
+});
+
+test("validateIdentifiers reports GTIN, MPN and duplicate problems", () => {
+    assert.deepEqual(codes({ gtin: "4006381333932" }), ["gtin_invalid_check_digit"]);
+    assert.deepEqual(codes({ gtin: "9900000000004" }), ["gtin_restricted_prefix"]);
+    assert.deepEqual(codes({ brand: "Acme", mpn: "N/A" }), ["mpn_placeholder"]);
+    assert.deepEqual(codes({ mpn: "x".repeat(71) }), ["mpn_too_long"]);
+
+    const gtinOwners = indexGtins([
+        { offerId: "a", gtin: "4006381333931" },
+        { offerId: "a", gtin: "4006381333931" }, // same offer in another country
+        { offerId: "b", gtin: "4006-381333931" },
+    ]);
+    assert.deepEqual(codes({ gtin: "4006381333931" }, { gtinOwners }), ["gtin_duplicate"]);
+});
+
+test("identifier_exists must agree with the identifiers sent", () => {
+    assert.deepEqual(codes({ identifierExists: false, gtin: "4006381333931" }), ["identifier_exists_conflict"]);
+    assert.equal(validateIdentifiers({ identifierExists: false, brand: "Acme", mpn: "AB-1" })[0].severity, "warning");
+    assert.deepEqual(codes({ identifierExists: false, brand: "Acme" }), []);
+
+    assert.deepEqual(codes({ identifierExists: true, brand: "Acme" }), ["identifier_exists_unsupported"]);
+    assert.deepEqual(codes({ identifierExists: true, brand: "Acme", mpn: "AB-1" }), []);
+    assert.deepEqual(codes({ identifierExists: true, gtin: "4006381333931" }), []);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeImage, analyzeProductImages, readImageInfo, httpImageFetcher } from "../services/imageAnalysisService.js";
+import { isPublicAddress } from "../utils/urlGuard.js";
+
+// PNG signature plus the IHDR width and height
+const png = (width, height) => {
+    const data = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(data);
+    data.writeUInt32BE(width, 16);
+    data.writeUInt32BE(height, 20);
+    return data;
+};
+
+const fixtures = {
+    "https://img.example.com/a.png": { status: 200, contentType: "image/png", data: png(800, 600) },
+    "https://img.example.com/b_wm_.png": { status: 200, contentType: "image/png", data: png(90, 90) },
+    "https://img.example.com/missing.png": { status: 404, contentType: "text/html", data: Buffer.from("not found") },
+    "https://img.example.com/page.html": { status: 200, contentType: "text/html", data: Buffer.from("<html></html>") },
+};
+
+const fixtureFetcher = async (url) => {
+    fixtureFetcher.calls.push(url);
+    if (!fixtures[url]) throw new Error("getaddrinfo ENOTFOUND");
+    return fixtures[url];
+};
+fixtureFetcher.calls = [];
+
+test("readImageInfo reads PNG and GIF headers", () => {
+    assert.deepEqual(readImageInfo(png(800, 600)), { format: "png", width: 800, height: 600 });
+
+    const gif = Buffer.alloc(13);
+    gif.write("GIF89a");
+    gif.writeUInt16LE(120, 6);
+    gif.writeUInt16LE(40, 8);
+    assert.deepEqual(readImageInfo(gif), { format: "gif", width: 120, height: 40 });
+    assert.equal(readImageInfo(Buffer.from("plain text file")), null);
+});
+
+test("analyzeImage describes fetched images", async () => {
+    const ok = await analyzeImage("https://img.example.com/a.png", { fetcher: fixtureFetcher });
+    assert.equal(ok.ok, true);
+    assert.equal(ok.width, 800);
+    assert.equal(ok.bytes, 33);
+    assert.match(ok.hash, /^[0-9a-f]{40}$/);
+
+    const overlay = await analyzeImage("https://img.example.com/b_wm_.png", { fetcher: fixtureFetcher, detectOverlays: true });
+    assert.equal(overlay.overlaySuspected, true);
+
+    assert.equal((await analyzeImage("https://img.example.com/missing.png", { fetcher: fixtureFetcher })).error, "HTTP 404");
+    assert.equal((await analyzeImage("https://img.example.com/page.html", { fetcher: fixtureFetcher })).error, "Not a recognizable image");
+    assert.equal((await analyzeImage("https://gone.example.com/x.png", { fetcher: fixtureFetcher })).error, "getaddrinfo ENOTFOUND");
+});
+
+test("analyzeProductImages downloads shared URLs once", async () => {
+    fixtureFetcher.calls = [];
+    const products = [
+        { offerId: "1", imageLink: "https://img.example.com/a.png", additionalImageLinks: ["https://img.example.com/missing.png"] },
+        { offerId: "2", imageLink: "https://img.example.com/a.png" },
+    ];
+
+    const results = await analyzeProductImages(products, { fetcher: fixtureFetcher });
+
+    assert.equal(fixtureFetcher.calls.length, 2);
+    assert.deepEqual(results[0].images.map(i => [i.role, i.ok]), [["main", true], ["additional", false]]);
+    assert.equal(results[1].images[0].hash, results[0].images[0].hash);
+});
+
+test("httpImageFetcher refuses internal and non-http URLs", async () => {
+    await assert.rejects(httpImageFetcher("http://127.0.0.1/a.png"), { code: "EBLOCKEDURL" });
+    await assert.rejects(httpImageFetcher("http://169.254.169.254/latest/meta-data"), { code: "EBLOCKEDURL" });
+    await assert.rejects(httpImageFetcher("http://[::1]/a.png"), { code: "EBLOCKEDURL" });
+    await assert.rejects(httpImageFetcher("file:///etc/passwd"), { code: "EBLOCKEDURL" });
+
+    assert.equal(isPublicAddress("::ffff:10.0.0.1"), false);
+    assert.equal(isPublicAddress("93.184.216.34"), true);
+});
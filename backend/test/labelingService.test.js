@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { classifyProduct, buildLabelAssignments, labelWindow } from "../services/labelingService.js";
+import { createFixtureProvider } from "../services/performanceProviderService.js";
+
+const config = {
+    minClicks: 100,
+    minConversionRate: 0.02,
+    labelIndex: 2,
+    labels: { hero: "hero", sidekick: "sidekick", villain: "villain", zombie: "zombie" },
+};
+
+test("classifyProduct buckets by clicks and conversion rate", () => {
+    assert.equal(classifyProduct({ clicks: 100, conversions: 2 }, config), "hero");
+    assert.equal(classifyProduct({ clicks: 100, conversions: 1 }, config), "villain");
+    assert.equal(classifyProduct({ clicks: 99, conversions: 1 }, config), "sidekick");
+    assert.equal(classifyProduct({ clicks: 99, conversions: 0 }, config), "zombie");
+    assert.equal(classifyProduct({}, config), "zombie");
+});
+
+test("labelWindow ends yesterday", () => {
+    assert.deepEqual(labelWindow(30, new Date("2026-03-31T12:00:00Z")), { startDate: "2026-03-01", endDate: "2026-03-30" });
+});
+
+test("buildLabelAssignments labels products from fixture metrics", async () => {
+    const provider = createFixtureProvider({ path: fileURLToPath(new URL("./fixtures/performance-metrics.json", import.meta.url)) });
+    const rows = await provider.fetchOfferMetrics({ merchantId: "m1", startDate: "2026-03-01", endDate: "2026-03-02" });
+    const products = ["hero-1", "villain-1", "sidekick-1", "zombie-1", "no-data"].map(offerId => ({ offerId, customLabel2: "zombie" }));
+
+    const assignments = buildLabelAssignments(products, rows, config);
+
+    assert.deepEqual(
+        Object.fromEntries(assignments.map(a => [a.offerId, a.bucket])),
+        { "hero-1": "hero", "villain-1": "villain", "sidekick-1": "sidekick", "zombie-1": "zombie", "no-data": "zombie" }
+    );
+    assert.deepEqual(assignments[0], {
+        offerId: "hero-1",
+        bucket: "hero",
+        label: "hero",
+        previousLabel: "zombie",
+        clicks: 110,
+        impressions: 3800,
+        conversions: 7,
+    });
+});
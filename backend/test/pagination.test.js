@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    decodeCursor,
+    parsePagination,
+    buildPageInfo,
+    paginate,
+} from "../utils/pagination.js";
+
+test("cursors round-trip offsets and reject anything else", () => {
+    assert.equal(decodeCursor(encodeCursor(0)), 0);
+    assert.equal(decodeCursor(encodeCursor(1250)), 1250);
+    assert.equal(decodeCursor("not a cursor"), null);
+    assert.equal(decodeCursor(encodeCursor(-5)), null);
+});
+
+test("parsePagination reads page and pageSize within bounds", () => {
+    assert.deepEqual(parsePagination(), { offset: 0, pageSize: DEFAULT_PAGE_SIZE });
+    assert.deepEqual(parsePagination({ page: "3", pageSize: "20" }), { offset: 40, pageSize: 20 });
+    assert.deepEqual(parsePagination({ page: "0", pageSize: "-1" }), { offset: 0, pageSize: DEFAULT_PAGE_SIZE });
+    assert.equal(parsePagination({ pageSize: "100000" }).pageSize, MAX_PAGE_SIZE);
+});
+
+test("a valid cursor wins over page", () => {
+    assert.deepEqual(parsePagination({ cursor: encodeCursor(75), page: "9", pageSize: "25" }), { offset: 75, pageSize: 25 });
+    assert.deepEqual(parsePagination({ cursor: "garbage", page: "2", pageSize: "25" }), { offset: 25, pageSize: 25 });
+});
+
+test("buildPageInfo links to the next page until the end", () => {
+    const first = buildPageInfo(120, { offset: 0, pageSize: 50 }, 50);
+    assert.deepEqual(first, { total: 120, page: 1, pageSize: 50, totalPages: 3, count: 50, nextCursor: encodeCursor(50) });
+
+    const last = buildPageInfo(120, { offset: 100, pageSize: 50 }, 20);
+    assert.equal(last.page, 3);
+    assert.equal(last.nextCursor, null);
+});
+
+test("paginate walks a list page by page through the cursors", () => {
+    const items = Array.from({ length: 7 }, (_, i) => i);
+    const seen = [];
+    let query = { pageSize: "3" };
+
+    for (;;) {
+        const { items: page, pageInfo } = paginate(items, parsePagination(query));
+        seen.push(...page);
+        if (!pageInfo.nextCursor) break;
+        query = { pageSize: "3", cursor: pageInfo.nextCursor };
+    }
+
+    assert.deepEqual(seen, items);
+});
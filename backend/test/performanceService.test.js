@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { parseReportRow, fetchPerformanceReport, buildPerformanceQuery } from "../services/performanceService.js";
+
+const pages = JSON.parse(fs.readFileSync(new URL("./fixtures/reports-search.json", import.meta.url), "utf8"));
+
+// Replays recorded reports.search pages, keyed by page token
+const replayClient = () => {
+    const requests = [];
+    return {
+        requests,
+        reports: {
+            search: async (params) => {
+                requests.push(params);
+                const index = params.requestBody.pageToken ? Number(params.requestBody.pageToken.split("-")[1]) - 1 : 0;
+                return { data: pages[index] };
+            },
+        },
+    };
+};
+
+test("parseReportRow maps segments and int64 metrics", () => {
+    const metric = parseReportRow(123, pages[0].results[0]);
+
+    assert.deepEqual(metric.date, new Date("2026-03-01T00:00:00Z"));
+    assert.equal(metric.meta.merchantId, "123");
+    assert.equal(metric.meta.offerId, "SKU-100");
+    assert.equal(metric.meta.productType, "Apparel > Shoes");
+    assert.equal(metric.meta.customLabel0, "summer");
+    assert.equal(metric.clicks, 12);
+    assert.equal(metric.impressions, 400);
+    assert.equal(metric.ctr, 0.03);
+    assert.equal(metric.conversions, 2);
+});
+
+test("parseReportRow derives ctr and defaults missing metrics", () => {
+    const noClicks = parseReportRow("m", pages[0].results[1]);
+    assert.equal(noClicks.ctr, 0);
+    assert.equal(noClicks.conversions, 0);
+    assert.equal(noClicks.meta.productType, undefined);
+
+    const derived = parseReportRow("m", pages[1].results[0]);
+    assert.equal(derived.meta.offerId, "300");
+    assert.equal(derived.ctr, 0.1);
+});
+
+test("fetchPerformanceReport walks every page", async () => {
+    const client = replayClient();
+    const range = { startDate: "2026-03-01", endDate: "2026-03-02" };
+
+    const metrics = await fetchPerformanceReport(client, "m", range);
+
+    assert.deepEqual(metrics.map(m => m.meta.offerId), ["SKU-100", "SKU-200", "300"]);
+    assert.equal(client.requests.length, 2);
+    assert.equal(client.requests[0].requestBody.query, buildPerformanceQuery(range));
+    assert.equal(client.requests[1].requestBody.pageToken, "page-2");
+    assert.match(client.requests[0].requestBody.query, /BETWEEN '2026-03-01' AND '2026-03-02'/);
+});
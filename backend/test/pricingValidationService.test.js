@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPricingContext, parseEffectiveDate, priceChange, validatePricing, buildPricingReport } from "../services/pricingValidationService.js";
+import { convertAmount } from "../utils/currency.js";
+
+const context = buildPricingContext({
+    now: new Date("2024-11-15T12:00:00Z"),
+    reportingCurrency: "USD",
+    rates: { USD: 1, EUR: 0.5, JPY: 100 },
+});
+
+const PRODUCT = {
+    offerId: "1",
+    targetCountry: "US",
+    price: { value: "100.00", currency: "USD" },
+};
+
+const codes = (product) => validatePricing({ ...PRODUCT, ...product }, context).map(i => `${i.field}:${i.code}`);
+
+test("convertAmount goes through the base currency", () => {
+    const { rates } = context;
+    assert.equal(convertAmount(10, "EUR", "USD", { rates }), 20);
+    assert.equal(convertAmount(1000, "JPY", "EUR", { rates }), 5);
+    assert.equal(convertAmount(10, "GBP", "USD", { rates }), null);
+    assert.equal(convertAmount(10, "GBP", "GBP", { rates }), 10);
+});
+
+test("parseEffectiveDate reads ISO 8601 ranges", () => {
+    assert.deepEqual(parseEffectiveDate("2024-11-01T00:00-08:00/2024-11-30T23:59-08:00"), {
+        start: new Date("2024-11-01T08:00:00Z"),
+        end: new Date("2024-12-01T07:59:00Z"),
+    });
+    assert.equal(parseEffectiveDate("2024-11-30/2024-11-01"), null);
+    assert.equal(parseEffectiveDate("2024-11-01"), null);
+    assert.equal(parseEffectiveDate("soon/later"), null);
+    assert.equal(parseEffectiveDate(undefined), null);
+});
+
+test("a clean price has no issues", () => {
+    assert.deepEqual(codes({}), []);
+});
+
+test("regular price checks", () => {
+    assert.deepEqual(codes({ price: undefined }), ["price:price_missing"]);
+    assert.deepEqual(codes({ price: { value: "abc", currency: "USD" } }), ["price:price_missing"]);
+    assert.deepEqual(codes({ price: { value: "0", currency: "USD" } }), ["price:price_zero"]);
+    assert.deepEqual(codes({ price: { value: "10" } }), ["price:price_currency_missing"]);
+    assert.deepEqual(codes({ price: { value: "10", currency: "EUR" } }), ["price:price_currency_mismatch"]);
+    assert.deepEqual(codes({ targetCountry: "XX", price: { value: "10", currency: "GBP" } }), ["price:price_currency_unknown"]);
+    assert.deepEqual(codes({ price: { value: "100001", currency: "USD" } }), ["price:price_absurd"]);
+    assert.deepEqual(codes({ targetCountry: "JP", price: { value: "9000000", currency: "JPY" } }), []);
+});
+
+test("price swings compare like with like", () => {
+    assert.equal(priceChange({ ...PRODUCT, previousPrice: { value: "80.00", currency: "USD" } }, context), 0.25);
+    assert.equal(priceChange({ ...PRODUCT, previousPrice: { value: "100.00", currency: "EUR" } }, context), -0.5);
+    assert.equal(priceChange({ ...PRODUCT, previousPrice: { value: "0", currency: "USD" } }, context), null);
+    assert.equal(priceChange(PRODUCT, context), null);
+
+    assert.deepEqual(codes({ previousPrice: { value: "70.00", currency: "USD" } }), []);
+    const [swing] = validatePricing({ ...PRODUCT, previousPrice: { value: "50.00", currency: "USD" } }, context);
+    assert.equal(swing.code, "price_swing");
+    assert.equal(swing.message, "Price rose 100% since the previous sync (was 50.00 USD)");
+});
+
+test("sale price checks", () => {
+    const sale = (salePrice, salePriceEffectiveDate = "2024-11-01T00:00Z/2024-11-30T00:00Z") =>
+        codes({ salePrice, salePriceEffectiveDate });
+
+    assert.deepEqual(sale({ value: "80.00", currency: "USD" }), []);
+    assert.deepEqual(sale({ value: "80.00", currency: "EUR" }), ["salePrice:sale_price_currency_mismatch"]);
+    assert.deepEqual(sale({ value: "-1", currency: "USD" }), ["salePrice:price_zero"]);
+    assert.deepEqual(sale({ value: "100.00", currency: "USD" }), ["salePrice:sale_price_not_lower"]);
+    assert.deepEqual(sale({ value: "80.00", currency: "USD" }, ""), ["salePriceEffectiveDate:sale_price_date_missing"]);
+    assert.deepEqual(sale({ value: "80.00", currency: "USD" }, "Black Friday"), ["salePriceEffectiveDate:sale_price_date_invalid"]);
+    assert.deepEqual(sale({ value: "80.00", currency: "USD" }, "2024-10-01T00:00Z/2024-10-31T00:00Z"), ["salePriceEffectiveDate:sale_price_expired"]);
+    assert.deepEqual(sale({ value: "80.00", currency: "USD" }, "2024-12-01T00:00Z/2024-12-31T00:00Z"), ["salePriceEffectiveDate:sale_price_scheduled"]);
+    assert.deepEqual(sale({ value: "", currency: "USD" }), []);
+});
+
+test("buildPricingReport converts to the reporting currency", () => {
+    const report = buildPricingReport({
+        ...PRODUCT,
+        targetCountry: "DE",
+        price: { value: "40.00", currency: "EUR" },
+        salePrice: { value: "30.00", currency: "EUR" },
+        salePriceEffectiveDate: "2024-11-01T00:00Z/2024-11-30T00:00Z",
+        previousPrice: { value: "32.00", currency: "EUR" },
+    }, context);
+
+    assert.deepEqual(report.reporting, { currency: "USD", price: 80, salePrice: 60 });
+    assert.equal(report.changePercent, 25);
+    assert.deepEqual(report.issues, []);
+});
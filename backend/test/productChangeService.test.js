@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import ProductChange from "../models/ProductChange.js";
+import { planProductChanges, createProductChanges, skipQueuedEdits, supersedePendingChanges } from "../services/productChangeService.js";
+
+// One offer sold in two countries, plus a second offer
+const PRODUCTS = [
+    { id: "online:en:US:1", offerId: "1", title: "Shoes", color: "Blue" },
+    { id: "online:de:DE:1", offerId: "1", title: "Schuhe", color: "Blau" },
+    { id: "online:en:US:2", offerId: "2", title: "Socks", color: "Blue" },
+];
+
+const inList = (value, condition) => !condition || condition.$in.includes(value);
+
+Product.find = (filter) => ({
+    lean: async () => PRODUCTS.filter(p => filter.$or.some(clause =>
+        (clause.id && inList(p.id, clause.id)) || (clause.offerId && inList(p.offerId, clause.offerId))
+    )),
+});
+ProductChange.insertMany = async (docs) => docs.map((doc, i) => ({ _id: `c${i}`, ...doc }));
+
+test("an edit with a REST id changes only that version", async () => {
+    const { planned, skipped } = await planProductChanges("m1", [
+        { productId: "online:de:DE:1", offerId: "1", field: "title", value: "Laufschuhe" },
+    ]);
+
+    assert.deepEqual(planned.map(p => p.product.id), ["online:de:DE:1"]);
+    assert.deepEqual(skipped, []);
+});
+
+test("an edit with only an offerId changes every version of the offer", async () => {
+    const { planned, skipped } = await planProductChanges("m1", [
+        { offerId: "1", field: "color", value: "Blue" },
+    ]);
+
+    assert.deepEqual(planned.map(p => p.product.id), ["online:de:DE:1"]);
+    assert.deepEqual(skipped, [{ productId: "online:en:US:1", offerId: "1", field: "color", value: "Blue", reason: "Value is unchanged" }]);
+});
+
+test("edits for unknown products or fields are skipped", async () => {
+    const { planned, skipped } = await planProductChanges("m1", [
+        { productId: "online:fr:FR:1", field: "title", value: "x" },
+        { offerId: "9", field: "title", value: "x" },
+        { offerId: "2", field: "offerId", value: "3" },
+    ]);
+
+    assert.deepEqual(planned, []);
+    assert.deepEqual(skipped.map(s => s.reason), ["Product not found", "Product not found", 'Field "offerId" cannot be edited']);
+});
+
+test("createProductChanges records the version it changes", async () => {
+    const { changes } = await createProductChanges("m1", [
+        { productId: "online:en:US:1", offerId: "1", field: "title", value: "Running Shoes" },
+        { productId: "online:de:DE:1", offerId: "1", field: "title", value: "Laufschuhe" },
+    ], { source: "rule", status: "approved", userId: "u1" });
+
+    assert.deepEqual(changes.map(c => [c.productId, c.oldValue, c.newValue, c.approvedBy]), [
+        ["online:en:US:1", "Shoes", "Running Shoes", "u1"],
+        ["online:de:DE:1", "Schuhe", "Laufschuhe", "u1"],
+    ]);
+});
+
+test("skipQueuedEdits tells the versions of an offer apart", async () => {
+    ProductChange.find = () => ({
+        select: () => ({
+            lean: async () => [{ productId: "online:en:US:1", offerId: "1", field: "title", newValue: "Running Shoes" }],
+        }),
+    });
+
+    const { edits, skipped } = await skipQueuedEdits("m1", [
+        { productId: "online:en:US:1", offerId: "1", field: "title", value: "Running Shoes" },
+        { productId: "online:de:DE:1", offerId: "1", field: "title", value: "Running Shoes" },
+        { offerId: "1", field: "title", value: "Running Shoes" },
+    ], "rule");
+
+    assert.deepEqual(edits.map(e => e.productId), ["online:de:DE:1"]);
+    assert.deepEqual(skipped.map(e => e.productId ?? `offer ${e.offerId}`), ["online:en:US:1", "offer 1"]);
+});
+
+test("supersedePendingChanges only rejects changes to the same version", async () => {
+    let filter;
+    ProductChange.updateMany = async (query) => {
+        filter = query;
+        return { modifiedCount: 1 };
+    };
+
+    await supersedePendingChanges("m1", [{ _id: "c1", productId: "online:de:DE:1", offerId: "1", field: "title" }], "manual");
+
+    assert.deepEqual(filter.$or, [{ productId: "online:de:DE:1", field: "title" }]);
+});
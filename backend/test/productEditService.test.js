@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import { editValueProblem, validateEditRequest, resolveEdits } from "../services/productEditService.js";
+
+const PRODUCTS = [
+    { id: "online:en:US:1", offerId: "1", title: "Shoes" },
+    { id: "online:de:DE:1", offerId: "1", title: "Schuhe" },
+];
+
+let lastFilter;
+Product.find = (filter) => {
+    lastFilter = filter;
+    const rows = PRODUCTS.filter(p => (!filter.id || filter.id.$in.includes(p.id)) && (!filter.offerId || filter.offerId.$in.includes(p.offerId)));
+    const query = { sort: () => query, select: () => query, limit: () => query, lean: async () => rows };
+    return query;
+};
+
+test("editValueProblem checks price amounts and currencies", () => {
+    assert.equal(editValueProblem("title", ""), null);
+    assert.equal(editValueProblem("price", { value: "19.99", currency: "USD" }), null);
+    assert.equal(editValueProblem("price", "19.99"), "price needs an amount and a currency");
+    assert.equal(editValueProblem("salePrice", { value: "-1", currency: "USD" }), 'salePrice amount must be a non-negative number, got "-1"');
+    assert.equal(editValueProblem("price", { value: "1,99", currency: "EUR" }), 'price amount must be a non-negative number, got "1,99"');
+});
+
+test("validateEditRequest takes products by REST id or offer id", () => {
+    assert.deepEqual(validateEditRequest({ edits: [{ productId: "online:en:US:1", field: "title", value: "x" }] }), []);
+    assert.deepEqual(validateEditRequest({ edits: [{ offerId: "1", field: "title", value: "x" }] }), []);
+    assert.deepEqual(validateEditRequest({ edits: [{ field: "title" }] }), ["edits[0]: productId or offerId is required"]);
+
+    assert.deepEqual(validateEditRequest({ productIds: ["online:en:US:1"], action: { type: "append", field: "title", value: "!" } }), []);
+    assert.deepEqual(validateEditRequest({ offerIds: ["1"], action: { type: "append", field: "title", value: "!" } }), []);
+    assert.deepEqual(validateEditRequest({ action: { type: "append", field: "title", value: "!" } }), ["edits, productIds or offerIds are required"]);
+    assert.deepEqual(
+        validateEditRequest({ productIds: ["online:en:US:1"], action: { type: "set", field: "price", value: "cheap" } }),
+        ["action: price amount must be a non-negative number"]
+    );
+});
+
+test("a bulk edit by REST id only touches the selected versions", async () => {
+    const { edits } = await resolveEdits("m1", { productIds: ["online:de:DE:1"], action: { type: "prepend", field: "title", value: "Neu: " } });
+
+    assert.deepEqual(lastFilter.id, { $in: ["online:de:DE:1"] });
+    assert.deepEqual(edits, [{ productId: "online:de:DE:1", offerId: "1", field: "title", value: "Neu: Schuhe" }]);
+});
+
+test("a bulk edit by offer id touches every version of the offer", async () => {
+    const { edits } = await resolveEdits("m1", { offerIds: ["1"], action: { type: "append", field: "title", value: "!" } });
+
+    assert.deepEqual(edits.map(e => [e.productId, e.value]), [["online:en:US:1", "Shoes!"], ["online:de:DE:1", "Schuhe!"]]);
+});
+
+test("inline edits keep the id they were given", async () => {
+    const { edits } = await resolveEdits("m1", { edits: [{ productId: "online:de:DE:1", field: "title", value: "x" }, { offerId: 1, field: "title", value: "y" }] });
+
+    assert.deepEqual(edits, [
+        { productId: "online:de:DE:1", field: "title", value: "x" },
+        { offerId: "1", field: "title", value: "y" },
+    ]);
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import ProductHistory from "../models/ProductHistory.js";
+import HistoryCounter from "../models/HistoryCounter.js";
+import { recordProductHistory, buildRollbackEdits } from "../services/productHistoryService.js";
+
+// One offer sold in two countries
+const products = [
+    { id: "online:en:US:1", offerId: "1", title: "Shoes" },
+    { id: "online:de:DE:1", offerId: "1", title: "Schuhe" },
+];
+const history = [];
+const counters = new Map();
+
+Product.find = (filter) => ({
+    select: () => ({ lean: async () => products.filter(p => filter.id.$in.includes(p.id)) }),
+});
+Product.findOne = (filter) => ({ lean: async () => products.find(p => p.id === filter.id) ?? null });
+
+HistoryCounter.findOneAndUpdate = async ({ merchantId, productId }) => {
+    const key = `${merchantId}:${productId}`;
+    if (!counters.has(key)) return null;
+    counters.set(key, counters.get(key) + 1);
+    return { version: counters.get(key) };
+};
+HistoryCounter.create = async ({ merchantId, productId, version }) => counters.set(`${merchantId}:${productId}`, version);
+
+const entriesOf = ({ productId, version }) => history.filter(e =>
+    e.productId === productId && (version === undefined || (typeof version === "object" ? e.version > version.$gt : e.version === version)));
+
+ProductHistory.findOne = (filter) => ({ sort: () => ({ select: async () => entriesOf(filter).at(-1) ?? null }) });
+ProductHistory.exists = async (filter) => entriesOf(filter).length > 0;
+ProductHistory.find = (filter) => ({ sort: () => ({ lean: async () => entriesOf(filter) }) });
+ProductHistory.insertMany = async (docs) => {
+    history.push(...docs);
+    return docs;
+};
+
+const apply = async (changes) => {
+    const docs = await recordProductHistory("m1", changes.map((c, i) => ({ _id: `c${history.length + i}`, createdAt: new Date(i), ...c })));
+    for (const doc of docs) products.find(p => p.id === doc.productId).title = doc.newValue;
+    return docs;
+};
+
+test("each country and language version of an offer has its own history", async () => {
+    const first = await apply([
+        { productId: "online:en:US:1", offerId: "1", field: "title", oldValue: "Shoes", newValue: "Running Shoes" },
+        { productId: "online:de:DE:1", offerId: "1", field: "title", oldValue: "Schuhe", newValue: "Laufschuhe" },
+    ]);
+    const second = await apply([
+        { productId: "online:de:DE:1", offerId: "1", field: "title", oldValue: "Laufschuhe", newValue: "Trailschuhe" },
+    ]);
+
+    assert.deepEqual(first.map(e => [e.productId, e.version]), [["online:en:US:1", 1], ["online:de:DE:1", 1]]);
+    assert.deepEqual(second.map(e => [e.productId, e.version, e.oldValue]), [["online:de:DE:1", 2, "Laufschuhe"]]);
+});
+
+test("rollback restores one version and leaves the others alone", async () => {
+    assert.deepEqual(await buildRollbackEdits("m1", "online:de:DE:1", 0), [
+        { productId: "online:de:DE:1", offerId: "1", field: "title", value: "Schuhe" },
+    ]);
+    assert.deepEqual(await buildRollbackEdits("m1", "online:de:DE:1", 1), [
+        { productId: "online:de:DE:1", offerId: "1", field: "title", value: "Laufschuhe" },
+    ]);
+    assert.deepEqual(await buildRollbackEdits("m1", "online:en:US:1", 1), []);
+    assert.equal(await buildRollbackEdits("m1", "online:en:US:1", 2), null);
+});
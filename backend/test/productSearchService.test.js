@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildProductFilters, combineFilters, readList, priceAmount } from "../services/productSearchService.js";
+
+test("readList accepts repeated and bracketed parameters", () => {
+    assert.deepEqual(readList({ brand: "Acme" }, "brand"), ["Acme"]);
+    assert.deepEqual(readList({ brand: ["Acme", "Other"] }, "brand"), ["Acme", "Other"]);
+    assert.deepEqual(readList({ "brand[]": ["Acme", ""] }, "brand"), ["Acme", ""]);
+    assert.deepEqual(readList({ brand: "Acme", "brand[]": "Other" }, "brand"), ["Acme", "Other"]);
+    assert.deepEqual(readList({}, "brand"), []);
+});
+
+test("every search term must match title, description or offer id", () => {
+    const { base, facets } = buildProductFilters("m1", { q: "  red  shoe.s " });
+
+    assert.deepEqual(facets, {});
+    assert.deepEqual(base, {
+        merchantId: "m1",
+        removedAt: null,
+        $and: [
+            { $or: [{ title: /red/i }, { description: /red/i }, { offerId: /red/i }] },
+            { $or: [{ title: /shoe\.s/i }, { description: /shoe\.s/i }, { offerId: /shoe\.s/i }] },
+        ],
+    });
+    assert.deepEqual(buildProductFilters("m1", { q: " " }).base, { merchantId: "m1", removedAt: null });
+});
+
+test("value facets", () => {
+    const { facets } = buildProductFilters("m1", {
+        brand: ["Acme", "Other"],
+        "availability[]": "in stock",
+        customLabel0: "",
+        condition: ["new", ""],
+    });
+
+    assert.deepEqual(facets, {
+        brand: { brand: { $in: ["Acme", "Other"] } },
+        availability: { availability: { $in: ["in stock"] } },
+        condition: { $or: [{ condition: { $in: ["new"] } }, { condition: { $in: [null, ""] } }] },
+        customLabel0: { customLabel0: { $in: [null, ""] } },
+    });
+});
+
+test("products without a status match the unknown approval status", () => {
+    const { facets } = buildProductFilters("m1", { approvalStatus: ["disapproved", "unknown"] });
+
+    assert.deepEqual(facets.approvalStatus, {
+        $or: [
+            { "productStatus.approvalStatus": { $in: ["disapproved", "unknown"] } },
+            { "productStatus.approvalStatus": { $in: [null, ""] } },
+        ],
+    });
+});
+
+test("a product type matches its subcategories only", () => {
+    const { facets } = buildProductFilters("m1", { productType: "Home > Lamps (LED)" });
+    const [pattern] = facets.productType.productType.$in;
+
+    assert.ok(pattern.test("Home > Lamps (LED)"));
+    assert.ok(pattern.test("Home > Lamps (LED) > Desk"));
+    assert.ok(!pattern.test("Home > Lamps (LED)s"));
+    assert.ok(!pattern.test("Garden > Home > Lamps (LED)"));
+});
+
+test("price and score ranges", () => {
+    const { facets } = buildProductFilters("m1", { minPrice: "10", maxPrice: "", minScore: "abc", maxScore: "69" });
+
+    assert.deepEqual(facets.price, { $expr: { $and: [{ $ne: [priceAmount, null] }, { $gte: [priceAmount, 10] }] } });
+    assert.deepEqual(facets.auditScore, { "audit.score": { $lte: 69 } });
+    assert.deepEqual(buildProductFilters("m1", { minPrice: "x", maxScore: "" }).facets, {});
+});
+
+test("combineFilters can leave out one facet", () => {
+    const filters = buildProductFilters("m1", { q: "lamp", brand: "Acme", maxScore: "50" });
+
+    const all = combineFilters(filters);
+    assert.equal(all.$and.length, 3);
+    assert.deepEqual(all.$and.slice(1), [filters.facets.brand, filters.facets.auditScore]);
+
+    assert.deepEqual(combineFilters(filters, { except: "brand" }).$and.slice(1), [filters.facets.auditScore]);
+
+    const plain = buildProductFilters("m1", {});
+    assert.equal(combineFilters(plain), plain.base);
+    assert.equal(combineFilters(buildProductFilters("m1", { brand: "Acme" }), { except: "brand" }).$and, undefined);
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import { detectProductChanges, hashProduct, saveProductSnapshot } from "../services/productSyncService.js";
+import { normalizeProduct } from "../services/googleMerchantService.js";
+
+const resource = (fields) => ({
+    id: `online:en:US:${fields.offerId}`,
+    channel: "online",
+    contentLanguage: "en",
+    targetCountry: "US",
+    title: "Trail Runner",
+    price: { value: "50.00", currency: "USD" },
+    ...fields,
+});
+
+// In-memory Product collection with Mongoose's update semantics:
+// undefined values in $set are dropped
+const fakeProducts = () => {
+    const docs = [];
+    const matches = (doc, filter) => Object.entries(filter).every(([key, value]) =>
+        key === "_id" && value.$in ? value.$in.includes(doc._id) : (doc[key] ?? null) === value);
+
+    Product.find = (filter) => {
+        const query = { select: () => query, lean: async () => docs.filter(d => matches(d, filter)).map(d => ({ ...d })) };
+        return query;
+    };
+    Product.bulkWrite = async (ops) => {
+        for (const { updateOne: { filter, update, upsert } } of ops) {
+            let doc = docs.find(d => matches(d, filter));
+            if (!doc && upsert) {
+                doc = { _id: docs.length + 1, ...update.$setOnInsert };
+                docs.push(doc);
+            }
+            for (const [key, value] of Object.entries(update.$set || {})) {
+                if (value !== undefined) doc[key] = value;
+            }
+            for (const key of Object.keys(update.$unset || {})) delete doc[key];
+        }
+    };
+    Product.updateMany = async () => {};
+    return docs;
+};
+
+const syncRun = () => ({ _id: "run", save: async () => {} });
+
+test("detectProductChanges classifies products and lists changed fields", () => {
+    const before = [resource({ offerId: "a" }), resource({ offerId: "b" }), resource({ offerId: "c" })].map(normalizeProduct);
+    const previous = before.map(p => ({ ...p, hash: hashProduct(p) }));
+    const current = [
+        before[0],
+        normalizeProduct(resource({ offerId: "b", title: "Trail Runner 2" })),
+        normalizeProduct(resource({ offerId: "d" })),
+    ];
+
+    const changes = detectProductChanges(previous, current);
+
+    assert.deepEqual(changes.unchanged.map(c => c.product.offerId), ["a"]);
+    assert.deepEqual(changes.modified.map(c => [c.product.offerId, c.fields]), [["b", ["title"]]]);
+    assert.deepEqual(changes.added.map(c => c.product.offerId), ["d"]);
+    assert.deepEqual(changes.removed.map(p => p.offerId), ["c"]);
+});
+
+test("hashProduct ignores key order", () => {
+    assert.equal(hashProduct({ raw: { a: 1, b: { c: 2, d: 3 } } }), hashProduct({ raw: { b: { d: 3, c: 2 }, a: 1 } }));
+});
+
+test("an attribute removed in Merchant Center is removed from the snapshot", async () => {
+    const docs = fakeProducts();
+    const withExtras = resource({
+        offerId: "a",
+        salePrice: { value: "40.00", currency: "USD" },
+        gtin: "4006381333931",
+        customLabel0: "summer",
+        productTypes: ["Apparel > Shoes"],
+    });
+
+    await saveProductSnapshot(syncRun(), "m", [normalizeProduct(withExtras)]);
+    assert.equal(docs[0].customLabel0, "summer");
+    assert.equal(docs[0].productType, "Apparel > Shoes");
+
+    await saveProductSnapshot(syncRun(), "m", [normalizeProduct(resource({ offerId: "a", title: "Trail Runner 2" }))]);
+
+    assert.equal(docs.length, 1);
+    assert.equal(docs[0].title, "Trail Runner 2");
+    for (const field of ["salePrice", "gtin", "customLabel0", "productType"]) {
+        assert.equal(field in docs[0], false, `${field} is still stored`);
+    }
+    assert.equal(docs[0].raw.salePrice, undefined);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../models/Product.js";
+import { dryRunFeedRules, applyFeedRules } from "../controllers/ruleController.js";
+
+const PRODUCTS = [
+    { id: "online:en:US:1", offerId: "1", title: "Shoes", price: { value: "50.00", currency: "USD" } },
+    { id: "online:en:US:2", offerId: "2", title: "Socks" },
+];
+
+Product.find = () => {
+    const query = { sort: () => query, select: () => query, limit: () => query, lean: async () => PRODUCTS };
+    return query;
+};
+
+const call = async (handler, body) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await handler({ merchantId: "m1", user: { _id: "u1" }, body }, res);
+    return res;
+};
+
+test("dry run flags rule output that a manual edit would refuse", async () => {
+    const res = await call(dryRunFeedRules, {
+        rules: [{ name: "Discount", actions: [{ type: "set", field: "price", value: "about 40" }] }],
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.affectedCount, 2);
+    assert.deepEqual(res.body.invalid.map(i => [i.offerId, i.field]), [["1", "price"], ["2", "price"]]);
+    assert.match(res.body.affected[0].changes[0].problem, /amount must be a non-negative number/);
+    assert.match(res.body.affected[1].changes[0].problem, /needs an amount and a currency/);
+});
+
+test("dry run leaves valid rule output alone", async () => {
+    const res = await call(dryRunFeedRules, {
+        rules: [{ name: "Discount", actions: [{ type: "set", field: "price", value: "40.00" }] }],
+    });
+
+    assert.equal(res.body.affected[0].changes[0].problem, undefined);
+    assert.deepEqual(res.body.invalid.map(i => i.offerId), ["2"]);
+});
+
+test("malformed rule ids are a 400, not a failed query", async () => {
+    for (const handler of [dryRunFeedRules, applyFeedRules]) {
+        const res = await call(handler, { ruleIds: ["65a1b2c3d4e5f60718293a4b", "nope"] });
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.body, { error: "Invalid rule ids", ruleIds: ["nope"] });
+    }
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import SyncJob from "../models/SyncJob.js";
+import JobRun from "../models/JobRun.js";
+import User from "../models/User.js";
+
+// Short lease so a run outlives it; read when the service is loaded
+process.env.SCHEDULER_LOCK_TTL_MS = "30";
+const { executeJob, INSTANCE_ID } = await import("../services/schedulerService.js");
+const { createJob } = await import("../controllers/jobController.js");
+
+const JOB = { _id: "job1", merchantId: "m1", userId: "u1", schedule: "0 8 * * *", tasks: ["products"], attempts: 0, maxAttempts: 1 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Keeps the lock in memory and lets a test hand it to another instance
+const stubLock = () => {
+    const lock = { lockedBy: INSTANCE_ID, renewals: 0, released: null };
+
+    SyncJob.updateOne = async (filter, { $set }) => {
+        if (filter.lockedBy !== lock.lockedBy) return { matchedCount: 0 };
+        if ("lockedBy" in $set) lock.released = $set;
+        else lock.renewals++;
+        return { matchedCount: 1 };
+    };
+    JobRun.create = async (data) => ({ ...data, startedAt: new Date(), save: async () => {} });
+
+    return lock;
+};
+
+test("a running job keeps renewing its lease", async () => {
+    const lock = stubLock();
+    // The run fails once the owner lookup returns, 100ms later
+    User.findById = () => sleep(100).then(() => null);
+
+    const run = await executeJob(JOB);
+    const renewals = lock.renewals;
+    await sleep(50);
+
+    assert.equal(run.status, "failed");
+    assert.ok(renewals >= 3, `renewed ${renewals} times`);
+    assert.equal(lock.renewals, renewals, "heartbeat stops with the run");
+    assert.equal(lock.released.lockedBy, null);
+});
+
+test("a run that lost its lease does not reschedule the job", async () => {
+    const lock = stubLock();
+    User.findById = async () => {
+        lock.lockedBy = "other-instance";
+        return null;
+    };
+
+    await executeJob(JOB);
+
+    assert.equal(lock.released, null);
+});
+
+test("schedules that never fire are rejected", async () => {
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await createJob({ merchantId: "m1", user: { _id: "u1" }, body: { schedule: "0 0 30 2 *" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.problems, ["schedule: never matches a date"]);
+});
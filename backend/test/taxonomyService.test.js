@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs";
+import { parseTaxonomy, checkTaxonomy, loadTaxonomy, resolveCategory } from "../services/taxonomyService.js";
+import { imageAnalysisIssues } from "../services/imageAnalysisService.js";
+
+// No taxonomy is cached for the tests
+process.env.GOOGLE_TAXONOMY_PATH = path.join(os.tmpdir(), `missing-taxonomy-${process.pid}.txt`);
+
+const SAMPLE = [
+    "# Google_Product_Taxonomy_Version: 2021-09-21",
+    "166 - Apparel & Accessories",
+    "1604 - Apparel & Accessories > Clothing",
+    "2271 - Apparel & Accessories > Clothing > Dresses",
+    "536 - Home & Garden",
+].join("\n");
+
+test("parseTaxonomy reads ids, paths and the version", () => {
+    const taxonomy = parseTaxonomy(SAMPLE);
+
+    assert.equal(taxonomy.version, "2021-09-21");
+    assert.equal(taxonomy.categories.length, 4);
+    assert.deepEqual(taxonomy.byId.get(2271), {
+        id: 2271,
+        path: "Apparel & Accessories > Clothing > Dresses",
+        name: "Dresses",
+        depth: 3,
+        leafTokens: ["dress"],
+        ancestorTokens: ["apparel", "accessory", "clothing"],
+    });
+});
+
+test("checkTaxonomy refuses partial files", () => {
+    const problems = checkTaxonomy(parseTaxonomy("1604 - Apparel & Accessories > Clothing"));
+
+    assert.equal(problems.length, 2);
+    assert.match(problems[0], /only 1 categories/);
+    assert.match(problems[1], /without a parent/);
+});
+
+test("resolveCategory accepts ids and paths", () => {
+    const taxonomy = parseTaxonomy(SAMPLE);
+
+    assert.equal(resolveCategory("2271", taxonomy).name, "Dresses");
+    assert.equal(resolveCategory("apparel & accessories>clothing", taxonomy).id, 1604);
+    assert.equal(resolveCategory("", taxonomy), null);
+});
+
+test("a missing taxonomy fails with ETAXONOMY and lookups return null", () => {
+    assert.throws(() => loadTaxonomy(), { code: "ETAXONOMY" });
+    assert.equal(resolveCategory("2271"), null);
+});
+
+test("a partial file is refused", () => {
+    const file = path.join(os.tmpdir(), `partial-taxonomy-${process.pid}.txt`);
+    fs.writeFileSync(file, SAMPLE);
+    try {
+        assert.throws(() => loadTaxonomy(file), { code: "ETAXONOMY", message: /not the full Google product taxonomy/ });
+    } finally {
+        fs.unlinkSync(file);
+    }
+});
+
+test("the image audit still recognizes apparel without the taxonomy", () => {
+    const image = { url: "https://img.example.com/a.png", role: "main", ok: true, width: 200, height: 200 };
+    const product = (fields) => ({ imageLink: image.url, imageAnalysis: { images: [image] }, ...fields });
+
+    assert.deepEqual(imageAnalysisIssues(product({ googleProductCategory: "Apparel & Accessories > Clothing" })).map(i => i.code), ["image_too_small"]);
+    assert.deepEqual(imageAnalysisIssues(product({ googleProductCategory: "2271" })), []);
+});
@@ -0,0 +1,168 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week")
+// evaluated in an IANA time zone, so "0 8 * * 1-5" means 8am local time.
+
+const FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "dayOfMonth", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+    { name: "dayOfWeek", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+
+const MACROS = {
+    "@hourly": "0 * * * *",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@weekly": "0 0 * * 0",
+    "@monthly": "0 0 1 * *",
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+};
+
+// Give up looking for a match after this many years (e.g. "0 0 30 2 *")
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+const parseValue = (text, field) => {
+    const index = field.names?.indexOf(text.toLowerCase());
+    if (index !== undefined && index !== -1) return index + (field.name === "month" ? 1 : 0);
+
+    if (!/^\d+$/.test(text)) throw new Error(`Invalid ${field.name} value "${text}"`);
+    const value = Number(text);
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name} value ${value} is outside ${field.min}-${field.max}`);
+    }
+    return value;
+};
+
+const parseField = (text, field) => {
+    const values = new Set();
+
+    for (const part of text.split(",")) {
+        const [range, stepText] = part.split("/");
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name} "${part}"`);
+
+        let start = field.min;
+        let end = field.max;
+
+        if (range !== "*") {
+            const [from, to] = range.split("-");
+            start = parseValue(from, field);
+            end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+            if (end < start) throw new Error(`Invalid range in ${field.name} "${part}"`);
+        }
+
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+
+    // Sunday may be written as 0 or 7
+    if (field.name === "dayOfWeek" && values.has(7)) {
+        values.delete(7);
+        values.add(0);
+    }
+
+    return { values, restricted: text !== "*" };
+};
+
+/**
+ * @throws {Error} When the expression is not valid
+ */
+export const parseCron = (expression) => {
+    const text = MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+    const parts = text.split(/\s+/);
+
+    if (parts.length !== 5) throw new Error("Cron expression must have 5 fields");
+
+    return Object.fromEntries(FIELDS.map((field, i) => [field.name, parseField(parts[i], field)]));
+};
+
+// Longest each month can be; February counts leap years
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Whether a parsed expression matches any date at all. Only a day of the
+ * month that none of the months has can rule it out, e.g. "0 0 30 2 *";
+ * a restricted day of the week always matches some day.
+ */
+export const canMatch = (cron) => {
+    if (!cron.dayOfMonth.restricted || cron.dayOfWeek.restricted) return true;
+
+    const firstDay = Math.min(...cron.dayOfMonth.values);
+    return [...cron.month.values].some(month => firstDay <= MONTH_DAYS[month - 1]);
+};
+
+export const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const formatters = new Map();
+
+// Wall-clock parts of a date in a time zone
+const zonedParts = (date, timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            weekday: "short",
+        }));
+    }
+
+    const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(p => [p.type, p.value]));
+
+    return {
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: FIELDS[4].names.indexOf(parts.weekday.toLowerCase()),
+    };
+};
+
+const dayMatches = (cron, parts) => {
+    const dom = cron.dayOfMonth.values.has(parts.day);
+    const dow = cron.dayOfWeek.values.has(parts.weekday);
+
+    // Standard cron: when both day fields are restricted either may match
+    if (cron.dayOfMonth.restricted && cron.dayOfWeek.restricted) return dom || dow;
+    return dom && dow;
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * First time strictly after `from` that matches the expression.
+ * Skips whole hours that cannot match, so a daily schedule is found quickly.
+ * @returns {Date|null} null when nothing matches within five years
+ */
+export const nextCronRun = (expression, from = new Date(), timeZone = "UTC") => {
+    const cron = typeof expression === "string" ? parseCron(expression) : expression;
+
+    let time = Math.floor(from.getTime() / MINUTE) * MINUTE + MINUTE;
+    const limit = time + SEARCH_LIMIT_MS;
+
+    while (time < limit) {
+        const parts = zonedParts(new Date(time), timeZone);
+
+        if (!cron.month.values.has(parts.month) || !dayMatches(cron, parts) || !cron.hour.values.has(parts.hour)) {
+            // Jump to the start of the next hour
+            time += HOUR - parts.minute * MINUTE;
+            continue;
+        }
+        if (cron.minute.values.has(parts.minute)) return new Date(time);
+
+        time += MINUTE;
+    }
+
+    return null;
+};
@@ -0,0 +1,48 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_RATES_PATH = path.join(__dirname, "..", "config", "exchangeRates.json");
+
+// Currency Google expects for the target countries we sell into
+export const COUNTRY_CURRENCIES = {
+    US: "USD", CA: "CAD", MX: "MXN", BR: "BRL",
+    GB: "GBP", IE: "EUR", DE: "EUR", FR: "EUR", ES: "EUR", IT: "EUR", NL: "EUR", BE: "EUR",
+    AT: "EUR", PT: "EUR", FI: "EUR", GR: "EUR", SK: "EUR", SI: "EUR", LU: "EUR", EE: "EUR", LV: "EUR", LT: "EUR",
+    CH: "CHF", SE: "SEK", NO: "NOK", DK: "DKK", PL: "PLN", CZ: "CZK", HU: "HUF", RO: "RON", TR: "TRY",
+    AU: "AUD", NZ: "NZD", JP: "JPY", CN: "CNY", HK: "HKD", SG: "SGD", KR: "KRW", IN: "INR",
+    AE: "AED", SA: "SAR", IL: "ILS", ZA: "ZAR",
+};
+
+let cached = null;
+
+/**
+ * Rate table from EXCHANGE_RATES_PATH, or the bundled config/exchangeRates.json.
+ * @returns {{ base: string, rates: Object<string, number>, updatedAt?: string }}
+ */
+export const loadExchangeRates = (file = process.env.EXCHANGE_RATES_PATH || DEFAULT_RATES_PATH) => {
+    if (cached?.file !== file) {
+        const table = JSON.parse(fs.readFileSync(file, "utf8"));
+        cached = { file, table: { base: table.base, rates: table.rates || {}, updatedAt: table.updatedAt } };
+    }
+    return cached.table;
+};
+
+export const getReportingCurrency = () => (process.env.REPORTING_CURRENCY || "USD").toUpperCase();
+
+/**
+ * Convert an amount between two currencies through the table's base.
+ * @returns {number|null} null when either currency has no rate
+ */
+export const convertAmount = (amount, from, to, { rates } = loadExchangeRates()) => {
+    if (!Number.isFinite(amount)) return null;
+    if (from === to) return amount;
+
+    const fromRate = rates[from];
+    const toRate = rates[to];
+    if (!fromRate || !toRate) return null;
+
+    return Math.round((amount / fromRate) * toRate * 100) / 100;
+};
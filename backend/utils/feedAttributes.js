@@ -0,0 +1,50 @@
+// Normalized product field -> Google product data specification attribute
+export const FEED_ATTRIBUTES = [
+    ["offerId", "id"],
+    ["title", "title"],
+    ["description", "description"],
+    ["link", "link"],
+    ["imageLink", "image_link"],
+    ["additionalImageLinks", "additional_image_link"],
+    ["price", "price"],
+    ["salePrice", "sale_price"],
+    ["salePriceEffectiveDate", "sale_price_effective_date"],
+    ["availability", "availability"],
+    ["condition", "condition"],
+    ["brand", "brand"],
+    ["gtin", "gtin"],
+    ["mpn", "mpn"],
+    ["identifierExists", "identifier_exists"],
+    ["productType", "product_type"],
+    ["googleProductCategory", "google_product_category"],
+    ["color", "color"],
+    ["size", "size"],
+    ["material", "material"],
+    ["gender", "gender"],
+    ["ageGroup", "age_group"],
+    ["pattern", "pattern"],
+    ["customLabel0", "custom_label_0"],
+    ["customLabel1", "custom_label_1"],
+    ["customLabel2", "custom_label_2"],
+    ["customLabel3", "custom_label_3"],
+    ["customLabel4", "custom_label_4"],
+];
+
+export const FIELD_TO_ATTRIBUTE = Object.fromEntries(FEED_ATTRIBUTES);
+export const ATTRIBUTE_TO_FIELD = Object.fromEntries(FEED_ATTRIBUTES.map(([field, attribute]) => [attribute, field]));
+
+const PRICE_FIELDS = ["price", "salePrice"];
+
+/**
+ * Format a normalized value the way Google feeds expect it.
+ * Lists are returned as arrays so each writer can join or repeat them.
+ */
+export const formatFeedValue = (field, value) => {
+    if (value === undefined || value === null || value === "") return "";
+    if (PRICE_FIELDS.includes(field)) {
+        return value.value ? `${value.value}${value.currency ? ` ${value.currency}` : ""}` : "";
+    }
+    if (field === "identifierExists") return value ? "yes" : "no";
+    if (Array.isArray(value)) return value.filter(Boolean).map(String);
+    return String(value);
+};
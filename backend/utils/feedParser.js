@@ -0,0 +1,256 @@
+// Parsers for Google-format primary feed files. Each one turns the file
+// into records of { line, attributes } keyed by Google attribute name
+// (id, title, image_link, ...) plus a list of row-level errors.
+
+export const FEED_FILE_FORMATS = ["csv", "tsv", "xml"];
+
+// "Image Link", "g:image_link" and "image-link" all mean image_link
+export const normalizeAttributeName = (name) => String(name)
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .toLowerCase()
+    .replace(/^g:/, "")
+    .replace(/[\s-]+/g, "_");
+
+// Repeated columns or tags (additional_image_link) collect into a list
+const addAttribute = (attributes, name, value) => {
+    if (value === "" || value === undefined) return;
+    if (!(name in attributes)) {
+        attributes[name] = value;
+    } else {
+        attributes[name] = [attributes[name], value].flat();
+    }
+};
+
+/**
+ * Guess the format from the file name, then from the content.
+ */
+export const detectFeedFormat = (text, fileName = "") => {
+    const extension = fileName.split(".").pop().toLowerCase();
+    if (FEED_FILE_FORMATS.includes(extension)) return extension;
+    if (extension === "txt" || extension === "tab") return "tsv";
+
+    const start = text.replace(/^\uFEFF/, "").trimStart();
+    if (start.startsWith("<")) return "xml";
+
+    const firstLine = start.split(/\r?\n/, 1)[0];
+    return firstLine.includes("\t") ? "tsv" : "csv";
+};
+
+// -------------------------------
+// CSV / TSV
+// -------------------------------
+// RFC 4180 style: quoted cells may hold delimiters, quotes ("") and newlines
+const splitRows = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(c => c.trim() !== "")) rows.push({ line: rowLine, cells: row });
+        row = [];
+        cell = "";
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === "\n") line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === "") {
+            quoted = true;
+            cell = "";
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        return { rows, unterminatedAt: rowLine };
+    }
+    endRow();
+
+    return { rows };
+};
+
+export const parseDelimitedFeed = (text, delimiter) => {
+    const { rows, unterminatedAt } = splitRows(text.replace(/^\uFEFF/, ""), delimiter);
+    const errors = [];
+
+    if (unterminatedAt) {
+        errors.push({ line: unterminatedAt, message: "Unterminated quoted value; the rest of the file was skipped" });
+    }
+
+    const [header, ...body] = rows;
+    if (!header) {
+        return { records: [], errors: [{ line: 1, message: "The file is empty" }] };
+    }
+
+    const columns = header.cells.map(normalizeAttributeName);
+    if (!columns.includes("id")) {
+        return { records: [], errors: [{ line: header.line, message: "Header row has no id column" }] };
+    }
+
+    const records = [];
+
+    for (const { line, cells } of body) {
+        const extra = cells.slice(columns.length).filter(c => c.trim() !== "");
+        if (extra.length > 0) {
+            errors.push({ line, message: `Expected ${columns.length} columns, found ${cells.length}` });
+            continue;
+        }
+
+        const attributes = {};
+        columns.forEach((column, i) => {
+            if (column) addAttribute(attributes, column, (cells[i] ?? "").trim());
+        });
+        records.push({ line, attributes });
+    }
+
+    return { records, errors };
+};
+
+// -------------------------------
+// RSS 2.0 / ATOM 1.0
+// -------------------------------
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+        const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// Element text: CDATA kept as is, everything else entity-decoded
+const elementText = (content) => content
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map(part => (part.startsWith("<![CDATA[") ? part.slice(9, -3) : decodeEntities(part)))
+    .join("")
+    .trim();
+
+const ELEMENT_PATTERN = /<([A-Za-z_][\w.-]*(?::[\w.-]+)?)(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
+
+const attributeOf = (attributeText = "", name) =>
+    attributeText.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`))?.slice(2).find(v => v !== undefined);
+
+// Unprefixed RSS/Atom elements that carry product data; the rest must use g:
+const PLAIN_ELEMENTS = { title: "title", link: "link", description: "description", summary: "description" };
+
+const hasChildElements = (content) => /<[A-Za-z_]/.test(content.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, ""));
+
+const parseItemElements = (body) => {
+    const attributes = {};
+
+    for (const [, tag, attributeText, content = ""] of body.matchAll(ELEMENT_PATTERN)) {
+        const [prefix, local] = tag.includes(":") ? tag.split(":") : [null, tag];
+        let name;
+
+        if (prefix === "g") name = normalizeAttributeName(local);
+        else if (prefix === null) name = PLAIN_ELEMENTS[local.toLowerCase()];
+        if (!name) continue;
+
+        // Atom links carry the URL in href; only the alternate one is the product page
+        if (name === "link" && prefix === null && !content.trim()) {
+            const rel = attributeOf(attributeText, "rel");
+            if (rel && rel !== "alternate") continue;
+            addAttribute(attributes, name, decodeEntities(attributeOf(attributeText, "href") || ""));
+            continue;
+        }
+
+        // Group attributes such as g:shipping become a small object
+        if (hasChildElements(content)) {
+            addAttribute(attributes, name, parseItemElements(content));
+            continue;
+        }
+
+        // Atom <title type="html"> still carries plain text for our purposes
+        addAttribute(attributes, name, elementText(content));
+    }
+
+    return attributes;
+};
+
+const countNewlines = (text, from, to) => {
+    let count = 0;
+    for (let i = from; i < to; i++) if (text[i] === "\n") count++;
+    return count;
+};
+
+const ITEM_OPEN = /<(item|entry)\b[^>]*>/g;
+const ITEM_CLOSE = { item: /<\/item\s*>/g, entry: /<\/entry\s*>/g };
+
+// Next match of a global pattern at or after `from`
+const findFrom = (pattern, text, from) => {
+    pattern.lastIndex = from;
+    return pattern.exec(text);
+};
+
+/**
+ * Items are found with one forward pass. An item whose closing tag is
+ * missing would swallow the items after it, so parsing stops there, like
+ * an unterminated quote in a CSV file.
+ */
+export const parseXmlFeed = (text) => {
+    if (!/<(rss|feed)\b/i.test(text)) {
+        return { records: [], errors: [{ line: 1, message: "Not an RSS 2.0 or Atom feed" }] };
+    }
+
+    const records = [];
+    const errors = [];
+    let index = 0;
+    let line = 1;
+    let open = findFrom(ITEM_OPEN, text, 0);
+
+    while (open) {
+        line += countNewlines(text, index, open.index);
+        index = open.index;
+
+        const bodyStart = open.index + open[0].length;
+        const close = findFrom(ITEM_CLOSE[open[1]], text, bodyStart);
+        const next = findFrom(ITEM_OPEN, text, bodyStart);
+
+        if (!close || (next && next.index < close.index)) {
+            errors.push({ line, message: `<${open[1]}> is not closed; the rest of the file was skipped` });
+            break;
+        }
+
+        records.push({ line, attributes: parseItemElements(text.slice(bodyStart, close.index)) });
+        open = next;
+    }
+
+    return { records, errors };
+};
+
+/**
+ * @param {string} text - Whole feed file
+ * @param {string} format - csv, tsv or xml
+ * @returns {{ records: Array<{ line, attributes }>, errors: Array<{ line, message }> }}
+ */
+export const parseFeedFile = (text, format) => {
+    if (format === "csv") return parseDelimitedFeed(text, ",");
+    if (format === "tsv") return parseDelimitedFeed(text, "\t");
+    if (format === "xml") return parseXmlFeed(text);
+    throw new Error(`Unsupported feed format "${format}"`);
+};
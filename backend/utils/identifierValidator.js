@@ -0,0 +1,135 @@
+// Product identifier checks (GTIN, MPN, identifier_exists) following the
+// GS1 rules Google applies before it disapproves an item.
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+const MPN_MAX_LENGTH = 70;
+const MPN_PLACEHOLDERS = ["na", "n/a", "none", "null", "unknown", "-", "0", "000", "tbd"];
+
+// Prefixes of the GTIN-13 form that are never valid on a traded item.
+// 977-979 (ISSN and Bookland/ISBN) are ordinary product codes.
+const RESTRICTED_PREFIXES = [
+    { pattern: /^0?2/, reason: "is a restricted circulation number (variable weight or in-store item)" },
+    { pattern: /^04/, reason: "is a restricted circulation number reserved for in-store use" },
+    { pattern: /^05/, reason: "is a coupon number" },
+    { pattern: /^98[0-4]/, reason: "is a refund receipt or coupon number" },
+    { pattern: /^99/, reason: "is a coupon number" },
+];
+
+const issue = (code, field, severity, message) => ({ code, field, severity, message });
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+/**
+ * Strip the spaces and dashes merchants often paste along with a GTIN.
+ */
+export const normalizeGtin = (gtin) => String(gtin ?? "").replace(/[\s-]/g, "");
+
+/**
+ * GS1 mod-10 check digit: weights 3 and 1 alternate from the right.
+ */
+export const gtinCheckDigit = (digits) => {
+    const sum = [...digits].reverse().reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * @returns {{ valid: boolean, gtin: string, reason?: string }}
+ */
+export const validateGtin = (value) => {
+    const gtin = normalizeGtin(value);
+
+    if (!/^\d+$/.test(gtin)) return { valid: false, gtin, reason: "format" };
+    if (!GTIN_LENGTHS.includes(gtin.length)) return { valid: false, gtin, reason: "length" };
+    if (/^0+$/.test(gtin)) return { valid: false, gtin, reason: "format" };
+    if (gtinCheckDigit(gtin.slice(0, -1)) !== Number(gtin.at(-1))) return { valid: false, gtin, reason: "check_digit" };
+
+    return { valid: true, gtin };
+};
+
+/**
+ * Reason a GTIN falls in a restricted range, or null.
+ * GTIN-8 codes starting with 0 or 2 are velocity/internal codes; longer
+ * codes are compared on their GTIN-13 form (UPC gets a leading 0, GTIN-14
+ * loses its packaging indicator).
+ */
+export const restrictedGtinReason = (gtin) => {
+    if (gtin.length === 8) {
+        return /^[02]/.test(gtin) ? "is a restricted circulation GTIN-8" : null;
+    }
+
+    const gtin13 = gtin.length === 12 ? `0${gtin}` : gtin.length === 14 ? gtin.slice(1) : gtin;
+    return RESTRICTED_PREFIXES.find(({ pattern }) => pattern.test(gtin13))?.reason || null;
+};
+
+/**
+ * Offer ids per normalized GTIN across a catalog. The same offer sold in
+ * several countries shares its GTIN legitimately, so offers are counted once.
+ * @returns {Map<string, Set<string>>}
+ */
+export const indexGtins = (products) => {
+    const owners = new Map();
+
+    for (const product of products) {
+        if (isBlank(product.gtin)) continue;
+        const gtin = normalizeGtin(product.gtin);
+        if (!owners.has(gtin)) owners.set(gtin, new Set());
+        owners.get(gtin).add(product.offerId);
+    }
+
+    return owners;
+};
+
+/**
+ * All identifier issues of one product.
+ * @param {Object} product - Normalized product
+ * @param {Object} context - { gtinOwners } from indexGtins(), for duplicate detection
+ */
+export const validateIdentifiers = (product, { gtinOwners } = {}) => {
+    const issues = [];
+    const hasGtin = !isBlank(product.gtin);
+    const hasMpn = !isBlank(product.mpn);
+    const hasBrand = !isBlank(product.brand);
+
+    if (hasGtin) {
+        const { valid, gtin, reason } = validateGtin(product.gtin);
+
+        if (reason === "format") {
+            issues.push(issue("gtin_invalid_format", "gtin", "error", `GTIN "${product.gtin}" must contain only digits`));
+        } else if (reason === "length") {
+            issues.push(issue("gtin_invalid_length", "gtin", "error", `GTIN has ${gtin.length} digits; expected 8, 12, 13 or 14`));
+        } else if (reason === "check_digit") {
+            issues.push(issue("gtin_invalid_check_digit", "gtin", "error", `GTIN ${gtin} has an invalid check digit`));
+        }
+
+        const restricted = valid && restrictedGtinReason(gtin);
+        if (restricted) {
+            issues.push(issue("gtin_restricted_prefix", "gtin", "error", `GTIN ${gtin} ${restricted}`));
+        }
+
+        const owners = gtinOwners?.get(gtin);
+        if (owners && owners.size > 1) {
+            issues.push(issue("gtin_duplicate", "gtin", "warning", `GTIN ${gtin} is also used by ${owners.size - 1} other product(s)`));
+        }
+    }
+
+    if (hasMpn) {
+        if (MPN_PLACEHOLDERS.includes(product.mpn.trim().toLowerCase())) {
+            issues.push(issue("mpn_placeholder", "mpn", "warning", `MPN "${product.mpn}" looks like a placeholder`));
+        } else if (product.mpn.length > MPN_MAX_LENGTH) {
+            issues.push(issue("mpn_too_long", "mpn", "error", `MPN is longer than ${MPN_MAX_LENGTH} characters`));
+        }
+    }
+
+    // identifier_exists must agree with the identifiers that are actually sent
+    if (product.identifierExists === false) {
+        if (hasGtin) {
+            issues.push(issue("identifier_exists_conflict", "identifierExists", "error", "identifier_exists is no but a GTIN is set"));
+        } else if (hasBrand && hasMpn) {
+            issues.push(issue("identifier_exists_conflict", "identifierExists", "warning", "identifier_exists is no but brand and MPN are set"));
+        }
+    } else if (product.identifierExists === true && !hasGtin && !(hasBrand && hasMpn)) {
+        issues.push(issue("identifier_exists_unsupported", "identifierExists", "error", "identifier_exists is yes but neither a GTIN nor brand and MPN are set"));
+    }
+
+    return issues;
+};
@@ -0,0 +1,4 @@
+// Merchant ids of uploaded feed sources; everything else is a Content API account
+export const OFFLINE_PREFIX = "offline-";
+
+export const isOfflineMerchant = (merchantId) => String(merchantId || "").startsWith(OFFLINE_PREFIX);
@@ -0,0 +1,53 @@
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+// Cursors are opaque to clients; internally they are a base64url offset
+export const encodeCursor = (offset) => Buffer.from(String(offset)).toString("base64url");
+
+export const decodeCursor = (cursor) => {
+    const offset = Number.parseInt(Buffer.from(String(cursor), "base64url").toString(), 10);
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+};
+
+/**
+ * Read `page`, `pageSize` and `cursor` from a query string.
+ * A valid cursor wins over `page`.
+ */
+export const parsePagination = (query = {}) => {
+    const requestedSize = Number.parseInt(query.pageSize, 10);
+    const pageSize = Number.isInteger(requestedSize) && requestedSize > 0
+        ? Math.min(requestedSize, MAX_PAGE_SIZE)
+        : DEFAULT_PAGE_SIZE;
+
+    const cursorOffset = query.cursor ? decodeCursor(query.cursor) : null;
+    if (cursorOffset !== null) {
+        return { offset: cursorOffset, pageSize };
+    }
+
+    const requestedPage = Number.parseInt(query.page, 10);
+    const page = Number.isInteger(requestedPage) && requestedPage > 0 ? requestedPage : 1;
+
+    return { offset: (page - 1) * pageSize, pageSize };
+};
+
+export const buildPageInfo = (total, { offset, pageSize }, count) => {
+    const nextOffset = offset + count;
+
+    return {
+        total,
+        page: Math.floor(offset / pageSize) + 1,
+        pageSize,
+        totalPages: Math.ceil(total / pageSize),
+        count,
+        nextCursor: nextOffset < total ? encodeCursor(nextOffset) : null,
+    };
+};
+
+export const paginate = (items, pagination) => {
+    const pageItems = items.slice(pagination.offset, pagination.offset + pagination.pageSize);
+
+    return {
+        items: pageItems,
+        pageInfo: buildPageInfo(items.length, pagination, pageItems.length),
+    };
+};
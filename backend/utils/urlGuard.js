@@ -0,0 +1,103 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+// URLs that come from feeds are user-controlled, so requests to them must not
+// reach loopback, private networks or cloud metadata endpoints.
+
+const ALLOWED_PROTOCOLS = new Set(["http:", "https:"]);
+
+const blocked = new net.BlockList();
+
+[
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16], // link-local, includes 169.254.169.254 metadata
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.0.2.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["198.51.100.0", 24],
+    ["203.0.113.0", 24],
+    ["224.0.0.0", 4],
+    ["240.0.0.0", 4],
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, "ipv4"));
+
+[
+    ["::", 96], // unspecified, loopback and IPv4-compatible
+    ["64:ff9b::", 96],
+    ["2001:db8::", 32],
+    ["fc00::", 7], // unique local, includes fd00:ec2::254 metadata
+    ["fe80::", 10],
+    ["ff00::", 8],
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, "ipv6"));
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 list
+
+const blockedError = (message) => Object.assign(new Error(message), { code: "EBLOCKEDURL" });
+
+/**
+ * Whether an IP address is on the public internet.
+ */
+export const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return !blocked.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Check the scheme and, for IP literals, the host of a URL before
+ * requesting it. Host names are checked when they are resolved, by
+ * guardedLookup. Throws with code EBLOCKEDURL.
+ * @returns {URL}
+ */
+export const assertPublicUrl = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        throw blockedError(`Invalid URL "${value}"`);
+    }
+
+    if (!ALLOWED_PROTOCOLS.has(url.protocol)) {
+        throw blockedError(`Only http and https URLs are allowed, got ${url.protocol}`);
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(host) && !isPublicAddress(host)) {
+        throw blockedError(`${host} is not a public address`);
+    }
+
+    return url;
+};
+
+/**
+ * dns.lookup that refuses names resolving to a non-public address. Checking
+ * at connect time means a name cannot pass a check and then rebind.
+ */
+export const guardedLookup = (hostname, options, callback) => {
+    if (typeof options === "function") {
+        callback = options;
+        options = {};
+    }
+    if (typeof options === "number") options = { family: options };
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const internal = addresses.find(a => !isPublicAddress(a.address));
+        if (internal) {
+            return callback(blockedError(`${hostname} resolves to ${internal.address}, which is not a public address`));
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// Agents for requests to user-supplied URLs
+export const publicHttpAgent = new http.Agent({ lookup: guardedLookup });
+export const publicHttpsAgent = new https.Agent({ lookup: guardedLookup });
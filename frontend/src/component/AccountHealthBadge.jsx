@@ -0,0 +1,40 @@
+import React from "react";
+
+const STYLES = {
+  healthy: { dot: "bg-green-500", text: "text-green-700", bg: "bg-green-50", label: "Healthy" },
+  warning: { dot: "bg-yellow-500", text: "text-yellow-700", bg: "bg-yellow-50", label: "Warning" },
+  critical: { dot: "bg-red-500", text: "text-red-700", bg: "bg-red-50", label: "At risk" },
+  unknown: { dot: "bg-gray-400", text: "text-gray-600", bg: "bg-gray-100", label: "Unknown" },
+};
+
+// Small pill showing the accountstatuses health of a merchant account
+const AccountHealthBadge = ({ health, compact = false }) => {
+  const style = STYLES[health?.status] || STYLES.unknown;
+  const issueCount = health?.issues?.length || 0;
+
+  const title = issueCount
+    ? health.issues.map((issue) => `${issue.severity}: ${issue.title}`).join("\n")
+    : style.label;
+
+  if (compact) {
+    return (
+      <span
+        title={title}
+        className={`inline-block w-2.5 h-2.5 rounded-full flex-shrink-0 ${style.dot}`}
+      />
+    );
+  }
+
+  return (
+    <span
+      title={title}
+      className={`inline-flex items-center gap-1.5 px-2 py-0.5 rounded-full text-xs font-medium ${style.bg} ${style.text}`}
+    >
+      <span className={`w-2 h-2 rounded-full ${style.dot}`} />
+      {style.label}
+      {issueCount > 0 && <span className="opacity-75">({issueCount})</span>}
+    </span>
+  );
+};
+
+export default AccountHealthBadge;
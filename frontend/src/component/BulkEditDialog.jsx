@@ -0,0 +1,115 @@
+import React, { useState } from "react";
+import Modal from "./Modal.jsx";
+
+// Fields offered for bulk edits; `text: false` fields can only be set
+const BULK_FIELDS = [
+  { field: "title", label: "Title" },
+  { field: "description", label: "Description" },
+  { field: "brand", label: "Brand" },
+  { field: "productType", label: "Product type" },
+  { field: "googleProductCategory", label: "Google category" },
+  { field: "availability", label: "Availability", text: false },
+  { field: "condition", label: "Condition", text: false },
+  { field: "price", label: "Price amount", text: false },
+  ...[0, 1, 2, 3, 4].map((i) => ({ field: `customLabel${i}`, label: `Custom label ${i}` })),
+];
+
+const OPERATIONS = [
+  { type: "set", label: "Set to" },
+  { type: "replace", label: "Find and replace" },
+  { type: "append", label: "Append" },
+  { type: "prepend", label: "Prepend" },
+];
+
+const inputClass = "w-full px-2 py-1.5 text-sm border rounded";
+
+// Describes one bulk action; the caller previews it before anything is saved
+const BulkEditDialog = ({ count, onClose, onPreview }) => {
+  const [action, setAction] = useState({ type: "set", field: "title", value: "", find: "", replaceWith: "", regex: false });
+
+  const textField = BULK_FIELDS.find((f) => f.field === action.field)?.text !== false;
+  const operations = textField ? OPERATIONS : OPERATIONS.filter((o) => o.type === "set");
+  const update = (patch) => setAction((a) => ({ ...a, ...patch }));
+
+  const changeField = (field) => {
+    const text = BULK_FIELDS.find((f) => f.field === field)?.text !== false;
+    update({ field, ...(text ? {} : { type: "set" }) });
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    const { type, field, value, find, replaceWith, regex } = action;
+    onPreview(type === "replace" ? { type, field, find, replaceWith, regex } : { type, field, value });
+  };
+
+  return (
+    <Modal
+      title={`Bulk edit ${count.toLocaleString()} products`}
+      onClose={onClose}
+      footer={
+        <>
+          <button onClick={onClose} className="px-3 py-1.5 text-sm rounded-md border hover:bg-gray-50">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            form="bulk-edit-form"
+            disabled={action.type === "replace" && !action.find}
+            className="px-3 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            Preview changes
+          </button>
+        </>
+      }
+    >
+      <form id="bulk-edit-form" onSubmit={submit} className="flex flex-col gap-3 text-sm">
+        <label className="flex flex-col gap-1">
+          <span className="font-medium">Field</span>
+          <select value={action.field} onChange={(e) => changeField(e.target.value)} className={inputClass}>
+            {BULK_FIELDS.map((f) => (
+              <option key={f.field} value={f.field}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex flex-col gap-1">
+          <span className="font-medium">Operation</span>
+          <select value={action.type} onChange={(e) => update({ type: e.target.value })} className={inputClass}>
+            {operations.map((o) => (
+              <option key={o.type} value={o.type}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {action.type === "replace" ? (
+          <>
+            <label className="flex flex-col gap-1">
+              <span className="font-medium">Find</span>
+              <input value={action.find} onChange={(e) => update({ find: e.target.value })} className={inputClass} />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="font-medium">Replace with</span>
+              <input value={action.replaceWith} onChange={(e) => update({ replaceWith: e.target.value })} className={inputClass} />
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={action.regex} onChange={(e) => update({ regex: e.target.checked })} />
+              Regular expression
+            </label>
+          </>
+        ) : (
+          <label className="flex flex-col gap-1">
+            <span className="font-medium">{action.type === "set" ? "New value" : "Text"}</span>
+            <input value={action.value} onChange={(e) => update({ value: e.target.value })} className={inputClass} />
+            {action.type !== "set" && <span className="text-xs text-gray-500">Include any space you want between the texts.</span>}
+          </label>
+        )}
+      </form>
+    </Modal>
+  );
+};
+
+export default BulkEditDialog;
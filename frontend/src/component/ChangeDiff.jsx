@@ -0,0 +1,121 @@
+import React from "react";
+
+// Above this many word pairs a changed value is shown as replaced whole
+const MAX_DIFF_CELLS = 250000;
+
+// Values as text; prices are { value, currency }
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "object") {
+    return "value" in value ? `${value.value ?? ""} ${value.currency || ""}`.trim() : JSON.stringify(value);
+  }
+  return String(value);
+};
+
+// Word-level diff (longest common subsequence), whitespace kept as its own tokens
+const diffWords = (before, after) => {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return { left: [{ text: before, changed: true }], right: [{ text: after, changed: true }] };
+  }
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const left = [];
+  const right = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      left.push({ text: a[i++] });
+      right.push({ text: b[j++] });
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      left.push({ text: a[i++], changed: true });
+    } else {
+      right.push({ text: b[j++], changed: true });
+    }
+  }
+  while (i < a.length) left.push({ text: a[i++], changed: true });
+  while (j < b.length) right.push({ text: b[j++], changed: true });
+
+  return { left, right };
+};
+
+const Tokens = ({ tokens, changedClass }) =>
+  tokens.length === 0 ? (
+    <span className="italic text-gray-400">empty</span>
+  ) : (
+    tokens.map((token, i) =>
+      token.changed && token.text.trim() ? (
+        <mark key={i} className={`rounded-sm ${changedClass}`}>
+          {token.text}
+        </mark>
+      ) : (
+        <span key={i}>{token.text}</span>
+      )
+    )
+  );
+
+/**
+ * Side-by-side before/after table of field changes.
+ * rows: [{ key, offerId, title, field, before, after }]
+ * Pass `selected` and `onToggle` to make rows selectable, and
+ * `showProduct={false}` when all rows belong to one product.
+ */
+const ChangeDiff = ({ rows, selected, onToggle, showProduct = true }) => (
+  <table className="w-full text-sm table-fixed">
+    <thead>
+      <tr className="text-left text-xs font-semibold text-gray-600 uppercase border-b">
+        {onToggle && <th className="w-8 py-2" />}
+        {showProduct && <th className="w-48 py-2 pr-2">Product</th>}
+        <th className="w-32 py-2 pr-2">Field</th>
+        <th className="py-2 pr-2">Before</th>
+        <th className="py-2">After</th>
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map((row) => {
+        const { left, right } = diffWords(formatValue(row.before), formatValue(row.after));
+        return (
+          <tr key={row.key} className="border-b align-top">
+            {onToggle && (
+              <td className="py-2">
+                <input
+                  type="checkbox"
+                  checked={selected.has(row.key)}
+                  onChange={() => onToggle(row.key)}
+                  aria-label={`Select ${row.field} of ${row.offerId}`}
+                />
+              </td>
+            )}
+            {showProduct && (
+              <td className="py-2 pr-2">
+                <div className="truncate font-medium" title={row.title}>
+                  {row.title || row.offerId}
+                </div>
+                <div className="truncate text-xs text-gray-500">{row.offerId}</div>
+              </td>
+            )}
+            <td className="py-2 pr-2 text-gray-700">{row.field}</td>
+            <td className="py-2 pr-2 break-words bg-red-50/40">
+              <Tokens tokens={left} changedClass="bg-red-200 line-through" />
+            </td>
+            <td className="py-2 break-words bg-green-50/40">
+              <Tokens tokens={right} changedClass="bg-green-200" />
+            </td>
+          </tr>
+        );
+      })}
+    </tbody>
+  </table>
+);
+
+export default ChangeDiff;
@@ -0,0 +1,91 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import Modal from "./Modal.jsx";
+import ChangeDiff from "./ChangeDiff.jsx";
+
+const API = import.meta.env.VITE_API_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("token")}`,
+});
+
+/**
+ * Diff preview of inline or bulk edits. Saving turns them into pending
+ * changes; nothing is pushed to Merchant Center from here.
+ * request: { edits } or { productIds, action } as accepted by /products/edits
+ */
+const EditPreview = ({ request, onClose, onSaved }) => {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    axios
+      .post(`${API}/api/merchant/products/edits/preview`, request, { headers: authHeaders() })
+      .then((res) => setPreview(res.data))
+      .catch((err) => setError(err.response?.data?.problems?.join("; ") || err.response?.data?.error || "Failed to preview edits"));
+  }, [request]);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const res = await axios.post(`${API}/api/merchant/products/edits`, request, { headers: authHeaders() });
+      onSaved(res.data);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to save edits");
+      setSaving(false);
+    }
+  };
+
+  const rows = (preview?.diff || []).map((row) => ({ ...row, key: `${row.productId}\n${row.field}` }));
+  const skipped = (preview?.skipped || []).filter((s) => s.reason !== "Value is unchanged");
+  const productCount = new Set(rows.map((row) => row.productId)).size;
+
+  return (
+    <Modal
+      title="Review edits"
+      wide
+      onClose={onClose}
+      footer={
+        <>
+          <button onClick={onClose} className="px-3 py-1.5 text-sm rounded-md border hover:bg-gray-50">
+            Cancel
+          </button>
+          <button
+            onClick={save}
+            disabled={saving || rows.length === 0}
+            className="px-3 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? "Saving..." : `Save ${rows.length} as pending changes`}
+          </button>
+        </>
+      }
+    >
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+      {!preview && !error && <p className="text-sm text-gray-500">Building preview...</p>}
+
+      {preview && (
+        <div className="flex flex-col gap-3">
+          <p className="text-sm text-gray-600">
+            {rows.length === 0
+              ? "These edits do not change any values."
+              : `${rows.length.toLocaleString()} field changes across ${productCount.toLocaleString()} products. They are saved as pending changes to review and push together.`}
+          </p>
+          {skipped.length > 0 && (
+            <ul className="text-sm text-yellow-700 list-disc pl-5">
+              {skipped.slice(0, 10).map((s, i) => (
+                <li key={i}>
+                  {s.productId || s.offerId} · {s.field}: {s.reason}
+                </li>
+              ))}
+              {skipped.length > 10 && <li>and {skipped.length - 10} more</li>}
+            </ul>
+          )}
+          {rows.length > 0 && <ChangeDiff rows={rows} />}
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default EditPreview;
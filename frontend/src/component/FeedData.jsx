@@ -1,11 +1,811 @@
-import React from 'react'
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { List, useListRef } from "react-window";
+import { ArrowDown, ArrowUp, Columns3, ImageOff, ListChecks, PencilLine, RefreshCw, Search, X } from "lucide-react";
+import { useAuth } from "../context/AuthContext.jsx";
+import BulkEditDialog from "./BulkEditDialog.jsx";
+import EditPreview from "./EditPreview.jsx";
+import PendingChanges from "./PendingChanges.jsx";
+import ProductDrawer from "./ProductDrawer.jsx";
+
+const API = import.meta.env.VITE_API_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("token")}`,
+});
+
+// Rows are fetched in pages as they scroll into view
+const PAGE_SIZE = 200;
+const ROW_HEIGHT = 56;
+const SELECT_WIDTH = 40;
+const COLUMNS_STORAGE_KEY = "feedDataColumns";
+const INITIAL_SORT = { key: "offerId", order: "asc" };
+const EMPTY_FILTERS = {};
+const SEARCH_DELAY_MS = 300;
+const FACET_PREVIEW = 8;
+
+const APPROVAL_STYLES = {
+  approved: "bg-green-50 text-green-700",
+  disapproved: "bg-red-50 text-red-700",
+  pending: "bg-yellow-50 text-yellow-700",
+  unknown: "bg-gray-100 text-gray-600",
+};
+
+// One color per audit score range (0-49, 50-69, 70-89, 90-100)
+const scoreStyle = (score) => {
+  if (score >= 90) return "text-green-700";
+  if (score >= 70) return "text-yellow-700";
+  if (score >= 50) return "text-orange-600";
+  return "text-red-700";
+};
+
+const Thumbnail = ({ src }) =>
+  src ? (
+    <img src={src} alt="" loading="lazy" className="w-10 h-10 object-contain rounded border bg-white" />
+  ) : (
+    <div className="w-10 h-10 flex items-center justify-center rounded border bg-gray-50">
+      <ImageOff className="w-4 h-4 text-gray-400" />
+    </div>
+  );
+
+const AVAILABILITY_OPTIONS = ["in_stock", "out_of_stock", "preorder", "backorder"];
+const CONDITION_OPTIONS = ["new", "refurbished", "used"];
+
+// `sort` is the server-side sort key; columns without one are not sortable.
+// `edit` makes a column editable inline: "text", "price" or a list of options.
+// `opens` cells open the product detail drawer.
+const COLUMNS = [
+  { key: "image", label: "Image", width: 64, render: (p) => <Thumbnail src={p.imageLink} /> },
+  { key: "offerId", label: "Offer ID", width: 150, sort: "offerId", opens: true },
+  { key: "title", label: "Title", width: 340, sort: "title", edit: "text" },
+  {
+    key: "price",
+    label: "Price",
+    width: 120,
+    sort: "price",
+    edit: "price",
+    render: (p) => (p.price?.value ? `${p.price.value} ${p.price.currency || ""}` : "—"),
+  },
+  { key: "availability", label: "Availability", width: 130, sort: "availability", edit: AVAILABILITY_OPTIONS },
+  { key: "brand", label: "Brand", width: 150, sort: "brand", edit: "text" },
+  { key: "condition", label: "Condition", width: 100, sort: "condition", edit: CONDITION_OPTIONS },
+  { key: "productType", label: "Product type", width: 220, sort: "productType", edit: "text" },
+  {
+    key: "googleProductCategory",
+    label: "Google category",
+    width: 200,
+    sort: "googleProductCategory",
+    edit: "text",
+    hidden: true,
+  },
+  {
+    key: "approvalStatus",
+    label: "Status",
+    width: 120,
+    sort: "approvalStatus",
+    render: (p) => {
+      const status = p.productStatus?.approvalStatus || "unknown";
+      return <span className={`px-2 py-0.5 rounded text-xs capitalize ${APPROVAL_STYLES[status]}`}>{status}</span>;
+    },
+  },
+  {
+    key: "auditScore",
+    label: "Score",
+    width: 80,
+    sort: "auditScore",
+    render: (p) =>
+      p.audit?.score === undefined || p.audit?.score === null ? (
+        "—"
+      ) : (
+        <span className={`font-medium ${scoreStyle(p.audit.score)}`}>{p.audit.score}</span>
+      ),
+  },
+  { key: "customLabel0", label: "Custom label 0", width: 130, sort: "customLabel0", edit: "text" },
+  { key: "customLabel1", label: "Custom label 1", width: 130, sort: "customLabel1", edit: "text", hidden: true },
+  { key: "customLabel2", label: "Custom label 2", width: 130, sort: "customLabel2", edit: "text", hidden: true },
+  { key: "customLabel3", label: "Custom label 3", width: 130, sort: "customLabel3", edit: "text", hidden: true },
+  { key: "customLabel4", label: "Custom label 4", width: 130, sort: "customLabel4", edit: "text", hidden: true },
+  { key: "targetCountry", label: "Country", width: 80, hidden: true },
+  {
+    key: "updatedAt",
+    label: "Updated",
+    width: 170,
+    sort: "updatedAt",
+    hidden: true,
+    render: (p) => (p.updatedAt ? new Date(p.updatedAt).toLocaleString() : "—"),
+  },
+];
+
+const readVisibleColumns = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COLUMNS_STORAGE_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch {
+    // Fall back to the defaults
+  }
+  return COLUMNS.filter((c) => !c.hidden).map((c) => c.key);
+};
+
+// Value facets returned by the products endpoint, in panel order
+const FACETS = [
+  { key: "approvalStatus", label: "Status" },
+  { key: "availability", label: "Availability" },
+  { key: "brand", label: "Brand" },
+  { key: "condition", label: "Condition" },
+  { key: "productType", label: "Product type" },
+  ...[0, 1, 2, 3, 4].map((i) => ({ key: `customLabel${i}`, label: `Custom label ${i}` })),
+];
+
+// Query parameters for the filters that are set; arrays are sent as brand[]=a&brand[]=b
+const filterParams = (filters) =>
+  Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => (Array.isArray(value) ? value.length > 0 : value !== "" && value != null))
+  );
+
+const cellText = (product, column) => (column.render ? column.render(product) : product[column.key] || "—");
+
+const sameValue = (a, b) => JSON.stringify(a ?? "") === JSON.stringify(b ?? "");
+
+// Editor for one cell; Enter or leaving the field commits, Escape restores the value
+const CellEditor = ({ column, value, onCommit, onCancel }) => {
+  const initial = column.edit === "price" ? (value?.value ?? "") : (value ?? "");
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape" && e.currentTarget.tagName === "INPUT") e.currentTarget.value = initial;
+    if (e.key === "Enter" || e.key === "Escape") e.currentTarget.blur();
+  };
+  const className = "w-full px-1 py-0.5 text-sm border border-blue-400 rounded outline-none";
+
+  if (Array.isArray(column.edit)) {
+    return (
+      <select
+        autoFocus
+        defaultValue={value || ""}
+        onChange={(e) => onCommit(e.target.value)}
+        onBlur={onCancel}
+        onKeyDown={handleKeyDown}
+        className={className}
+      >
+        {!column.edit.includes(value) && <option value={value || ""}>{value || "—"}</option>}
+        {column.edit.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  if (column.edit === "price") {
+    return (
+      <input
+        autoFocus
+        type="number"
+        step="any"
+        min="0"
+        defaultValue={initial}
+        onBlur={(e) => onCommit({ ...value, value: e.target.value })}
+        onKeyDown={handleKeyDown}
+        className={className}
+      />
+    );
+  }
+
+  return (
+    <input
+      autoFocus
+      defaultValue={initial}
+      onBlur={(e) => onCommit(e.target.value)}
+      onKeyDown={handleKeyDown}
+      className={className}
+    />
+  );
+};
+
+const GridRow = ({ index, style, ariaAttributes, getProduct, columns, selected, onToggle, drafts, editing, onEdit, onOpen }) => {
+  const stored = getProduct(index);
+
+  if (!stored) {
+    return (
+      <div style={style} {...ariaAttributes} className="flex items-center border-b px-3">
+        <div className="h-3 w-2/3 max-w-xl rounded bg-gray-100 animate-pulse" />
+      </div>
+    );
+  }
+
+  // Unsaved inline edits are shown in place of the stored values
+  const draft = drafts[stored.id];
+  const product = draft ? { ...stored, ...draft } : stored;
+  const isSelected = selected.has(product.id);
+
+  return (
+    <div
+      style={style}
+      {...ariaAttributes}
+      aria-selected={isSelected}
+      className={`flex items-center border-b text-sm ${isSelected ? "bg-blue-50" : index % 2 ? "bg-gray-50/50" : "bg-white"} hover:bg-blue-50/60`}
+    >
+      <div className="flex justify-center flex-shrink-0" style={{ width: SELECT_WIDTH }}>
+        <input
+          type="checkbox"
+          checked={isSelected}
+          onChange={(e) => onToggle(index, e.nativeEvent.shiftKey)}
+          aria-label={`Select ${product.offerId}`}
+        />
+      </div>
+      {columns.map((column) => {
+        const isEditing = editing?.productId === product.id && editing.key === column.key;
+        const content = cellText(product, column);
+        return (
+          <div
+            key={column.key}
+            className={`px-2 truncate flex-shrink-0 ${draft && column.key in draft ? "bg-amber-100" : ""} ${column.edit ? "cursor-text" : ""}`}
+            style={{ width: column.width }}
+            title={typeof content === "string" ? content : undefined}
+            onDoubleClick={column.edit ? () => onEdit.start(product.id, column.key) : undefined}
+          >
+            {isEditing ? (
+              <CellEditor
+                column={column}
+                value={product[column.key]}
+                onCommit={(value) => onEdit.commit(stored, column.key, value)}
+                onCancel={onEdit.cancel}
+              />
+            ) : column.opens ? (
+              <button onClick={() => onOpen(product)} className="text-blue-600 hover:underline truncate max-w-full">
+                {content}
+              </button>
+            ) : (
+              content
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const ColumnPicker = ({ visible, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const ref = useRef();
+
+  // Close on outside click
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  const toggle = (key) =>
+    onChange(visible.includes(key) ? visible.filter((k) => k !== key) : COLUMNS.map((c) => c.key).filter((k) => k === key || visible.includes(k)));
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-md border hover:bg-gray-50"
+      >
+        <Columns3 className="w-4 h-4" />
+        Columns
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-56 max-h-80 overflow-y-auto bg-white border rounded-md shadow-lg z-20 py-1">
+          {COLUMNS.map((column) => (
+            <label key={column.key} className="flex items-center gap-2 px-3 py-1.5 text-sm hover:bg-gray-50 cursor-pointer">
+              <input type="checkbox" checked={visible.includes(column.key)} onChange={() => toggle(column.key)} />
+              {column.label}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const FacetSection = ({ facet, values, selectedValues, onToggle }) => {
+  const [expanded, setExpanded] = useState(false);
+  const shown = expanded ? values : values.slice(0, FACET_PREVIEW);
 
-const FeedData = () => {
   return (
     <div>
-      FeedData Component
+      <h3 className="text-xs font-semibold text-gray-600 uppercase mb-1">{facet.label}</h3>
+      {shown.map(({ value, count }) => (
+        <label key={value} className="flex items-center gap-2 py-0.5 text-sm cursor-pointer hover:text-gray-900">
+          <input type="checkbox" checked={selectedValues.includes(value)} onChange={() => onToggle(facet.key, value)} />
+          <span className={`truncate flex-1 ${value ? "" : "italic text-gray-400"}`} title={value}>
+            {value || "(none)"}
+          </span>
+          <span className="text-xs text-gray-400">{count.toLocaleString()}</span>
+        </label>
+      ))}
+      {values.length > FACET_PREVIEW && (
+        <button onClick={() => setExpanded((e) => !e)} className="text-xs text-blue-600 hover:underline">
+          {expanded ? "Show less" : `Show all ${values.length}`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Applied on submit so typing does not refetch; remounted when the range changes elsewhere
+const PriceRange = ({ min, max, bounds, onApply }) => {
+  const [range, setRange] = useState({ min: min ?? "", max: max ?? "" });
+
+  const submit = (e) => {
+    e.preventDefault();
+    onApply({ minPrice: range.min, maxPrice: range.max });
+  };
+
+  return (
+    <form onSubmit={submit}>
+      <h3 className="text-xs font-semibold text-gray-600 uppercase mb-1">Price</h3>
+      <div className="flex items-center gap-1">
+        {["min", "max"].map((key) => (
+          <input
+            key={key}
+            type="number"
+            min="0"
+            step="any"
+            value={range[key]}
+            onChange={(e) => setRange((r) => ({ ...r, [key]: e.target.value }))}
+            placeholder={bounds?.[key] != null ? String(Math.floor(bounds[key])) : key}
+            aria-label={`${key === "min" ? "Minimum" : "Maximum"} price`}
+            className="w-full px-2 py-1 text-sm border rounded"
+          />
+        ))}
+        <button type="submit" className="px-2 py-1 text-sm rounded border hover:bg-gray-50">
+          Go
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const FacetPanel = ({ facets, filters, onToggleValue, onChange }) => {
+  if (!facets) return <p className="text-sm text-gray-400">Loading filters...</p>;
+
+  const scoreSelected = (bucket) => filters.minScore === bucket.min && filters.maxScore === bucket.max;
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div>
+        <h3 className="text-xs font-semibold text-gray-600 uppercase mb-1">Audit score</h3>
+        {facets.auditScore
+          .filter((bucket) => bucket.min !== null)
+          .map((bucket) => (
+            <label key={bucket.value} className="flex items-center gap-2 py-0.5 text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                checked={scoreSelected(bucket)}
+                onChange={() =>
+                  onChange(scoreSelected(bucket) ? { minScore: "", maxScore: "" } : { minScore: bucket.min, maxScore: bucket.max })
+                }
+              />
+              <span className={`flex-1 ${scoreStyle(bucket.min)}`}>{bucket.value}</span>
+              <span className="text-xs text-gray-400">{bucket.count.toLocaleString()}</span>
+            </label>
+          ))}
+      </div>
+
+      <PriceRange
+        key={`${filters.minPrice ?? ""}-${filters.maxPrice ?? ""}`}
+        min={filters.minPrice}
+        max={filters.maxPrice}
+        bounds={facets.price}
+        onApply={onChange}
+      />
+
+      {FACETS.filter((facet) => facets[facet.key]?.some((v) => v.value) || filters[facet.key]?.length).map((facet) => (
+        <FacetSection
+          key={facet.key}
+          facet={facet}
+          values={facets[facet.key]}
+          selectedValues={filters[facet.key] || []}
+          onToggle={onToggleValue}
+        />
+      ))}
     </div>
-  )
-}
+  );
+};
+
+const ProductGrid = () => {
+  const [sort, setSort] = useState(INITIAL_SORT);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [search, setSearch] = useState("");
+  const [facets, setFacets] = useState(null);
+  const [pages, setPages] = useState({});
+  const [total, setTotal] = useState(null);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [error, setError] = useState("");
+  const [visibleColumns, setVisibleColumns] = useState(readVisibleColumns);
+  const [selected, setSelected] = useState(() => new Set());
+  // Unsaved inline edits by REST id: { [productId]: { [field]: value } }
+  const [drafts, setDrafts] = useState({});
+  const [editing, setEditing] = useState(null);
+  const [dialog, setDialog] = useState(null);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [notice, setNotice] = useState("");
+  // Row whose detail drawer is open; opened by REST id, as an offer may exist per country and language
+  const [openProduct, setOpenProduct] = useState(null);
+
+  const listRef = useListRef(null);
+  const requestedPages = useRef(new Set());
+  // Bumped on every reset so responses for an old sort or filter are dropped
+  const generation = useRef(0);
+  const currentQuery = useRef({ sort: INITIAL_SORT, filters: EMPTY_FILTERS });
+  const lastToggled = useRef(null);
+  const searchTimer = useRef(null);
+
+  const columns = COLUMNS.filter((c) => visibleColumns.includes(c.key));
+  const gridWidth = SELECT_WIDTH + columns.reduce((sum, c) => sum + c.width, 0);
+
+  const loadPage = useCallback(
+    (pageIndex, { refresh = false } = {}) => {
+      // A scroll can still report rows for the previous query while it changes
+      const { current } = currentQuery;
+      if (sort !== current.sort || filters !== current.filters || requestedPages.current.has(pageIndex)) return;
+      requestedPages.current.add(pageIndex);
+      const requestGeneration = generation.current;
+
+      axios
+        .get(`${API}/api/merchant/products`, {
+          headers: authHeaders(),
+          params: {
+            page: pageIndex + 1,
+            pageSize: PAGE_SIZE,
+            sort: sort.key,
+            order: sort.order,
+            view: "summary",
+            ...filterParams(filters),
+            // Facet counts only depend on the filters, not the page
+            ...(pageIndex === 0 ? { facets: true } : {}),
+            ...(refresh ? { refresh: true } : {}),
+          },
+        })
+        .then((res) => {
+          if (requestGeneration !== generation.current) return;
+          setPages((prev) => ({ ...prev, [pageIndex]: res.data.products }));
+          setTotal(res.data.total);
+          if (res.data.facets) setFacets(res.data.facets);
+          setLastSyncedAt(res.data.lastSyncedAt);
+          setError("");
+        })
+        .catch((err) => {
+          if (requestGeneration !== generation.current) return;
+          requestedPages.current.delete(pageIndex);
+          setError(err.response?.data?.error || "Failed to load products");
+        });
+    },
+    [sort, filters]
+  );
+
+  useEffect(() => {
+    loadPage(0);
+  }, [loadPage]);
+
+  const loadPendingCount = useCallback(
+    () =>
+      axios
+        .get(`${API}/api/merchant/changes`, { headers: authHeaders(), params: { status: "pending", pageSize: 1 } })
+        .then((res) => setPendingCount(res.data.total))
+        .catch(() => {}),
+    []
+  );
+
+  useEffect(() => {
+    loadPendingCount();
+  }, [loadPendingCount]);
+
+  const getProduct = (index) => pages[Math.floor(index / PAGE_SIZE)]?.[index % PAGE_SIZE];
+
+  const loadedProducts = () => Object.values(pages).flat();
+
+  const reset = () => {
+    generation.current += 1;
+    requestedPages.current = new Set();
+    lastToggled.current = null;
+    setPages({});
+    listRef.current?.scrollToRow({ index: 0 });
+  };
+
+  const changeSort = (column) => {
+    if (!column.sort) return;
+    const next = {
+      key: column.sort,
+      order: sort.key === column.sort && sort.order === "asc" ? "desc" : "asc",
+    };
+    reset();
+    currentQuery.current = { ...currentQuery.current, sort: next };
+    setSort(next);
+  };
+
+  const changeFilters = (patch) => {
+    const next = { ...currentQuery.current.filters, ...patch };
+    reset();
+    currentQuery.current = { ...currentQuery.current, filters: next };
+    setFilters(next);
+  };
+
+  const toggleFacetValue = (key, value) => {
+    const values = currentQuery.current.filters[key] || [];
+    changeFilters({ [key]: values.includes(value) ? values.filter((v) => v !== value) : [...values, value] });
+  };
+
+  const changeSearch = (value) => {
+    setSearch(value);
+    clearTimeout(searchTimer.current);
+    searchTimer.current = setTimeout(() => changeFilters({ q: value.trim() }), SEARCH_DELAY_MS);
+  };
+
+  const clearFilters = () => {
+    clearTimeout(searchTimer.current);
+    setSearch("");
+    changeFilters(Object.fromEntries(Object.keys(currentQuery.current.filters).map((key) => [key, undefined])));
+  };
+
+  const hasFilters = Object.keys(filterParams(filters)).length > 0;
+
+  const refresh = () => {
+    reset();
+    loadPage(0, { refresh: true });
+  };
+
+  // Pushed changes are mirrored into the snapshot, so a reload shows them
+  const reload = () => {
+    reset();
+    loadPage(0);
+  };
+
+  const editCell = {
+    start: (productId, key) => setEditing({ productId, key }),
+    cancel: () => setEditing(null),
+    // An edit back to the stored value drops the draft
+    commit: (product, key, value) => {
+      setEditing(null);
+      setDrafts((prev) => {
+        const fields = { ...prev[product.id] };
+        if (sameValue(product[key], value)) delete fields[key];
+        else fields[key] = value;
+
+        const next = { ...prev, [product.id]: fields };
+        if (Object.keys(fields).length === 0) delete next[product.id];
+        return next;
+      });
+    },
+  };
+
+  const draftEdits = Object.entries(drafts).flatMap(([productId, fields]) =>
+    Object.entries(fields).map(([field, value]) => ({ productId, field, value }))
+  );
+
+  const handleSaved = (result) => {
+    if (dialog.request.edits) setDrafts({});
+    setDialog(null);
+    setNotice(
+      `${result.created} pending changes saved${result.superseded ? `, replacing ${result.superseded} older edits` : ""}. Review them under Pending changes.`
+    );
+    loadPendingCount();
+  };
+
+  const changeColumns = (keys) => {
+    setVisibleColumns(keys);
+    localStorage.setItem(COLUMNS_STORAGE_KEY, JSON.stringify(keys));
+  };
+
+  // Shift-click selects the loaded rows between the last toggled row and this one
+  const toggleRow = (index, shiftKey) => {
+    const product = getProduct(index);
+    if (!product) return;
+
+    const select = !selected.has(product.id);
+    const from = shiftKey && lastToggled.current !== null ? Math.min(lastToggled.current, index) : index;
+    const to = shiftKey && lastToggled.current !== null ? Math.max(lastToggled.current, index) : index;
+    lastToggled.current = index;
+
+    setSelected((prev) => {
+      const next = new Set(prev);
+      for (let i = from; i <= to; i++) {
+        const row = getProduct(i);
+        if (!row) continue;
+        if (select) next.add(row.id);
+        else next.delete(row.id);
+      }
+      return next;
+    });
+  };
+
+  const loaded = loadedProducts();
+  const allLoadedSelected = loaded.length > 0 && loaded.every((p) => selected.has(p.id));
+
+  const toggleAllLoaded = () =>
+    setSelected(allLoadedSelected ? new Set() : new Set(loaded.map((p) => p.id)));
+
+  const handleRowsRendered = (visibleRows, allRows) => {
+    const first = Math.floor(allRows.startIndex / PAGE_SIZE);
+    const last = Math.floor(allRows.stopIndex / PAGE_SIZE);
+    for (let page = first; page <= last; page++) loadPage(page);
+  };
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h1 className="text-xl font-semibold">Products</h1>
+          <p className="text-sm text-gray-500">
+            {total === null ? "Loading..." : `${total.toLocaleString()} products`}
+            {lastSyncedAt && ` · Synced ${new Date(lastSyncedAt).toLocaleString()}`}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          {draftEdits.length > 0 && (
+            <>
+              <button
+                onClick={() => setDialog({ type: "preview", request: { edits: draftEdits } })}
+                className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-md bg-amber-500 text-white hover:bg-amber-600"
+              >
+                Review {draftEdits.length} edits
+              </button>
+              <button onClick={() => setDrafts({})} className="text-sm text-gray-600 hover:underline">
+                Discard
+              </button>
+            </>
+          )}
+          {selected.size > 0 && (
+            <>
+              <span className="text-sm text-gray-600">
+                {selected.size.toLocaleString()} selected{" "}
+                <button onClick={() => setSelected(new Set())} className="text-blue-600 hover:underline">
+                  Clear
+                </button>
+              </span>
+              <button
+                onClick={() => setDialog({ type: "bulk" })}
+                className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-md border hover:bg-gray-50"
+              >
+                <PencilLine className="w-4 h-4" />
+                Bulk edit
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => setDialog({ type: "pending" })}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-md border hover:bg-gray-50"
+          >
+            <ListChecks className="w-4 h-4" />
+            Pending changes
+            {pendingCount > 0 && <span className="px-1.5 rounded-full bg-blue-600 text-white text-xs">{pendingCount}</span>}
+          </button>
+          <ColumnPicker visible={visibleColumns} onChange={changeColumns} />
+          <button
+            onClick={refresh}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-md border hover:bg-gray-50"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Sync
+          </button>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <div className="relative flex-1 max-w-md">
+          <Search className="w-4 h-4 text-gray-400 absolute left-2.5 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => changeSearch(e.target.value)}
+            placeholder="Search title, description or offer ID"
+            className="w-full pl-8 pr-3 py-1.5 text-sm border rounded-md"
+          />
+        </div>
+        {hasFilters && (
+          <button onClick={clearFilters} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:underline">
+            <X className="w-4 h-4" />
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {notice && (
+        <p className="text-sm text-green-700">
+          {notice}{" "}
+          <button onClick={() => setNotice("")} className="text-gray-500 hover:underline">
+            Dismiss
+          </button>
+        </p>
+      )}
+
+      <div className="flex gap-4 items-start">
+        <aside className="w-56 flex-shrink-0 overflow-y-auto pr-1" style={{ maxHeight: "calc(100vh - 12rem)" }}>
+          <FacetPanel facets={facets} filters={filters} onToggleValue={toggleFacetValue} onChange={changeFilters} />
+        </aside>
+
+        <div className="flex-1 min-w-0 border rounded-lg overflow-x-auto">
+          <div style={{ width: gridWidth, minWidth: "100%" }}>
+            {/* Header sits outside the scrolling list, so it stays in view */}
+            <div role="row" className="flex items-center h-10 bg-gray-50 border-b text-xs font-semibold text-gray-600 uppercase">
+              <div className="flex justify-center flex-shrink-0" style={{ width: SELECT_WIDTH }}>
+                <input type="checkbox" checked={allLoadedSelected} onChange={toggleAllLoaded} aria-label="Select loaded rows" />
+              </div>
+              {columns.map((column) => {
+                const active = sort.key === column.sort;
+                return (
+                  <div
+                    key={column.key}
+                    role="columnheader"
+                    aria-sort={active ? (sort.order === "asc" ? "ascending" : "descending") : undefined}
+                    onClick={() => changeSort(column)}
+                    className={`px-2 flex items-center gap-1 flex-shrink-0 select-none ${column.sort ? "cursor-pointer hover:text-gray-900" : ""}`}
+                    style={{ width: column.width }}
+                  >
+                    <span className="truncate">{column.label}</span>
+                    {active && (sort.order === "asc" ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+                  </div>
+                );
+              })}
+            </div>
+
+            {total === 0 ? (
+              <p className="p-6 text-sm text-gray-500 text-center">
+                {hasFilters ? "No products match these filters." : "No products yet."}
+              </p>
+            ) : (
+              <List
+                listRef={listRef}
+                rowComponent={GridRow}
+                rowCount={total || 0}
+                rowHeight={ROW_HEIGHT}
+                rowProps={{ getProduct, columns, selected, onToggle: toggleRow, drafts, editing, onEdit: editCell, onOpen: setOpenProduct }}
+                onRowsRendered={handleRowsRendered}
+                overscanCount={10}
+                style={{ height: "calc(100vh - 18rem)" }}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      {dialog?.type === "bulk" && (
+        <BulkEditDialog
+          count={selected.size}
+          onClose={() => setDialog(null)}
+          onPreview={(action) => setDialog({ type: "preview", request: { productIds: [...selected], action } })}
+        />
+      )}
+      {dialog?.type === "preview" && (
+        <EditPreview request={dialog.request} onClose={() => setDialog(null)} onSaved={handleSaved} />
+      )}
+      {openProduct && (
+        <ProductDrawer
+          key={openProduct.id}
+          productId={openProduct.id}
+          offerId={openProduct.offerId}
+          onClose={() => setOpenProduct(null)}
+          onChanged={() => {
+            loadPendingCount();
+            reload();
+          }}
+        />
+      )}
+      {dialog?.type === "pending" && (
+        <PendingChanges
+          onClose={() => setDialog(null)}
+          onChanged={() => {
+            loadPendingCount();
+            reload();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+// Remounting on account switch drops the loaded pages, selection and drafts
+const FeedData = () => {
+  const { selectedAccount } = useAuth();
+  return <ProductGrid key={selectedAccount?.merchantId || "none"} />;
+};
 
-export default FeedData
+export default FeedData;
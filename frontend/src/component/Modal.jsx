@@ -0,0 +1,38 @@
+import React, { useEffect } from "react";
+import { X } from "lucide-react";
+
+// Centered dialog; Escape or a click on the backdrop closes it
+const Modal = ({ title, onClose, footer, wide = false, children }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/30 p-4"
+      onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        className={`flex max-h-[90vh] w-full flex-col rounded-lg bg-white shadow-xl ${wide ? "max-w-5xl" : "max-w-lg"}`}
+      >
+        <div className="flex items-center justify-between border-b px-4 py-3">
+          <h2 className="font-semibold">{title}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-700" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="flex-1 overflow-y-auto p-4">{children}</div>
+        {footer && <div className="flex items-center justify-end gap-2 border-t px-4 py-3">{footer}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default Modal;
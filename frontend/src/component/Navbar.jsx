@@ -1,9 +1,10 @@
 import React, { useState, useRef, useEffect } from "react";
 import { useAuth } from "../context/AuthContext.jsx";
 import { useNavigate } from "react-router-dom";
+import AccountHealthBadge from "./AccountHealthBadge.jsx";
 
 const Navbar = () => {
-  const { user, logout, accounts, selectedAccount, switchAccount } = useAuth();
+  const { user, logout, accounts, selectedAccount, switchAccount, accountHealth, refreshAccountHealth } = useAuth();
   const navigate = useNavigate();
 
   const dropdownRef = useRef();
@@ -12,6 +13,7 @@ const Navbar = () => {
   const [profileDropdownOpen, setProfileDropdownOpen] = useState(false);
   const [showAccountManagement, setShowAccountManagement] = useState(false);
   const [imageError, setImageError] = useState(false);
+  const [refreshingHealth, setRefreshingHealth] = useState(false);
 
   // Close dropdowns on outside click
   useEffect(() => {
@@ -41,6 +43,13 @@ const Navbar = () => {
   // Check if we should show image or fallback to first letter
   const hasValidImage = user?.image && user.image.trim() !== "" && !imageError;
 
+  // Re-check account health via accountstatuses
+  const handleRefreshHealth = async () => {
+    setRefreshingHealth(true);
+    await refreshAccountHealth();
+    setRefreshingHealth(false);
+  };
+
   // Handle logout
   const handleLogout = () => {
     logout();
@@ -73,6 +82,12 @@ const Navbar = () => {
             <div className="flex items-center gap-2">
               <div className="flex flex-col items-start">
                 <div className="flex items-center gap-1">
+                  {selectedAccount && (
+                    <AccountHealthBadge
+                      health={accountHealth[selectedAccount.merchantId]}
+                      compact
+                    />
+                  )}
                   <span className="font-medium text-gray-800 text-sm">
                     {selectedAccount?.accountName || "Select Account"}
                   </span>
@@ -119,6 +134,19 @@ const Navbar = () => {
                 <p className="text-xs text-gray-500 mt-1">
                   Merchant Centre ID: {selectedAccount?.merchantId || ""}
                 </p>
+                {selectedAccount && (
+                  <div className="mt-2 flex items-center gap-2">
+                    <AccountHealthBadge health={accountHealth[selectedAccount.merchantId]} />
+                    <button
+                      type="button"
+                      onClick={handleRefreshHealth}
+                      disabled={refreshingHealth}
+                      className="text-xs text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                    >
+                      {refreshingHealth ? "Checking..." : "Refresh health"}
+                    </button>
+                  </div>
+                )}
               </div>
 
               {/* Comparison Shopping Service - Image जैसा */}
@@ -181,6 +209,9 @@ const Navbar = () => {
                         </p>
                       </div>
 
+                      {/* Account health from accountstatuses */}
+                      <AccountHealthBadge health={accountHealth[acc.merchantId]} />
+
                       {/* Checkmark for selected account */}
                       {selectedAccount?._id === acc._id && (
                         <svg
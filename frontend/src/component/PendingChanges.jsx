@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import Modal from "./Modal.jsx";
+import ChangeDiff from "./ChangeDiff.jsx";
+
+const API = import.meta.env.VITE_API_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("token")}`,
+});
+
+// Largest page the changes endpoint returns
+const MAX_CHANGES = 500;
+
+/**
+ * Pending changes of the selected account. Approving pushes the selected
+ * changes to Merchant Center as one batch.
+ */
+const PendingChanges = ({ onClose, onChanged }) => {
+  const [changes, setChanges] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [selected, setSelected] = useState(() => new Set());
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null);
+
+  const load = () =>
+    axios
+      .get(`${API}/api/merchant/changes`, {
+        headers: authHeaders(),
+        params: { status: "pending", pageSize: MAX_CHANGES },
+      })
+      .then((res) => {
+        setChanges(res.data.changes);
+        setTotal(res.data.total);
+        setSelected(new Set(res.data.changes.map((c) => c._id)));
+      })
+      .catch((err) => setError(err.response?.data?.error || "Failed to load pending changes"));
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const toggle = (id) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      setResult(await action([...selected]));
+      onChanged();
+      await load();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update changes");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const reject = () =>
+    run(async (changeIds) => {
+      const res = await axios.post(
+        `${API}/api/merchant/changes/review`,
+        { changeIds, status: "rejected" },
+        { headers: authHeaders() }
+      );
+      return { message: `${res.data.updated} changes rejected` };
+    });
+
+  const approveAndPush = () =>
+    run(async (changeIds) => {
+      await axios.post(`${API}/api/merchant/changes/review`, { changeIds, status: "approved" }, { headers: authHeaders() });
+      // A batch where every push failed answers 502 with the same body
+      const res = await axios
+        .post(`${API}/api/merchant/products/apply`, { changeIds }, { headers: authHeaders() })
+        .catch((err) => (err.response?.status === 502 ? err.response : Promise.reject(err)));
+      return { message: `${res.data.applied} changes pushed`, failed: res.data.failed };
+    });
+
+  const rows = (changes || []).map((c) => ({
+    key: c._id,
+    offerId: c.offerId,
+    field: c.field,
+    before: c.oldValue,
+    after: c.newValue,
+  }));
+
+  return (
+    <Modal
+      title="Pending changes"
+      wide
+      onClose={onClose}
+      footer={
+        <>
+          <span className="mr-auto text-sm text-gray-500">
+            {selected.size.toLocaleString()} of {total.toLocaleString()} selected
+            {total > MAX_CHANGES && ` (showing the latest ${MAX_CHANGES})`}
+          </span>
+          <button
+            onClick={reject}
+            disabled={busy || selected.size === 0}
+            className="px-3 py-1.5 text-sm rounded-md border hover:bg-gray-50 disabled:opacity-50"
+          >
+            Reject
+          </button>
+          <button
+            onClick={approveAndPush}
+            disabled={busy || selected.size === 0}
+            className="px-3 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {busy ? "Working..." : "Approve and push"}
+          </button>
+        </>
+      }
+    >
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+      {result && (
+        <div className="mb-3 text-sm">
+          <p className="text-green-700">{result.message}</p>
+          {result.failed?.length > 0 && (
+            <ul className="mt-1 text-red-600 list-disc pl-5">
+              {result.failed.map((f) => (
+                <li key={f.changeId}>
+                  {f.offerId} · {f.field}: {f.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {!changes && !error && <p className="text-sm text-gray-500">Loading...</p>}
+      {changes?.length === 0 && <p className="text-sm text-gray-500">No pending changes.</p>}
+      {rows.length > 0 && <ChangeDiff rows={rows} selected={selected} onToggle={toggle} />}
+    </Modal>
+  );
+};
+
+export default PendingChanges;
@@ -0,0 +1,536 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { Check, Copy, ExternalLink, RotateCcw, Upload, X } from "lucide-react";
+import ProductImages from "./ProductImages.jsx";
+import ChangeDiff from "./ChangeDiff.jsx";
+
+const API = import.meta.env.VITE_API_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("token")}`,
+});
+
+const TABS = [
+  { key: "details", label: "Details" },
+  { key: "status", label: "Status" },
+  { key: "audit", label: "Audit" },
+  { key: "suggestions", label: "Suggestions" },
+  { key: "history", label: "History" },
+  { key: "images", label: "Images" },
+  { key: "raw", label: "Raw" },
+];
+
+const DETAIL_FIELDS = [
+  ["title", "Title"],
+  ["description", "Description"],
+  ["link", "Link"],
+  ["price", "Price"],
+  ["salePrice", "Sale price"],
+  ["salePriceEffectiveDate", "Sale dates"],
+  ["availability", "Availability"],
+  ["condition", "Condition"],
+  ["brand", "Brand"],
+  ["gtin", "GTIN"],
+  ["mpn", "MPN"],
+  ["identifierExists", "Identifier exists"],
+  ["productType", "Product type"],
+  ["googleProductCategory", "Google category"],
+  ["color", "Color"],
+  ["size", "Size"],
+  ["material", "Material"],
+  ["gender", "Gender"],
+  ["ageGroup", "Age group"],
+  ["pattern", "Pattern"],
+  ["customLabel0", "Custom label 0"],
+  ["customLabel1", "Custom label 1"],
+  ["customLabel2", "Custom label 2"],
+  ["customLabel3", "Custom label 3"],
+  ["customLabel4", "Custom label 4"],
+  ["channel", "Channel"],
+  ["contentLanguage", "Language"],
+  ["targetCountry", "Country"],
+];
+
+const SEVERITY_STYLES = {
+  error: "bg-red-50 text-red-700",
+  warning: "bg-yellow-50 text-yellow-700",
+  info: "bg-gray-100 text-gray-600",
+};
+
+const STATUS_STYLES = {
+  approved: "bg-green-50 text-green-700",
+  disapproved: "bg-red-50 text-red-700",
+  pending: "bg-yellow-50 text-yellow-700",
+  demoted: "bg-yellow-50 text-yellow-700",
+  unaffected: "bg-gray-100 text-gray-600",
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (typeof value === "object" && "value" in value) return `${value.value} ${value.currency || ""}`.trim();
+  return String(value);
+};
+
+const Badge = ({ value, styles = STATUS_STYLES }) => (
+  <span className={`px-2 py-0.5 rounded text-xs capitalize ${styles[value] || "bg-gray-100 text-gray-600"}`}>{value || "unknown"}</span>
+);
+
+const Countries = ({ label, countries }) =>
+  countries?.length > 0 && (
+    <div>
+      <span className="text-gray-500">{label}:</span> {countries.join(", ")}
+    </div>
+  );
+
+const DetailsTab = ({ product }) => (
+  <dl className="grid grid-cols-[10rem_1fr] gap-x-3 gap-y-2 text-sm">
+    {DETAIL_FIELDS.map(([key, label]) => (
+      <React.Fragment key={key}>
+        <dt className="text-gray-500">{label}</dt>
+        <dd className="break-words">
+          {key === "link" && product.link ? (
+            <a href={product.link} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline">
+              {product.link}
+            </a>
+          ) : (
+            formatValue(product[key])
+          )}
+        </dd>
+      </React.Fragment>
+    ))}
+  </dl>
+);
+
+const StatusTab = ({ status }) => {
+  if (!status?.checkedAt) return <p className="text-sm text-gray-500">Statuses have not been fetched for this product yet.</p>;
+
+  return (
+    <div className="space-y-5 text-sm">
+      <div className="flex items-center gap-2">
+        <Badge value={status.approvalStatus} />
+        <span className="text-gray-500">Checked {new Date(status.checkedAt).toLocaleString()}</span>
+      </div>
+
+      <section>
+        <h3 className="font-semibold mb-2">Destinations</h3>
+        {status.destinationStatuses?.length > 0 ? (
+          <ul className="space-y-2">
+            {status.destinationStatuses.map((d) => (
+              <li key={d.destination} className="border rounded p-2">
+                <div className="flex items-center justify-between">
+                  <span className="font-medium">{d.destination}</span>
+                  <Badge value={d.status} />
+                </div>
+                <div className="text-xs mt-1 space-y-0.5">
+                  <Countries label="Approved" countries={d.approvedCountries} />
+                  <Countries label="Pending" countries={d.pendingCountries} />
+                  <Countries label="Disapproved" countries={d.disapprovedCountries} />
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-500">No destination statuses.</p>
+        )}
+      </section>
+
+      <section>
+        <h3 className="font-semibold mb-2">Item issues</h3>
+        {status.itemLevelIssues?.length > 0 ? (
+          <ul className="space-y-2">
+            {status.itemLevelIssues.map((issue, i) => (
+              <li key={`${issue.code}-${i}`} className="border rounded p-2">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium">{issue.description || issue.code}</span>
+                  <Badge value={issue.servability} />
+                </div>
+                {issue.detail && <p className="text-gray-600 mt-1">{issue.detail}</p>}
+                <div className="text-xs text-gray-500 mt-1 space-y-0.5">
+                  {issue.attributeName && <div>Attribute: {issue.attributeName}</div>}
+                  {issue.destination && <div>Destination: {issue.destination}</div>}
+                  <Countries label="Countries" countries={issue.applicableCountries} />
+                  {issue.documentation && (
+                    <a href={issue.documentation} target="_blank" rel="noreferrer" className="inline-flex items-center gap-1 text-blue-600 hover:underline">
+                      Documentation <ExternalLink className="w-3 h-3" />
+                    </a>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-500">No item issues.</p>
+        )}
+      </section>
+    </div>
+  );
+};
+
+const AuditTab = ({ audit }) => {
+  if (audit.score === null) return <p className="text-sm text-gray-500">This product has not been audited yet.</p>;
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div>
+        <span className="text-3xl font-semibold">{audit.score}</span>
+        <span className="text-gray-500"> / 100</span>
+        {audit.auditedAt && <p className="text-gray-500">Audited {new Date(audit.auditedAt).toLocaleString()}</p>}
+      </div>
+      {audit.issues.length === 0 ? (
+        <p className="text-gray-500">No issues found.</p>
+      ) : (
+        <table className="w-full">
+          <tbody>
+            {audit.issues.map((issue, i) => (
+              <tr key={`${issue.code}-${i}`} className="border-b align-top">
+                <td className="py-2 pr-2">
+                  <Badge value={issue.severity} styles={SEVERITY_STYLES} />
+                </td>
+                <td className="py-2 pr-2">
+                  {issue.message}
+                  {issue.field && <div className="text-xs text-gray-500">{issue.field}</div>}
+                </td>
+                <td className="py-2 text-right text-red-700 whitespace-nowrap">−{issue.penalty}</td>
+              </tr>
+            ))}
+            <tr>
+              <td colSpan={2} className="py-2 font-medium">
+                Total penalty
+              </td>
+              <td className="py-2 text-right font-medium text-red-700">−{audit.penalty}</td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const SuggestionsTab = ({ suggestions, onAccept, onReject, busy }) => {
+  if (suggestions.length === 0) return <p className="text-sm text-gray-500">No pending suggestions.</p>;
+
+  return (
+    <ul className="space-y-4">
+      {suggestions.map((s) => (
+        <li key={s._id} className="border rounded p-3 space-y-2">
+          <div className="flex items-center justify-between text-xs text-gray-500">
+            <span>
+              {s.provider}
+              {s.model && ` · ${s.model}`}
+              {s.confidence != null && ` · ${Math.round(s.confidence * 100)}% confidence`}
+            </span>
+            <span>{new Date(s.createdAt).toLocaleString()}</span>
+          </div>
+          <ChangeDiff
+            rows={[{ key: s._id, offerId: s.offerId, field: s.field, before: s.currentValue, after: s.label || s.suggestedValue }]}
+            showProduct={false}
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => onReject(s)}
+              disabled={busy}
+              className="inline-flex items-center gap-1 px-3 py-1 text-sm rounded-md border hover:bg-gray-50 disabled:opacity-50"
+            >
+              <X className="w-4 h-4" />
+              Reject
+            </button>
+            <button
+              onClick={() => onAccept(s)}
+              disabled={busy}
+              className="inline-flex items-center gap-1 px-3 py-1 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Check className="w-4 h-4" />
+              Accept
+            </button>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const HistoryTab = ({ offerId, changes, history, onPush, onRollback, busy }) => {
+  const unpushed = changes.filter((c) => c.status !== "pending");
+  const pending = changes.filter((c) => c.status === "pending");
+
+  return (
+    <div className="space-y-5 text-sm">
+      {unpushed.length > 0 && (
+        <section className="border rounded p-3 bg-blue-50/40">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-semibold">Approved, not pushed yet</h3>
+            <button
+              onClick={() => onPush(unpushed.map((c) => c._id))}
+              disabled={busy}
+              className="inline-flex items-center gap-1 px-3 py-1 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Upload className="w-4 h-4" />
+              Push {unpushed.length}
+            </button>
+          </div>
+          <ChangeDiff
+            rows={unpushed.map((c) => ({ key: c._id, offerId: c.offerId, field: c.field, before: c.oldValue, after: c.newValue }))}
+            showProduct={false}
+          />
+          {unpushed.some((c) => c.lastError) && (
+            <ul className="mt-2 text-red-600 list-disc pl-5">
+              {unpushed.filter((c) => c.lastError).map((c) => (
+                <li key={c._id}>
+                  {c.field}: {c.lastError}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
+      {pending.length > 0 && (
+        <p className="text-gray-600">
+          {pending.length} pending {pending.length === 1 ? "change is" : "changes are"} waiting for review under Pending changes.
+        </p>
+      )}
+
+      {!history ? (
+        <p className="text-gray-500">Loading history...</p>
+      ) : history.length === 0 ? (
+        <p className="text-gray-500">No changes have been pushed from the app yet.</p>
+      ) : (
+        <ol className="relative border-l ml-2 space-y-5">
+          {history.map((version) => (
+            <li key={version.version} className="ml-4">
+              <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-blue-600" />
+              <div className="flex items-center justify-between gap-2">
+                <div>
+                  <span className="font-medium">Version {version.version}</span>
+                  <span className="text-gray-500">
+                    {" "}
+                    · {new Date(version.appliedAt).toLocaleString()}
+                    {version.user && ` · ${version.user.name || version.user.email}`} · {version.sources.join(", ")}
+                    {version.rollbackOf !== null && ` · restored version ${version.rollbackOf}`}
+                  </span>
+                </div>
+                <button
+                  onClick={() => onRollback(version.version)}
+                  disabled={busy}
+                  className="inline-flex items-center gap-1 text-xs text-blue-600 hover:underline disabled:opacity-50"
+                  title="Push the values this version left the product with"
+                >
+                  <RotateCcw className="w-3 h-3" />
+                  Restore
+                </button>
+              </div>
+              <div className="mt-2">
+                <ChangeDiff
+                  rows={version.changes.map((c, i) => ({
+                    key: `${c.field}-${i}`,
+                    offerId,
+                    field: c.field,
+                    before: c.oldValue,
+                    after: c.newValue,
+                  }))}
+                  showProduct={false}
+                />
+              </div>
+            </li>
+          ))}
+          <li className="ml-4">
+            <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-gray-300" />
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-gray-500">Original values, before the app changed them</span>
+              <button
+                onClick={() => onRollback(0)}
+                disabled={busy}
+                className="inline-flex items-center gap-1 text-xs text-blue-600 hover:underline disabled:opacity-50"
+              >
+                <RotateCcw className="w-3 h-3" />
+                Restore
+              </button>
+            </div>
+          </li>
+        </ol>
+      )}
+    </div>
+  );
+};
+
+const RawTab = ({ raw }) => {
+  const [copied, setCopied] = useState(false);
+  const json = JSON.stringify(raw ?? null, null, 2);
+
+  const copy = () =>
+    navigator.clipboard.writeText(json).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+
+  if (!raw) return <p className="text-sm text-gray-500">No Content API payload is stored for this product.</p>;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={copy}
+        className="absolute right-2 top-2 inline-flex items-center gap-1 px-2 py-1 text-xs rounded border bg-white hover:bg-gray-50"
+      >
+        {copied ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
+        {copied ? "Copied" : "Copy"}
+      </button>
+      <pre className="text-xs bg-gray-50 border rounded p-3 overflow-x-auto">{json}</pre>
+    </div>
+  );
+};
+
+/**
+ * Slide-over with everything known about one product, by its REST id.
+ * `onChanged` runs after anything is pushed, so the grid can reload the snapshot.
+ */
+const ProductDrawer = ({ productId, offerId, onClose, onChanged }) => {
+  const [tab, setTab] = useState("details");
+  const [detail, setDetail] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const productUrl = `${API}/api/merchant/products/${encodeURIComponent(productId)}`;
+
+  const fetchDetail = useCallback(
+    () =>
+      Promise.all([
+        axios.get(productUrl, { headers: authHeaders() }),
+        axios.get(`${productUrl}/history`, { headers: authHeaders() }),
+      ])
+        .then(([detailRes, historyRes]) => {
+          setDetail(detailRes.data);
+          setHistory(historyRes.data.versions);
+          setError("");
+        })
+        .catch((err) => setError(err.response?.data?.error || "Failed to load product")),
+    [productUrl]
+  );
+
+  useEffect(() => {
+    fetchDetail();
+  }, [fetchDetail]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  // Runs one action, then reloads the drawer
+  const run = async (action, { pushed = false } = {}) => {
+    setBusy(true);
+    setError("");
+    try {
+      setNotice(await action());
+      if (pushed) onChanged();
+      await fetchDetail();
+    } catch (err) {
+      setError(err.response?.data?.error || "Request failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const acceptSuggestion = (suggestion) =>
+    run(async () => {
+      await axios.post(`${API}/api/merchant/suggestions/${suggestion._id}/accept`, {}, { headers: authHeaders() });
+      return `Accepted the ${suggestion.field} suggestion. Push it from the History tab.`;
+    });
+
+  const rejectSuggestion = (suggestion) =>
+    run(async () => {
+      await axios.post(`${API}/api/merchant/suggestions/${suggestion._id}/reject`, {}, { headers: authHeaders() });
+      return `Rejected the ${suggestion.field} suggestion.`;
+    });
+
+  const pushChanges = (changeIds) =>
+    run(
+      async () => {
+        const res = await axios
+          .post(`${API}/api/merchant/products/apply`, { changeIds }, { headers: authHeaders() })
+          .catch((err) => (err.response?.status === 502 ? err.response : Promise.reject(err)));
+        return `${res.data.applied} changes pushed${res.data.failed.length ? `, ${res.data.failed.length} failed` : ""}.`;
+      },
+      { pushed: true }
+    );
+
+  const rollback = (version) => {
+    if (!window.confirm(version === 0 ? "Restore the original values?" : `Restore version ${version}?`)) return;
+    run(
+      async () => {
+        const res = await axios
+          .post(`${productUrl}/rollback`, { version }, { headers: authHeaders() })
+          .catch((err) => (err.response?.status === 502 ? err.response : Promise.reject(err)));
+        return res.data.applied > 0 || res.data.failed.length > 0
+          ? `Restored ${res.data.applied} fields${res.data.failed.length ? `, ${res.data.failed.length} failed` : ""}.`
+          : "The product already has these values.";
+      },
+      { pushed: true }
+    );
+  };
+
+  const product = detail?.product;
+  const counts = {
+    suggestions: detail?.suggestions.length,
+    history: detail ? detail.changes.filter((c) => c.status !== "pending").length : 0,
+    status: product?.productStatus?.itemLevelIssues?.length,
+    audit: detail?.audit.issues.length,
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 flex justify-end bg-black/20" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <aside role="dialog" aria-modal="true" aria-label={`Product ${offerId}`} className="w-full max-w-2xl h-full bg-white shadow-xl flex flex-col">
+        <div className="flex items-start gap-3 border-b p-4">
+          {product?.imageLink && <img src={product.imageLink} alt="" className="w-14 h-14 object-contain rounded border" />}
+          <div className="flex-1 min-w-0">
+            <h2 className="font-semibold truncate" title={product?.title}>
+              {product?.title || offerId}
+            </h2>
+            <p className="text-xs text-gray-500 truncate">{productId}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-700" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <nav className="flex gap-1 border-b px-4 overflow-x-auto">
+          {TABS.map((t) => (
+            <button
+              key={t.key}
+              onClick={() => setTab(t.key)}
+              className={`px-3 py-2 text-sm border-b-2 whitespace-nowrap ${tab === t.key ? "border-blue-600 text-blue-600" : "border-transparent text-gray-600 hover:text-gray-900"}`}
+            >
+              {t.label}
+              {counts[t.key] > 0 && <span className="ml-1 text-xs text-gray-400">{counts[t.key]}</span>}
+            </button>
+          ))}
+        </nav>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+          {notice && <p className="mb-3 text-sm text-green-700">{notice}</p>}
+          {!detail && !error && <p className="text-sm text-gray-500">Loading...</p>}
+
+          {detail && tab === "details" && <DetailsTab product={product} />}
+          {detail && tab === "status" && <StatusTab status={product.productStatus} />}
+          {detail && tab === "audit" && <AuditTab audit={detail.audit} />}
+          {detail && tab === "suggestions" && (
+            <SuggestionsTab suggestions={detail.suggestions} onAccept={acceptSuggestion} onReject={rejectSuggestion} busy={busy} />
+          )}
+          {detail && tab === "history" && (
+            <HistoryTab offerId={offerId} changes={detail.changes} history={history} onPush={pushChanges} onRollback={rollback} busy={busy} />
+          )}
+          {tab === "images" && <ProductImages productId={productId} offerId={offerId} />}
+          {detail && tab === "raw" && <RawTab raw={product.raw} />}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default ProductDrawer;
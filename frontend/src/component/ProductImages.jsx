@@ -0,0 +1,158 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { ImageOff, RefreshCw } from "lucide-react";
+
+const API = import.meta.env.VITE_API_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("token")}`,
+});
+
+const SEVERITY_STYLES = {
+  error: "bg-red-50 text-red-700",
+  warning: "bg-yellow-50 text-yellow-700",
+  info: "bg-gray-100 text-gray-600",
+};
+
+const POLL_INTERVAL_MS = 2000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const formatBytes = (bytes) => {
+  if (!bytes) return "—";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const ImageCard = ({ image }) => (
+  <div className="border rounded-lg overflow-hidden bg-white">
+    <div className="h-40 bg-gray-50 flex items-center justify-center">
+      {image.ok ? (
+        <img src={image.url} alt="" loading="lazy" className="max-h-40 max-w-full object-contain" />
+      ) : (
+        <ImageOff className="w-8 h-8 text-gray-400" />
+      )}
+    </div>
+    <div className="p-3 text-xs space-y-1">
+      <div className="flex items-center justify-between">
+        <span className="font-medium capitalize">{image.role}</span>
+        <span className={image.ok ? "text-green-600" : "text-red-600"}>
+          {image.status ? `HTTP ${image.status}` : "No response"}
+        </span>
+      </div>
+      {image.ok ? (
+        <div className="text-gray-600">
+          {image.format?.toUpperCase()} · {image.width && image.height ? `${image.width}×${image.height}` : "size unknown"} ·{" "}
+          {formatBytes(image.bytes)}
+        </div>
+      ) : (
+        <div className="text-red-600">{image.error}</div>
+      )}
+      {image.overlaySuspected && <div className="text-yellow-700">{image.overlayReason}</div>}
+      <a href={image.url} target="_blank" rel="noreferrer" className="block truncate text-blue-600 hover:underline">
+        {image.url}
+      </a>
+    </div>
+  </div>
+);
+
+// Images tab of the product detail: stored analysis plus a re-check button
+const ProductImages = ({ productId, offerId }) => {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [analyzing, setAnalyzing] = useState(false);
+
+  const fetchImages = useCallback(
+    () =>
+      axios
+        .get(`${API}/api/merchant/products/${encodeURIComponent(productId)}/images`, { headers: authHeaders() })
+        .then((res) => {
+          setData(res.data);
+          setError("");
+        })
+        .catch((err) => setError(err.response?.data?.error || "Failed to load images")),
+    [productId]
+  );
+
+  useEffect(() => {
+    fetchImages();
+  }, [fetchImages]);
+
+  // Analysis runs in the background; poll its run until it finishes
+  const analyze = async () => {
+    setAnalyzing(true);
+    try {
+      const res = await axios.post(
+        `${API}/api/merchant/products/images/analyze`,
+        { offerIds: [offerId], detectOverlays: true },
+        { headers: authHeaders() }
+      );
+
+      let run = res.data.run;
+      while (run.status === "running") {
+        await wait(POLL_INTERVAL_MS);
+        run = (await axios.get(`${API}/api/merchant/jobs/runs/${run._id}`, { headers: authHeaders() })).data.run;
+      }
+
+      await fetchImages();
+      if (run.status === "failed") setError(run.error || "Image analysis failed");
+    } catch (err) {
+      setError(err.response?.data?.error || "Image analysis failed");
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  if (!data && !error) {
+    return <p className="text-sm text-gray-500">Loading images...</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          {data?.checkedAt ? `Checked ${new Date(data.checkedAt).toLocaleString()}` : "Images have not been checked yet"}
+        </p>
+        <button
+          onClick={analyze}
+          disabled={analyzing}
+          className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-md border hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`w-4 h-4 ${analyzing ? "animate-spin" : ""}`} />
+          {analyzing ? "Checking..." : "Check images"}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {data?.issues?.length > 0 && (
+        <ul className="space-y-1">
+          {data.issues.map((issue, i) => (
+            <li key={`${issue.code}-${i}`} className={`text-xs px-2 py-1 rounded ${SEVERITY_STYLES[issue.severity]}`}>
+              {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {data?.images?.length > 0 ? (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+          {data.images.map((image) => (
+            <ImageCard key={`${image.role}-${image.url}`} image={image} />
+          ))}
+        </div>
+      ) : (
+        data && (
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {[data.imageLink, ...data.additionalImageLinks].filter(Boolean).map((url) => (
+              <img key={url} src={url} alt="" loading="lazy" className="h-40 w-full object-contain border rounded-lg bg-gray-50" />
+            ))}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ProductImages;
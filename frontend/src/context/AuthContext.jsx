@@ -9,6 +9,7 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [accounts, setAccounts] = useState([]);
   const [selectedAccount, setSelectedAccount] = useState(null);
+  const [accountHealth, setAccountHealth] = useState({});
 
   // -------------------------------
   // HELPER FUNCTIONS
@@ -27,6 +28,7 @@ export const AuthProvider = ({ children }) => {
     persistUser(null);
     setAccounts([]);
     setSelectedAccount(null);
+    setAccountHealth({});
     localStorage.removeItem("token");
   };
 
@@ -76,6 +78,29 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // -------------------------------
+  // ACCOUNT HEALTH (accountstatuses), keyed by merchant ID
+  // -------------------------------
+  const loadAccountHealth = async (refresh = false) => {
+    try {
+      const token = localStorage.getItem("token");
+      if (!token) return;
+
+      const res = await axios.get(`${API}/api/auth/merchant-accounts`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: refresh ? { refresh: true } : {},
+      });
+
+      const health = {};
+      (res.data.accounts || []).forEach((acc) => {
+        health[acc.id] = acc.health || { status: "unknown", issues: [] };
+      });
+      setAccountHealth(health);
+    } catch (e) {
+      console.log("Account health load failed:", e);
+    }
+  };
+
   // -------------------------------
   // ACCOUNT SWITCH
   // -------------------------------
@@ -140,6 +165,7 @@ export const AuthProvider = ({ children }) => {
   useEffect(() => {
     if (user && !loading) {
       syncAccounts();
+      loadAccountHealth();
     }
   }, [user, loading]);
 
@@ -230,6 +256,8 @@ export const AuthProvider = ({ children }) => {
         loading,
         accounts,
         selectedAccount,
+        accountHealth,
+        refreshAccountHealth: () => loadAccountHealth(true),
         register,
         login,
         loginWithToken,
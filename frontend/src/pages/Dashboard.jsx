@@ -1,11 +1,331 @@
-import React from 'react'
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  Legend,
+  Line,
+  LineChart,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { CheckCircle2, Clock, Gauge, Package, RefreshCw, XCircle } from "lucide-react";
+import { useAuth } from "../context/AuthContext.jsx";
+
+const API = import.meta.env.VITE_API_BASE_URL;
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("token")}`,
+});
+
+const RANGES = [7, 30, 90];
+const CHART_HEIGHT = 260;
+
+const COLORS = {
+  approved: "#16a34a",
+  disapproved: "#dc2626",
+  pending: "#ca8a04",
+  total: "#2563eb",
+  added: "#16a34a",
+  modified: "#2563eb",
+  removed: "#dc2626",
+  score: "#7c3aed",
+};
+
+// Score ranges from red to green, unaudited grey
+const SCORE_COLORS = ["#dc2626", "#f97316", "#ca8a04", "#16a34a", "#9ca3af"];
+const AVAILABILITY_COLORS = ["#16a34a", "#dc2626", "#2563eb", "#ca8a04", "#7c3aed", "#9ca3af"];
+
+const SEVERITY_COLORS = {
+  error: "#dc2626",
+  warning: "#ca8a04",
+  info: "#6b7280",
+  disapproved: "#dc2626",
+  demoted: "#ca8a04",
+  unaffected: "#6b7280",
+};
+
+const percent = (count, total) => (total ? `${Math.round((count / total) * 100)}%` : "—");
+
+const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+
+const KpiCard = ({ icon, label, value, detail, tone = "text-gray-900" }) => (
+  <div className="bg-white border rounded-lg p-4">
+    <div className="flex items-center gap-2 text-sm text-gray-500">
+      {icon}
+      {label}
+    </div>
+    <div className={`mt-1 text-2xl font-semibold ${tone}`}>{value}</div>
+    {detail && <div className="text-xs text-gray-500 mt-0.5">{detail}</div>}
+  </div>
+);
+
+const Panel = ({ title, children, className = "" }) => (
+  <section className={`bg-white border rounded-lg p-4 ${className}`}>
+    <h2 className="font-semibold mb-3">{title}</h2>
+    {children}
+  </section>
+);
+
+const Empty = ({ children }) => (
+  <div className="flex items-center justify-center text-sm text-gray-400" style={{ height: CHART_HEIGHT }}>
+    {children}
+  </div>
+);
+
+// Horizontal bars for issue codes, colored by severity
+const IssueChart = ({ issues, colorKey }) =>
+  issues.length === 0 ? (
+    <Empty>No issues</Empty>
+  ) : (
+    <ResponsiveContainer width="100%" height={Math.max(CHART_HEIGHT, issues.length * 28)}>
+      <BarChart data={issues} layout="vertical" margin={{ left: 8, right: 16 }}>
+        <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+        <XAxis type="number" allowDecimals={false} />
+        <YAxis type="category" dataKey="code" width={170} tick={{ fontSize: 11 }} />
+        <Tooltip formatter={(value) => [value, "Products"]} labelFormatter={(code, [item] = []) => item?.payload.description || code} />
+        <Bar dataKey="count">
+          {issues.map((issue) => (
+            <Cell key={issue.code} fill={SEVERITY_COLORS[issue[colorKey]] || SEVERITY_COLORS.info} />
+          ))}
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  );
+
+const MerchantDashboard = () => {
+  const [days, setDays] = useState(30);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(true);
+
+  const fetchDashboard = useCallback(
+    () =>
+      axios
+        .get(`${API}/api/merchant/dashboard`, { headers: authHeaders(), params: { days } })
+        .then((res) => {
+          setData(res.data);
+          setError("");
+        })
+        .catch((err) => setError(err.response?.data?.error || "Failed to load dashboard"))
+        .finally(() => setLoading(false)),
+    [days]
+  );
+
+  useEffect(() => {
+    fetchDashboard();
+  }, [fetchDashboard]);
+
+  const reload = () => {
+    setLoading(true);
+    fetchDashboard();
+  };
+
+  const changeDays = (value) => {
+    setLoading(true);
+    setDays(value);
+  };
+
+  if (!data) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : <p className="text-sm text-gray-500">Loading dashboard...</p>;
+  }
+
+  const { totals, scoreDistribution, availability, topIssues, trends, lastSync } = data;
+  const hasSnapshots = trends.some((point) => point.approved !== null);
 
-const Dashboard = () => {
   return (
-    <div>
-      Dashbaord
+    <div className="flex flex-col gap-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h1 className="text-xl font-semibold">Dashboard</h1>
+          <p className="text-sm text-gray-500">
+            {lastSync ? `Last synced ${new Date(lastSync.finishedAt || lastSync.startedAt).toLocaleString()}` : "Not synced yet"}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="inline-flex rounded-md border overflow-hidden text-sm">
+            {RANGES.map((range) => (
+              <button
+                key={range}
+                onClick={() => changeDays(range)}
+                className={`px-3 py-1.5 ${days === range ? "bg-blue-600 text-white" : "hover:bg-gray-50"}`}
+              >
+                {range}d
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={reload}
+            disabled={loading}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-md border hover:bg-gray-50 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="grid grid-cols-2 lg:grid-cols-5 gap-3">
+        <KpiCard
+          icon={<Package className="w-4 h-4" />}
+          label="Products"
+          value={totals.total.toLocaleString()}
+          detail={`${totals.unknown.toLocaleString()} without status`}
+        />
+        <KpiCard
+          icon={<CheckCircle2 className="w-4 h-4" />}
+          label="Approved"
+          value={totals.approved.toLocaleString()}
+          detail={percent(totals.approved, totals.total)}
+          tone="text-green-700"
+        />
+        <KpiCard
+          icon={<XCircle className="w-4 h-4" />}
+          label="Disapproved"
+          value={totals.disapproved.toLocaleString()}
+          detail={percent(totals.disapproved, totals.total)}
+          tone="text-red-700"
+        />
+        <KpiCard
+          icon={<Clock className="w-4 h-4" />}
+          label="Pending"
+          value={totals.pending.toLocaleString()}
+          detail={percent(totals.pending, totals.total)}
+          tone="text-yellow-700"
+        />
+        <KpiCard icon={<Gauge className="w-4 h-4" />} label="Average audit score" value={totals.averageScore ?? "—"} detail="out of 100" />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Panel title="Audit score distribution">
+          <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+            <BarChart data={scoreDistribution}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="range" />
+              <YAxis allowDecimals={false} />
+              <Tooltip formatter={(value) => [value, "Products"]} />
+              <Bar dataKey="count">
+                {scoreDistribution.map((bucket, i) => (
+                  <Cell key={bucket.range} fill={SCORE_COLORS[i]} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </Panel>
+
+        <Panel title="Availability">
+          {availability.length === 0 ? (
+            <Empty>No products</Empty>
+          ) : (
+            <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+              <PieChart>
+                <Pie
+                  data={availability.map((a) => ({ name: a.value || "not set", value: a.count }))}
+                  dataKey="value"
+                  nameKey="name"
+                  innerRadius={55}
+                  outerRadius={95}
+                  paddingAngle={1}
+                >
+                  {availability.map((a, i) => (
+                    <Cell key={a.value} fill={AVAILABILITY_COLORS[i % AVAILABILITY_COLORS.length]} />
+                  ))}
+                </Pie>
+                <Tooltip />
+                <Legend />
+              </PieChart>
+            </ResponsiveContainer>
+          )}
+        </Panel>
+
+        <Panel title="Top audit issues">
+          <IssueChart issues={topIssues.audit} colorKey="severity" />
+        </Panel>
+
+        <Panel title="Top Merchant Center issues">
+          <IssueChart issues={topIssues.merchantCenter} colorKey="servability" />
+        </Panel>
+      </div>
+
+      <Panel title={`Catalog over the last ${days} days`}>
+        {trends.length === 0 ? (
+          <Empty>No completed syncs in this period</Empty>
+        ) : (
+          <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+            <LineChart data={trends}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="date" tickFormatter={formatDay} />
+              <YAxis allowDecimals={false} />
+              <Tooltip labelFormatter={formatDay} />
+              <Legend />
+              <Line type="monotone" dataKey="total" name="Products" stroke={COLORS.total} dot={false} />
+              {hasSnapshots && (
+                <>
+                  <Line type="monotone" dataKey="approved" name="Approved" stroke={COLORS.approved} dot={false} connectNulls />
+                  <Line type="monotone" dataKey="disapproved" name="Disapproved" stroke={COLORS.disapproved} dot={false} connectNulls />
+                  <Line type="monotone" dataKey="pending" name="Pending" stroke={COLORS.pending} dot={false} connectNulls />
+                </>
+              )}
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </Panel>
+
+      {trends.length > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <Panel title="Changes per day">
+            <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+              <BarChart data={trends}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="date" tickFormatter={formatDay} />
+                <YAxis allowDecimals={false} />
+                <Tooltip labelFormatter={formatDay} />
+                <Legend />
+                <Bar dataKey="added" name="Added" stackId="changes" fill={COLORS.added} />
+                <Bar dataKey="modified" name="Modified" stackId="changes" fill={COLORS.modified} />
+                <Bar dataKey="removed" name="Removed" stackId="changes" fill={COLORS.removed} />
+              </BarChart>
+            </ResponsiveContainer>
+          </Panel>
+
+          <Panel title="Average audit score">
+            {hasSnapshots ? (
+              <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+                <LineChart data={trends}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                  <XAxis dataKey="date" tickFormatter={formatDay} />
+                  <YAxis domain={[0, 100]} />
+                  <Tooltip labelFormatter={formatDay} />
+                  <Line type="monotone" dataKey="averageScore" name="Score" stroke={COLORS.score} connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            ) : (
+              <Empty>Score history starts with the next sync</Empty>
+            )}
+          </Panel>
+        </div>
+      )}
     </div>
-  )
-}
+  );
+};
+
+// Remounting on account switch drops the previous account's numbers
+const Dashboard = () => {
+  const { selectedAccount } = useAuth();
+
+  if (!selectedAccount) {
+    return <p className="text-sm text-gray-500">Select a merchant account to see its dashboard.</p>;
+  }
+
+  return <MerchantDashboard key={selectedAccount.merchantId} />;
+};
 
-export default Dashboard
+export default Dashboard;